@@ -0,0 +1,151 @@
+/**
+ * Catalog Import
+ * Converts a CSV/TSV, merchant XML or Shopify JSON feed into a tenant's
+ * catalog (see src/utils/catalogImporter)
+ *
+ * Usage:
+ *   node import-catalog.js client1 feed.csv                 # dry run: show the diff
+ *   node import-catalog.js client1 feed.xml --apply         # write products.client1.json
+ *   node import-catalog.js client1 products.json --mode replace --apply
+ *   node import-catalog.js client1 export.csv --map name="Product Title" --map price=Cost
+ *   node import-catalog.js client1 export.csv --mapping mapping.json
+ *
+ * Options:
+ *   --format csv|tsv|merchant-xml|shopify|json   Detected from the file when omitted
+ *   --mode merge|replace                         replace removes products missing from the feed
+ *   --map field=Column[,Column]                  Map a product field to source columns
+ *   --mapping file.json                          { "mapping": {...}, "categoryMap": {...} }
+ *   --apply                                      Write the catalog (default: dry run)
+ *
+ * Exits with 1 when the import fails or products fail validation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { importCatalog } = require('./src/utils/catalogImporter');
+const { tenantConfigExists, loadTenantConfig } = require('./src/utils/tenantLoader');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - process.argv without node and script
+ * @returns {Object} { positional, format, mode, mapping, categoryMap, apply }
+ */
+function parseArgs(args) {
+  const options = { positional: [], format: null, mode: 'merge', mapping: {}, categoryMap: null, apply: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    const value = () => inlineValue ?? args[++i];
+
+    if (flag === '--apply') {
+      options.apply = true;
+    } else if (flag === '--format') {
+      options.format = value();
+    } else if (flag === '--mode') {
+      options.mode = value();
+    } else if (flag === '--map') {
+      const [field, columns = ''] = value().split(/=(.*)/s);
+      options.mapping[field] = columns ? columns.split(',') : null;
+    } else if (flag === '--mapping') {
+      const file = JSON.parse(fs.readFileSync(path.resolve(value()), 'utf8'));
+      const hasSections = file.mapping || file.categoryMap;
+      Object.assign(options.mapping, hasSections ? file.mapping : file);
+      options.categoryMap = hasSections ? file.categoryMap || null : null;
+    } else if (flag.startsWith('--')) {
+      throw new Error(`Unknown option ${flag}`);
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Format a value for the diff output
+ * @param {*} value - Field value
+ * @returns {string} Short representation
+ */
+function formatValue(value) {
+  const text = value === undefined ? '(none)' : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Print an import result
+ * @param {Object} result - Result of importCatalog
+ */
+function printResult(result) {
+  const { stats, diff } = result;
+  const icon = result.success ? (stats.quarantined > 0 ? '⚠️ ' : '✅') : '❌';
+
+  console.log(`\n${icon} ${result.message}`);
+  console.log(`   ${result.format}: ${stats.rows} row(s) -> ${stats.products} product(s), ${stats.valid} valid, ${stats.quarantined} invalid, ${stats.warnings} warning(s), mode ${result.mode}`);
+
+  for (const product of diff.added) {
+    console.log(`  + ${product.id} (${product.name})`);
+  }
+  for (const product of diff.changed) {
+    console.log(`  ~ ${product.id} (${product.name})`);
+    for (const [field, change] of Object.entries(product.changes)) {
+      console.log(`      ${field}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+    }
+  }
+  for (const product of diff.removed) {
+    console.log(`  - ${product.id} (${product.name})`);
+  }
+  if (diff.unchanged > 0) {
+    console.log(`    ${diff.unchanged} product(s) unchanged`);
+  }
+
+  for (const entry of result.problems) {
+    console.log(`  ${entry.productId || `#${entry.index + 1}`}${entry.quarantined ? ' [not imported]' : ''}`);
+    for (const problem of entry.problems) {
+      console.log(`    ${problem.severity === 'error' ? 'error  ' : 'warning'} ${problem.path} ${problem.message}`);
+    }
+  }
+  for (const skipped of result.skippedRows) {
+    console.log(`  row ${skipped.row} skipped: ${skipped.reason}`);
+  }
+  for (const note of result.notes) {
+    console.log(`  ℹ️  ${note.productId}: ${note.message}`);
+  }
+
+  if (result.dryRun && result.success) {
+    console.log('\nDry run only; run again with --apply to write the catalog.');
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [tenantId, file] = options.positional;
+
+  if (!tenantId || !file) {
+    console.error('Usage: node import-catalog.js <tenantId> <file> [--format ...] [--mode merge|replace] [--map field=Column] [--mapping file.json] [--apply]');
+    process.exit(1);
+  }
+  if (!(await tenantConfigExists(tenantId))) {
+    console.error(`❌ Tenant not found: ${tenantId} (add src/config/tenants/${tenantId}.json first)`);
+    process.exit(1);
+  }
+
+  const result = await importCatalog({
+    tenantConfig: await loadTenantConfig(tenantId),
+    content: fs.readFileSync(path.resolve(file), 'utf8'),
+    format: options.format,
+    fileName: path.basename(file),
+    mapping: options.mapping,
+    categoryMap: options.categoryMap,
+    mode: options.mode,
+    dryRun: !options.apply
+  });
+
+  printResult(result);
+  process.exit(result.success && result.stats.quarantined === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Catalog import failed:', error.message);
+  process.exit(1);
+});
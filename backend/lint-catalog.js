@@ -0,0 +1,82 @@
+/**
+ * Catalog Lint
+ * Lists every problem per product in tenant catalogs (see src/utils/catalogValidator)
+ *
+ * Usage:
+ *   node lint-catalog.js                 # every catalog in src/data/products
+ *   node lint-catalog.js client1         # one tenant
+ *   node lint-catalog.js path/to/file.json
+ *   node lint-catalog.js --errors-only client1
+ *
+ * Exits with 1 when a catalog has errors (products that would be
+ * quarantined) or can't be read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { lintCatalogFile } = require('./src/utils/catalogValidator');
+
+const PRODUCTS_DIR = path.join(__dirname, 'src', 'data', 'products');
+
+/**
+ * Resolve command line targets to catalog files
+ * @param {Array<string>} targets - Tenant IDs or file paths
+ * @returns {Array<string>} File paths
+ */
+function resolveTargets(targets) {
+  if (targets.length === 0) {
+    return fs.readdirSync(PRODUCTS_DIR)
+      .filter(name => /^products\..+\.json$/.test(name))
+      .map(name => path.join(PRODUCTS_DIR, name));
+  }
+
+  return targets.map(target => (target.endsWith('.json')
+    ? path.resolve(target)
+    : path.join(PRODUCTS_DIR, `products.${target}.json`)));
+}
+
+/**
+ * Print one catalog's report
+ * @param {Object} report - Lint report
+ * @param {boolean} errorsOnly - Hide warnings
+ */
+function printReport(report, errorsOnly) {
+  if (report.fileError) {
+    console.log(`\n❌ ${report.file}: ${report.fileError}`);
+    return;
+  }
+
+  const icon = report.ok ? (report.warnings > 0 ? '⚠️ ' : '✅') : '❌';
+  console.log(`\n${icon} ${report.file}: ${report.validProducts}/${report.totalProducts} products served, ${report.quarantinedProducts} quarantined, ${report.errors} error(s), ${report.warnings} warning(s)`);
+
+  for (const entry of report.products) {
+    const problems = entry.problems.filter(p => !errorsOnly || p.severity === 'error');
+    if (problems.length === 0) continue;
+
+    const label = entry.productId || `#${entry.index + 1}`;
+    console.log(`  ${label}${entry.name ? ` (${entry.name})` : ''}${entry.quarantined ? ' [quarantined]' : ''}`);
+    for (const problem of problems) {
+      console.log(`    ${problem.severity === 'error' ? 'error  ' : 'warning'} ${problem.path} ${problem.message}`);
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const errorsOnly = args.includes('--errors-only');
+  const files = resolveTargets(args.filter(arg => !arg.startsWith('--')));
+
+  let failed = false;
+  for (const file of files) {
+    const report = await lintCatalogFile(file);
+    printReport(report, errorsOnly);
+    if (report.fileError || !report.ok) failed = true;
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Catalog lint failed:', error.message);
+  process.exit(1);
+});
@@ -6,6 +6,9 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const apiRoutes = require('./src/api/routes');
 const { errorHandler } = require('./src/middleware/errorHandler');
+const { startAbandonedCartScheduler, stopAbandonedCartScheduler } = require('./src/commerce/abandonedCartService');
+const { startStoreSweeper, stopStoreSweeper } = require('./src/utils/storeEviction');
+const { logAdminAuthMode } = require('./src/middleware/adminAuth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -63,7 +66,15 @@ app.use(cors({
 }));
 
 // Body Parser Middleware
-app.use(express.json());
+// Catalog imports parse their own, larger body once the admin key is
+// checked (see src/api/routes)
+const parseJson = express.json();
+const CATALOG_IMPORT_PATH = /^\/admin\/catalog\/[^/]+\/import\/?$/i;
+
+app.use((req, res, next) => {
+  if (CATALOG_IMPORT_PATH.test(req.path)) return next();
+  return parseJson(req, res, next);
+});
 
 // Routes
 
@@ -93,11 +104,20 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 SAAI backend server running on port ${PORT}`);
   console.log(`📍 Health check available at http://localhost:${PORT}/`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  logAdminAuthMode();
+
+  // Flag carts left idle past each tenant's abandonedCart.idleMinutes
+  startAbandonedCartScheduler();
+
+  // Evict carts, profiles, contexts and orders of sessions gone idle
+  startStoreSweeper();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  stopAbandonedCartScheduler();
+  stopStoreSweeper();
   server.close(() => {
     console.log('HTTP server closed');
   });
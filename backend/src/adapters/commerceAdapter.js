@@ -13,6 +13,7 @@
  */
 
 const { loadProductsForTenant } = require('../utils/productLoader');
+const { formatMoney } = require('../commerce/money');
 
 /**
  * Search for products with smart filtering
@@ -218,8 +219,8 @@ async function search(params, tenantConfig) {
   
   // Build informative message
   let filterInfo = [];
-  if (maxPrice !== null) filterInfo.push(`under $${maxPrice}`);
-  if (minPrice !== null) filterInfo.push(`over $${minPrice}`);
+  if (maxPrice !== null) filterInfo.push(`under ${formatMoney(maxPrice, tenantConfig)}`);
+  if (minPrice !== null) filterInfo.push(`over ${formatMoney(minPrice, tenantConfig)}`);
   if (detectedCategory) filterInfo.push(`in ${detectedCategory}`);
   if (detectedColors.length > 0) filterInfo.push(`in ${detectedColors.join('/')}`);
   
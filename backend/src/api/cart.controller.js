@@ -6,6 +6,8 @@
  */
 
 const { viewCart, checkoutCart, addToCart, addOutfitToCart } = require('../commerce/cartService');
+const { listAbandonedCarts } = require('../commerce/abandonedCartService');
+const { getShippingAddress, setShippingAddress } = require('../commerce/addressService');
 const { loadTenantConfig } = require('../utils/tenantLoader');
 
 /**
@@ -42,13 +44,15 @@ exports.getCart = async (req, res) => {
  * 
  * Body:
  * - productId: Product ID to add
- * - quantity: Quantity (optional, default 1)
+ * - quantity: Quantity, a positive whole number (optional, default 1)
+ * - size: Selected size (required when the product offers several)
+ * - color: Selected color (required when the product offers several)
  * - sessionId: Session ID (optional)
  */
 exports.addToCartEndpoint = async (req, res) => {
   try {
     const tenantId = req.params.tenantId || 'example';
-    const { productId, quantity, sessionId } = req.body;
+    const { productId, quantity, size, color, sessionId } = req.body;
 
     console.log(`[cart.controller] POST add to cart: tenant=${tenantId}, product=${productId}`);
 
@@ -59,12 +63,22 @@ exports.addToCartEndpoint = async (req, res) => {
       });
     }
 
+    const units = quantity === undefined || quantity === null ? 1 : Number(quantity);
+    if (!Number.isInteger(units) || units <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'quantity must be a positive whole number'
+      });
+    }
+
     const tenantConfig = await loadTenantConfig(tenantId);
     const result = await addToCart({ 
       tenantConfig, 
       sessionId, 
       productId, 
-      quantity: quantity || 1 
+      quantity: units,
+      size,
+      color
     });
 
     res.json(result);
@@ -84,18 +98,27 @@ exports.addToCartEndpoint = async (req, res) => {
  * 
  * Body:
  * - sessionId: Session ID (optional)
- * - paymentMethod: Payment method (optional, default COD)
+ * - paymentMethod: COD, UPI or CARD (optional, default COD)
+ * - shippingAddress: Address fields to save first (optional, see POST /address);
+ *   without a complete saved address the result carries addressRequired
+ * - confirmPriceChanges: true to accept the updated total from a result
+ *   carrying confirmationRequired (prices or stock changed since items were added)
+ * - idempotencyKey: Retry key (optional, also accepted as the Idempotency-Key header);
+ *   repeating a key returns the original order instead of placing a new one
  */
 exports.checkoutCartEndpoint = async (req, res) => {
   try {
     const tenantId = req.params.tenantId || 'example';
     const sessionId = req.body.sessionId || null;
     const paymentMethod = req.body.paymentMethod || 'COD';
+    const shippingAddress = req.body.shippingAddress || null;
+    const confirmPriceChanges = req.body.confirmPriceChanges === true;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
 
-    console.log(`[cart.controller] POST checkout: tenant=${tenantId}, payment=${paymentMethod}`);
+    console.log(`[cart.controller] POST checkout: tenant=${tenantId}, payment=${paymentMethod}, idempotencyKey=${idempotencyKey || '-'}`);
 
     const tenantConfig = await loadTenantConfig(tenantId);
-    const result = await checkoutCart({ tenantConfig, sessionId, paymentMethod });
+    const result = await checkoutCart({ tenantConfig, sessionId, paymentMethod, shippingAddress, confirmPriceChanges, idempotencyKey });
 
     res.json(result);
   } catch (err) {
@@ -115,6 +138,7 @@ exports.checkoutCartEndpoint = async (req, res) => {
  * Body:
  * - sessionId: Session ID (required)
  * - productIds: Array of product IDs to add (required)
+ * - variants: Size/color per product ID (optional, e.g. { "p101": { "size": "M" } })
  * 
  * This deterministic endpoint is for the frontend to call directly
  * when the user clicks "Add outfit to cart" on the side panel.
@@ -122,7 +146,7 @@ exports.checkoutCartEndpoint = async (req, res) => {
 exports.addOutfitToCartEndpoint = async (req, res) => {
   try {
     const tenantId = req.params.tenantId || 'example';
-    const { sessionId, productIds } = req.body;
+    const { sessionId, productIds, variants } = req.body;
 
     console.log(`[cart.controller] POST add-outfit: tenant=${tenantId}, session=${sessionId}, products=${JSON.stringify(productIds)}`);
 
@@ -151,7 +175,8 @@ exports.addOutfitToCartEndpoint = async (req, res) => {
       sessionId, 
       shirtId: shirtId || null,
       pantId: pantId || null,
-      shoeId: shoeId || null
+      shoeId: shoeId || null,
+      variants: variants || {}
     });
 
     res.json(result);
@@ -164,3 +189,90 @@ exports.addOutfitToCartEndpoint = async (req, res) => {
     });
   }
 };
+
+/**
+ * GET /cart/:tenantId/address
+ * Get the session's shipping address
+ * 
+ * Query params:
+ * - session: Session ID (optional, defaults to demo-session)
+ */
+exports.getAddressEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const sessionId = req.query.session || null;
+
+    console.log(`[cart.controller] GET address for tenant=${tenantId}, session=${sessionId}`);
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await getShippingAddress({ tenantConfig, sessionId });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[cart.controller] getAddress error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load address',
+      message: err.message
+    });
+  }
+};
+
+/**
+ * POST /cart/:tenantId/address
+ * Save (part of) the session's shipping address
+ * 
+ * Body:
+ * - sessionId: Session ID (optional)
+ * - name, line1, line2, city, state, postalCode, country, phone: Address fields
+ * 
+ * The result lists missing/invalid fields; valid fields are kept.
+ */
+exports.setAddressEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const { sessionId, ...fields } = req.body;
+
+    console.log(`[cart.controller] POST address for tenant=${tenantId}, session=${sessionId}`);
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await setShippingAddress({ tenantConfig, sessionId, ...fields });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[cart.controller] setAddress error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save address',
+      message: err.message
+    });
+  }
+};
+
+/**
+ * GET /admin/carts/:tenantId/abandoned
+ * List abandoned carts for a tenant with value totals (admin only)
+ * 
+ * Query params:
+ * - status: Only carts with this status (optional)
+ */
+exports.getAbandonedCartsEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const status = req.query.status || null;
+
+    console.log(`[cart.controller] GET abandoned carts for tenant=${tenantId}, status=${status || 'all'}`);
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await listAbandonedCarts({ tenantConfig, status });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[cart.controller] getAbandonedCarts error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list abandoned carts',
+      message: err.message
+    });
+  }
+};
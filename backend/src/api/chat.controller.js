@@ -24,11 +24,13 @@ const { addLog } = require('../debug/logger');
  * @param {string} [req.body.sessionId] - Optional session ID for cart isolation
  * @param {Array} [req.body.history] - Optional conversation history (preferred)
  * @param {Array} [req.body.conversationHistory] - Optional conversation history (legacy alias)
+ * @param {string} [req.body.idempotencyKey] - Optional retry key for checkout (or Idempotency-Key header)
  * @param {Object} res - Express response object
  */
 async function handleChat(req, res) {
   try {
     const { tenant, message, conversationHistory = [], history = [], sessionId } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
 
     // Support both 'history' and 'conversationHistory' field names
     const chatHistory = history.length > 0 ? history : conversationHistory;
@@ -78,7 +80,8 @@ async function handleChat(req, res) {
       actionRegistry,
       userMessage: message,
       conversationHistory: chatHistory,
-      sessionId: sessionId || null
+      sessionId: sessionId || null,
+      idempotencyKey
     });
 
     console.log(`[Chat] Result type: ${result.type}`);
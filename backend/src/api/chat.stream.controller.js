@@ -22,6 +22,7 @@ const { loadActionRegistry } = require('../utils/registryLoader');
  */
 async function handleChatStream(req, res) {
   const { tenant, message, conversationHistory = [], history = [], sessionId } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
   const chatHistory = history.length > 0 ? history : conversationHistory;
 
   // Validate required fields
@@ -67,6 +68,7 @@ async function handleChatStream(req, res) {
       userMessage: message,
       conversationHistory: chatHistory,
       sessionId,
+      idempotencyKey,
       onChunk: (chunk) => {
         sendEvent('chunk', { text: chunk });
       },
@@ -2,6 +2,7 @@
 // Debug endpoints for development and demo
 
 const { getLogs, getLogCount, clearLogs } = require('../debug/logger');
+const { getStoreStats, sweepSessionStores } = require('../utils/storeEviction');
 
 /**
  * Get debug logs with optional filtering
@@ -57,3 +58,45 @@ exports.clearDebugLogs = (req, res) => {
     });
   }
 };
+
+/**
+ * Get session counts and evictions of the in-memory stores
+ * GET /debug/stores
+ */
+exports.getDebugStoreStats = (req, res) => {
+  try {
+    const { heapUsed, rss } = process.memoryUsage();
+    res.json({
+      success: true,
+      ...getStoreStats(),
+      memory: { heapUsedMb: Math.round(heapUsed / 1048576), rssMb: Math.round(rss / 1048576) }
+    });
+  } catch (err) {
+    console.error('[debug] getDebugStoreStats error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load store stats'
+    });
+  }
+};
+
+/**
+ * Evict idle sessions now instead of waiting for the next sweep
+ * POST /debug/stores/sweep
+ */
+exports.sweepDebugStores = (req, res) => {
+  try {
+    const evicted = sweepSessionStores();
+    res.json({
+      success: true,
+      evicted,
+      ...getStoreStats()
+    });
+  } catch (err) {
+    console.error('[debug] sweepDebugStores error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sweep stores'
+    });
+  }
+};
@@ -4,15 +4,37 @@
  * HTTP endpoints for order operations.
  */
 
-const { getOrders, getOrderStatus, cancelOrder } = require('../commerce/orderService');
+const { getOrders, listTenantOrders, getOrderStatus, cancelOrder, advanceOrderStatus, resolvePayment } = require('../commerce/orderService');
+const { cancelOrderItems } = require('../commerce/orderCancellationService');
+const { reorder } = require('../commerce/reorderService');
+const { getInvoice } = require('../commerce/invoiceService');
 const { loadTenantConfig } = require('../utils/tenantLoader');
 
+/**
+ * Read order list filters from query params
+ * 
+ * @param {Object} query - Express query object
+ * @returns {Object} Filters for getOrders/listTenantOrders
+ */
+function getOrderFilters(query) {
+  const { status, from, to, product, minAmount, maxAmount, sort, limit, cursor, q } = query;
+  return { status, from, to, product, minAmount, maxAmount, sort, limit, cursor, query: q };
+}
+
 /**
  * GET /orders/:tenantId
- * View orders for a tenant/session
+ * View orders for a tenant/session, one page at a time
  * 
  * Query params:
  * - session: Session ID (optional, defaults to demo-session)
+ * - status: Status codes or groups, comma-separated (processing, in_transit, open, completed, DELIVERED, ...)
+ * - from, to: ISO dates (to is exclusive; a date-only to includes that day)
+ * - product: Product ID or part of an item name
+ * - minAmount, maxAmount: Order total range
+ * - sort: newest (default) | oldest | amount_desc | amount_asc
+ * - limit: Page size (default 10, max 100)
+ * - cursor: pageInfo.nextCursor from the previous page
+ * - q: Natural-language query ("orders from last month that are still processing")
  */
 exports.getOrdersEndpoint = async (req, res) => {
   try {
@@ -22,7 +44,11 @@ exports.getOrdersEndpoint = async (req, res) => {
     console.log(`[order.controller] GET orders for tenant=${tenantId}, session=${sessionId}`);
 
     const tenantConfig = await loadTenantConfig(tenantId);
-    const result = await getOrders({ tenantConfig, sessionId });
+    const result = await getOrders({ tenantConfig, sessionId, filters: getOrderFilters(req.query) });
+
+    if (result.invalidFilters) {
+      return res.status(400).json(result);
+    }
 
     res.json(result);
   } catch (err) {
@@ -35,19 +61,72 @@ exports.getOrdersEndpoint = async (req, res) => {
   }
 };
 
+/**
+ * GET /admin/orders/:tenantId
+ * List orders across all sessions of a tenant (admin only, audited)
+ * 
+ * Query params: as for GET /orders/:tenantId, plus
+ * - session: Only this session's orders (optional)
+ */
+exports.listTenantOrdersEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const admin = getAdminContext(req);
+
+    console.log(`[order.controller] GET admin orders for tenant=${tenantId}, admin=${admin?.actor}`);
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const filters = { ...getOrderFilters(req.query), sessionId: req.query.session || null };
+    const result = await listTenantOrders({ tenantConfig, filters, admin });
+
+    if (result.invalidFilters) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('[order.controller] listTenantOrders error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to list orders',
+      message: err.message 
+    });
+  }
+};
+
+/**
+ * Build the admin context for support-staff requests
+ * 
+ * Only set when the route went through requireAdmin.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} [reason] - Why staff are accessing the order
+ * @returns {Object|null} { actor, reason } or null for shopper requests
+ */
+function getAdminContext(req, reason = null) {
+  if (!req.isAdmin) return null;
+  return { actor: req.adminActor || 'admin', reason: reason || req.get('x-admin-reason') || null };
+}
+
 /**
  * GET /orders/:tenantId/:orderId
+ * GET /admin/orders/:tenantId/:orderId (support staff, any session)
  * Get status of a specific order
+ * 
+ * Query params:
+ * - session: Session ID that placed the order (defaults to demo-session)
  */
 exports.getOrderStatusEndpoint = async (req, res) => {
   try {
     const tenantId = req.params.tenantId || 'example';
     const orderId = req.params.orderId;
+    const sessionId = req.query.session || null;
+    const admin = getAdminContext(req);
 
-    console.log(`[order.controller] GET order status for tenant=${tenantId}, order=${orderId}`);
+    console.log(`[order.controller] GET order status for tenant=${tenantId}, order=${orderId}, session=${sessionId}${admin ? `, admin=${admin.actor}` : ''}`);
 
     const tenantConfig = await loadTenantConfig(tenantId);
-    const result = await getOrderStatus({ tenantConfig, orderId });
+    const result = await getOrderStatus({ tenantConfig, sessionId, orderId, admin });
 
     res.json(result);
   } catch (err) {
@@ -62,21 +141,36 @@ exports.getOrderStatusEndpoint = async (req, res) => {
 
 /**
  * POST /orders/:tenantId/:orderId/cancel
- * Cancel an order
+ * POST /admin/orders/:tenantId/:orderId/cancel (support staff, any session)
+ * Cancel an order, or some of its items before it ships
  * 
  * Body:
+ * - sessionId: Session ID that placed the order (defaults to demo-session)
  * - reason: Cancellation reason (optional)
+ * - items: Items to cancel, [{ productId | productName, size, color, quantity }]
+ *   (optional, defaults to the whole order)
  */
 exports.cancelOrderEndpoint = async (req, res) => {
   try {
     const tenantId = req.params.tenantId || 'example';
     const orderId = req.params.orderId;
-    const { reason } = req.body;
+    const { reason, sessionId = null, items } = req.body || {};
+    const admin = getAdminContext(req, reason);
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid items',
+        message: 'items must be a non-empty array of { productId | productName, quantity }'
+      });
+    }
 
-    console.log(`[order.controller] POST cancel order: tenant=${tenantId}, order=${orderId}`);
+    console.log(`[order.controller] POST cancel order: tenant=${tenantId}, order=${orderId}, session=${sessionId}${items ? `, items=${items.length}` : ''}${admin ? `, admin=${admin.actor}` : ''}`);
 
     const tenantConfig = await loadTenantConfig(tenantId);
-    const result = await cancelOrder({ tenantConfig, orderId, reason });
+    const result = items
+      ? await cancelOrderItems({ tenantConfig, sessionId, orderId, items, reason, admin })
+      : await cancelOrder({ tenantConfig, sessionId, orderId, reason, admin });
 
     res.json(result);
   } catch (err) {
@@ -88,3 +182,143 @@ exports.cancelOrderEndpoint = async (req, res) => {
     });
   }
 };
+
+/**
+ * POST /orders/:tenantId/:orderId/reorder
+ * Add the items of a previous order to the cart again at current prices
+ * 
+ * Body:
+ * - sessionId: Session ID that placed the order (defaults to demo-session)
+ */
+exports.reorderEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const orderId = req.params.orderId;
+    const { sessionId = null } = req.body || {};
+
+    console.log(`[order.controller] POST reorder: tenant=${tenantId}, order=${orderId}, session=${sessionId}`);
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await reorder({ tenantConfig, sessionId, orderId });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[order.controller] reorder error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to reorder',
+      message: err.message 
+    });
+  }
+};
+
+/**
+ * GET /orders/:tenantId/:orderId/invoice
+ * Get a tenant-branded invoice for an order
+ * 
+ * Query params:
+ * - session: Session ID that placed the order (defaults to demo-session)
+ * - format: html | text | json (optional, otherwise from the Accept header; default html)
+ */
+exports.getInvoiceEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const orderId = req.params.orderId;
+    const sessionId = req.query.session || null;
+    const format = req.query.format || req.accepts(['html', 'text', 'json']) || 'html';
+
+    console.log(`[order.controller] GET invoice: tenant=${tenantId}, order=${orderId}, session=${sessionId}, format=${format}`);
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await getInvoice({ tenantConfig, sessionId, orderId, format: format === 'text' ? 'text' : 'html' });
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    if (format === 'json') {
+      return res.json(result);
+    }
+    if (format === 'text') {
+      return res.type('text/plain; charset=utf-8').send(result.document);
+    }
+
+    // The invoice is a standalone page: allow its inline styles and the tenant logo only
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src https: http: data:");
+    res.type('html').send(result.document);
+  } catch (err) {
+    console.error('[order.controller] getInvoice error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to render invoice',
+      message: err.message 
+    });
+  }
+};
+
+/**
+ * POST /admin/orders/:tenantId/:orderId/advance
+ * Move an order to its next lifecycle status (admin only)
+ * 
+ * Body:
+ * - status: Target status (optional, defaults to the next fulfilment step)
+ * - note: Tracking note for the timeline (optional)
+ */
+exports.advanceOrderEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const orderId = req.params.orderId;
+    const { status, note } = req.body || {};
+
+    console.log(`[order.controller] POST advance order: tenant=${tenantId}, order=${orderId}, status=${status || 'next'}`);
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await advanceOrderStatus({ tenantConfig, orderId, status, note, actor: req.adminActor || 'admin' });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[order.controller] advanceOrder error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to advance order',
+      message: err.message 
+    });
+  }
+};
+
+/**
+ * POST /admin/orders/:tenantId/:orderId/payment
+ * Record the result of a pending payment (admin only, stands in for a gateway webhook)
+ * 
+ * Body:
+ * - outcome: success | failure
+ * - reason: Failure reason (optional)
+ */
+exports.resolvePaymentEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const orderId = req.params.orderId;
+    const { outcome, reason } = req.body || {};
+
+    console.log(`[order.controller] POST resolve payment: tenant=${tenantId}, order=${orderId}, outcome=${outcome}`);
+
+    if (!outcome) {
+      return res.status(400).json({
+        success: false,
+        error: 'outcome is required (success or failure)'
+      });
+    }
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await resolvePayment({ tenantConfig, orderId, outcome, reason, actor: req.adminActor || 'admin' });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[order.controller] resolvePayment error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to resolve payment',
+      message: err.message 
+    });
+  }
+};
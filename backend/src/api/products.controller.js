@@ -3,7 +3,9 @@
  * Handles product catalog API endpoints
  */
 
-const { loadProductsForTenant, getProductById, getProductsByCategory, getProductsByTags } = require('../utils/productLoader');
+const { loadProductsForTenant, getProductById, getProductsByCategory, getProductsByTags, reloadCatalog, lintCatalog } = require('../utils/productLoader');
+const { importCatalog, CatalogImportError } = require('../utils/catalogImporter');
+const { tenantConfigExists, loadTenantConfig } = require('../utils/tenantLoader');
 
 /**
  * Get all products for a tenant
@@ -179,9 +181,158 @@ async function getProductsByTagsRoute(req, res) {
   }
 }
 
+/**
+ * Lint report for a tenant's catalog: every problem per product
+ * GET /products/:tenantId/lint
+ * 
+ * Query params:
+ * - severity: error | warning - Only list products with problems of that severity (optional)
+ */
+async function getCatalogLintRoute(req, res) {
+  try {
+    const { tenantId } = req.params;
+    const severity = req.query.severity ? String(req.query.severity).toLowerCase() : null;
+
+    if (severity && !['error', 'warning'].includes(severity)) {
+      return res.status(400).json({
+        success: false,
+        error: 'severity must be error or warning'
+      });
+    }
+
+    const report = await lintCatalog(tenantId);
+    const products = severity
+      ? report.products.filter(entry => entry.problems.some(p => p.severity === severity))
+      : report.products;
+
+    return res.status(200).json({
+      success: !report.fileError,
+      ...report,
+      products
+    });
+  } catch (error) {
+    console.error('❌ Error in getCatalogLintRoute:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to lint catalog'
+    });
+  }
+}
+
+/**
+ * Re-read a tenant's catalog file now instead of on the next change check
+ * POST /admin/catalog/:tenantId/reload
+ */
+async function reloadCatalogRoute(req, res) {
+  try {
+    const { tenantId } = req.params;
+    const result = await reloadCatalog(tenantId);
+
+    if (!result.reloaded) {
+      return res.status(422).json({
+        success: false,
+        error: 'Catalog file could not be loaded',
+        message: result.count > 0 ? `Still serving the last good catalog (${result.count} products)` : 'No catalog is loaded for this tenant',
+        ...result
+      });
+    }
+
+    console.log(`[products.controller] Reloaded catalog for ${tenantId}: ${result.count} products from ${result.source}`);
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Error in reloadCatalogRoute:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reload catalog'
+    });
+  }
+}
+
+/**
+ * Import a product feed into a tenant's catalog
+ * POST /admin/catalog/:tenantId/import
+ * 
+ * Body: the file as text (CSV, TSV, merchant XML, JSON), Shopify or
+ * product JSON, or { content, format, fileName, mapping, categoryMap, mode, apply }
+ * 
+ * Query params:
+ * - format: csv | tsv | merchant-xml | shopify | json (detected when omitted)
+ * - fileName: Source file name, helps format detection
+ * - mapping: Field mapping as JSON ({"name":"Product Title"})
+ * - mode: merge (default) | replace
+ * - apply: true to write the catalog; otherwise only the diff is returned
+ */
+async function importCatalogRoute(req, res) {
+  try {
+    const { tenantId } = req.params;
+    const envelope = req.body && typeof req.body === 'object' && typeof req.body.content === 'string' ? req.body : null;
+    const options = { ...req.query, ...envelope };
+    const content = envelope ? envelope.content : req.body;
+
+    if (!(await tenantConfigExists(tenantId))) {
+      return res.status(404).json({
+        success: false,
+        error: `Tenant not found: ${tenantId}`
+      });
+    }
+
+    if (content === undefined || content === null || (typeof content === 'object' && Object.keys(content).length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send the feed as the request body (text/csv, text/tab-separated-values, application/xml or application/json)'
+      });
+    }
+
+    let mapping = options.mapping || null;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch {
+        return res.status(400).json({
+          success: false,
+          error: 'mapping must be a JSON object'
+        });
+      }
+    }
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await importCatalog({
+      tenantConfig,
+      content,
+      format: options.format || null,
+      fileName: options.fileName || null,
+      mapping,
+      categoryMap: envelope?.categoryMap || null,
+      mode: options.mode || 'merge',
+      dryRun: !(options.apply === true || options.apply === 'true')
+    });
+
+    return res.status(result.success ? 200 : 422).json(result);
+  } catch (error) {
+    if (error instanceof CatalogImportError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('❌ Error in importCatalogRoute:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to import catalog'
+    });
+  }
+}
+
 module.exports = {
   getProductsForTenant,
   getProduct,
   getProductsByCategoryRoute,
-  getProductsByTagsRoute
+  getProductsByTagsRoute,
+  getCatalogLintRoute,
+  reloadCatalogRoute,
+  importCatalogRoute
 };
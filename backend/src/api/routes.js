@@ -7,7 +7,10 @@ const {
   getProductsForTenant, 
   getProduct, 
   getProductsByCategoryRoute, 
-  getProductsByTagsRoute 
+  getProductsByTagsRoute,
+  getCatalogLintRoute,
+  reloadCatalogRoute,
+  importCatalogRoute
 } = require('./products.controller');
 const { 
   recommendController, 
@@ -18,22 +21,39 @@ const {
   getCart, 
   addToCartEndpoint, 
   checkoutCartEndpoint,
-  addOutfitToCartEndpoint 
+  addOutfitToCartEndpoint,
+  getAddressEndpoint,
+  setAddressEndpoint,
+  getAbandonedCartsEndpoint
 } = require('./cart.controller');
+const {
+  getWishlist,
+  addToWishlistEndpoint,
+  removeFromWishlistEndpoint,
+  moveWishlistToCartEndpoint
+} = require('./wishlist.controller');
 const { 
   getOrdersEndpoint, 
+  listTenantOrdersEndpoint,
   getOrderStatusEndpoint, 
-  cancelOrderEndpoint 
+  cancelOrderEndpoint,
+  reorderEndpoint,
+  getInvoiceEndpoint,
+  advanceOrderEndpoint,
+  resolvePaymentEndpoint
 } = require('./order.controller');
 const { 
   getDebugLogs, 
-  clearDebugLogs 
+  clearDebugLogs,
+  getDebugStoreStats,
+  sweepDebugStores
 } = require('./debug.controller');
 const {
   getProfiles,
   getProfile,
   clearProfiles
 } = require('./profile.controller');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 const router = express.Router();
 
@@ -98,15 +118,45 @@ router.get('/tenant/:tenantId', getTenantInfo);
  * GET /products/:tenantId/:productId - Get a specific product
  * GET /products/:tenantId/category/:category - Get products by category
  * GET /products/:tenantId/tags?tags=tag1,tag2 - Get products by tags
+ * GET /products/:tenantId/lint?severity=error - Catalog problems per product
  * 
  * Loads product catalogs from JSON files in src/data/products/
  * Falls back to example catalog if tenant-specific file not found
+ * Parsed catalogs are cached and re-read when the file changes
+ * Products failing src/config/schemas/product.schema.json with an error
+ * are quarantined (not served); the lint report lists them with the
+ * warnings of the products that are served. CLI: npm run lint:catalog
  */
 router.get('/products/:tenantId', getProductsForTenant);
 router.get('/products/:tenantId/category/:category', getProductsByCategoryRoute);
 router.get('/products/:tenantId/tags', getProductsByTagsRoute);
+router.get('/products/:tenantId/lint', getCatalogLintRoute);
 router.get('/products/:tenantId/:productId', getProduct);
 
+/**
+ * Admin catalog endpoints
+ * POST /admin/catalog/:tenantId/reload - Re-read the tenant's catalog file now
+ * POST /admin/catalog/:tenantId/import - Import a CSV/TSV, merchant XML or Shopify JSON feed
+ * 
+ * Requires the x-admin-key header (see middleware/adminAuth).
+ * Reload returns { tenantId, reloaded, count, source, loadedAt }; 422 when
+ * the file can't be parsed (the last good catalog keeps being served).
+ * 
+ * Import takes the feed as the request body, up to 10mb: CSV/TSV and XML
+ * as text, Shopify or product JSON (or a { content, ... } envelope) as
+ * application/json. It returns the diff against the current catalog.
+ * Nothing is written unless ?apply=true. See utils/catalogImporter for
+ * formats, field mapping and variant grouping. CLI: npm run import:catalog
+ */
+router.post('/admin/catalog/:tenantId/reload', requireAdmin, reloadCatalogRoute);
+router.post(
+  '/admin/catalog/:tenantId/import',
+  requireAdmin,
+  express.json({ limit: '10mb' }),
+  express.text({ type: ['text/*', 'application/xml', 'application/rss+xml', 'application/atom+xml', 'application/octet-stream'], limit: '10mb' }),
+  importCatalogRoute
+);
+
 /**
  * Recommendation endpoints
  * POST /recommend/:tenantId - Get product recommendations based on query and preferences
@@ -128,6 +178,8 @@ router.post('/recommend/:tenantId/personalized', getPersonalizedController);
  * POST /cart/:tenantId/add - Add product to cart
  * POST /cart/:tenantId/add-outfit - Add outfit (multiple products) to cart
  * POST /cart/:tenantId/checkout - Checkout and create order
+ * GET /cart/:tenantId/address - View the session's shipping address
+ * POST /cart/:tenantId/address - Save shipping address fields
  * 
  * These are for manual testing via curl.
  * In production, cart operations go through /chat as tool calls.
@@ -146,28 +198,131 @@ router.post('/recommend/:tenantId/personalized', getPersonalizedController);
  * 
  * Body for POST /checkout:
  * - sessionId: Session ID (optional)
- * - paymentMethod: Payment method (optional, default COD)
+ * - paymentMethod: COD, UPI or CARD (optional, default COD)
+ * - shippingAddress: Address fields (optional if already saved)
+ * - confirmPriceChanges: true to accept an updated total (see confirmationRequired)
+ * 
+ * Body for POST /address:
+ * - sessionId: Session ID (optional)
+ * - name, line1, line2, city, state, postalCode, country, phone
  */
 router.get('/cart/:tenantId', getCart);
 router.post('/cart/:tenantId/add', addToCartEndpoint);
 router.post('/cart/:tenantId/add-outfit', addOutfitToCartEndpoint);
 router.post('/cart/:tenantId/checkout', checkoutCartEndpoint);
+router.get('/cart/:tenantId/address', getAddressEndpoint);
+router.post('/cart/:tenantId/address', setAddressEndpoint);
+
+/**
+ * Wishlist endpoints (debug/prototype)
+ * GET /wishlist/:tenantId - View saved items
+ * POST /wishlist/:tenantId/add - Save a product for later
+ * POST /wishlist/:tenantId/remove - Remove a saved product
+ * POST /wishlist/:tenantId/move-to-cart - Move saved items into the cart
+ * 
+ * In production, wishlist operations go through /chat as tool calls.
+ * 
+ * Query params for GET:
+ * - session: Session ID (optional)
+ * 
+ * Body for POST /add:
+ * - productId: Product ID to save
+ * - size, color: Preferred variant (optional)
+ * - sessionId: Session ID (optional)
+ * 
+ * Body for POST /remove:
+ * - productId: Product ID to remove
+ * - sessionId: Session ID (optional)
+ * 
+ * Body for POST /move-to-cart:
+ * - productId: Product ID to move (optional, omit to move everything)
+ * - size, color: Variant to use (optional)
+ * - sessionId: Session ID (optional)
+ */
+router.get('/wishlist/:tenantId', getWishlist);
+router.post('/wishlist/:tenantId/add', addToWishlistEndpoint);
+router.post('/wishlist/:tenantId/remove', removeFromWishlistEndpoint);
+router.post('/wishlist/:tenantId/move-to-cart', moveWishlistToCartEndpoint);
 
 /**
  * Order endpoints (debug/prototype)
  * GET /orders/:tenantId - View orders
  * GET /orders/:tenantId/:orderId - Get order status
  * POST /orders/:tenantId/:orderId/cancel - Cancel order
+ * POST /orders/:tenantId/:orderId/reorder - Add the order's items to the cart again
+ * GET /orders/:tenantId/:orderId/invoice - Tenant-branded invoice (HTML or plain text)
  * 
- * Query params for GET /orders:
+ * Orders are scoped to the session that placed them; other sessions'
+ * orders are reported as not found.
+ * 
+ * Query params for GET /orders and GET /orders/:orderId:
  * - session: Session ID (optional)
  * 
+ * Filters for GET /orders (one page of orders per call, see commerce/orderQuery):
+ * - status: Statuses or groups, comma-separated (processing, in_transit, open, completed)
+ * - from, to: ISO date range
+ * - product: Product ID or item name
+ * - minAmount, maxAmount: Order total range
+ * - sort: newest | oldest | amount_desc | amount_asc
+ * - limit, cursor: Page size and pageInfo.nextCursor from the previous page
+ * - q: Natural-language query ("orders from last month that are still processing")
+ * 
  * Body for POST /cancel:
+ * - sessionId: Session ID (optional)
  * - reason: Cancellation reason (optional)
+ * - items: [{ productId | productName, size, color, quantity }] to cancel only
+ *   those items of an order that hasn't shipped (optional)
+ * 
+ * Body for POST /reorder:
+ * - sessionId: Session ID (optional)
+ * 
+ * Query params for GET /invoice:
+ * - session: Session ID (optional)
+ * - format: html | text | json (optional, defaults to the Accept header, then html)
  */
 router.get('/orders/:tenantId', getOrdersEndpoint);
 router.get('/orders/:tenantId/:orderId', getOrderStatusEndpoint);
 router.post('/orders/:tenantId/:orderId/cancel', cancelOrderEndpoint);
+router.post('/orders/:tenantId/:orderId/reorder', reorderEndpoint);
+router.get('/orders/:tenantId/:orderId/invoice', getInvoiceEndpoint);
+
+/**
+ * Admin order endpoints
+ * GET /admin/orders/:tenantId - List orders across all sessions (audited; same filters as GET /orders, plus session)
+ * GET /admin/orders/:tenantId/:orderId - Get any order's status (audited)
+ * POST /admin/orders/:tenantId/:orderId/cancel - Cancel any order or its items (audited)
+ * POST /admin/orders/:tenantId/:orderId/advance - Advance order status
+ * POST /admin/orders/:tenantId/:orderId/payment - Settle a pending payment
+ * 
+ * Requires the x-admin-key header (see middleware/adminAuth); x-admin-user
+ * names the staff member in the audit log.
+ * 
+ * Body:
+ * - status: Target status (optional, defaults to the next step:
+ *   CONFIRMED → PACKED → SHIPPED → OUT_FOR_DELIVERY → DELIVERED)
+ * - note: Tracking note shown in the order timeline (optional)
+ * 
+ * Payment body:
+ * - outcome: success | failure
+ * - reason: Failure reason (optional)
+ */
+router.get('/admin/orders/:tenantId', requireAdmin, listTenantOrdersEndpoint);
+router.get('/admin/orders/:tenantId/:orderId', requireAdmin, getOrderStatusEndpoint);
+router.post('/admin/orders/:tenantId/:orderId/cancel', requireAdmin, cancelOrderEndpoint);
+router.post('/admin/orders/:tenantId/:orderId/advance', requireAdmin, advanceOrderEndpoint);
+router.post('/admin/orders/:tenantId/:orderId/payment', requireAdmin, resolvePaymentEndpoint);
+
+/**
+ * Admin cart endpoints
+ * GET /admin/carts/:tenantId/abandoned - List abandoned carts with value totals
+ * 
+ * Carts idle longer than the tenant's abandonedCart.idleMinutes are
+ * flagged by a background scan; the listing rescans the tenant first.
+ * 
+ * Query params:
+ * - status: ABANDONED, REMINDED, RESUMED, RECOVERED or DISCARDED (optional)
+ */
+router.get('/admin/carts/:tenantId/abandoned', requireAdmin, getAbandonedCartsEndpoint);
 
 /**
  * Debug endpoints
@@ -190,6 +345,22 @@ router.post('/orders/:tenantId/:orderId/cancel', cancelOrderEndpoint);
 router.get('/debug/logs', getDebugLogs);
 router.post('/debug/logs/clear', clearDebugLogs);
 
+/**
+ * Store debug endpoints
+ * GET /debug/stores - Sessions held and evictions per in-memory store
+ * POST /debug/stores/sweep - Evict idle sessions now
+ * 
+ * Carts, profiles, session contexts and orders are evicted after an idle
+ * TTL and capped per tenant (see utils/storeEviction for the env settings).
+ * Each store reports:
+ * - sessions, byTenant: Sessions currently held
+ * - ttlMinutes, maxPerTenant: Configured limits (null when off)
+ * - evictions: { expired, overCapacity, total } since startup
+ * - lastSweepAt, lastSweepEvicted: Latest periodic sweep
+ */
+router.get('/debug/stores', getDebugStoreStats);
+router.post('/debug/stores/sweep', sweepDebugStores);
+
 /**
  * Profile debug endpoints
  * GET /debug/profiles - View all user preference profiles
@@ -0,0 +1,147 @@
+/**
+ * Wishlist Controller
+ * 
+ * Debug HTTP endpoints for wishlist operations.
+ * These are for manual testing via curl, not intended for production use.
+ */
+
+const {
+  viewWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveWishlistToCart
+} = require('../commerce/wishlistService');
+const { loadTenantConfig } = require('../utils/tenantLoader');
+
+/**
+ * GET /wishlist/:tenantId
+ * View wishlist contents for a tenant/session
+ * 
+ * Query params:
+ * - session: Session ID (optional, defaults to demo-session)
+ */
+exports.getWishlist = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const sessionId = req.query.session || null;
+
+    console.log(`[wishlist.controller] GET wishlist for tenant=${tenantId}, session=${sessionId}`);
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await viewWishlist({ tenantConfig, sessionId });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[wishlist.controller] getWishlist error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load wishlist',
+      message: err.message
+    });
+  }
+};
+
+/**
+ * POST /wishlist/:tenantId/add
+ * Save a product to the wishlist
+ * 
+ * Body:
+ * - productId: Product ID to save
+ * - size: Preferred size (optional)
+ * - color: Preferred color (optional)
+ * - sessionId: Session ID (optional)
+ */
+exports.addToWishlistEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const { productId, size, color, sessionId } = req.body;
+
+    console.log(`[wishlist.controller] POST add to wishlist: tenant=${tenantId}, product=${productId}`);
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        error: 'productId is required'
+      });
+    }
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await addToWishlist({ tenantConfig, sessionId, productId, size, color });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[wishlist.controller] addToWishlistEndpoint error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add to wishlist',
+      message: err.message
+    });
+  }
+};
+
+/**
+ * POST /wishlist/:tenantId/remove
+ * Remove a product from the wishlist
+ * 
+ * Body:
+ * - productId: Product ID to remove
+ * - sessionId: Session ID (optional)
+ */
+exports.removeFromWishlistEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const { productId, sessionId } = req.body;
+
+    console.log(`[wishlist.controller] POST remove from wishlist: tenant=${tenantId}, product=${productId}`);
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        error: 'productId is required'
+      });
+    }
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await removeFromWishlist({ tenantConfig, sessionId, productId });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[wishlist.controller] removeFromWishlistEndpoint error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove from wishlist',
+      message: err.message
+    });
+  }
+};
+
+/**
+ * POST /wishlist/:tenantId/move-to-cart
+ * Move wishlist items into the cart
+ * 
+ * Body:
+ * - productId: Product ID to move (optional, omit to move everything)
+ * - size: Size to use (optional, overrides the saved one)
+ * - color: Color to use (optional, overrides the saved one)
+ * - sessionId: Session ID (optional)
+ */
+exports.moveWishlistToCartEndpoint = async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId || 'example';
+    const { productId, size, color, sessionId } = req.body;
+
+    console.log(`[wishlist.controller] POST move to cart: tenant=${tenantId}, product=${productId || 'all'}`);
+
+    const tenantConfig = await loadTenantConfig(tenantId);
+    const result = await moveWishlistToCart({ tenantConfig, sessionId, productId, size, color });
+
+    res.json(result);
+  } catch (err) {
+    console.error('[wishlist.controller] moveWishlistToCartEndpoint error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to move wishlist items to cart',
+      message: err.message
+    });
+  }
+};
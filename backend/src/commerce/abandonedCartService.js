@@ -0,0 +1,336 @@
+/**
+ * Abandoned Cart Service
+ * 
+ * Flags carts that sat idle past the tenant's threshold, keeps a record
+ * of them for reporting, and hands the orchestrator a one-time reminder
+ * when the shopper comes back to the same session.
+ * 
+ * Tenant config:
+ * { "abandonedCart": { "enabled": true, "idleMinutes": 60 } }
+ * 
+ * Record statuses:
+ * - ABANDONED: idle past the threshold, shopper not back yet
+ * - REMINDED:  shopper returned and was shown the reminder
+ * - RESUMED:   cart changed again after being flagged
+ * - RECOVERED: the cart was checked out after going idle
+ * - DISCARDED: cart emptied without an order
+ * 
+ * Uses in-memory storage for prototype. Records not flagged again for
+ * ABANDONED_CART_TTL_MINUTES (default 30 days) or over
+ * ABANDONED_CART_MAX_PER_TENANT are evicted (see utils/storeEviction).
+ */
+
+const { getTenantCarts } = require('./cartStore');
+const { summarizeCart } = require('./cartService');
+const { getSessionOrders } = require('./orderService');
+const { getLineLabel } = require('./productVariants');
+const { formatMoney, getCurrency } = require('./money');
+const { loadTenantConfig, listTenants } = require('../utils/tenantLoader');
+const { registerSessionStore, touchSession } = require('../utils/storeEviction');
+
+const DEFAULT_IDLE_MINUTES = 60;
+const DEFAULT_SCAN_INTERVAL_MS = Number(process.env.ABANDONED_CART_SCAN_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Statuses still waiting on the shopper
+const OPEN_STATUSES = new Set(['ABANDONED', 'REMINDED']);
+
+// In-memory abandoned cart records
+// Structure: abandonedCarts[tenantId][sessionKey] = { status, value, items, ... }
+const abandonedCarts = {};
+
+registerSessionStore('abandonedCarts', {
+  envPrefix: 'ABANDONED_CART',
+  ttlMinutes: 30 * 24 * 60,
+  maxPerTenant: 10000,
+  remove(tenantId, sessionKey) {
+    delete abandonedCarts[tenantId]?.[sessionKey];
+  }
+});
+
+let schedulerTimer = null;
+let scanInProgress = false;
+
+/**
+ * Get the abandoned cart settings for a tenant
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @returns {Object} { enabled, idleMinutes }
+ */
+function getAbandonedCartSettings(tenantConfig) {
+  const settings = tenantConfig?.abandonedCart || {};
+  const idleMinutes = Number(settings.idleMinutes);
+
+  return {
+    enabled: settings.enabled !== false,
+    idleMinutes: idleMinutes > 0 ? idleMinutes : DEFAULT_IDLE_MINUTES
+  };
+}
+
+/**
+ * Build the item list stored on an abandoned cart record
+ * 
+ * @param {Object} cart - Cart record
+ * @returns {Array} [{ productId, name, quantity, price }]
+ */
+function buildRecordItems(cart) {
+  return cart.items.map(item => ({
+    productId: item.productId,
+    name: getLineLabel(item),
+    quantity: item.quantity,
+    price: item.productSnapshot?.price ?? null
+  }));
+}
+
+/**
+ * Update an open record whose cart changed since it was flagged
+ * 
+ * @param {Object} record - Abandoned cart record
+ * @param {Object|undefined} cart - Current cart record (undefined if cleared)
+ * @returns {boolean} True if the record was closed
+ */
+function settleRecord(record, cart) {
+  if (!OPEN_STATUSES.has(record.status)) return false;
+
+  const now = new Date().toISOString();
+
+  if (!cart || cart.items.length === 0) {
+    const order = getSessionOrders(record.tenantId, record.sessionId)
+      .find(o => new Date(o.createdAt) >= new Date(record.lastActivityAt));
+
+    record.status = order ? 'RECOVERED' : 'DISCARDED';
+    record.orderId = order?.orderId || null;
+    record.resolvedAt = now;
+    return true;
+  }
+
+  if (cart.updatedAt !== record.lastActivityAt) {
+    record.status = 'RESUMED';
+    record.resolvedAt = now;
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Scan one tenant's carts, flag idle ones and settle earlier records
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @param {number} [now] - Current time in ms (for testing)
+ * @returns {Promise<Object>} { flagged, settled }
+ */
+async function scanTenantCarts(tenantConfig, now = Date.now()) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const { enabled, idleMinutes } = getAbandonedCartSettings(tenantConfig);
+  const records = abandonedCarts[tenantId] || (abandonedCarts[tenantId] = {});
+  const carts = getTenantCarts(tenantId);
+  let flagged = 0;
+  let settled = 0;
+
+  for (const record of Object.values(records)) {
+    if (settleRecord(record, carts[record.sessionId])) settled++;
+  }
+
+  if (!enabled) return { flagged, settled };
+
+  const cutoff = now - idleMinutes * 60 * 1000;
+
+  for (const [sessionKey, cart] of Object.entries(carts)) {
+    if (!cart?.items?.length) continue;
+    if (new Date(cart.updatedAt).getTime() > cutoff) continue;
+
+    const existing = records[sessionKey];
+    if (existing && existing.lastActivityAt === cart.updatedAt) continue;
+
+    const summary = await summarizeCart(tenantConfig, cart);
+
+    records[sessionKey] = {
+      tenantId,
+      sessionId: sessionKey,
+      status: 'ABANDONED',
+      items: buildRecordItems(cart),
+      totalItems: summary.totalItems,
+      value: summary.totalAmount,
+      currency: summary.currency,
+      lastActivityAt: cart.updatedAt,
+      idleMinutes,
+      detectedAt: new Date(now).toISOString(),
+      remindedAt: null,
+      resolvedAt: null,
+      orderId: null,
+      flagCount: (existing?.flagCount || 0) + 1
+    };
+    touchSession('abandonedCarts', tenantId, sessionKey, now);
+    flagged++;
+  }
+
+  if (flagged > 0 || settled > 0) {
+    console.log(`[abandonedCartService] Tenant ${tenantId}: flagged ${flagged}, settled ${settled}`);
+  }
+
+  return { flagged, settled };
+}
+
+/**
+ * Scan the carts of every tenant
+ * 
+ * @returns {Promise<Object>} { tenants, flagged, settled }
+ */
+async function scanAbandonedCarts() {
+  if (scanInProgress) {
+    console.log('[abandonedCartService] Previous scan still running, skipping');
+    return { tenants: 0, flagged: 0, settled: 0 };
+  }
+
+  scanInProgress = true;
+  const totals = { tenants: 0, flagged: 0, settled: 0 };
+
+  try {
+    for (const tenantId of await listTenants()) {
+      try {
+        const tenantConfig = await loadTenantConfig(tenantId);
+        const { flagged, settled } = await scanTenantCarts(tenantConfig);
+        totals.tenants++;
+        totals.flagged += flagged;
+        totals.settled += settled;
+      } catch (err) {
+        console.error(`[abandonedCartService] Scan failed for tenant ${tenantId}:`, err.message);
+      }
+    }
+  } finally {
+    scanInProgress = false;
+  }
+
+  return totals;
+}
+
+/**
+ * Start the periodic abandoned cart scan
+ * 
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * 
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Scan interval (default ABANDONED_CART_SCAN_INTERVAL_MS or 5 minutes)
+ */
+function startAbandonedCartScheduler({ intervalMs = DEFAULT_SCAN_INTERVAL_MS } = {}) {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(() => {
+    scanAbandonedCarts().catch(err => {
+      console.error('[abandonedCartService] Scheduled scan failed:', err.message);
+    });
+  }, intervalMs);
+  schedulerTimer.unref();
+
+  console.log(`[abandonedCartService] Scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+/**
+ * Stop the periodic abandoned cart scan
+ */
+function stopAbandonedCartScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+/**
+ * Take the reminder for a returning shopper, if their cart was flagged
+ * 
+ * Returns the reminder only once per flag; the record moves to REMINDED.
+ * The message is built from the cart as it is now, not as it was flagged.
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @returns {Promise<Object|null>} { message, items, totalItems, value, currency } or null
+ */
+async function takeAbandonedCartReminder({ tenantConfig, sessionId }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const sessionKey = sessionId || 'demo-session';
+  const record = abandonedCarts[tenantId]?.[sessionKey];
+
+  if (!record || record.status !== 'ABANDONED') return null;
+
+  const cart = getTenantCarts(tenantId)[sessionKey];
+  if (settleRecord(record, cart)) return null;
+
+  const summary = await summarizeCart(tenantConfig, cart);
+  const items = cart.items
+    .map(item => `${getLineLabel(item)} (x${item.quantity})`)
+    .join(', ');
+
+  record.status = 'REMINDED';
+  record.remindedAt = new Date().toISOString();
+
+  console.log(`[abandonedCartService] Reminding session ${sessionKey} of ${summary.totalItems} item(s)`);
+
+  return {
+    message: `Welcome back! You still have ${summary.totalItems} item(s) in your cart: ${items}. Total: ${formatMoney(summary.totalAmount, summary)}. Say "checkout" when you're ready, or "view cart" to review it.`,
+    items: buildRecordItems(cart),
+    totalItems: summary.totalItems,
+    value: summary.totalAmount,
+    currency: summary.currency
+  };
+}
+
+/**
+ * List abandoned carts for a tenant with value totals
+ * 
+ * Runs a scan of the tenant first so the list is current.
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} [options.status] - Only records with this status
+ * @returns {Promise<Object>} Result with carts and totals
+ */
+async function listAbandonedCarts({ tenantConfig, status = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  await scanTenantCarts(tenantConfig);
+
+  const wanted = status ? String(status).toUpperCase() : null;
+  const carts = Object.values(abandonedCarts[tenantId] || {})
+    .filter(record => !wanted || record.status === wanted)
+    .sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+
+  const byStatus = {};
+  let totalValue = 0;
+  for (const record of carts) {
+    const bucket = byStatus[record.status] || (byStatus[record.status] = { count: 0, value: 0 });
+    bucket.count++;
+    bucket.value = Math.round((bucket.value + record.value) * 100) / 100;
+    totalValue += record.value;
+  }
+
+  const { enabled, idleMinutes } = getAbandonedCartSettings(tenantConfig);
+  const open = carts.filter(record => OPEN_STATUSES.has(record.status));
+  const openValue = open.reduce((sum, record) => sum + record.value, 0);
+
+  return {
+    success: true,
+    tenantId,
+    enabled,
+    idleMinutes,
+    carts,
+    totals: {
+      count: carts.length,
+      value: Math.round(totalValue * 100) / 100,
+      openCount: open.length,
+      openValue: Math.round(openValue * 100) / 100,
+      currency: getCurrency(tenantConfig),
+      formattedOpenValue: formatMoney(openValue, tenantConfig),
+      byStatus
+    }
+  };
+}
+
+module.exports = {
+  scanTenantCarts,
+  scanAbandonedCarts,
+  startAbandonedCartScheduler,
+  stopAbandonedCartScheduler,
+  takeAbandonedCartReminder,
+  listAbandonedCarts,
+  getAbandonedCartSettings
+};
@@ -0,0 +1,354 @@
+/**
+ * Address Service
+ * 
+ * Shipping address model, per-country validation and the session's saved
+ * address. Checkout reads the address from here and asks for whatever is
+ * still missing, one field at a time.
+ * 
+ * Address fields: name, line1, line2, city, state, postalCode, country, phone.
+ * Country is an ISO 3166 alpha-2 code; it defaults to the tenant's
+ * shipping.defaultCountry, then to the region of the tenant locale.
+ * Tenants can limit destinations with shipping.countries.
+ * 
+ * Uses in-memory storage for prototype. Addresses unused for
+ * ADDRESS_TTL_MINUTES (default 90 days) or over ADDRESS_MAX_PER_TENANT
+ * are evicted (see utils/storeEviction).
+ */
+
+const { registerSessionStore, touchSession } = require('../utils/storeEviction');
+
+// Per-country rules. Countries without an entry use DEFAULT_RULE.
+const COUNTRY_RULES = {
+  IN: { name: 'India', postalLabel: 'PIN code', postalPattern: /^\d{6}$/, postalHint: '6 digits', stateLabel: 'state', requiresState: true },
+  US: { name: 'United States', postalLabel: 'ZIP code', postalPattern: /^\d{5}(?:-\d{4})?$/, postalHint: '5 digits, e.g. 94105', stateLabel: 'state', requiresState: true },
+  CA: { name: 'Canada', postalLabel: 'postal code', postalPattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, postalHint: 'e.g. K1A 0B1', stateLabel: 'province', requiresState: true },
+  GB: { name: 'United Kingdom', postalLabel: 'postcode', postalPattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, postalHint: 'e.g. SW1A 1AA', stateLabel: 'county', requiresState: false },
+  AU: { name: 'Australia', postalLabel: 'postcode', postalPattern: /^\d{4}$/, postalHint: '4 digits', stateLabel: 'state', requiresState: true },
+  DE: { name: 'Germany', postalLabel: 'postal code', postalPattern: /^\d{5}$/, postalHint: '5 digits', stateLabel: 'state', requiresState: false }
+};
+
+const DEFAULT_RULE = {
+  postalLabel: 'postal code',
+  postalPattern: /^[A-Z0-9][A-Z0-9 -]{1,9}$/,
+  postalHint: 'letters and digits only',
+  stateLabel: 'state or region',
+  requiresState: false
+};
+
+// Country names shoppers type, mapped to ISO codes
+const COUNTRY_ALIASES = {
+  'india': 'IN', 'bharat': 'IN',
+  'usa': 'US', 'us': 'US', 'u.s.': 'US', 'u.s.a.': 'US', 'united states': 'US', 'united states of america': 'US', 'america': 'US',
+  'canada': 'CA',
+  'uk': 'GB', 'u.k.': 'GB', 'united kingdom': 'GB', 'great britain': 'GB', 'britain': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB',
+  'australia': 'AU',
+  'germany': 'DE', 'deutschland': 'DE'
+};
+
+// Order in which missing fields are asked for
+const FIELD_ORDER = ['name', 'line1', 'city', 'state', 'postalCode', 'country'];
+
+const ADDRESS_FIELDS = ['name', 'line1', 'line2', 'city', 'state', 'postalCode', 'country', 'phone'];
+
+// In-memory address store
+// Structure: addresses[tenantId][sessionKey] = { address: {...}, updatedAt }
+const addresses = {};
+
+registerSessionStore('addresses', {
+  envPrefix: 'ADDRESS',
+  ttlMinutes: 90 * 24 * 60,
+  maxPerTenant: 10000,
+  remove(tenantId, sessionKey) {
+    delete addresses[tenantId]?.[sessionKey];
+  }
+});
+
+/**
+ * Normalize a country name or code to an ISO alpha-2 code
+ * 
+ * @param {string} value - Country as typed ("India", "usa", "GB")
+ * @returns {string|null} ISO code or null if unrecognized
+ */
+function normalizeCountry(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  if (COUNTRY_ALIASES[text]) return COUNTRY_ALIASES[text];
+  if (/^[a-z]{2}$/.test(text)) return text.toUpperCase();
+  return null;
+}
+
+/**
+ * Get the validation rule for a country
+ * 
+ * @param {string} country - ISO country code
+ * @returns {Object} Country rule
+ */
+function getCountryRule(country) {
+  return COUNTRY_RULES[country] || { ...DEFAULT_RULE, name: country };
+}
+
+/**
+ * Get the country a tenant ships to by default
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @returns {string|null} ISO country code
+ */
+function getDefaultCountry(tenantConfig) {
+  const configured = normalizeCountry(tenantConfig?.shipping?.defaultCountry);
+  if (configured) return configured;
+
+  const region = String(tenantConfig?.locale || '').split('-')[1];
+  return normalizeCountry(region);
+}
+
+/**
+ * Ask for one address field
+ * 
+ * @param {string} field - Field name
+ * @param {Object} address - Address collected so far
+ * @returns {string} Question for the shopper
+ */
+function describeAddressField(field, address = {}) {
+  const rule = getCountryRule(address.country);
+
+  switch (field) {
+    case 'name':
+      return 'Who should we ship it to? Please share the recipient\'s full name.';
+    case 'line1':
+      return 'What\'s the street address (house number and street)?';
+    case 'city':
+      return 'Which city?';
+    case 'state':
+      return `Which ${rule.stateLabel}?`;
+    case 'postalCode':
+      return `What's the ${rule.postalLabel}?`;
+    case 'country':
+      return 'Which country should we ship to?';
+    default:
+      return `What's the ${field}?`;
+  }
+}
+
+/**
+ * Format an address on one line
+ * 
+ * @param {Object} address - Address
+ * @returns {string} e.g. "Jane Doe, 12 Main St, Springfield, IL 62704, United States"
+ */
+function formatAddress(address) {
+  if (!address) return '';
+  const rule = getCountryRule(address.country);
+  const region = [address.state, address.postalCode].filter(Boolean).join(' ');
+
+  return [address.name, address.line1, address.line2, address.city, region, rule.name || address.country]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Trim and normalize the fields of an address
+ * 
+ * @param {Object} input - Raw fields
+ * @returns {Object} Address with only known, non-empty fields
+ */
+function cleanAddress(input = {}) {
+  const address = {};
+
+  for (const field of ADDRESS_FIELDS) {
+    const value = input[field];
+    if (value === undefined || value === null) continue;
+    const text = String(value).trim().replace(/\s+/g, ' ');
+    if (text) address[field] = text;
+  }
+
+  if (address.postalCode) address.postalCode = address.postalCode.toUpperCase();
+  return address;
+}
+
+/**
+ * Validate an address against the rules of its country
+ * 
+ * Invalid fields are dropped from the returned address so they are asked
+ * for again.
+ * 
+ * @param {Object} input - Address fields
+ * @param {Object} [tenantConfig] - Tenant configuration (default country, allowed countries)
+ * @returns {Object} { valid, address, missing, invalid, nextField }
+ */
+function validateAddress(input, tenantConfig = null) {
+  const address = cleanAddress(input);
+  const invalid = [];
+
+  if (address.country) {
+    const code = normalizeCountry(address.country);
+    const allowed = (tenantConfig?.shipping?.countries || []).map(normalizeCountry).filter(Boolean);
+
+    if (!code) {
+      invalid.push({ field: 'country', message: `I don't recognize the country "${address.country}".` });
+      delete address.country;
+    } else if (allowed.length > 0 && !allowed.includes(code)) {
+      const names = allowed.map(c => getCountryRule(c).name).join(', ');
+      invalid.push({ field: 'country', message: `Sorry, we only ship to ${names}.` });
+      delete address.country;
+    } else {
+      address.country = code;
+    }
+  } else {
+    const fallback = getDefaultCountry(tenantConfig);
+    if (fallback) address.country = fallback;
+  }
+
+  const rule = getCountryRule(address.country);
+
+  if (address.postalCode && address.country && !rule.postalPattern.test(address.postalCode)) {
+    invalid.push({
+      field: 'postalCode',
+      message: `"${address.postalCode}" doesn't look like a valid ${rule.postalLabel} for ${rule.name} (${rule.postalHint}).`
+    });
+    delete address.postalCode;
+  }
+
+  if (address.phone && !/^\+?[\d\s().-]{7,20}$/.test(address.phone)) {
+    invalid.push({ field: 'phone', message: `"${address.phone}" doesn't look like a valid phone number.` });
+    delete address.phone;
+  }
+
+  const required = FIELD_ORDER.filter(field => field !== 'state' || rule.requiresState);
+  const missing = required.filter(field => !address[field]);
+
+  return {
+    valid: missing.length === 0,
+    address,
+    missing,
+    invalid,
+    nextField: missing[0] || null
+  };
+}
+
+/**
+ * Merge fields into the session's saved address and validate it
+ * 
+ * Valid fields are kept even while others are still missing, so the
+ * address can be collected over several messages.
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [fields] - New or changed fields
+ * @returns {Object} Validation result (see validateAddress)
+ */
+function updateSessionAddress(tenantConfig, sessionId, fields = {}) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const sessionKey = sessionId || 'demo-session';
+  if (!addresses[tenantId]) addresses[tenantId] = {};
+
+  const saved = addresses[tenantId][sessionKey]?.address || {};
+  const changes = cleanAddress(fields);
+
+  // A new country means the old postal code and state may not apply
+  if (changes.country && normalizeCountry(changes.country) !== saved.country) {
+    delete saved.postalCode;
+    delete saved.state;
+  }
+
+  const validation = validateAddress({ ...saved, ...changes }, tenantConfig);
+
+  // Looking up a session without an address doesn't create one
+  if (addresses[tenantId][sessionKey] || Object.keys(changes).length > 0) {
+    addresses[tenantId][sessionKey] = { address: validation.address, updatedAt: new Date().toISOString() };
+    touchSession('addresses', tenantId, sessionKey);
+  }
+
+  return validation;
+}
+
+/**
+ * Build the shopper-facing prompt for an incomplete address
+ * 
+ * @param {Object} validation - Result of validateAddress
+ * @returns {string} Problems with the given fields, then the next question
+ */
+function describeAddressProblem(validation) {
+  const problems = validation.invalid.map(i => i.message);
+  return [...problems, describeAddressField(validation.nextField, validation.address)].join(' ');
+}
+
+/**
+ * Build an address result
+ * 
+ * @param {string} action - Action name
+ * @param {Object} validation - Result of validateAddress
+ * @param {string} message - Shopper-facing message
+ * @returns {Object} Address result
+ */
+function addressResult(action, validation, message) {
+  return {
+    type: 'address',
+    success: validation.invalid.length === 0,
+    action,
+    message,
+    address: validation.address,
+    complete: validation.valid,
+    missing: validation.missing,
+    invalid: validation.invalid,
+    ...(!validation.valid && {
+      addressRequired: { nextField: validation.nextField, missing: validation.missing }
+    })
+  };
+}
+
+/**
+ * Set (part of) the session's shipping address
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} [options.name] - Recipient name
+ * @param {string} [options.line1] - Street address
+ * @param {string} [options.line2] - Apartment, suite, landmark
+ * @param {string} [options.city] - City
+ * @param {string} [options.state] - State/province/county
+ * @param {string} [options.postalCode] - Postal/ZIP/PIN code
+ * @param {string} [options.country] - Country name or ISO code
+ * @param {string} [options.phone] - Contact phone
+ * @returns {Promise<Object>} Address result
+ */
+async function setShippingAddress({ tenantConfig, sessionId, ...fields }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  console.log(`[addressService] Updating address: tenant=${tenantId}, fields=${Object.keys(cleanAddress(fields)).join(',') || 'none'}`);
+
+  const validation = updateSessionAddress(tenantConfig, sessionId, fields);
+  const message = validation.valid
+    ? `${validation.invalid.map(i => i.message).join(' ')} Your shipping address is ${formatAddress(validation.address)}.`.trim()
+    : describeAddressProblem(validation);
+
+  return addressResult('set_shipping_address', validation, message);
+}
+
+/**
+ * Get the session's shipping address
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @returns {Promise<Object>} Address result
+ */
+async function getShippingAddress({ tenantConfig, sessionId }) {
+  const validation = updateSessionAddress(tenantConfig, sessionId);
+  const message = validation.valid
+    ? `Your shipping address is ${formatAddress(validation.address)}.`
+    : 'No complete shipping address saved yet.';
+
+  return addressResult('get_shipping_address', validation, message);
+}
+
+module.exports = {
+  setShippingAddress,
+  getShippingAddress,
+  updateSessionAddress,
+  validateAddress,
+  describeAddressProblem,
+  describeAddressField,
+  formatAddress,
+  normalizeCountry,
+  COUNTRY_RULES
+};
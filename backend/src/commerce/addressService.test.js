@@ -0,0 +1,84 @@
+/**
+ * Address Service tests: validation and the session's saved address
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tenantConfig = require('../config/tenants/client1.json');
+const { validateAddress, updateSessionAddress, getShippingAddress, setShippingAddress } = require('./addressService');
+
+const US_ADDRESS = { name: 'Jane Doe', line1: '12 Main St', city: 'Springfield', state: 'IL', postalCode: '62704', country: 'usa' };
+
+let sessionCount = 0;
+
+/**
+ * Get a fresh session ID
+ * 
+ * @returns {string} Session ID
+ */
+function newSession() {
+  return `address-test-${process.pid}-${++sessionCount}`;
+}
+
+test('a complete address is valid and the country is normalized', () => {
+  const result = validateAddress(US_ADDRESS, tenantConfig);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.address.country, 'US');
+  assert.deepEqual(result.missing, []);
+  assert.deepEqual(result.invalid, []);
+});
+
+test('missing fields are asked for one at a time, in order', () => {
+  const sessionId = newSession();
+
+  assert.equal(updateSessionAddress(tenantConfig, sessionId, { name: 'Jane Doe' }).nextField, 'line1');
+  assert.equal(updateSessionAddress(tenantConfig, sessionId, { line1: '12 Main St' }).nextField, 'city');
+  assert.equal(updateSessionAddress(tenantConfig, sessionId, { city: 'Springfield', state: 'IL' }).nextField, 'postalCode');
+
+  const done = updateSessionAddress(tenantConfig, sessionId, { postalCode: '62704' });
+  assert.equal(done.valid, true);
+  assert.equal(done.address.name, 'Jane Doe');
+});
+
+test('postal codes that do not fit the country are rejected', () => {
+  const result = validateAddress({ ...US_ADDRESS, postalCode: 'SW1A 1AA' }, tenantConfig);
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.missing, ['postalCode']);
+  assert.equal(result.invalid[0].field, 'postalCode');
+  assert.match(result.invalid[0].message, /doesn't look like a valid ZIP code for United States/);
+});
+
+test('unknown countries are rejected', () => {
+  const result = validateAddress({ ...US_ADDRESS, country: 'Atlantis' }, tenantConfig);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.invalid[0].message, 'I don\'t recognize the country "Atlantis".');
+});
+
+test('changing the country drops the postal code and state', () => {
+  const sessionId = newSession();
+  updateSessionAddress(tenantConfig, sessionId, US_ADDRESS);
+
+  const result = updateSessionAddress(tenantConfig, sessionId, { country: 'India' });
+
+  assert.equal(result.address.country, 'IN');
+  assert.equal(result.address.postalCode, undefined);
+  assert.equal(result.address.state, undefined);
+  assert.equal(result.nextField, 'state');
+});
+
+test('the saved address is returned to the session that saved it', async () => {
+  const sessionId = newSession();
+
+  const saved = await setShippingAddress({ tenantConfig, sessionId, ...US_ADDRESS });
+  const mine = await getShippingAddress({ tenantConfig, sessionId });
+  const other = await getShippingAddress({ tenantConfig, sessionId: newSession() });
+
+  assert.equal(saved.success, true, saved.message);
+  assert.equal(mine.complete, true);
+  assert.equal(mine.address.line1, '12 Main St');
+  assert.equal(other.complete, false);
+  assert.equal(other.address.line1, undefined);
+});
@@ -2,56 +2,320 @@
  * Cart Service
  * 
  * Business logic for cart operations: add, view, checkout.
- * Uses in-memory cartStore for prototype.
+ * Uses cartStore (memory or durable file driver, see cartStore.js).
+ * Stock is reserved through inventoryService while items sit in the cart.
  */
 
+const crypto = require('node:crypto');
 const { getCartRecord, saveCartRecord, clearCart } = require('./cartStore');
-const { loadProductsForTenant } = require('../utils/productLoader');
-const { createOrder } = require('./orderService');
+const { getProductIndex } = require('../utils/productLoader');
+const { loadPromotionsForTenant, getPromotionByCode } = require('../utils/promotionLoader');
+const { applyPromotions, evaluateBundles } = require('./promotionEngine');
+const { calculateTax, calculateShipping } = require('./pricingRules');
+const { createOrder, generateOrderId, findOrderByIdempotencyKey } = require('./orderService');
+const { reserveStock, releaseStock, validateStock, commitStock } = require('./inventoryService');
+const { resolveVariant, describeVariantProblem, getLineLabel, matchesSelection } = require('./productVariants');
+const { roundMoney, formatMoney, priceInTenantCurrency, getCurrency, getLocale } = require('./money');
+const { updateSessionAddress, describeAddressProblem, formatAddress } = require('./addressService');
+const { payForOrder, getPaymentMethods, normalizePaymentMethod, getPaymentMethodLabel } = require('./paymentService');
+
+// Checkouts still running, by "tenant:session:idempotencyKey",
+// so a retry that arrives mid-checkout waits for the first attempt
+const inFlightCheckouts = new Map();
+
+/**
+ * Build a product snapshot for a cart line
+ * 
+ * Prices are stored in the tenant currency; converted prices keep
+ * the catalog price as originalPrice/originalCurrency.
+ * 
+ * @param {Object} product - Catalog product
+ * @param {Object} pricing - Result of priceInTenantCurrency
+ * @returns {Object} Snapshot stored on the cart line
+ */
+function buildProductSnapshot(product, pricing) {
+  const snapshot = {
+    id: product.id,
+    name: product.name,
+    price: pricing.price,
+    currency: pricing.currency,
+    category: product.category,
+    imageUrl: product.imageUrl || product.image,
+    weight: product.weight
+  };
+
+  if (pricing.originalCurrency !== pricing.currency) {
+    snapshot.originalPrice = pricing.originalPrice;
+    snapshot.originalCurrency = pricing.originalCurrency;
+  }
+
+  return snapshot;
+}
 
 /**
- * Build cart summary (total items and amount)
+ * Explain why a product can't be added in the tenant currency
+ * 
+ * @param {Object} product - Catalog product
+ * @param {Object} tenantConfig - Tenant configuration
+ * @returns {string} Shopper-facing message
+ */
+function describeCurrencyMismatch(product, tenantConfig) {
+  return `${product.name} is priced in ${product.currency}, which can't be combined with ${getCurrency(tenantConfig)} prices in your cart.`;
+}
+
+/**
+ * Find the cart line for a product variant
  * 
  * @param {Object} cart - Cart record
- * @returns {Object} Summary with totalItems and totalAmount
+ * @param {string} productId - Product ID
+ * @param {string|null} variantKey - Variant key (null for products without variants)
+ * @returns {Object|undefined} Cart line
+ */
+function findCartLine(cart, productId, variantKey) {
+  return cart.items.find(i => i.productId === productId && (i.variantKey || null) === (variantKey || null));
+}
+
+/**
+ * Find cart lines for a product, narrowed by an optional size/color
+ * 
+ * @param {Object} cart - Cart record
+ * @param {string} productId - Product ID
+ * @param {Object} [selection] - { size, color }
+ * @returns {Array} Matching cart lines
+ */
+function findCartLines(cart, productId, selection = {}) {
+  return cart.items.filter(i => i.productId === productId && matchesSelection(i.variant, selection));
+}
+
+/**
+ * Build the variantRequired payload for a product missing a valid selection
+ * 
+ * @param {Object} product - Catalog product
+ * @param {Object} resolution - Result of resolveVariant
+ * @param {number} [quantity] - Requested quantity
+ * @returns {Object} { productId, name, quantity, missing, invalid, options, selected, message }
+ */
+function buildVariantRequest(product, resolution, quantity = 1) {
+  return {
+    productId: product.id,
+    name: product.name,
+    quantity,
+    missing: resolution.missing,
+    invalid: resolution.invalid,
+    options: resolution.options,
+    selected: resolution.variant,
+    message: describeVariantProblem(product, resolution)
+  };
+}
+
+/**
+ * Collect variant requests for products that lack a valid size/color
+ * 
+ * @param {Array} products - Catalog products about to be added
+ * @param {Object} [variants] - Size/color per product ID
+ * @returns {Array} Variant requests (empty when every product is ready)
+ */
+function collectVariantRequests(products, variants = {}) {
+  const requests = [];
+  for (const product of products) {
+    const resolution = resolveVariant(product, variants?.[product.id]);
+    if (!resolution.valid) {
+      requests.push(buildVariantRequest(product, resolution));
+    }
+  }
+  return requests;
+}
+
+/**
+ * Describe a cart line choice the shopper has to make
+ * 
+ * @param {Array} lines - Cart lines for the same product
+ * @param {string} verb - What we're about to do ("remove", "update")
+ * @returns {string} Question listing the variants in the cart
+ */
+function describeAmbiguousLines(lines, verb) {
+  const name = lines[0].productSnapshot?.name || lines[0].productId;
+  const choices = lines.map(line => getLineLabel(line)).join(', ');
+  return `You have ${lines.length} variants of ${name} in your cart: ${choices}. Which one should I ${verb}?`;
+}
+
+/**
+ * Describe why a stock reservation failed
+ * 
+ * @param {string} name - Product name
+ * @param {number} available - Units the session may hold
+ * @param {number} [inCart] - Units already in the cart
+ * @returns {string} Shopper-facing message
  */
-function buildCartSummary(cart) {
+function describeStockShortage(name, available, inCart = 0) {
+  if (available <= 0) {
+    return `Sorry, ${name} is out of stock.`;
+  }
+  const already = inCart > 0 ? ` (you already have ${inCart} in your cart)` : '';
+  return `Only ${available} of ${name} available${already}.`;
+}
+
+/**
+ * Build a low stock warning for a successful reservation
+ * 
+ * @param {Object} reservation - Result of reserveStock
+ * @returns {string} Warning (prefixed with a space) or empty string
+ */
+function describeLowStock(reservation) {
+  if (!reservation.tracked || !reservation.lowStock) return '';
+  return reservation.remaining > 0
+    ? ` Only ${reservation.remaining} left in stock!`
+    : ' That was the last one in stock!';
+}
+
+// Shopper-facing names per bundle type
+const BUNDLE_LABELS = {
+  outfit: 'Outfit'
+};
+
+/**
+ * Describe the cart's bundles for display
+ * 
+ * Bundles with none of their pieces left are left out.
+ * 
+ * @param {Object} cart - Cart record
+ * @returns {Array} [{ bundleId, type, label, complete, items: [name], missing: [name] }]
+ */
+function describeBundles(cart) {
+  const bundles = cart.bundles || [];
+  const states = evaluateBundles(bundles, cart.items);
+
+  return bundles
+    .map((bundle, i) => ({
+      bundleId: bundle.bundleId,
+      type: bundle.type,
+      label: BUNDLE_LABELS[bundle.type] || 'Bundle',
+      complete: states[i].complete,
+      items: bundle.pieces.map(piece => piece.name),
+      missing: states[i].missing.map(piece => piece.name)
+    }))
+    .filter(bundle => bundle.missing.length < bundle.items.length);
+}
+
+/**
+ * Note bundles that lost their discount because a piece left the cart
+ * 
+ * @param {Array} before - summary.bundles before the change
+ * @param {Array} after - summary.bundles after the change
+ * @returns {string} Sentence (with leading space) or ''
+ */
+function describeBrokenBundles(before = [], after = []) {
+  const broken = before.filter(bundle =>
+    bundle.complete && !after.some(b => b.bundleId === bundle.bundleId && b.complete)
+  );
+  if (broken.length === 0) return '';
+
+  const labels = broken.map(bundle => bundle.label.toLowerCase()).join(', ');
+  return ` Your ${labels} bundle is no longer complete, so its bundle discount no longer applies.`;
+}
+
+/**
+ * Build cart summary (items, subtotal, discounts, tax, shipping and total)
+ * 
+ * totalAmount is the grand total the shopper pays:
+ * subtotal - discounts + shipping (+ tax when tax is exclusive).
+ * 
+ * @param {Object} cart - Cart record
+ * @param {Array} [promotions] - Tenant promotions (automatic + coupon)
+ * @param {Object} [tenantConfig] - Tenant configuration (tax and shipping rules)
+ * @returns {Object} Summary with currency, totalItems, subtotal, discounts, tax, shipping, grandTotal and totalAmount
+ */
+function buildCartSummary(cart, promotions = [], tenantConfig = null) {
   let totalItems = 0;
-  let totalAmount = 0;
 
   for (const item of cart.items) {
     totalItems += item.quantity;
-    const p = item.productSnapshot;
-    if (p && typeof p.price === 'number') {
-      totalAmount += p.price * item.quantity;
-    }
   }
 
+  const { subtotal, discounts, totalDiscount, coupon } = applyPromotions({
+    items: cart.items,
+    promotions,
+    couponCode: cart.couponCode,
+    bundles: cart.bundles
+  });
+
+  const netSubtotal = roundMoney(subtotal - totalDiscount);
+  const tax = calculateTax(cart.items, totalDiscount, tenantConfig?.tax);
+  const shipping = calculateShipping(cart.items, netSubtotal, tenantConfig?.shipping);
+
+  const grandTotal = roundMoney(
+    netSubtotal + shipping.amount + (tax.mode === 'exclusive' ? tax.amount : 0)
+  );
+
   return {
+    currency: getCurrency(tenantConfig),
+    locale: getLocale(tenantConfig),
     totalItems,
-    totalAmount: Math.round(totalAmount * 100) / 100 // Round to 2 decimals
+    subtotal,
+    discounts,
+    totalDiscount,
+    couponCode: coupon?.applied ? coupon.code : null,
+    tax: tax.amount,
+    taxMode: tax.mode,
+    taxLabel: tax.label,
+    taxBreakdown: tax.breakdown,
+    shipping: shipping.amount,
+    shippingRule: shipping.rule,
+    grandTotal,
+    totalAmount: grandTotal,
+    bundles: describeBundles(cart)
   };
 }
 
+/**
+ * Build cart summary with the tenant's promotions, tax and shipping applied
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @param {Object} cart - Cart record
+ * @returns {Promise<Object>} Summary (see buildCartSummary)
+ */
+async function summarizeCart(tenantConfig, cart) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const promotions = await loadPromotionsForTenant(tenantId);
+  return buildCartSummary(cart, promotions, tenantConfig);
+}
+
 /**
  * Add a product to cart
  * 
+ * Products with more than one size/color need a selection; otherwise
+ * nothing is added and the result carries variantRequired so the
+ * assistant can ask the shopper. Each variant gets its own cart line.
+ * 
  * @param {Object} options - Add options
  * @param {Object} options.tenantConfig - Tenant configuration
  * @param {string} options.sessionId - Session identifier
  * @param {string} options.productId - Product ID to add
- * @param {number} options.quantity - Quantity to add (default: 1)
+ * @param {number} options.quantity - Quantity to add, a positive whole number (default: 1)
+ * @param {string} [options.size] - Selected size
+ * @param {string} [options.color] - Selected color
  * @returns {Promise<Object>} Cart result
  */
-async function addToCart({ tenantConfig, sessionId, productId, quantity = 1 }) {
+async function addToCart({ tenantConfig, sessionId, productId, quantity = 1, size = null, color = null }) {
   const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
   const cart = getCartRecord(tenantId, sessionId);
 
-  console.log(`[cartService] Adding to cart: tenant=${tenantId}, product=${productId}, qty=${quantity}`);
+  console.log(`[cartService] Adding to cart: tenant=${tenantId}, product=${productId}, qty=${quantity}, size=${size}, color=${color}`);
+
+  const units = Number(quantity);
+  if (!Number.isInteger(units) || units <= 0) {
+    return {
+      type: 'cart',
+      success: false,
+      action: 'add_to_cart',
+      message: `Invalid quantity: ${quantity}. Please choose a whole number of at least 1.`,
+      cart,
+      summary: await summarizeCart(tenantConfig, cart)
+    };
+  }
 
-  // Load products to find the one being added
-  const products = await loadProductsForTenant(tenantId);
-  const product = products.find(p => p.id === productId);
+  // Find the product being added
+  const product = (await getProductIndex(tenantId)).get(productId);
 
   if (!product) {
     console.log(`[cartService] Product ${productId} not found`);
@@ -61,47 +325,87 @@ async function addToCart({ tenantConfig, sessionId, productId, quantity = 1 }) {
       action: 'add_to_cart',
       message: `Product ${productId} not found in catalog.`,
       cart: cart,
-      summary: buildCartSummary(cart)
+      summary: await summarizeCart(tenantConfig, cart)
+    };
+  }
+
+  const pricing = priceInTenantCurrency(product, tenantConfig);
+  if (!pricing) {
+    return {
+      type: 'cart',
+      success: false,
+      action: 'add_to_cart',
+      message: describeCurrencyMismatch(product, tenantConfig),
+      cart,
+      summary: await summarizeCart(tenantConfig, cart)
+    };
+  }
+
+  const resolution = resolveVariant(product, { size, color });
+  if (!resolution.valid) {
+    console.log(`[cartService] Variant selection needed for ${productId}: missing=${resolution.missing.join(',')}, invalid=${resolution.invalid.length}`);
+    return {
+      type: 'cart',
+      success: false,
+      action: 'add_to_cart',
+      message: describeVariantProblem(product, resolution),
+      cart,
+      summary: await summarizeCart(tenantConfig, cart),
+      variantRequired: buildVariantRequest(product, resolution, units)
+    };
+  }
+
+  const { variant, variantKey } = resolution;
+  const label = getLineLabel({ productSnapshot: product, variant });
+
+  // Check if this variant is already in cart
+  const existing = findCartLine(cart, productId, variantKey);
+  const inCart = existing ? existing.quantity : 0;
+
+  const reservation = await reserveStock({ tenantConfig, sessionId, productId, variantKey, quantity: inCart + units, product });
+  if (!reservation.success) {
+    return {
+      type: 'cart',
+      success: false,
+      action: 'add_to_cart',
+      message: reservation.message || describeStockShortage(label, reservation.available, inCart),
+      cart,
+      summary: await summarizeCart(tenantConfig, cart),
+      availableStock: reservation.available
     };
   }
 
-  // Check if already in cart
-  const existing = cart.items.find(i => i.productId === productId);
   if (existing) {
-    existing.quantity += quantity;
-    console.log(`[cartService] Updated quantity for ${productId}: ${existing.quantity}`);
+    existing.quantity += units;
+    console.log(`[cartService] Updated quantity for ${productId} ${variantKey || ''}: ${existing.quantity}`);
   } else {
     cart.items.push({
       productId,
-      quantity,
-      productSnapshot: {
-        id: product.id,
-        name: product.name,
-        price: product.price,
-        currency: product.currency || 'INR',
-        category: product.category,
-        imageUrl: product.imageUrl || product.image
-      }
+      variant,
+      variantKey,
+      quantity: units,
+      productSnapshot: buildProductSnapshot(product, pricing)
     });
-    console.log(`[cartService] Added new item ${productId} to cart`);
+    console.log(`[cartService] Added new item ${productId} ${variantKey || ''} to cart`);
   }
 
   saveCartRecord(tenantId, sessionId, cart);
 
-  const summary = buildCartSummary(cart);
+  const summary = await summarizeCart(tenantConfig, cart);
   console.log(`[cartService] Cart updated: ${summary.totalItems} items, total: ${summary.totalAmount}`);
 
   return {
     type: 'cart',
     success: true,
     action: 'add_to_cart',
-    message: `Added ${product.name} to your cart. You now have ${summary.totalItems} item(s) totaling ₹${summary.totalAmount}.`,
+    message: `Added ${label} to your cart. You now have ${summary.totalItems} item(s) totaling ${formatMoney(summary.totalAmount, summary)}.${describeLowStock(reservation)}`,
     cart,
     summary,
     addedProduct: {
       id: product.id,
       name: product.name,
-      price: product.price
+      price: product.price,
+      variant
     }
   };
 }
@@ -109,23 +413,28 @@ async function addToCart({ tenantConfig, sessionId, productId, quantity = 1 }) {
 /**
  * Add a complete outfit (shirt + pant + shoes) to cart
  * 
+ * When all three pieces are added they form an outfit bundle: the lines
+ * record its bundleId and the cart keeps the bundle in cart.bundles, so
+ * "bundle" promotions can discount it for as long as every piece stays
+ * in the cart.
+ * 
  * @param {Object} options - Add options
  * @param {Object} options.tenantConfig - Tenant configuration
  * @param {string} options.sessionId - Session identifier
  * @param {string} options.shirtId - Shirt product ID
  * @param {string} options.pantId - Pant product ID
  * @param {string} options.shoeId - Shoe product ID
+ * @param {Object} [options.variants] - Size/color per product ID ({ p101: { size: 'M' } })
  * @returns {Promise<Object>} Cart result with all added items
  */
-async function addOutfitToCart({ tenantConfig, sessionId, shirtId, pantId, shoeId }) {
+async function addOutfitToCart({ tenantConfig, sessionId, shirtId, pantId, shoeId, variants = {} }) {
   const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
   const cart = getCartRecord(tenantId, sessionId);
 
   console.log(`[cartService] Adding outfit to cart: tenant=${tenantId}, shirt=${shirtId}, pant=${pantId}, shoe=${shoeId}`);
 
-  // Load products
-  const products = await loadProductsForTenant(tenantId);
-  const productMap = new Map(products.map(p => [p.id, p]));
+  // Catalog products by ID
+  const productMap = await getProductIndex(tenantId);
 
   const itemsToAdd = [
     { id: shirtId, type: 'shirt' },
@@ -133,8 +442,29 @@ async function addOutfitToCart({ tenantConfig, sessionId, shirtId, pantId, shoeI
     { id: shoeId, type: 'shoe' }
   ];
 
+  // Every piece needs its size/color before anything is added
+  const variantRequests = collectVariantRequests(
+    itemsToAdd.map(item => productMap.get(item.id)).filter(Boolean),
+    variants
+  );
+  if (variantRequests.length > 0) {
+    return {
+      type: 'cart',
+      success: false,
+      action: 'add_outfit_to_cart',
+      message: variantRequests.map(r => r.message).join(' '),
+      cart,
+      summary: await summarizeCart(tenantConfig, cart),
+      variantsRequired: variantRequests
+    };
+  }
+
   const addedItems = [];
   const notFoundItems = [];
+  const outOfStockItems = [];
+  const currencyMismatchItems = [];
+  const bundleId = `BND-${Date.now()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  const pieces = [];
 
   for (const item of itemsToAdd) {
     const product = productMap.get(item.id);
@@ -144,47 +474,82 @@ async function addOutfitToCart({ tenantConfig, sessionId, shirtId, pantId, shoeI
       continue;
     }
 
+    const pricing = priceInTenantCurrency(product, tenantConfig);
+    if (!pricing) {
+      currencyMismatchItems.push(product.name);
+      continue;
+    }
+
+    const { variant, variantKey } = resolveVariant(product, variants?.[item.id]);
+
     // Check if already in cart
-    const existing = cart.items.find(i => i.productId === item.id);
+    const existing = findCartLine(cart, item.id, variantKey);
+
+    const reservation = await reserveStock({
+      tenantConfig,
+      sessionId,
+      productId: item.id,
+      variantKey,
+      quantity: (existing ? existing.quantity : 0) + 1,
+      product
+    });
+    if (!reservation.success) {
+      outOfStockItems.push(getLineLabel({ productSnapshot: product, variant }));
+      continue;
+    }
+
     if (existing) {
       existing.quantity += 1;
+      if (!existing.bundleId) existing.bundleId = bundleId;
       console.log(`[cartService] Updated quantity for ${item.id}: ${existing.quantity}`);
     } else {
       cart.items.push({
         productId: item.id,
+        variant,
+        variantKey,
         quantity: 1,
-        productSnapshot: {
-          id: product.id,
-          name: product.name,
-          price: product.price,
-          currency: product.currency || 'INR',
-          category: product.category,
-          imageUrl: product.imageUrl || product.image
-        }
+        productSnapshot: buildProductSnapshot(product, pricing),
+        bundleId
       });
       console.log(`[cartService] Added ${item.type} ${item.id} to cart`);
     }
 
+    pieces.push({ productId: item.id, variantKey, role: item.type, name: getLineLabel({ productSnapshot: product, variant }) });
     addedItems.push({
       id: product.id,
       name: product.name,
       price: product.price,
-      type: item.type
+      type: item.type,
+      variant
+    });
+  }
+
+  // Only a complete outfit becomes a bundle; partial adds stay plain lines
+  if (pieces.length === itemsToAdd.length) {
+    cart.bundles = [...(cart.bundles || []), { bundleId, type: 'outfit', pieces, createdAt: new Date().toISOString() }];
+  } else {
+    cart.items.forEach(line => {
+      if (line.bundleId === bundleId) delete line.bundleId;
     });
   }
 
   saveCartRecord(tenantId, sessionId, cart);
-  const summary = buildCartSummary(cart);
+  const summary = await summarizeCart(tenantConfig, cart);
 
   console.log(`[cartService] Outfit added: ${addedItems.length} items, total: ${summary.totalAmount}`);
 
   // Build response message
   let message;
-  if (notFoundItems.length > 0) {
-    message = `Added ${addedItems.length} outfit items to your cart. Could not find: ${notFoundItems.join(', ')}.`;
+  if (addedItems.length < itemsToAdd.length) {
+    message = `Added ${addedItems.length} outfit items to your cart.`;
+    if (notFoundItems.length > 0) message += ` Could not find: ${notFoundItems.join(', ')}.`;
+    if (outOfStockItems.length > 0) message += ` Out of stock: ${outOfStockItems.join(', ')}.`;
+    if (currencyMismatchItems.length > 0) message += ` Not available in ${summary.currency}: ${currencyMismatchItems.join(', ')}.`;
   } else {
-    const names = addedItems.map(i => i.name).join(', ');
-    message = `Added your complete outfit to cart: ${names}. Total: ₹${summary.totalAmount}.`;
+    const names = addedItems.map(i => getLineLabel(i)).join(', ');
+    const bundleDiscount = summary.discounts.find(d => d.type === 'bundle');
+    const savings = bundleDiscount ? ` Bundle discount: -${formatMoney(bundleDiscount.amount, summary)} (${bundleDiscount.label}).` : '';
+    message = `Added your complete outfit to cart: ${names}.${savings} Total: ${formatMoney(summary.totalAmount, summary)}.`;
   }
 
   return {
@@ -194,8 +559,11 @@ async function addOutfitToCart({ tenantConfig, sessionId, shirtId, pantId, shoeI
     message,
     cart,
     summary,
+    bundleId: pieces.length === itemsToAdd.length ? bundleId : null,
     addedItems,
-    notFoundItems: notFoundItems.length > 0 ? notFoundItems : undefined
+    notFoundItems: notFoundItems.length > 0 ? notFoundItems : undefined,
+    outOfStockItems: outOfStockItems.length > 0 ? outOfStockItems : undefined,
+    currencyMismatchItems: currencyMismatchItems.length > 0 ? currencyMismatchItems : undefined
   };
 }
 
@@ -206,20 +574,39 @@ async function addOutfitToCart({ tenantConfig, sessionId, shirtId, pantId, shoeI
  * @param {Object} options.tenantConfig - Tenant configuration
  * @param {string} options.sessionId - Session identifier
  * @param {Array<string>} options.productIds - Array of product IDs to add
+ * @param {Object} [options.variants] - Size/color per product ID ({ p011: { size: 'M', color: 'navy' } })
  * @returns {Promise<Object>} Cart result with all added items
  */
-async function addMultipleToCart({ tenantConfig, sessionId, productIds }) {
+async function addMultipleToCart({ tenantConfig, sessionId, productIds, variants = {} }) {
   const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
   const cart = getCartRecord(tenantId, sessionId);
 
   console.log(`[cartService] Adding multiple to cart: tenant=${tenantId}, products=${productIds.join(', ')}`);
 
-  // Load products
-  const products = await loadProductsForTenant(tenantId);
-  const productMap = new Map(products.map(p => [p.id, p]));
+  // Catalog products by ID
+  const productMap = await getProductIndex(tenantId);
+
+  // Every product needs its size/color before anything is added
+  const variantRequests = collectVariantRequests(
+    productIds.map(id => productMap.get(id)).filter(Boolean),
+    variants
+  );
+  if (variantRequests.length > 0) {
+    return {
+      type: 'cart',
+      success: false,
+      action: 'add_multiple_to_cart',
+      message: variantRequests.map(r => r.message).join(' '),
+      cart,
+      summary: await summarizeCart(tenantConfig, cart),
+      variantsRequired: variantRequests
+    };
+  }
 
   const addedItems = [];
   const notFoundItems = [];
+  const outOfStockItems = [];
+  const currencyMismatchItems = [];
 
   for (const productId of productIds) {
     const product = productMap.get(productId);
@@ -229,23 +616,40 @@ async function addMultipleToCart({ tenantConfig, sessionId, productIds }) {
       continue;
     }
 
+    const pricing = priceInTenantCurrency(product, tenantConfig);
+    if (!pricing) {
+      currencyMismatchItems.push(product.name);
+      continue;
+    }
+
+    const { variant, variantKey } = resolveVariant(product, variants?.[productId]);
+
     // Check if already in cart
-    const existing = cart.items.find(i => i.productId === productId);
+    const existing = findCartLine(cart, productId, variantKey);
+
+    const reservation = await reserveStock({
+      tenantConfig,
+      sessionId,
+      productId,
+      variantKey,
+      quantity: (existing ? existing.quantity : 0) + 1,
+      product
+    });
+    if (!reservation.success) {
+      outOfStockItems.push(getLineLabel({ productSnapshot: product, variant }));
+      continue;
+    }
+
     if (existing) {
       existing.quantity += 1;
       console.log(`[cartService] Updated quantity for ${productId}: ${existing.quantity}`);
     } else {
       cart.items.push({
         productId,
+        variant,
+        variantKey,
         quantity: 1,
-        productSnapshot: {
-          id: product.id,
-          name: product.name,
-          price: product.price,
-          currency: product.currency || 'INR',
-          category: product.category,
-          imageUrl: product.imageUrl || product.image
-        }
+        productSnapshot: buildProductSnapshot(product, pricing)
       });
       console.log(`[cartService] Added ${productId} to cart`);
     }
@@ -253,24 +657,34 @@ async function addMultipleToCart({ tenantConfig, sessionId, productIds }) {
     addedItems.push({
       id: product.id,
       name: product.name,
-      price: product.price
+      price: product.price,
+      variant
     });
   }
 
   saveCartRecord(tenantId, sessionId, cart);
-  const summary = buildCartSummary(cart);
+  const summary = await summarizeCart(tenantConfig, cart);
 
   console.log(`[cartService] Multiple items added: ${addedItems.length} items, total: ${summary.totalAmount}`);
 
   // Build response message
   let message;
   if (addedItems.length === 0) {
-    message = 'Could not find any of the specified products.';
-  } else if (notFoundItems.length > 0) {
-    message = `Added ${addedItems.length} item(s) to your cart. Could not find: ${notFoundItems.join(', ')}.`;
+    if (outOfStockItems.length > 0) {
+      message = `Sorry, ${outOfStockItems.join(', ')} ${outOfStockItems.length === 1 ? 'is' : 'are'} out of stock.`;
+    } else if (currencyMismatchItems.length > 0) {
+      message = `Sorry, ${currencyMismatchItems.join(', ')} can't be bought in ${summary.currency}.`;
+    } else {
+      message = 'Could not find any of the specified products.';
+    }
+  } else if (addedItems.length < productIds.length) {
+    message = `Added ${addedItems.length} item(s) to your cart.`;
+    if (notFoundItems.length > 0) message += ` Could not find: ${notFoundItems.join(', ')}.`;
+    if (outOfStockItems.length > 0) message += ` Out of stock: ${outOfStockItems.join(', ')}.`;
+    if (currencyMismatchItems.length > 0) message += ` Not available in ${summary.currency}: ${currencyMismatchItems.join(', ')}.`;
   } else {
-    const names = addedItems.map(i => i.name).join(', ');
-    message = `Added ${addedItems.length} items to your cart: ${names}. Total: ₹${summary.totalAmount}.`;
+    const names = addedItems.map(i => getLineLabel(i)).join(', ');
+    message = `Added ${addedItems.length} items to your cart: ${names}. Total: ${formatMoney(summary.totalAmount, summary)}.`;
   }
 
   return {
@@ -281,7 +695,9 @@ async function addMultipleToCart({ tenantConfig, sessionId, productIds }) {
     cart,
     summary,
     addedItems,
-    notFoundItems: notFoundItems.length > 0 ? notFoundItems : undefined
+    notFoundItems: notFoundItems.length > 0 ? notFoundItems : undefined,
+    outOfStockItems: outOfStockItems.length > 0 ? outOfStockItems : undefined,
+    currencyMismatchItems: currencyMismatchItems.length > 0 ? currencyMismatchItems : undefined
   };
 }
 
@@ -296,7 +712,7 @@ async function addMultipleToCart({ tenantConfig, sessionId, productIds }) {
 async function viewCart({ tenantConfig, sessionId }) {
   const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
   const cart = getCartRecord(tenantId, sessionId);
-  const summary = buildCartSummary(cart);
+  const summary = await summarizeCart(tenantConfig, cart);
 
   console.log(`[cartService] Viewing cart: tenant=${tenantId}, items=${summary.totalItems}`);
 
@@ -305,9 +721,17 @@ async function viewCart({ tenantConfig, sessionId }) {
     message = 'Your cart is empty. Start shopping to add items!';
   } else {
     const itemList = cart.items.map(i => 
-      `${i.productSnapshot.name} (x${i.quantity}) - ₹${(i.productSnapshot.price * i.quantity).toFixed(2)}`
+      `${getLineLabel(i)} (x${i.quantity}) - ${formatMoney(i.productSnapshot.price * i.quantity, summary)}`
     ).join(', ');
-    message = `Your cart has ${summary.totalItems} item(s): ${itemList}. Total: ₹${summary.totalAmount}.`;
+    // Identical outfits bought twice read as one line each
+    const bundles = [...new Set(summary.bundles.map(b => b.complete
+      ? ` ${b.label} bundle: ${b.items.join(' + ')}.`
+      : ` ${b.label} bundle incomplete (add ${b.missing.join(', ')} back for the bundle discount).`
+    ))].join('');
+    const savings = summary.totalDiscount > 0
+      ? ` Discounts: -${formatMoney(summary.totalDiscount, summary)} (${summary.discounts.map(d => d.label).join(', ')}).`
+      : '';
+    message = `Your cart has ${summary.totalItems} item(s): ${itemList}.${bundles}${savings} Total: ${formatMoney(summary.totalAmount, summary)}.`;
   }
 
   return {
@@ -320,19 +744,268 @@ async function viewCart({ tenantConfig, sessionId }) {
   };
 }
 
+/**
+ * Apply a coupon code to the cart
+ * 
+ * Only one coupon can be active per cart; applying a new code replaces
+ * the previous one. Automatic promotions keep applying regardless.
+ * 
+ * @param {Object} options - Coupon options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} options.code - Coupon code
+ * @returns {Promise<Object>} Cart result with discount breakdown
+ */
+async function applyCoupon({ tenantConfig, sessionId, code }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const cart = getCartRecord(tenantId, sessionId);
+  const normalizedCode = String(code || '').trim().toUpperCase();
+
+  console.log(`[cartService] Applying coupon: tenant=${tenantId}, code=${normalizedCode}`);
+
+  const promotion = await getPromotionByCode(tenantId, normalizedCode);
+
+  if (!normalizedCode || !promotion) {
+    return {
+      type: 'cart',
+      success: false,
+      action: 'apply_coupon',
+      message: normalizedCode
+        ? `Coupon ${normalizedCode} is not valid.`
+        : 'Please provide a coupon code.',
+      cart,
+      summary: await summarizeCart(tenantConfig, cart)
+    };
+  }
+
+  // Evaluate against the cart before committing the code
+  const promotions = await loadPromotionsForTenant(tenantId);
+  const { coupon } = applyPromotions({ items: cart.items, promotions, couponCode: promotion.code, bundles: cart.bundles });
+
+  if (!coupon?.applied) {
+    return {
+      type: 'cart',
+      success: false,
+      action: 'apply_coupon',
+      message: `Coupon ${promotion.code} can't be applied yet. ${coupon?.reason || ''}`.trim(),
+      cart,
+      summary: buildCartSummary(cart, promotions, tenantConfig)
+    };
+  }
+
+  cart.couponCode = promotion.code;
+  saveCartRecord(tenantId, sessionId, cart);
+  const summary = buildCartSummary(cart, promotions, tenantConfig);
+  const couponDiscount = summary.discounts.find(d => d.code === promotion.code);
+
+  console.log(`[cartService] Coupon ${promotion.code} applied: -${couponDiscount?.amount || 0}`);
+
+  return {
+    type: 'cart',
+    success: true,
+    action: 'apply_coupon',
+    message: `Coupon ${promotion.code} applied: ${promotion.label || 'discount'} (-${formatMoney(couponDiscount?.amount || 0, summary)}). New total: ${formatMoney(summary.totalAmount, summary)}.`,
+    cart,
+    summary,
+    appliedCoupon: {
+      code: promotion.code,
+      label: promotion.label || null,
+      amount: couponDiscount?.amount || 0
+    }
+  };
+}
+
+/**
+ * Build the result for a checkout that was already completed
+ * 
+ * @param {Object} order - Order created by the original request
+ * @returns {Object} Checkout result
+ */
+function buildReplayedCheckout(order) {
+  const summary = order.summary || {};
+  return {
+    type: 'checkout',
+    success: true,
+    action: 'checkout',
+    message: `Order ${order.orderId} was already placed for this request (total ${formatMoney(summary.grandTotal ?? summary.totalAmount, summary)}). No new order was created.`,
+    order,
+    replayed: true
+  };
+}
+
+/**
+ * Bring cart lines up to date with the catalog and stock before checkout
+ * 
+ * Lines keep the product snapshot taken when they were added. Products
+ * that were removed, or whose size/color is no longer sold, are dropped;
+ * prices are refreshed; quantities are cut to what is left in stock.
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @param {string} sessionId - Session identifier
+ * @param {Object} cart - Cart record (mutated)
+ * @returns {Promise<Array>} Changes [{ type: removed | price | quantity | out_of_stock, productId, variantKey, name, ... }]
+ */
+async function revalidateCartLines(tenantConfig, sessionId, cart) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const productMap = await getProductIndex(tenantId);
+  const changes = [];
+  const kept = [];
+
+  for (const item of cart.items) {
+    const product = productMap.get(item.productId);
+    const pricing = product ? priceInTenantCurrency(product, tenantConfig) : null;
+    const change = { productId: item.productId, variantKey: item.variantKey || null, name: getLineLabel(item) };
+
+    if (!product || !pricing || !resolveVariant(product, item.variant || {}).valid) {
+      changes.push({ ...change, type: 'removed', quantity: item.quantity });
+      releaseStock({ tenantConfig, sessionId, productId: item.productId, variantKey: item.variantKey || null });
+      continue;
+    }
+
+    if (pricing.price !== item.productSnapshot.price) {
+      changes.push({ ...change, type: 'price', oldPrice: item.productSnapshot.price, newPrice: pricing.price });
+    }
+    item.productSnapshot = buildProductSnapshot(product, pricing);
+    kept.push(item);
+  }
+  cart.items = kept;
+
+  // Reservations may have expired or been outbid while the cart sat idle
+  const stockCheck = await validateStock({ tenantConfig, sessionId, items: cart.items });
+  for (const shortage of stockCheck.shortages) {
+    const line = findCartLine(cart, shortage.productId, shortage.variantKey);
+    const change = { productId: shortage.productId, variantKey: shortage.variantKey, name: shortage.name };
+
+    if (shortage.available > 0) {
+      changes.push({ ...change, type: 'quantity', oldQuantity: line.quantity, newQuantity: shortage.available });
+      line.quantity = shortage.available;
+      await reserveStock({ tenantConfig, sessionId, productId: line.productId, variantKey: line.variantKey || null, quantity: line.quantity });
+    } else {
+      changes.push({ ...change, type: 'out_of_stock', quantity: line.quantity });
+      cart.items = cart.items.filter(i => i !== line);
+      releaseStock({ tenantConfig, sessionId, productId: line.productId, variantKey: line.variantKey || null });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Describe one cart change found at checkout
+ * 
+ * @param {Object} change - Change from revalidateCartLines
+ * @param {Object} summary - Cart summary (currency/locale)
+ * @returns {string} e.g. "Slim Fit Jeans went from $44.99 to $49.99"
+ */
+function describeCartChange(change, summary) {
+  switch (change.type) {
+    case 'price':
+      return `${change.name} went from ${formatMoney(change.oldPrice, summary)} to ${formatMoney(change.newPrice, summary)}`;
+    case 'quantity':
+      return `${change.name} has only ${change.newQuantity} left, so your quantity went from ${change.oldQuantity} to ${change.newQuantity}`;
+    case 'out_of_stock':
+      return `${change.name} is out of stock and was removed`;
+    default:
+      return `${change.name} is no longer available and was removed`;
+  }
+}
+
+/**
+ * Build the checkout result asking the shopper to confirm an updated total
+ * 
+ * @param {Object} review - Cart price review { previousTotal, total, changes }
+ * @param {Object} summary - Current cart summary
+ * @param {string} paymentMethod - Payment method chosen for this checkout
+ * @returns {Object} Checkout result with confirmationRequired
+ */
+function buildPriceReviewResult(review, summary, paymentMethod) {
+  const changes = review.changes.map(change => describeCartChange(change, summary)).join('; ');
+  const totals = review.previousTotal !== review.total
+    ? `Your new total is ${formatMoney(review.total, summary)} (was ${formatMoney(review.previousTotal, summary)}).`
+    : `Your total is ${formatMoney(review.total, summary)}.`;
+
+  return {
+    type: 'checkout',
+    success: false,
+    action: 'checkout',
+    message: `${changes ? `Some items changed since you added them: ${changes}. ` : ''}${totals} Please confirm to place the order at this total, or update your cart.`,
+    order: null,
+    summary,
+    confirmationRequired: {
+      previousTotal: review.previousTotal,
+      total: review.total,
+      changes: review.changes,
+      paymentMethod
+    }
+  };
+}
+
 /**
  * Checkout cart and create order
  * 
+ * With an idempotency key, retries of the same checkout (e.g. a client
+ * reconnecting) return the original order instead of placing another.
+ * 
+ * The order ships to the session's saved address. Fields passed in
+ * shippingAddress are saved first; while the address is incomplete no
+ * order is placed and the result carries addressRequired with the next
+ * field to ask for.
+ * 
+ * Lines are re-checked against the catalog and stock first. If prices,
+ * availability or quantities changed, the cart is updated and no order
+ * is placed until the shopper confirms the new total (confirmPriceChanges).
+ * 
  * @param {Object} options - Checkout options
  * @param {Object} options.tenantConfig - Tenant configuration
  * @param {string} options.sessionId - Session identifier
- * @param {string} options.paymentMethod - Payment method (default: COD)
+ * @param {string} options.paymentMethod - COD, UPI or CARD (default: COD)
+ * @param {Object} [options.shippingAddress] - Address fields to save before checking out
+ * @param {boolean} [options.confirmPriceChanges] - Shopper accepted the updated total from a previous attempt
+ * @param {string} [options.idempotencyKey] - Client-supplied key identifying this checkout attempt
+ * @returns {Promise<Object>} Checkout result
+ */
+async function checkoutCart({ tenantConfig, sessionId, paymentMethod = 'COD', shippingAddress = null, confirmPriceChanges = false, idempotencyKey = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+
+  if (!idempotencyKey) {
+    return placeOrder({ tenantConfig, sessionId, paymentMethod, shippingAddress, confirmPriceChanges, idempotencyKey: null });
+  }
+
+  const existing = findOrderByIdempotencyKey(tenantId, sessionId, idempotencyKey);
+  if (existing) {
+    console.log(`[cartService] Checkout replay: key=${idempotencyKey} -> ${existing.orderId}`);
+    return buildReplayedCheckout(existing);
+  }
+
+  const flightKey = `${tenantId}:${sessionId || 'demo-session'}:${idempotencyKey}`;
+  if (inFlightCheckouts.has(flightKey)) {
+    console.log(`[cartService] Checkout already in progress: key=${idempotencyKey}`);
+    const result = await inFlightCheckouts.get(flightKey);
+    return result.success ? buildReplayedCheckout(result.order) : result;
+  }
+
+  const pending = placeOrder({ tenantConfig, sessionId, paymentMethod, shippingAddress, confirmPriceChanges, idempotencyKey });
+  inFlightCheckouts.set(flightKey, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlightCheckouts.delete(flightKey);
+  }
+}
+
+/**
+ * Validate the cart and place the order
+ * 
+ * @param {Object} options - Same as checkoutCart
  * @returns {Promise<Object>} Checkout result
  */
-async function checkoutCart({ tenantConfig, sessionId, paymentMethod = 'COD' }) {
+async function placeOrder({ tenantConfig, sessionId, paymentMethod, shippingAddress, confirmPriceChanges, idempotencyKey }) {
   const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
   const cart = getCartRecord(tenantId, sessionId);
-  const summary = buildCartSummary(cart);
+  let summary = await summarizeCart(tenantConfig, cart);
+
+  // Save any address fields first so an answer is never lost
+  const address = updateSessionAddress(tenantConfig, sessionId, shippingAddress || {});
 
   console.log(`[cartService] Checkout: tenant=${tenantId}, items=${summary.totalItems}, payment=${paymentMethod}`);
 
@@ -346,8 +1019,91 @@ async function checkoutCart({ tenantConfig, sessionId, paymentMethod = 'COD' })
     };
   }
 
+  // Lines priced before a currency change can't be mixed into this order
+  const foreignLines = cart.items.filter(item => (item.productSnapshot.currency || summary.currency) !== summary.currency);
+  if (foreignLines.length > 0) {
+    const names = foreignLines.map(item => `${getLineLabel(item)} (${item.productSnapshot.currency})`).join(', ');
+    return {
+      type: 'checkout',
+      success: false,
+      action: 'checkout',
+      message: `Your cart mixes currencies: ${names} can't be charged in ${summary.currency}. Please remove ${foreignLines.length === 1 ? 'it' : 'them'} and add again.`,
+      order: null
+    };
+  }
+
+  const method = normalizePaymentMethod(paymentMethod);
+  const acceptedMethods = getPaymentMethods(tenantConfig);
+  if (!method || !acceptedMethods.includes(method)) {
+    return {
+      type: 'checkout',
+      success: false,
+      action: 'checkout',
+      message: `${paymentMethod} isn't accepted here. You can pay with ${acceptedMethods.map(getPaymentMethodLabel).join(' or ')}.`,
+      order: null,
+      acceptedPaymentMethods: acceptedMethods
+    };
+  }
+
+  if (!address.valid) {
+    const intro = shippingAddress ? '' : 'Before I place your order I need a shipping address. ';
+
+    return {
+      type: 'checkout',
+      success: false,
+      action: 'checkout',
+      message: `${intro}${describeAddressProblem(address)}`,
+      order: null,
+      addressRequired: {
+        nextField: address.nextField,
+        missing: address.missing,
+        invalid: address.invalid,
+        address: address.address,
+        paymentMethod: method
+      }
+    };
+  }
+
+  // The snapshot prices were captured at add time; re-check them last so
+  // the shopper confirms the total right before the order is placed
+  const changes = await revalidateCartLines(tenantConfig, sessionId, cart);
+  if (changes.length > 0) {
+    const previousTotal = summary.grandTotal;
+    summary = await summarizeCart(tenantConfig, cart);
+
+    if (cart.items.length === 0) {
+      delete cart.priceReview;
+      saveCartRecord(tenantId, sessionId, cart);
+      return {
+        type: 'checkout',
+        success: false,
+        action: 'checkout',
+        message: `None of the items in your cart can be ordered anymore: ${changes.map(change => describeCartChange(change, summary)).join('; ')}.`,
+        order: null,
+        cartChanges: changes
+      };
+    }
+
+    cart.priceReview = { previousTotal, total: summary.grandTotal, changes, reviewedAt: new Date().toISOString() };
+    saveCartRecord(tenantId, sessionId, cart);
+    console.log(`[cartService] Checkout needs confirmation: ${changes.length} change(s), total ${previousTotal} -> ${summary.grandTotal}`);
+    return buildPriceReviewResult(cart.priceReview, summary, method);
+  }
+
+  if (cart.priceReview) {
+    // The cart may have changed again after the shopper saw the review
+    if (!confirmPriceChanges || cart.priceReview.total !== summary.grandTotal) {
+      cart.priceReview = { ...cart.priceReview, total: summary.grandTotal };
+      saveCartRecord(tenantId, sessionId, cart);
+      return buildPriceReviewResult(cart.priceReview, summary, method);
+    }
+
+    delete cart.priceReview;
+    saveCartRecord(tenantId, sessionId, cart);
+  }
+
   // Generate order ID
-  const orderId = `ORD-${Date.now()}`;
+  const orderId = generateOrderId(tenantConfig);
   
   const order = {
     orderId,
@@ -355,82 +1111,234 @@ async function checkoutCart({ tenantConfig, sessionId, paymentMethod = 'COD' })
     sessionId: sessionId || 'demo-session',
     items: cart.items.map(item => ({
       productId: item.productId,
+      variant: item.variant || null,
+      variantKey: item.variantKey || null,
       name: item.productSnapshot.name,
       price: item.productSnapshot.price,
+      category: item.productSnapshot.category || null,
+      weight: item.productSnapshot.weight ?? null,
       quantity: item.quantity,
-      subtotal: item.productSnapshot.price * item.quantity
+      subtotal: item.productSnapshot.price * item.quantity,
+      bundleId: item.bundleId || null
     })),
+    currency: summary.currency,
     summary,
-    paymentMethod,
-    status: 'CONFIRMED',
+    discounts: summary.discounts,
+    couponCode: summary.couponCode,
+    bundles: cart.bundles || [],
+    paymentMethod: method,
+    shippingAddress: address.address,
+    idempotencyKey: idempotencyKey || null,
+    status: 'PAYMENT_PENDING',
     createdAt: new Date().toISOString()
   };
 
-  // Save order to order service
+  // Save order to order service, then collect payment for it
   createOrder(order);
+  const payment = await payForOrder({ tenantConfig, order });
+
+  // A declined payment leaves the cart and its reservations as they were
+  if (payment.status === 'failed') {
+    console.log(`[cartService] Order ${orderId} payment failed: ${payment.failureReason}`);
+    const others = acceptedMethods.filter(m => m !== method).map(getPaymentMethodLabel);
+
+    return {
+      type: 'checkout',
+      success: false,
+      action: 'checkout',
+      message: `Payment for order ${orderId} failed: ${payment.failureReason}. Nothing was charged and your cart is still saved. Try again${others.length > 0 ? `, or pay with ${others.join(' or ')}` : ''}.`,
+      order,
+      paymentFailed: true
+    };
+  }
+
+  await commitStock({ tenantConfig, sessionId, items: cart.items });
 
   // Clear cart after successful checkout (prototype behavior)
   clearCart(tenantId, sessionId);
 
-  console.log(`[cartService] Order created: ${orderId}`);
+  console.log(`[cartService] Order created: ${orderId} (payment ${payment.status})`);
+
+  const totals = `Subtotal: ${formatMoney(summary.subtotal, summary)}${summary.totalDiscount > 0 ? `, discounts: -${formatMoney(summary.totalDiscount, summary)}` : ''}, ${summary.taxLabel}: ${formatMoney(summary.tax, summary)}${summary.taxMode === 'inclusive' ? ' (included)' : ''}, shipping: ${formatMoney(summary.shipping, summary)}. Total: ${formatMoney(summary.grandTotal, summary)}.`;
 
   return {
     type: 'checkout',
     success: true,
     action: 'checkout',
-    message: `🎉 Order ${orderId} confirmed! Total: ₹${summary.totalAmount}. Payment method: ${paymentMethod}. Thank you for your purchase!`,
-    order
+    message: payment.status === 'pending'
+      ? `Order ${orderId} placed. ${totals} We're waiting for your ${getPaymentMethodLabel(method)} payment to go through; the order will be confirmed as soon as it does. Shipping to: ${formatAddress(address.address)}.`
+      : `🎉 Order ${orderId} confirmed! ${totals} Payment method: ${getPaymentMethodLabel(method)}. Shipping to: ${formatAddress(address.address)}. Thank you for your purchase!`,
+    order,
+    paymentPending: payment.status === 'pending'
   };
 }
 
 /**
  * Remove a product from cart
  * 
+ * When several variants of the product are in the cart, size/color
+ * picks the line; without them the shopper is asked which one.
+ * 
  * @param {Object} options - Remove options
  * @param {Object} options.tenantConfig - Tenant configuration
  * @param {string} options.sessionId - Session identifier
  * @param {string} options.productId - Product ID to remove
+ * @param {string} [options.size] - Size of the line to remove
+ * @param {string} [options.color] - Color of the line to remove
  * @returns {Promise<Object>} Cart result
  */
-async function removeFromCart({ tenantConfig, sessionId, productId }) {
+async function removeFromCart({ tenantConfig, sessionId, productId, size = null, color = null }) {
   const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
   const cart = getCartRecord(tenantId, sessionId);
 
-  console.log(`[cartService] Removing from cart: tenant=${tenantId}, product=${productId}`);
+  console.log(`[cartService] Removing from cart: tenant=${tenantId}, product=${productId}, size=${size}, color=${color}`);
 
-  const initialCount = cart.items.length;
-  cart.items = cart.items.filter(item => item.productId !== productId);
-  
-  if (cart.items.length === initialCount) {
+  const matches = findCartLines(cart, productId, { size, color });
+
+  if (matches.length !== 1) {
     return {
       type: 'cart',
       success: false,
       action: 'remove_from_cart',
-      message: `Product ${productId} was not found in your cart.`,
+      message: matches.length === 0
+        ? `Product ${productId} was not found in your cart.`
+        : describeAmbiguousLines(matches, 'remove'),
       cart,
-      summary: buildCartSummary(cart)
+      summary: await summarizeCart(tenantConfig, cart)
     };
   }
 
+  const [line] = matches;
+  const bundlesBefore = describeBundles(cart);
+  cart.items = cart.items.filter(item => item !== line);
+
+  releaseStock({ tenantConfig, sessionId, productId, variantKey: line.variantKey || null });
   saveCartRecord(tenantId, sessionId, cart);
-  const summary = buildCartSummary(cart);
+  const summary = await summarizeCart(tenantConfig, cart);
 
   return {
     type: 'cart',
     success: true,
     action: 'remove_from_cart',
-    message: `Removed item from your cart. You have ${summary.totalItems} item(s) remaining.`,
+    message: `Removed ${getLineLabel(line)} from your cart. You have ${summary.totalItems} item(s) remaining.${describeBrokenBundles(bundlesBefore, summary.bundles)}`,
     cart,
     summary
   };
 }
 
+/**
+ * Update the quantity of a product already in the cart
+ * 
+ * Supports absolute ("make it 2") and relative ("one less") changes.
+ * A resulting quantity of zero or less removes the line.
+ * 
+ * @param {Object} options - Update options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} options.productId - Product ID in the cart
+ * @param {number} [options.quantity] - New absolute quantity
+ * @param {number} [options.change] - Relative change (e.g. 1, -1)
+ * @param {string} [options.size] - Size of the line to update
+ * @param {string} [options.color] - Color of the line to update
+ * @returns {Promise<Object>} Cart result
+ */
+async function updateCartQuantity({ tenantConfig, sessionId, productId, quantity, change, size = null, color = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const cart = getCartRecord(tenantId, sessionId);
+
+  console.log(`[cartService] Updating quantity: tenant=${tenantId}, product=${productId}, quantity=${quantity}, change=${change}`);
+
+  const hasQuantity = quantity !== undefined && quantity !== null;
+  const hasChange = change !== undefined && change !== null;
+
+  const failure = async (message) => ({
+    type: 'cart',
+    success: false,
+    action: 'update_cart_quantity',
+    message,
+    cart,
+    summary: await summarizeCart(tenantConfig, cart)
+  });
+
+  if (hasQuantity === hasChange) {
+    return failure('Please specify either a new quantity or a change in quantity.');
+  }
+
+  const value = Number(hasQuantity ? quantity : change);
+  if (!Number.isInteger(value) || (hasQuantity && value < 0)) {
+    return failure(`Invalid quantity: ${hasQuantity ? quantity : change}.`);
+  }
+
+  const matches = findCartLines(cart, productId, { size, color });
+  if (matches.length === 0) {
+    return failure(`Product ${productId} was not found in your cart.`);
+  }
+  if (matches.length > 1) {
+    return failure(describeAmbiguousLines(matches, 'update'));
+  }
+
+  const [existing] = matches;
+  const name = getLineLabel(existing);
+  const previousQuantity = existing.quantity;
+  const newQuantity = hasQuantity ? value : previousQuantity + value;
+
+  const reservation = await reserveStock({
+    tenantConfig,
+    sessionId,
+    productId,
+    variantKey: existing.variantKey || null,
+    quantity: Math.max(newQuantity, 0)
+  });
+  if (!reservation.success) {
+    return failure(reservation.message || describeStockShortage(name, reservation.available));
+  }
+
+  let message;
+  const bundlesBefore = describeBundles(cart);
+  if (newQuantity <= 0) {
+    cart.items = cart.items.filter(i => i !== existing);
+    console.log(`[cartService] Quantity for ${productId} reached 0, removed from cart`);
+  } else {
+    existing.quantity = newQuantity;
+    console.log(`[cartService] Updated quantity for ${productId}: ${previousQuantity} -> ${newQuantity}`);
+  }
+
+  saveCartRecord(tenantId, sessionId, cart);
+  const summary = await summarizeCart(tenantConfig, cart);
+
+  if (newQuantity <= 0) {
+    message = `Removed ${name} from your cart. You have ${summary.totalItems} item(s) remaining.`;
+  } else {
+    message = `Updated ${name} to ${newQuantity} (was ${previousQuantity}). Your cart now has ${summary.totalItems} item(s) totaling ${formatMoney(summary.totalAmount, summary)}.${describeLowStock(reservation)}`;
+  }
+  message += describeBrokenBundles(bundlesBefore, summary.bundles);
+
+  return {
+    type: 'cart',
+    success: true,
+    action: 'update_cart_quantity',
+    message,
+    cart,
+    summary,
+    updatedItem: {
+      id: productId,
+      variant: existing.variant || null,
+      name,
+      previousQuantity,
+      quantity: Math.max(newQuantity, 0)
+    }
+  };
+}
+
 module.exports = {
   addToCart,
   addOutfitToCart,
   addMultipleToCart,
   removeFromCart,
+  updateCartQuantity,
+  applyCoupon,
   viewCart,
   checkoutCart,
-  buildCartSummary
+  buildCartSummary,
+  summarizeCart
 };
@@ -0,0 +1,156 @@
+/**
+ * Cart Service tests: idempotent checkout and checkout revalidation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const tenantConfig = require('../config/tenants/client1.json');
+const { addToCart, checkoutCart } = require('./cartService');
+const { getCartRecord, saveCartRecord } = require('./cartStore');
+const { getSessionOrders, generateOrderId, createOrder } = require('./orderService');
+
+const shippingAddress = { name: 'Jane Doe', line1: '12 Main St', city: 'Springfield', state: 'IL', postalCode: '62704', country: 'US' };
+
+let sessionCount = 0;
+
+/**
+ * Start a session with one product in the cart
+ * 
+ * @returns {Promise<string>} Session ID
+ */
+async function sessionWithCart() {
+  const sessionId = `checkout-test-${process.pid}-${++sessionCount}`;
+  const added = await addToCart({ tenantConfig, sessionId, productId: 'p003', quantity: 1, color: 'black' });
+  assert.equal(added.success, true, added.message);
+  return sessionId;
+}
+
+/**
+ * Check out a session's cart
+ * 
+ * @param {string} sessionId - Session ID
+ * @param {string} idempotencyKey - Retry key
+ * @returns {Promise<Object>} Checkout result
+ */
+function checkout(sessionId, idempotencyKey) {
+  return checkoutCart({ tenantConfig, sessionId, paymentMethod: 'CARD', shippingAddress, idempotencyKey });
+}
+
+test('retrying a checkout with the same key returns the first order', async () => {
+  const sessionId = await sessionWithCart();
+
+  const first = await checkout(sessionId, 'key-1');
+  const retry = await checkout(sessionId, 'key-1');
+
+  assert.equal(first.success, true, first.message);
+  assert.equal(first.replayed, undefined);
+  assert.equal(retry.success, true);
+  assert.equal(retry.replayed, true);
+  assert.equal(retry.order.orderId, first.order.orderId);
+  assert.equal(getSessionOrders(tenantConfig.tenantId, sessionId).length, 1);
+});
+
+test('concurrent checkouts with the same key place one order', async () => {
+  const sessionId = await sessionWithCart();
+
+  const results = await Promise.all([checkout(sessionId, 'key-2'), checkout(sessionId, 'key-2'), checkout(sessionId, 'key-2')]);
+
+  assert.ok(results.every(result => result.success));
+  assert.equal(new Set(results.map(result => result.order.orderId)).size, 1);
+  assert.equal(results.filter(result => result.replayed).length, 2);
+  assert.equal(getSessionOrders(tenantConfig.tenantId, sessionId).length, 1);
+});
+
+test('a new key after an order checks out the current cart again', async () => {
+  const sessionId = await sessionWithCart();
+
+  await checkout(sessionId, 'key-3');
+  const next = await checkout(sessionId, 'key-4');
+
+  assert.equal(next.success, false);
+  assert.equal(next.replayed, undefined);
+  assert.match(next.message, /cart is empty/);
+});
+
+test('keys are scoped to the session', async () => {
+  const firstSession = await sessionWithCart();
+  const secondSession = await sessionWithCart();
+
+  const first = await checkout(firstSession, 'shared-key');
+  const second = await checkout(secondSession, 'shared-key');
+
+  assert.equal(second.success, true, second.message);
+  assert.equal(second.replayed, undefined);
+  assert.notEqual(second.order.orderId, first.order.orderId);
+});
+
+test('order IDs skip IDs already in use', t => {
+  t.mock.method(Date, 'now', () => 1715432100000);
+  const suffixes = [[0x9F, 0x2C], [0x9F, 0x2C], [0x01, 0x02]];
+  t.mock.method(crypto, 'randomBytes', () => Buffer.from(suffixes.shift()));
+
+  const taken = generateOrderId(tenantConfig);
+  createOrder({ orderId: taken, tenantId: tenantConfig.tenantId, sessionId: `checkout-test-${process.pid}-ids`, items: [], status: 'CONFIRMED', createdAt: new Date().toISOString() });
+
+  assert.equal(taken, 'ORD-CLIENT1-1715432100000-9F2C');
+  assert.equal(generateOrderId(tenantConfig), 'ORD-CLIENT1-1715432100000-0102');
+});
+
+/**
+ * Change a session's cart line as if it was added before a catalog change
+ * 
+ * @param {string} sessionId - Session ID
+ * @param {Function} edit - (line) => void
+ */
+function editCartLine(sessionId, edit) {
+  const cart = getCartRecord(tenantConfig.tenantId, sessionId);
+  edit(cart.items[0]);
+  saveCartRecord(tenantConfig.tenantId, sessionId, cart);
+}
+
+test('a changed price holds the order until the shopper confirms the new total', async () => {
+  const sessionId = await sessionWithCart();
+  let catalogPrice;
+  editCartLine(sessionId, line => {
+    catalogPrice = line.productSnapshot.price;
+    line.productSnapshot.price = 10;
+  });
+
+  const review = await checkoutCart({ tenantConfig, sessionId, paymentMethod: 'CARD', shippingAddress });
+  assert.equal(review.success, false);
+  assert.equal(review.order, null);
+  assert.deepEqual(review.confirmationRequired.changes.map(change => [change.type, change.oldPrice, change.newPrice]), [['price', 10, catalogPrice]]);
+  assert.match(review.message, /Please confirm to place the order at this total/);
+  assert.equal(getSessionOrders(tenantConfig.tenantId, sessionId).length, 0);
+
+  const confirmed = await checkoutCart({ tenantConfig, sessionId, paymentMethod: 'CARD', confirmPriceChanges: true });
+  assert.equal(confirmed.success, true, confirmed.message);
+  assert.equal(confirmed.order.items[0].price, catalogPrice);
+  assert.equal(confirmed.order.summary.grandTotal, review.confirmationRequired.total);
+});
+
+test('an updated total is not placed without confirmation', async () => {
+  const sessionId = await sessionWithCart();
+  editCartLine(sessionId, line => { line.productSnapshot.price = 10; });
+
+  await checkoutCart({ tenantConfig, sessionId, paymentMethod: 'CARD', shippingAddress });
+  const retry = await checkoutCart({ tenantConfig, sessionId, paymentMethod: 'CARD' });
+
+  assert.equal(retry.success, false);
+  assert.ok(retry.confirmationRequired);
+  assert.equal(getSessionOrders(tenantConfig.tenantId, sessionId).length, 0);
+});
+
+test('lines that are no longer sold are dropped and an empty cart is not ordered', async () => {
+  const sessionId = await sessionWithCart();
+  editCartLine(sessionId, line => { line.variant = { color: 'chartreuse' }; });
+
+  const result = await checkoutCart({ tenantConfig, sessionId, paymentMethod: 'CARD', shippingAddress });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.cartChanges.map(change => change.type), ['removed']);
+  assert.match(result.message, /None of the items in your cart can be ordered anymore/);
+  assert.equal(getCartRecord(tenantConfig.tenantId, sessionId).items.length, 0);
+  assert.equal(getSessionOrders(tenantConfig.tenantId, sessionId).length, 0);
+});
@@ -1,18 +1,156 @@
 /**
- * In-memory Cart Store
+ * Cart Store
  * 
- * Simple in-memory storage for shopping carts.
+ * Storage facade for shopping carts.
  * Structure: carts[tenantId][sessionKey] = { items: [...], updatedAt }
  * 
- * NOTE: This is for PROTOTYPE ONLY - no persistence across restarts.
- * In production, use Redis/database.
+ * The actual storage is delegated to a pluggable driver:
+ * - memory: module-level object, lost on restart (default)
+ * - file:   JSON file on local disk, survives restarts
+ * 
+ * Driver selection (first match wins):
+ * 1. Tenant config: { "cartStore": { "driver": "file" } }
+ * 2. CART_STORE_DRIVER env var
+ * 3. "memory"
+ * 
+ * Additional drivers (e.g. Redis) can be plugged in with registerCartDriver().
+ * All driver calls are synchronous so callers keep the same simple API.
+ * 
+ * Carts untouched for CART_TTL_MINUTES (default 7 days) or over
+ * CART_MAX_PER_TENANT are evicted from whichever driver holds them
+ * (see utils/storeEviction).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryDriver } = require('./storage/memoryDriver');
+const { createJsonFileDriver } = require('./storage/jsonFileDriver');
+const { registerSessionStore, touchSession, forgetSession } = require('../utils/storeEviction');
+
+const DEFAULT_DRIVER = 'memory';
+
+// Driver factories by name
+const driverFactories = {
+  memory: createMemoryDriver,
+  file: createJsonFileDriver
+};
+
+// Instantiated drivers by name (one shared instance per driver)
+const driverInstances = {};
+
+// Resolved driver name per tenant
+const tenantDrivers = {};
+
+registerSessionStore('carts', {
+  envPrefix: 'CART',
+  ttlMinutes: 7 * 24 * 60,
+  maxPerTenant: 10000,
+  remove(tenantId, sessionKey) {
+    getDriver(tenantId).delete(tenantId, sessionKey);
+  },
+  removeMany(tenantId, sessionKeys) {
+    const driver = getDriver(tenantId);
+    if (typeof driver.deleteMany === 'function') {
+      driver.deleteMany(tenantId, sessionKeys);
+    } else {
+      sessionKeys.forEach(sessionKey => driver.delete(tenantId, sessionKey));
+    }
+  }
+});
+
+/**
+ * Start tracking carts a driver already holds for a tenant
+ * 
+ * Durable drivers come back with carts from before the restart; they age
+ * from their last update, oldest first.
+ * 
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} driver - Driver instance
  */
+function trackStoredCarts(tenantId, driver) {
+  const stored = Object.entries(driver.all()[tenantId] || {})
+    .map(([sessionKey, record]) => [sessionKey, Date.parse(record.updatedAt) || Date.now()])
+    .sort((a, b) => a[1] - b[1]);
 
-const carts = {};
+  for (const [sessionKey, at] of stored) {
+    touchSession('carts', tenantId, sessionKey, at);
+  }
+}
+
+/**
+ * Register a custom cart storage driver
+ * 
+ * A driver factory returns an object with synchronous
+ * get(tenantId, sessionKey), set(tenantId, sessionKey, record),
+ * delete(tenantId, sessionKey) and all() methods. An optional
+ * deleteMany(tenantId, sessionKeys) lets evictions remove a batch of
+ * carts in one write.
+ * 
+ * @param {string} name - Driver name referenced from env/tenant config
+ * @param {Function} factory - Factory returning a driver instance
+ */
+function registerCartDriver(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('registerCartDriver requires a name and a factory function');
+  }
+  driverFactories[name] = factory;
+  delete driverInstances[name];
+}
+
+/**
+ * Read the cart store setting from a tenant config file
+ * 
+ * @param {string} tenantId - Tenant identifier
+ * @returns {string|null} Driver name or null if not configured
+ */
+function readTenantDriverSetting(tenantId) {
+  const sanitizedTenantId = String(tenantId).replaceAll(/[^a-zA-Z0-9-_]/g, '');
+  const configPath = path.join(__dirname, '..', 'config', 'tenants', `${sanitizedTenantId}.json`);
+
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return config?.cartStore?.driver || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the storage driver for a tenant
+ * 
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Object} Driver instance
+ */
+function getDriver(tenantId) {
+  if (!tenantDrivers[tenantId]) {
+    let driverName = readTenantDriverSetting(tenantId) || process.env.CART_STORE_DRIVER || DEFAULT_DRIVER;
+
+    if (!driverFactories[driverName]) {
+      console.warn(`[cartStore] Unknown driver "${driverName}" for tenant ${tenantId}, using ${DEFAULT_DRIVER}`);
+      driverName = DEFAULT_DRIVER;
+    }
+
+    tenantDrivers[tenantId] = driverName;
+    console.log(`[cartStore] Tenant ${tenantId} uses "${driverName}" cart storage`);
+
+    if (!driverInstances[driverName]) {
+      driverInstances[driverName] = driverFactories[driverName]();
+    }
+    trackStoredCarts(tenantId, driverInstances[driverName]);
+  }
+
+  const driverName = tenantDrivers[tenantId];
+  if (!driverInstances[driverName]) {
+    driverInstances[driverName] = driverFactories[driverName]();
+  }
+  return driverInstances[driverName];
+}
 
 /**
  * Get or create a cart record for tenant + session
  * 
+ * A new cart is only persisted once it is saved.
+ * 
  * @param {string} tenantId - Tenant identifier
  * @param {string} sessionKey - Session/user identifier
  * @returns {Object} Cart record with items array and updatedAt timestamp
@@ -21,16 +159,16 @@ function getCartRecord(tenantId, sessionKey) {
   if (!tenantId) tenantId = 'default';
   if (!sessionKey) sessionKey = 'demo-session';
 
-  if (!carts[tenantId]) {
-    carts[tenantId] = {};
+  const existing = getDriver(tenantId).get(tenantId, sessionKey);
+  if (existing) {
+    touchSession('carts', tenantId, sessionKey);
+    return existing;
   }
-  if (!carts[tenantId][sessionKey]) {
-    carts[tenantId][sessionKey] = {
-      items: [],
-      updatedAt: new Date().toISOString()
-    };
-  }
-  return carts[tenantId][sessionKey];
+
+  return {
+    items: [],
+    updatedAt: new Date().toISOString()
+  };
 }
 
 /**
@@ -44,13 +182,11 @@ function saveCartRecord(tenantId, sessionKey, record) {
   if (!tenantId) tenantId = 'default';
   if (!sessionKey) sessionKey = 'demo-session';
 
-  if (!carts[tenantId]) {
-    carts[tenantId] = {};
-  }
-  carts[tenantId][sessionKey] = {
+  getDriver(tenantId).set(tenantId, sessionKey, {
     ...record,
     updatedAt: new Date().toISOString()
-  };
+  });
+  touchSession('carts', tenantId, sessionKey);
 }
 
 /**
@@ -62,24 +198,48 @@ function saveCartRecord(tenantId, sessionKey, record) {
 function clearCart(tenantId, sessionKey) {
   if (!tenantId) tenantId = 'default';
   if (!sessionKey) sessionKey = 'demo-session';
-  
-  if (carts[tenantId]) {
-    delete carts[tenantId][sessionKey];
-  }
+
+  getDriver(tenantId).delete(tenantId, sessionKey);
+  forgetSession('carts', tenantId, sessionKey);
+}
+
+/**
+ * Get all carts of one tenant
+ * 
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Object} Cart records keyed by session key
+ */
+function getTenantCarts(tenantId) {
+  if (!tenantId) tenantId = 'default';
+
+  return getDriver(tenantId).all()[tenantId] || {};
 }
 
 /**
  * Get all carts (for debugging)
  * 
+ * Merges carts from every driver that has been used.
+ * 
  * @returns {Object} All carts
  */
 function getAllCarts() {
-  return carts;
+  const merged = {};
+
+  for (const driver of Object.values(driverInstances)) {
+    const carts = driver.all();
+    for (const tenantId of Object.keys(carts)) {
+      merged[tenantId] = { ...merged[tenantId], ...carts[tenantId] };
+    }
+  }
+
+  return merged;
 }
 
 module.exports = {
   getCartRecord,
   saveCartRecord,
   clearCart,
-  getAllCarts
+  getAllCarts,
+  getTenantCarts,
+  registerCartDriver
 };
@@ -0,0 +1,433 @@
+/**
+ * Inventory Service
+ * 
+ * Tracks stock levels and cart reservations per tenant.
+ * Stock is seeded from utils/inventoryLoader.js on first use and kept
+ * in memory for the prototype (like orders).
+ * 
+ * Stock rules:
+ * - Products listed in the inventory file are tracked (per product or per variant)
+ * - Unlisted products are untracked (unlimited) unless the catalog marks them inStock: false
+ * 
+ * Reservations:
+ * - Adding to cart reserves stock for the session so other shoppers can't take it
+ * - Reservations expire after inventory.reservationMinutes (tenant config, default 30)
+ * - Checkout re-validates stock (a cart can outlive its reservation) and then
+ *   commits the reservation, decrementing stock
+ * - Sessions holding only expired reservations are swept after
+ *   RESERVATION_TTL_MINUTES idle (default 60, see utils/storeEviction);
+ *   live reservations are never evicted
+ * 
+ * Tenant config shape:
+ * 
+ *   "inventory": {
+ *     "reservationMinutes": 30,
+ *     "lowStockThreshold": 3          // warn shoppers at/below this many left
+ *   }
+ */
+
+const { loadInventoryForTenant } = require('../utils/inventoryLoader');
+const { getProductIndex } = require('../utils/productLoader');
+const { getLineLabel } = require('./productVariants');
+const { registerSessionStore, touchSession } = require('../utils/storeEviction');
+
+const DEFAULT_RESERVATION_MINUTES = 30;
+const DEFAULT_LOW_STOCK_THRESHOLD = 3;
+
+// Live stock levels
+// Structure: stockLevels[tenantId][productId] = number | { variants: { [variantKey]: number } }
+const stockLevels = {};
+
+// Cart reservations
+// Structure: reservations[tenantId][sessionId][stockKey] = { productId, variantKey, quantity, expiresAt }
+const reservations = {};
+
+registerSessionStore('reservations', {
+  envPrefix: 'RESERVATION',
+  ttlMinutes: 60,
+  maxPerTenant: 10000,
+  remove(tenantId, sessionId) {
+    delete reservations[tenantId]?.[sessionId];
+  },
+  keep(tenantId, sessionId) {
+    const now = Date.now();
+    return Object.values(reservations[tenantId]?.[sessionId] || {}).some(r => r.expiresAt > now);
+  }
+});
+
+/**
+ * Resolve tenant ID from tenant config
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @returns {string} Tenant ID
+ */
+function getTenantId(tenantConfig) {
+  return tenantConfig?.tenantId || tenantConfig?.id || 'example';
+}
+
+/**
+ * Build the reservation key for a product/variant
+ * 
+ * @param {string} productId - Product ID
+ * @param {string} [variantKey] - Variant key (e.g. "44mm/black")
+ * @returns {string} Stock key
+ */
+function getStockKey(productId, variantKey) {
+  return variantKey ? `${productId}::${variantKey}` : productId;
+}
+
+/**
+ * Load stock levels for a tenant on first use
+ * 
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} Live stock levels
+ */
+async function ensureStockLoaded(tenantId) {
+  if (!stockLevels[tenantId]) {
+    const stock = await loadInventoryForTenant(tenantId);
+    // Re-check after the await: a concurrent call may have loaded it already
+    if (!stockLevels[tenantId]) {
+      stockLevels[tenantId] = JSON.parse(JSON.stringify(stock));
+      console.log(`[inventoryService] Loaded stock for ${Object.keys(stock).length} products (tenant=${tenantId})`);
+    }
+  }
+  return stockLevels[tenantId];
+}
+
+/**
+ * Drop expired reservations for a tenant
+ * 
+ * @param {string} tenantId - Tenant identifier
+ */
+function purgeExpiredReservations(tenantId) {
+  const tenantReservations = reservations[tenantId];
+  if (!tenantReservations) return;
+
+  const now = Date.now();
+  for (const sessionId of Object.keys(tenantReservations)) {
+    const sessionReservations = tenantReservations[sessionId];
+    for (const key of Object.keys(sessionReservations)) {
+      if (sessionReservations[key].expiresAt <= now) {
+        console.log(`[inventoryService] Reservation expired: tenant=${tenantId}, session=${sessionId}, item=${key}`);
+        delete sessionReservations[key];
+      }
+    }
+    if (Object.keys(sessionReservations).length === 0) {
+      delete tenantReservations[sessionId];
+    }
+  }
+}
+
+/**
+ * Get on-hand stock for a product/variant
+ * 
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} productId - Product ID
+ * @param {string} [variantKey] - Variant key
+ * @param {Object} [product] - Catalog product (for the inStock fallback)
+ * @returns {number|null} Units on hand, or null if untracked
+ */
+function getOnHand(tenantId, productId, variantKey, product) {
+  const entry = stockLevels[tenantId]?.[productId];
+
+  if (entry === undefined || entry === null) {
+    return product?.inStock === false ? 0 : null;
+  }
+
+  if (typeof entry === 'number') {
+    return entry;
+  }
+
+  const variants = entry.variants || {};
+  if (variantKey) {
+    return variants[variantKey] ?? 0;
+  }
+  return Object.values(variants).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Sum units reserved by other sessions for a product/variant
+ * 
+ * With per-variant stock, only reservations for the same variant (or without
+ * a variant) count. With per-product stock, every reservation counts.
+ * 
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} sessionId - Session to exclude
+ * @param {string} productId - Product ID
+ * @param {string} [variantKey] - Variant key
+ * @returns {number} Reserved units
+ */
+function getReservedByOthers(tenantId, sessionId, productId, variantKey) {
+  const perVariant = typeof stockLevels[tenantId]?.[productId] === 'object';
+  const tenantReservations = reservations[tenantId] || {};
+  let reserved = 0;
+
+  for (const [otherSessionId, sessionReservations] of Object.entries(tenantReservations)) {
+    if (otherSessionId === sessionId) continue;
+
+    for (const reservation of Object.values(sessionReservations)) {
+      if (reservation.productId !== productId) continue;
+      if (perVariant && variantKey && reservation.variantKey && reservation.variantKey !== variantKey) continue;
+      reserved += Number(reservation.quantity) || 0;
+    }
+  }
+
+  return reserved;
+}
+
+/**
+ * Get how many units a session may hold for a product/variant
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} options.productId - Product ID
+ * @param {string} [options.variantKey] - Variant key
+ * @param {Object} [options.product] - Catalog product (loaded if omitted)
+ * @returns {Promise<Object>} { tracked, available } (available is Infinity when untracked)
+ */
+async function getAvailableStock({ tenantConfig, sessionId, productId, variantKey = null, product = null }) {
+  const tenantId = getTenantId(tenantConfig);
+  await ensureStockLoaded(tenantId);
+  purgeExpiredReservations(tenantId);
+
+  if (!product) {
+    product = (await getProductIndex(tenantId)).get(productId) || null;
+  }
+
+  const onHand = getOnHand(tenantId, productId, variantKey, product);
+  if (onHand === null) {
+    return { tracked: false, available: Infinity };
+  }
+
+  const reserved = getReservedByOthers(tenantId, sessionId || 'demo-session', productId, variantKey);
+  return { tracked: true, available: Math.max(onHand - reserved, 0) };
+}
+
+/**
+ * Reserve stock for a cart line
+ * 
+ * The quantity is absolute: it replaces any previous reservation the
+ * session holds for the same product/variant. A quantity of 0 releases it;
+ * anything that isn't a whole number of units is refused.
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} options.productId - Product ID
+ * @param {string} [options.variantKey] - Variant key
+ * @param {number} options.quantity - Total units the cart line needs
+ * @param {Object} [options.product] - Catalog product (loaded if omitted)
+ * @returns {Promise<Object>} { success, tracked, available, remaining, lowStock }, or { success: false, invalidQuantity, message } for a bad quantity
+ */
+async function reserveStock({ tenantConfig, sessionId, productId, variantKey = null, quantity, product = null }) {
+  const tenantId = getTenantId(tenantConfig);
+  const sessionKey = sessionId || 'demo-session';
+  const units = Number(quantity);
+
+  if (!Number.isInteger(units) || units < 0) {
+    console.warn(`[inventoryService] Refused reservation with invalid quantity: tenant=${tenantId}, item=${getStockKey(productId, variantKey)}, quantity=${quantity}`);
+    return {
+      success: false,
+      invalidQuantity: true,
+      message: `Invalid quantity: ${quantity}. Please choose a whole number of at least 1.`
+    };
+  }
+
+  const { tracked, available } = await getAvailableStock({ tenantConfig, sessionId: sessionKey, productId, variantKey, product });
+
+  if (units === 0) {
+    releaseStock({ tenantConfig, sessionId: sessionKey, productId, variantKey });
+    return { success: true, tracked, available, remaining: available, lowStock: false };
+  }
+
+  if (!tracked) {
+    return { success: true, tracked, available, remaining: Infinity, lowStock: false };
+  }
+
+  if (units > available) {
+    console.log(`[inventoryService] Insufficient stock: tenant=${tenantId}, item=${getStockKey(productId, variantKey)}, requested=${units}, available=${available}`);
+    return { success: false, tracked, available, remaining: available, lowStock: available <= getLowStockThreshold(tenantConfig) };
+  }
+
+  const minutes = Number(tenantConfig?.inventory?.reservationMinutes) || DEFAULT_RESERVATION_MINUTES;
+
+  if (!reservations[tenantId]) reservations[tenantId] = {};
+  if (!reservations[tenantId][sessionKey]) reservations[tenantId][sessionKey] = {};
+
+  reservations[tenantId][sessionKey][getStockKey(productId, variantKey)] = {
+    productId,
+    variantKey,
+    quantity: units,
+    expiresAt: Date.now() + minutes * 60 * 1000
+  };
+
+  touchSession('reservations', tenantId, sessionKey);
+
+  const remaining = available - units;
+  console.log(`[inventoryService] Reserved ${units} of ${getStockKey(productId, variantKey)} for session=${sessionKey} (${remaining} left)`);
+
+  return {
+    success: true,
+    tracked,
+    available,
+    remaining,
+    lowStock: remaining <= getLowStockThreshold(tenantConfig)
+  };
+}
+
+/**
+ * Release a session's reservation for a product/variant
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} options.productId - Product ID
+ * @param {string} [options.variantKey] - Variant key
+ */
+function releaseStock({ tenantConfig, sessionId, productId, variantKey = null }) {
+  const tenantId = getTenantId(tenantConfig);
+  const sessionReservations = reservations[tenantId]?.[sessionId || 'demo-session'];
+  if (!sessionReservations) return;
+
+  delete sessionReservations[getStockKey(productId, variantKey)];
+}
+
+/**
+ * Get the low stock warning threshold for a tenant
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @returns {number} Threshold
+ */
+function getLowStockThreshold(tenantConfig) {
+  const threshold = tenantConfig?.inventory?.lowStockThreshold;
+  return typeof threshold === 'number' ? threshold : DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * Check that every cart line can still be fulfilled
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {Array} options.items - Cart lines
+ * @returns {Promise<Object>} { success, shortages: [{ productId, variantKey, name, requested, available }] }
+ */
+async function validateStock({ tenantConfig, sessionId, items }) {
+  const tenantId = getTenantId(tenantConfig);
+  const productMap = await getProductIndex(tenantId);
+  const shortages = [];
+
+  for (const item of items) {
+    const { available } = await getAvailableStock({
+      tenantConfig,
+      sessionId,
+      productId: item.productId,
+      variantKey: item.variantKey || null,
+      product: productMap.get(item.productId) || null
+    });
+
+    if (item.quantity > available) {
+      shortages.push({
+        productId: item.productId,
+        variantKey: item.variantKey || null,
+        name: getLineLabel(item),
+        requested: item.quantity,
+        available
+      });
+    }
+  }
+
+  return { success: shortages.length === 0, shortages };
+}
+
+/**
+ * Decrement stock for purchased lines and clear the session's reservations
+ * 
+ * Call after validateStock succeeded.
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {Array} options.items - Purchased lines ({ productId, variantKey, quantity })
+ * @returns {Promise<void>}
+ */
+async function commitStock({ tenantConfig, sessionId, items }) {
+  const tenantId = getTenantId(tenantConfig);
+  await ensureStockLoaded(tenantId);
+
+  for (const item of items) {
+    adjustStock(tenantId, item.productId, item.variantKey || null, -item.quantity);
+  }
+
+  if (reservations[tenantId]) {
+    delete reservations[tenantId][sessionId || 'demo-session'];
+  }
+}
+
+/**
+ * Put stock back for lines of a cancelled order
+ * 
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant identifier
+ * @param {Array} options.items - Order lines ({ productId, variantKey, quantity })
+ * @returns {Promise<void>}
+ */
+async function restoreStock({ tenantId, items }) {
+  await ensureStockLoaded(tenantId);
+
+  for (const item of items) {
+    adjustStock(tenantId, item.productId, item.variantKey || null, item.quantity);
+  }
+}
+
+/**
+ * Apply a stock delta to a tracked product/variant
+ * 
+ * Untracked products are ignored. For per-variant stock without a variant
+ * key, the delta is spread over variants in file order.
+ * 
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} productId - Product ID
+ * @param {string|null} variantKey - Variant key
+ * @param {number} delta - Units to add (negative to remove)
+ */
+function adjustStock(tenantId, productId, variantKey, delta) {
+  const tenantStock = stockLevels[tenantId];
+  const entry = tenantStock?.[productId];
+
+  if (entry === undefined || entry === null) return;
+
+  if (typeof entry === 'number') {
+    tenantStock[productId] = Math.max(entry + delta, 0);
+  } else {
+    const variants = entry.variants || (entry.variants = {});
+    const keys = Object.keys(variants);
+
+    if (variantKey || keys.length === 0) {
+      const key = variantKey || 'default';
+      variants[key] = Math.max((variants[key] || 0) + delta, 0);
+    } else if (delta > 0) {
+      variants[keys[0]] += delta;
+    } else {
+      let toRemove = -delta;
+      for (const key of keys) {
+        const taken = Math.min(variants[key], toRemove);
+        variants[key] -= taken;
+        toRemove -= taken;
+        if (toRemove === 0) break;
+      }
+    }
+  }
+
+  console.log(`[inventoryService] Stock ${delta > 0 ? 'restored' : 'decremented'}: tenant=${tenantId}, item=${getStockKey(productId, variantKey)}, delta=${delta}`);
+}
+
+module.exports = {
+  getAvailableStock,
+  reserveStock,
+  releaseStock,
+  validateStock,
+  commitStock,
+  restoreStock
+};
@@ -0,0 +1,107 @@
+/**
+ * Inventory Service tests: stock reservations
+ * 
+ * p017 starts with 3 units and p009 with 8 (data/inventory/inventory.client1.json).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tenantConfig = require('../config/tenants/client1.json');
+const { getAvailableStock, reserveStock, releaseStock, commitStock, restoreStock } = require('./inventoryService');
+
+const SHOPPER = `stock-test-${process.pid}-a`;
+const OTHER = `stock-test-${process.pid}-b`;
+
+/**
+ * Get the units another session could still reserve
+ * 
+ * @param {string} productId - Product ID
+ * @returns {Promise<number>} Available units
+ */
+async function availableToOthers(productId) {
+  return (await getAvailableStock({ tenantConfig, sessionId: OTHER, productId })).available;
+}
+
+test('a reservation holds stock from other sessions', async t => {
+  t.after(() => releaseStock({ tenantConfig, sessionId: SHOPPER, productId: 'p017' }));
+
+  const reservation = await reserveStock({ tenantConfig, sessionId: SHOPPER, productId: 'p017', quantity: 2 });
+  const refused = await reserveStock({ tenantConfig, sessionId: OTHER, productId: 'p017', quantity: 2 });
+
+  assert.equal(reservation.success, true);
+  assert.equal(reservation.remaining, 1);
+  assert.equal(reservation.lowStock, true);
+  assert.equal(refused.success, false);
+  assert.equal(refused.available, 1);
+});
+
+test('reservations replace the previous quantity and are freed on release', async () => {
+  await reserveStock({ tenantConfig, sessionId: SHOPPER, productId: 'p017', quantity: 3 });
+  await reserveStock({ tenantConfig, sessionId: SHOPPER, productId: 'p017', quantity: 1 });
+  assert.equal(await availableToOthers('p017'), 2);
+
+  releaseStock({ tenantConfig, sessionId: SHOPPER, productId: 'p017' });
+  assert.equal(await availableToOthers('p017'), 3);
+});
+
+test('expired reservations no longer hold stock', async t => {
+  await reserveStock({ tenantConfig, sessionId: SHOPPER, productId: 'p017', quantity: 3 });
+  assert.equal(await availableToOthers('p017'), 0);
+
+  const later = Date.now() + (tenantConfig.inventory.reservationMinutes + 1) * 60 * 1000;
+  t.mock.method(Date, 'now', () => later);
+
+  assert.equal(await availableToOthers('p017'), 3);
+});
+
+test('checkout commits the reservation and cancellations restore the stock', async () => {
+  const items = [{ productId: 'p009', quantity: 5 }];
+  await reserveStock({ tenantConfig, sessionId: SHOPPER, productId: 'p009', quantity: 5 });
+
+  await commitStock({ tenantConfig, sessionId: SHOPPER, items });
+  assert.equal(await availableToOthers('p009'), 3);
+
+  await restoreStock({ tenantId: tenantConfig.tenantId, items });
+  assert.equal(await availableToOthers('p009'), 8);
+});
+
+test('products missing from the inventory file are not limited', async () => {
+  const product = { id: 'p-untracked', inStock: true };
+
+  const stock = await getAvailableStock({ tenantConfig, sessionId: SHOPPER, productId: product.id, product });
+  const reservation = await reserveStock({ tenantConfig, sessionId: SHOPPER, productId: product.id, quantity: 500, product });
+
+  assert.deepEqual(stock, { tracked: false, available: Infinity });
+  assert.equal(reservation.success, true);
+});
+
+test('quantities that are not whole units are refused', async () => {
+  for (const quantity of [1.5, -1, 'two']) {
+    const reservation = await reserveStock({ tenantConfig, sessionId: SHOPPER, productId: 'p017', quantity });
+    assert.equal(reservation.success, false, String(quantity));
+    assert.equal(reservation.invalidQuantity, true);
+    assert.equal(reservation.message, `Invalid quantity: ${quantity}. Please choose a whole number of at least 1.`);
+  }
+  assert.equal(await availableToOthers('p017'), 3);
+});
+
+test('invalid quantities are refused before stock is looked up', async () => {
+  const product = { id: 'p-missing', inStock: false };
+
+  const reservation = await reserveStock({ tenantConfig, sessionId: SHOPPER, productId: product.id, quantity: 0.5, product });
+
+  assert.deepEqual(reservation, {
+    success: false,
+    invalidQuantity: true,
+    message: 'Invalid quantity: 0.5. Please choose a whole number of at least 1.'
+  });
+});
+
+test('numeric strings reserve that many units', async t => {
+  t.after(() => releaseStock({ tenantConfig, sessionId: SHOPPER, productId: 'p017' }));
+
+  const reservation = await reserveStock({ tenantConfig, sessionId: SHOPPER, productId: 'p017', quantity: '2' });
+
+  assert.equal(reservation.success, true);
+  assert.equal(await availableToOthers('p017'), 1);
+});
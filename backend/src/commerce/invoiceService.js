@@ -0,0 +1,425 @@
+/**
+ * Invoice Service
+ * 
+ * Tenant-branded invoices for placed orders, rendered as HTML (for the
+ * browser or email) or plain text (for chat). Branding comes from the
+ * tenant config: displayName, logoUrl, brandColor and accentColor.
+ * 
+ * The invoice is built from what the order recorded at checkout, never
+ * from today's catalog, so it always matches what the shopper paid.
+ */
+
+const { findSessionOrder, getSessionOrders } = require('./orderService');
+const { selectOrderByReference } = require('./reorderService');
+const { getStatusLabel } = require('./orderLifecycle');
+const { getPaymentMethodLabel } = require('./paymentService');
+const { formatAddress } = require('./addressService');
+const { getLineLabel } = require('./productVariants');
+const { roundMoney, formatMoney } = require('./money');
+
+const DEFAULT_BRAND_COLOR = '#333333';
+const DEFAULT_ACCENT_COLOR = '#FFFFFF';
+
+// Shopper-facing payment states
+const PAYMENT_STATUS_LABELS = {
+  succeeded: 'Paid',
+  pending: 'Awaiting payment',
+  failed: 'Payment failed'
+};
+
+const INVOICE_FORMATS = new Set(['html', 'text']);
+
+/**
+ * Build the invoice path for an order
+ * 
+ * @param {string} tenantId - Tenant ID
+ * @param {string} orderId - Order ID
+ * @param {string} [sessionId] - Session that placed the order
+ * @param {string} [format] - html | text
+ * @returns {string} Path relative to the API root
+ */
+function getInvoicePath(tenantId, orderId, sessionId = null, format = 'html') {
+  const params = new URLSearchParams({ format });
+  if (sessionId) params.set('session', sessionId);
+  return `/orders/${encodeURIComponent(tenantId)}/${encodeURIComponent(orderId)}/invoice?${params}`;
+}
+
+/**
+ * Describe how an order was paid
+ * 
+ * Cash on delivery counts as paid once the order is delivered.
+ * 
+ * @param {Object} order - Order
+ * @returns {Object} { method, label, status, refunded }
+ */
+function describePayment(order) {
+  const payment = order.payment || {};
+  const method = payment.method || order.paymentMethod || null;
+  const refunded = roundMoney((payment.refunds || []).reduce((sum, r) => sum + r.amount, 0));
+
+  let status = PAYMENT_STATUS_LABELS[payment.status] || null;
+  if (method === 'COD' && payment.status !== 'failed') {
+    status = order.status === 'DELIVERED' ? 'Paid' : 'Due on delivery';
+  }
+
+  return {
+    method,
+    label: method ? getPaymentMethodLabel(method) : 'Not recorded',
+    status: refunded > 0 ? `Refunded ${formatMoney(refunded, order.summary)}` : status,
+    refunded
+  };
+}
+
+/**
+ * Build the invoice for an order
+ * 
+ * Orders placed before checkout recorded tax and shipping fall back to
+ * their item subtotals and leave those rows out.
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @param {Object} order - Order
+ * @returns {Object} Invoice data for the renderers
+ */
+function buildInvoice(tenantConfig, order) {
+  const summary = order.summary || {};
+  const money = { currency: summary.currency || order.currency, locale: summary.locale || tenantConfig?.locale };
+
+  const lines = (order.items || []).map(item => ({
+    productId: item.productId,
+    description: getLineLabel(item),
+    quantity: item.quantity || 1,
+    unitPrice: item.price,
+    amount: item.subtotal ?? roundMoney(item.price * (item.quantity || 1)),
+    bundleId: item.bundleId || null
+  }));
+
+  const subtotal = summary.subtotal ?? roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const discounts = (summary.discounts || order.discounts || []).map(d => ({
+    label: d.code ? `${d.label} (${d.code})` : d.label,
+    amount: d.amount
+  }));
+  const taxes = (summary.taxBreakdown || [])
+    .filter(t => t.amount > 0)
+    .map(t => ({ label: `${summary.taxLabel || 'Tax'} ${t.rate}%`, amount: t.amount }));
+
+  return {
+    invoiceNumber: `INV-${String(order.orderId).replace(/^ORD-/, '')}`,
+    orderId: order.orderId,
+    issuedAt: order.createdAt,
+    status: getStatusLabel(order.status),
+    seller: {
+      name: tenantConfig?.displayName || tenantConfig?.tenantId || 'Store',
+      logoUrl: tenantConfig?.logoUrl || null,
+      brandColor: tenantConfig?.brandColor || DEFAULT_BRAND_COLOR,
+      accentColor: tenantConfig?.accentColor || DEFAULT_ACCENT_COLOR
+    },
+    shipTo: order.shippingAddress || null,
+    billTo: order.billingAddress || order.shippingAddress || null,
+    lines,
+    subtotal,
+    discounts,
+    totalDiscount: summary.totalDiscount || 0,
+    taxes,
+    tax: summary.tax ?? null,
+    taxLabel: summary.taxLabel || 'Tax',
+    taxInclusive: summary.taxMode === 'inclusive',
+    shipping: summary.shipping ?? null,
+    total: summary.grandTotal ?? summary.totalAmount ?? subtotal,
+    payment: describePayment(order),
+    money
+  };
+}
+
+/**
+ * Format an invoice date ("May 11, 2024")
+ * 
+ * @param {string} isoDate - ISO timestamp
+ * @param {string} [locale] - BCP 47 locale
+ * @returns {string} Date
+ */
+function formatInvoiceDate(isoDate, locale) {
+  const date = new Date(isoDate);
+  if (Number.isNaN(date.getTime())) return String(isoDate || '');
+  return date.toLocaleDateString(locale || 'en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Build the totals rows shared by both formats
+ * 
+ * @param {Object} invoice - Invoice from buildInvoice
+ * @returns {Array<Object>} [{ label, value, strong }]
+ */
+function buildTotalRows(invoice) {
+  const { money } = invoice;
+  const rows = [{ label: 'Subtotal', value: formatMoney(invoice.subtotal, money) }];
+
+  for (const discount of invoice.discounts) {
+    rows.push({ label: discount.label, value: `-${formatMoney(discount.amount, money)}` });
+  }
+
+  const taxNote = invoice.taxInclusive ? ' (included)' : '';
+  if (invoice.taxes.length > 1) {
+    for (const tax of invoice.taxes) {
+      rows.push({ label: `${tax.label}${taxNote}`, value: formatMoney(tax.amount, money) });
+    }
+  } else if (invoice.tax !== null) {
+    const label = invoice.taxes[0]?.label || invoice.taxLabel;
+    rows.push({ label: `${label}${taxNote}`, value: formatMoney(invoice.tax, money) });
+  }
+
+  if (invoice.shipping !== null) {
+    rows.push({ label: 'Shipping', value: invoice.shipping > 0 ? formatMoney(invoice.shipping, money) : 'Free' });
+  }
+  rows.push({ label: 'Total', value: formatMoney(invoice.total, money), strong: true });
+  return rows;
+}
+
+/**
+ * Render an invoice as plain text
+ * 
+ * @param {Object} invoice - Invoice from buildInvoice
+ * @returns {string} Receipt text
+ */
+function renderInvoiceText(invoice) {
+  const { money } = invoice;
+  const width = 48;
+  const rule = '-'.repeat(width);
+  const row = (label, value) => {
+    const gap = Math.max(1, width - label.length - value.length);
+    return `${label}${' '.repeat(gap)}${value}`;
+  };
+
+  const out = [
+    invoice.seller.name.toUpperCase(),
+    `Invoice ${invoice.invoiceNumber}`,
+    `Order: ${invoice.orderId}`,
+    `Date: ${formatInvoiceDate(invoice.issuedAt, money.locale)}`,
+    `Status: ${invoice.status}`,
+    rule
+  ];
+
+  for (const line of invoice.lines) {
+    out.push(row(`${line.quantity} x ${line.description}`, formatMoney(line.amount, money)));
+    if (line.quantity > 1) out.push(`    @ ${formatMoney(line.unitPrice, money)} each`);
+  }
+
+  out.push(rule);
+  for (const total of buildTotalRows(invoice)) {
+    out.push(row(total.strong ? total.label.toUpperCase() : total.label, total.value));
+  }
+  out.push(rule);
+
+  out.push(`Payment: ${invoice.payment.label}${invoice.payment.status ? ` (${invoice.payment.status})` : ''}`);
+  if (invoice.billTo) out.push(`Bill to: ${formatAddress(invoice.billTo)}`);
+  if (invoice.shipTo) out.push(`Ship to: ${formatAddress(invoice.shipTo)}`);
+  out.push('', `Thank you for shopping with ${invoice.seller.name}!`);
+
+  return out.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * 
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+/**
+ * Keep only hex colors from config, so they are safe inside CSS
+ * 
+ * @param {string} color - Configured color
+ * @param {string} fallback - Color to use otherwise
+ * @returns {string} Hex color
+ */
+function safeColor(color, fallback) {
+  return /^#[0-9a-f]{3,8}$/i.test(String(color || '')) ? color : fallback;
+}
+
+/**
+ * Render an address block for the HTML invoice
+ * 
+ * @param {string} title - Block title
+ * @param {Object} address - Address
+ * @returns {string} HTML
+ */
+function renderAddressHtml(title, address) {
+  if (!address) return '';
+  const lines = formatAddress(address).split(', ').map(escapeHtml).join('<br>');
+  const phone = address.phone ? `<br>${escapeHtml(address.phone)}` : '';
+  return `<div class="address"><h3>${escapeHtml(title)}</h3><p>${lines}${phone}</p></div>`;
+}
+
+/**
+ * Render an invoice as a standalone HTML page
+ * 
+ * @param {Object} invoice - Invoice from buildInvoice
+ * @returns {string} HTML document
+ */
+function renderInvoiceHtml(invoice) {
+  const { money, seller } = invoice;
+  const brand = safeColor(seller.brandColor, DEFAULT_BRAND_COLOR);
+  const accent = safeColor(seller.accentColor, DEFAULT_ACCENT_COLOR);
+
+  const logo = seller.logoUrl && /^https?:\/\//i.test(seller.logoUrl)
+    ? `<img class="logo" src="${escapeHtml(seller.logoUrl)}" alt="${escapeHtml(seller.name)}">`
+    : '';
+
+  const itemRows = invoice.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${escapeHtml(formatMoney(line.unitPrice, money))}</td>
+          <td class="num">${escapeHtml(formatMoney(line.amount, money))}</td>
+        </tr>`).join('');
+
+  const totalRows = buildTotalRows(invoice).map(total => `
+        <tr${total.strong ? ' class="grand"' : ''}>
+          <td colspan="3">${escapeHtml(total.label)}</td>
+          <td class="num">${escapeHtml(total.value)}</td>
+        </tr>`).join('');
+
+  const payment = `${escapeHtml(invoice.payment.label)}${invoice.payment.status ? ` &middot; ${escapeHtml(invoice.payment.status)}` : ''}`;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(money.locale || 'en')}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(seller.name)} - Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #222; margin: 0; background: #f5f5f5; }
+    .invoice { max-width: 720px; margin: 24px auto; background: #fff; border-top: 6px solid ${brand}; padding: 32px; }
+    header { display: flex; justify-content: space-between; align-items: center; }
+    header h1 { margin: 0; color: ${brand}; font-size: 24px; }
+    .logo { max-height: 48px; margin-right: 12px; vertical-align: middle; }
+    .meta { text-align: right; font-size: 14px; line-height: 1.5; }
+    .addresses { display: flex; gap: 32px; margin: 24px 0; }
+    .address h3 { margin: 0 0 4px; font-size: 13px; text-transform: uppercase; color: #666; }
+    .address p { margin: 0; font-size: 14px; line-height: 1.5; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th { background: ${brand}; color: ${accent}; text-align: left; padding: 8px; }
+    td { padding: 8px; border-bottom: 1px solid #eee; }
+    .num { text-align: right; white-space: nowrap; }
+    .grand td { font-weight: bold; font-size: 16px; border-top: 2px solid ${brand}; }
+    .payment { margin-top: 24px; font-size: 14px; }
+    footer { margin-top: 32px; font-size: 13px; color: #666; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="invoice">
+    <header>
+      <div>${logo}<h1 style="display:inline-block">${escapeHtml(seller.name)}</h1></div>
+      <div class="meta">
+        <strong>Invoice ${escapeHtml(invoice.invoiceNumber)}</strong><br>
+        Order ${escapeHtml(invoice.orderId)}<br>
+        ${escapeHtml(formatInvoiceDate(invoice.issuedAt, money.locale))}<br>
+        ${escapeHtml(invoice.status)}
+      </div>
+    </header>
+    <div class="addresses">
+      ${renderAddressHtml('Bill to', invoice.billTo)}
+      ${renderAddressHtml('Ship to', invoice.shipTo)}
+    </div>
+    <table>
+      <thead>
+        <tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+      </thead>
+      <tbody>${itemRows}
+      </tbody>
+      <tfoot>${totalRows}
+      </tfoot>
+    </table>
+    <p class="payment"><strong>Payment:</strong> ${payment}</p>
+    <footer>Thank you for shopping with ${escapeHtml(seller.name)}!</footer>
+  </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Get the invoice for one of the session's orders
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session that placed the order
+ * @param {string} [options.orderId] - Order ID
+ * @param {string} [options.reference] - Ordinal reference when no orderId ("last", "second last", "first")
+ * @param {string} [options.format] - html | text (default text)
+ * @returns {Promise<Object>} Invoice result with the rendered document
+ */
+async function getInvoice({ tenantConfig, sessionId, orderId = null, reference = null, format = 'text' }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const outputFormat = INVOICE_FORMATS.has(format) ? format : 'text';
+
+  console.log(`[invoiceService] Invoice: tenant=${tenantId}, order=${orderId || reference || 'last'}, format=${outputFormat}`);
+
+  let order;
+  if (orderId) {
+    order = findSessionOrder(tenantId, sessionId, String(orderId).toUpperCase());
+    if (!order) return invoiceFailure(`Order ${orderId} not found.`);
+  } else {
+    const orders = getSessionOrders(tenantId, sessionId);
+    if (orders.length === 0) return invoiceFailure('You have no orders to get an invoice for.');
+
+    order = selectOrderByReference(orders, reference);
+    if (!order) {
+      return invoiceFailure(`I couldn't tell which order you mean. You have ${orders.length} order(s); the most recent is #${orders[0].orderId}.`);
+    }
+  }
+
+  if (order.status === 'PAYMENT_FAILED') {
+    return invoiceFailure(`Order ${order.orderId} was never paid, so there is no invoice for it.`, { orderId: order.orderId });
+  }
+
+  const invoice = buildInvoice(tenantConfig, order);
+  const document = outputFormat === 'html' ? renderInvoiceHtml(invoice) : renderInvoiceText(invoice);
+  const invoiceUrl = getInvoicePath(tenantId, order.orderId, sessionId);
+
+  return {
+    type: 'invoice',
+    success: true,
+    action: 'get_invoice',
+    message: `Here's the invoice for order #${order.orderId} (${formatMoney(invoice.total, invoice.money)}). You can open or print it here: ${invoiceUrl}`,
+    orderId: order.orderId,
+    invoiceNumber: invoice.invoiceNumber,
+    invoiceUrl,
+    textUrl: getInvoicePath(tenantId, order.orderId, sessionId, 'text'),
+    format: outputFormat,
+    document,
+    invoice
+  };
+}
+
+/**
+ * Build a failed invoice result
+ * 
+ * @param {string} message - Shopper-facing message
+ * @param {Object} [extra] - Extra fields
+ * @returns {Object} Result
+ */
+function invoiceFailure(message, extra = {}) {
+  return {
+    type: 'invoice',
+    success: false,
+    action: 'get_invoice',
+    message,
+    ...extra
+  };
+}
+
+module.exports = {
+  getInvoice,
+  buildInvoice,
+  renderInvoiceText,
+  renderInvoiceHtml,
+  getInvoicePath
+};
@@ -0,0 +1,148 @@
+/**
+ * Money
+ * 
+ * Currency-aware formatting and conversion for a tenant.
+ * 
+ * Tenant config shape:
+ * 
+ *   "currency": "USD",
+ *   "locale": "en-US",
+ *   "exchangeRates": {                // optional: value of 1 unit of the key currency
+ *     "INR": 0.012                    // in the tenant currency
+ *   }
+ * 
+ * Carts are single-currency: products priced in another currency are
+ * converted with exchangeRates, and rejected when no rate is configured.
+ * 
+ * Formatting helpers accept any object with currency/locale, so a tenant
+ * config, a cart summary or an order summary can be passed directly.
+ */
+
+const DEFAULT_CURRENCY = 'USD';
+const DEFAULT_LOCALE = 'en-US';
+
+// Intl formatters by "locale|currency"
+const formatters = new Map();
+
+/**
+ * Round a money amount to 2 decimals
+ * 
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Get the currency code for a tenant config / summary
+ * 
+ * @param {Object} [config] - Object with a currency code
+ * @returns {string} ISO currency code
+ */
+function getCurrency(config) {
+  return String(config?.currency || DEFAULT_CURRENCY).toUpperCase();
+}
+
+/**
+ * Get the locale for a tenant config / summary
+ * 
+ * @param {Object} [config] - Object with a locale
+ * @returns {string} BCP 47 locale
+ */
+function getLocale(config) {
+  return config?.locale || DEFAULT_LOCALE;
+}
+
+/**
+ * Format an amount as money ("$1,234.50", "₹2,499.00")
+ * 
+ * @param {number} amount - Amount
+ * @param {Object} [config] - Tenant config or summary ({ currency, locale })
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount, config = null) {
+  const value = roundMoney(Number(amount) || 0);
+  const currency = getCurrency(config);
+  const locale = getLocale(config);
+  const key = `${locale}|${currency}`;
+
+  try {
+    if (!formatters.has(key)) {
+      formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+    }
+    return formatters.get(key).format(value);
+  } catch (error) {
+    console.warn(`[money] Cannot format ${currency} for locale ${locale}: ${error.message}`);
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Format a catalog product's price in its own currency
+ * 
+ * @param {Object} product - Catalog product
+ * @param {Object} [config] - Tenant config (locale and fallback currency)
+ * @returns {string} Formatted price
+ */
+function formatProductPrice(product, config = null) {
+  return formatMoney(product?.price, {
+    currency: product?.currency || getCurrency(config),
+    locale: getLocale(config)
+  });
+}
+
+/**
+ * Convert an amount into the tenant currency
+ * 
+ * @param {number} amount - Amount in fromCurrency
+ * @param {string} fromCurrency - Currency of the amount
+ * @param {Object} [config] - Tenant config with currency and exchangeRates
+ * @returns {number|null} Converted amount, or null if no rate is configured
+ */
+function convertAmount(amount, fromCurrency, config = null) {
+  const to = getCurrency(config);
+  const from = String(fromCurrency || to).toUpperCase();
+
+  if (from === to) return amount;
+
+  const rate = config?.exchangeRates?.[from];
+  if (typeof rate !== 'number' || rate <= 0) {
+    return null;
+  }
+  return roundMoney(amount * rate);
+}
+
+/**
+ * Price a catalog product in the tenant currency
+ * 
+ * @param {Object} product - Catalog product
+ * @param {Object} [config] - Tenant config
+ * @returns {Object|null} { price, currency, originalPrice, originalCurrency } or null if not convertible
+ */
+function priceInTenantCurrency(product, config = null) {
+  const currency = getCurrency(config);
+  const originalCurrency = String(product?.currency || currency).toUpperCase();
+  const price = convertAmount(product?.price, originalCurrency, config);
+
+  if (price === null) {
+    return null;
+  }
+
+  return {
+    price,
+    currency,
+    originalPrice: product?.price,
+    originalCurrency
+  };
+}
+
+module.exports = {
+  roundMoney,
+  formatMoney,
+  formatProductPrice,
+  convertAmount,
+  priceInTenantCurrency,
+  getCurrency,
+  getLocale
+};
@@ -0,0 +1,293 @@
+/**
+ * Order Cancellation Service
+ * 
+ * Cancels single items or quantities of an order that hasn't shipped
+ * ("cancel just the shoes"). The remaining lines are re-priced, the
+ * difference is refunded and every cancelled line is recorded on
+ * `order.cancellations`. Cancelling everything that is left cancels the
+ * whole order (see orderService.cancelOrder).
+ * 
+ * Re-pricing keeps the deals the order was placed with where the
+ * remaining lines still qualify for them; promotions that did not apply
+ * at checkout are never added, and expired ones are not taken away.
+ * Tax and shipping follow the tenant's current rules.
+ */
+
+const crypto = require('node:crypto');
+const { getProductIndex } = require('../utils/productLoader');
+const { loadPromotionsForTenant } = require('../utils/promotionLoader');
+const { buildCartSummary } = require('./cartService');
+const { cancelOrder, resolveOrderForRequest, getSessionOrders } = require('./orderService');
+const { canTransition, getStatusLabel, ORDER_STATUSES } = require('./orderLifecycle');
+const { restoreStock } = require('./inventoryService');
+const { refundPayment } = require('./paymentService');
+const { matchOrderItems } = require('./orderItems');
+const { getLineLabel } = require('./productVariants');
+const { roundMoney, formatMoney } = require('./money');
+
+/**
+ * Check whether an order's lines can still be cancelled
+ * 
+ * @param {Object} order - Order
+ * @returns {boolean} True before shipping, once payment went through
+ */
+function canCancelItems(order) {
+  return order.status !== ORDER_STATUSES.PAYMENT_PENDING && canTransition(order.status, ORDER_STATUSES.CANCELLED);
+}
+
+/**
+ * Pick the order a line cancellation is about
+ * 
+ * Without an order ID, this is the newest order of the session that
+ * contains the first named item and can still be changed (or, to explain
+ * why not, the newest order containing it).
+ * 
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant ID
+ * @param {string} options.sessionId - Session ID
+ * @param {string} [options.orderId] - Order ID
+ * @param {Object} options.selector - First item selector
+ * @param {Object} [options.admin] - Admin context { actor, reason }
+ * @returns {Object|null} Order or null
+ */
+function findOrderForCancellation({ tenantId, sessionId, orderId, selector, admin }) {
+  if (orderId) {
+    return resolveOrderForRequest({ tenantId, sessionId, orderId, admin, operation: 'cancel_items' });
+  }
+
+  const withItem = getSessionOrders(tenantId, sessionId)
+    .filter(order => matchOrderItems(order, selector).length > 0);
+  return withItem.find(canCancelItems) || withItem[0] || null;
+}
+
+/**
+ * Re-price the remaining lines of an order
+ * 
+ * Lines of orders placed before order items kept their category and
+ * weight take them from the catalog.
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @param {Object} order - Order with its remaining lines
+ * @returns {Promise<Object>} Summary (see cartService.buildCartSummary)
+ */
+async function repriceOrder(tenantConfig, order) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+
+  const needsCatalog = order.items.some(item => !item.category);
+  const productMap = needsCatalog ? await getProductIndex(tenantId) : new Map();
+
+  const cart = {
+    items: order.items.map(item => ({
+      productId: item.productId,
+      variant: item.variant || null,
+      variantKey: item.variantKey || null,
+      quantity: item.quantity,
+      bundleId: item.bundleId || null,
+      productSnapshot: {
+        id: item.productId,
+        name: item.name,
+        price: item.price,
+        category: item.category || productMap.get(item.productId)?.category,
+        weight: item.weight ?? productMap.get(item.productId)?.weight
+      }
+    })),
+    couponCode: order.couponCode || null,
+    bundles: order.bundles || []
+  };
+
+  const appliedIds = new Set((order.summary?.discounts || order.discounts || []).map(d => d.promotionId));
+  const promotions = (await loadPromotionsForTenant(tenantId))
+    .filter(promotion => appliedIds.has(promotion.id))
+    .map(promotion => ({ ...promotion, active: true, validFrom: null, validUntil: null }));
+
+  const summary = buildCartSummary(cart, promotions, tenantConfig);
+  return {
+    ...summary,
+    currency: order.summary?.currency || summary.currency,
+    locale: order.summary?.locale || summary.locale
+  };
+}
+
+/**
+ * Explain how the re-priced order differs beyond the cancelled lines
+ * 
+ * @param {Object} before - Summary before the cancellation
+ * @param {Object} after - Summary after the cancellation
+ * @returns {string} Notes for the shopper, or ''
+ */
+function describeRepricing(before, after) {
+  const notes = [];
+  const kept = new Set((after.discounts || []).map(d => d.promotionId));
+  const lost = (before.discounts || []).filter(d => !kept.has(d.promotionId)).map(d => d.label);
+
+  if (lost.length > 0) {
+    notes.push(`The remaining items no longer qualify for: ${lost.join(', ')}.`);
+  }
+  if ((after.shipping || 0) > (before.shipping || 0)) {
+    notes.push(`Shipping is now ${formatMoney(after.shipping, after)}.`);
+  }
+  return notes.join(' ');
+}
+
+/**
+ * Build a failed cancellation result
+ * 
+ * @param {string} message - Shopper-facing message
+ * @param {Object} [extra] - Extra fields
+ * @returns {Object} Result
+ */
+function cancellationFailure(message, extra = {}) {
+  return {
+    type: 'order_update',
+    success: false,
+    action: 'cancel_order',
+    message,
+    order: null,
+    ...extra
+  };
+}
+
+/**
+ * Cancel some items (or units) of an order that hasn't shipped
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session that placed the order
+ * @param {string} [options.orderId] - Order ID (defaults to the newest order with the first item)
+ * @param {Array<Object>} options.items - [{ productId | productName, size, color, quantity }]; quantity defaults to all units
+ * @param {string} [options.reason] - Cancellation reason
+ * @param {Object} [options.admin] - Support staff context { actor, reason } to change any order (audited)
+ * @returns {Promise<Object>} Order update result with the cancellation record
+ */
+async function cancelOrderItems({ tenantConfig, sessionId, orderId = null, items = [], reason = null, admin = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const selectors = (items || []).filter(item => item?.productId || item?.productName);
+
+  console.log(`[orderCancellationService] Cancel items: tenant=${tenantId}, order=${orderId || 'latest'}, items=${selectors.map(s => s.productId || s.productName).join(', ')}${admin ? ' (admin)' : ''}`);
+
+  if (selectors.length === 0) {
+    return cancellationFailure('Which items would you like to cancel?');
+  }
+
+  const order = findOrderForCancellation({ tenantId, sessionId, orderId, selector: selectors[0], admin: admin && { reason, ...admin } });
+  if (!order) {
+    return cancellationFailure(orderId
+      ? `Order ${orderId} not found.`
+      : `I couldn't find ${selectors[0].productName || selectors[0].productId} in your orders.`);
+  }
+
+  if (order.status === ORDER_STATUSES.PAYMENT_PENDING) {
+    return cancellationFailure(`Order ${order.orderId} is still waiting for payment, so single items can't be cancelled yet. You can cancel the whole order, or cancel items once the payment goes through.`, { order });
+  }
+  if (!canCancelItems(order)) {
+    return cancellationFailure(`Items of order ${order.orderId} can't be cancelled because it is ${getStatusLabel(order.status).toLowerCase()}.${order.status === ORDER_STATUSES.DELIVERED ? ' You can request a return instead.' : ''}`, { order });
+  }
+
+  // Units to cancel per order line
+  const plan = new Map();
+  for (const selector of selectors) {
+    const label = selector.productName || selector.productId;
+    const lines = matchOrderItems(order, selector);
+
+    if (lines.length === 0) {
+      return cancellationFailure(`${label} isn't part of order ${order.orderId}. It contains: ${order.items.map(getLineLabel).join(', ')}.`, { order });
+    }
+    if (lines.length > 1) {
+      return cancellationFailure(`Order ${order.orderId} has more than one matching item: ${lines.map(getLineLabel).join(', ')}. Which one would you like to cancel?`, { order });
+    }
+
+    const line = lines[0];
+    const available = line.quantity - (plan.get(line) || 0);
+    const requested = selector.quantity === undefined || selector.quantity === null
+      ? available
+      : Number.parseInt(selector.quantity, 10);
+
+    if (!Number.isInteger(requested) || requested <= 0) {
+      return cancellationFailure('Please tell me how many you would like to cancel.', { order });
+    }
+    if (requested > available) {
+      return cancellationFailure(`Order ${order.orderId} only has ${available} of ${getLineLabel(line)} left to cancel.`, { order });
+    }
+    plan.set(line, (plan.get(line) || 0) + requested);
+  }
+
+  // Nothing would be left: cancel the order itself
+  const remainingUnits = order.items.reduce((sum, line) => sum + line.quantity - (plan.get(line) || 0), 0);
+  if (remainingUnits === 0) {
+    return cancelOrder({ tenantConfig, sessionId, orderId: order.orderId, reason, admin });
+  }
+
+  const before = order.summary || {};
+  const previousTotal = before.grandTotal ?? before.totalAmount;
+  const cancelledLines = [];
+
+  for (const [line, units] of plan) {
+    line.quantity -= units;
+    line.cancelledQuantity = (line.cancelledQuantity || 0) + units;
+    line.subtotal = roundMoney(line.price * line.quantity);
+
+    cancelledLines.push({
+      productId: line.productId,
+      variant: line.variant || null,
+      variantKey: line.variantKey || null,
+      name: line.name,
+      price: line.price,
+      quantity: units,
+      amount: roundMoney(line.price * units)
+    });
+  }
+  order.items = order.items.filter(line => line.quantity > 0);
+
+  const summary = await repriceOrder(tenantConfig, order);
+  order.summary = summary;
+  order.discounts = summary.discounts;
+
+  await restoreStock({ tenantId, items: cancelledLines });
+
+  const refundAmount = roundMoney(Math.max(0, previousTotal - summary.grandTotal));
+  const refund = refundAmount > 0
+    ? await refundPayment({ tenantConfig, order, amount: refundAmount, reason: reason || 'Items cancelled' })
+    : null;
+
+  const now = new Date().toISOString();
+  const cancellation = {
+    cancellationId: `CXL-${Date.now()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`,
+    items: cancelledLines,
+    reason: reason || 'User requested cancellation',
+    actor: admin ? (admin.actor || 'admin') : 'customer',
+    previousTotal,
+    total: summary.grandTotal,
+    refund: refund ? { refundId: refund.refundId, amount: refund.amount } : null,
+    createdAt: now
+  };
+  order.cancellations = [...(order.cancellations || []), cancellation];
+  order.updatedAt = now;
+
+  console.log(`[orderCancellationService] ${cancellation.cancellationId}: ${cancelledLines.length} line(s) of ${order.orderId}, total ${previousTotal} -> ${summary.grandTotal}`);
+
+  const itemText = cancelledLines.map(entry => `${getLineLabel(entry)} (x${entry.quantity})`).join(', ');
+  const parts = [
+    `Cancelled ${itemText} from order ${order.orderId}.`,
+    `New order total: ${formatMoney(summary.grandTotal, summary)} (was ${formatMoney(previousTotal, summary)}).`,
+    describeRepricing(before, summary)
+  ];
+  if (refund) {
+    parts.push(`A refund of ${formatMoney(refund.amount, summary)} is on its way to your original payment method.`);
+  } else if (order.paymentMethod === 'COD') {
+    parts.push(`You'll pay ${formatMoney(summary.grandTotal, summary)} on delivery.`);
+  }
+
+  return {
+    type: 'order_update',
+    success: true,
+    action: 'cancel_order',
+    message: parts.filter(Boolean).join(' '),
+    order,
+    cancellation,
+    partial: true
+  };
+}
+
+module.exports = {
+  cancelOrderItems
+};
@@ -0,0 +1,97 @@
+/**
+ * Order Cancellation Service tests: cancelling items of an order
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tenantConfig = require('../config/tenants/client1.json');
+const { addToCart, checkoutCart } = require('./cartService');
+const { advanceOrderStatus } = require('./orderService');
+const { cancelOrderItems } = require('./orderCancellationService');
+
+const shippingAddress = { name: 'Jane Doe', line1: '12 Main St', city: 'Springfield', state: 'IL', postalCode: '62704', country: 'US' };
+
+let sessionCount = 0;
+
+/**
+ * Place a card-paid order for two backpacks and a T-shirt
+ * 
+ * @returns {Promise<Object>} { sessionId, order }
+ */
+async function placeOrder() {
+  const sessionId = `cancel-test-${process.pid}-${++sessionCount}`;
+  await addToCart({ tenantConfig, sessionId, productId: 'p003', quantity: 2, color: 'black' });
+  await addToCart({ tenantConfig, sessionId, productId: 'p011', quantity: 1, size: 'M', color: 'white' });
+
+  const result = await checkoutCart({ tenantConfig, sessionId, paymentMethod: 'CARD', shippingAddress });
+  assert.equal(result.success, true, result.message);
+  return { sessionId, order: result.order };
+}
+
+test('cancelling some units re-prices the order and refunds the difference', async () => {
+  const { sessionId, order } = await placeOrder();
+  const previousTotal = order.summary.grandTotal;
+
+  const result = await cancelOrderItems({ tenantConfig, sessionId, items: [{ productName: 'backpack', quantity: 1 }] });
+
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.partial, true);
+  assert.equal(order.status, 'CONFIRMED');
+  assert.deepEqual(order.items.map(line => [line.productId, line.quantity]), [['p003', 1], ['p011', 1]]);
+  assert.equal(order.items[0].cancelledQuantity, 1);
+  assert.deepEqual(result.cancellation.items.map(line => [line.productId, line.quantity, line.amount]), [['p003', 1, 79.99]]);
+  assert.equal(result.cancellation.previousTotal, previousTotal);
+  assert.ok(order.summary.grandTotal < previousTotal);
+  assert.equal(result.cancellation.refund.amount, Math.round((previousTotal - order.summary.grandTotal) * 100) / 100);
+  assert.deepEqual(order.cancellations, [result.cancellation]);
+});
+
+test('cancelling every remaining unit cancels the whole order', async () => {
+  const { sessionId, order } = await placeOrder();
+
+  const result = await cancelOrderItems({ tenantConfig, sessionId, orderId: order.orderId, items: [{ productId: 'p003' }, { productId: 'p011' }] });
+
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.partial, undefined);
+  assert.equal(order.status, 'CANCELLED');
+});
+
+test('items that are not in the order, or not that many, are not cancelled', async () => {
+  const { sessionId, order } = await placeOrder();
+
+  const missing = await cancelOrderItems({ tenantConfig, sessionId, orderId: order.orderId, items: [{ productName: 'running shoes' }] });
+  const tooMany = await cancelOrderItems({ tenantConfig, sessionId, orderId: order.orderId, items: [{ productId: 'p003', quantity: 3 }] });
+  const none = await cancelOrderItems({ tenantConfig, sessionId, orderId: order.orderId, items: [] });
+
+  assert.equal(missing.success, false);
+  assert.match(missing.message, /isn't part of order/);
+  assert.equal(tooMany.success, false);
+  assert.match(tooMany.message, /only has 2 of .* left to cancel/);
+  assert.equal(none.message, 'Which items would you like to cancel?');
+  assert.deepEqual(order.items.map(line => line.quantity), [2, 1]);
+  assert.equal(order.cancellations, undefined);
+});
+
+test('items of a shipped order are not cancelled', async () => {
+  const { sessionId, order } = await placeOrder();
+  for (let i = 0; i < 2; i++) {
+    await advanceOrderStatus({ tenantConfig, orderId: order.orderId });
+  }
+
+  const result = await cancelOrderItems({ tenantConfig, sessionId, orderId: order.orderId, items: [{ productId: 'p011' }] });
+
+  assert.equal(order.status, 'SHIPPED');
+  assert.equal(result.success, false);
+  assert.match(result.message, /can't be cancelled because it is shipped/);
+  assert.deepEqual(order.items.map(line => line.quantity), [2, 1]);
+});
+
+test('orders of another session are not found', async () => {
+  const { order } = await placeOrder();
+
+  const result = await cancelOrderItems({ tenantConfig, sessionId: 'someone-else', orderId: order.orderId, items: [{ productId: 'p011' }] });
+
+  assert.equal(result.success, false);
+  assert.equal(result.message, `Order ${order.orderId} not found.`);
+  assert.equal(order.items.length, 2);
+});
@@ -0,0 +1,65 @@
+/**
+ * Order Items
+ * 
+ * Finding the order lines a shopper refers to by name, ID or variant
+ * ("the chinos", "one of the t-shirts in medium"). Shared by returns and
+ * line-item cancellations.
+ */
+
+const { matchesSelection } = require('./productVariants');
+
+// Words that don't identify an order line ("the chinos" -> "chinos")
+const ITEM_STOPWORDS = new Set(['the', 'my', 'a', 'an', 'pair', 'of', 'one', 'item', 'items', 'from', 'order']);
+
+/**
+ * Split a product phrase into comparable words ("the chinos" -> ["chino"])
+ * 
+ * @param {string} text - Product phrase or name
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !ITEM_STOPWORDS.has(word))
+    .map(word => (word.length > 3 ? word.replace(/e?s$/, '') : word));
+}
+
+/**
+ * Find the order lines a shopper is referring to
+ * 
+ * @param {Object} order - Order
+ * @param {Object} selector - { productId, productName, size, color }
+ * @returns {Array<Object>} Matching order lines (best matches only)
+ */
+function matchOrderItems(order, { productId, productName, size, color }) {
+  const items = order.items || [];
+  const selection = { size, color };
+
+  if (productId) {
+    return items.filter(item => item.productId === productId && matchesSelection(item.variant, selection));
+  }
+
+  const wanted = tokenize(productName);
+  if (wanted.length === 0) return [];
+
+  let best = [];
+  let bestScore = 0;
+  for (const item of items) {
+    if (!matchesSelection(item.variant, selection)) continue;
+    const nameWords = new Set(tokenize(item.name));
+    const score = wanted.filter(word => nameWords.has(word)).length;
+    if (score > bestScore) {
+      best = [item];
+      bestScore = score;
+    } else if (score > 0 && score === bestScore) {
+      best.push(item);
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  matchOrderItems,
+  tokenize
+};
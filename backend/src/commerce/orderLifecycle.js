@@ -0,0 +1,245 @@
+/**
+ * Order Lifecycle
+ * 
+ * Order status state machine and status history.
+ * 
+ *   PAYMENT_PENDING → CONFIRMED → PACKED → SHIPPED → OUT_FOR_DELIVERY → DELIVERED
+ *         ↓
+ *   PAYMENT_FAILED
+ * 
+ * Orders wait in PAYMENT_PENDING until the payment adapter reports a
+ * result. Unpaid, CONFIRMED and PACKED orders can be CANCELLED; DELIVERED
+ * orders can be RETURNED. CANCELLED and RETURNED are final.
+ * 
+ * Every transition is appended to `order.statusHistory` as
+ * { status, at, note, actor } so the full timeline can be shown.
+ */
+
+const ORDER_STATUSES = {
+  PAYMENT_PENDING: 'PAYMENT_PENDING',
+  PAYMENT_FAILED: 'PAYMENT_FAILED',
+  CONFIRMED: 'CONFIRMED',
+  PACKED: 'PACKED',
+  SHIPPED: 'SHIPPED',
+  OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
+  DELIVERED: 'DELIVERED',
+  CANCELLED: 'CANCELLED',
+  RETURNED: 'RETURNED'
+};
+
+// Happy path, in order
+const FULFILMENT_FLOW = [
+  ORDER_STATUSES.CONFIRMED,
+  ORDER_STATUSES.PACKED,
+  ORDER_STATUSES.SHIPPED,
+  ORDER_STATUSES.OUT_FOR_DELIVERY,
+  ORDER_STATUSES.DELIVERED
+];
+
+// Allowed transitions: from -> [to]
+const TRANSITIONS = {
+  PAYMENT_PENDING: ['CONFIRMED', 'PAYMENT_FAILED', 'CANCELLED'],
+  PAYMENT_FAILED: ['CANCELLED'],
+  CONFIRMED: ['PACKED', 'CANCELLED'],
+  PACKED: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['OUT_FOR_DELIVERY'],
+  OUT_FOR_DELIVERY: ['DELIVERED'],
+  DELIVERED: ['RETURNED'],
+  CANCELLED: [],
+  RETURNED: []
+};
+
+// Shopper-facing wording for each status
+const STATUS_LABELS = {
+  PAYMENT_PENDING: 'Awaiting payment',
+  PAYMENT_FAILED: 'Payment failed',
+  CONFIRMED: 'Confirmed',
+  PACKED: 'Packed',
+  SHIPPED: 'Shipped',
+  OUT_FOR_DELIVERY: 'Out for delivery',
+  DELIVERED: 'Delivered',
+  CANCELLED: 'Cancelled',
+  RETURNED: 'Returned'
+};
+
+// What happens next, keyed by current status
+const NEXT_STEPS = {
+  PAYMENT_PENDING: 'We\'re waiting for your payment to go through. The order will be confirmed as soon as it does.',
+  PAYMENT_FAILED: 'The payment didn\'t go through and nothing was charged. Check out again to retry, or choose another payment method.',
+  CONFIRMED: 'Your order will be packed soon. You can still cancel it until it ships.',
+  PACKED: 'Your order is packed and will be handed to the courier next. You can still cancel it until it ships.',
+  SHIPPED: 'Your order is on its way and will be out for delivery soon.',
+  OUT_FOR_DELIVERY: 'Your order will be delivered today.',
+  DELIVERED: 'Your order has been delivered. You can request a return if something isn\'t right.',
+  CANCELLED: 'This order was cancelled. No further updates are expected.',
+  RETURNED: 'This order was returned. No further updates are expected.'
+};
+
+// Statuses used by orders stored before the state machine existed
+const LEGACY_STATUSES = {
+  PROCESSING: ORDER_STATUSES.CONFIRMED,
+  PLACED: ORDER_STATUSES.CONFIRMED
+};
+
+/**
+ * Normalize a status value ("out for delivery" -> "OUT_FOR_DELIVERY")
+ * 
+ * @param {string} status - Status as given by a caller or stored on an order
+ * @returns {string|null} Known status or null
+ */
+function normalizeStatus(status) {
+  if (!status) return null;
+  const key = String(status).trim().toUpperCase().replaceAll(/[\s-]+/g, '_');
+  if (ORDER_STATUSES[key]) return key;
+  return LEGACY_STATUSES[key] || null;
+}
+
+/**
+ * Check whether an order may move from one status to another
+ * 
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  const current = normalizeStatus(from);
+  const target = normalizeStatus(to);
+  if (!current || !target) return false;
+  return TRANSITIONS[current].includes(target);
+}
+
+/**
+ * Get the next status on the fulfilment path
+ * 
+ * @param {string} status - Current status
+ * @returns {string|null} Next status, or null for final statuses
+ */
+function getNextStatus(status) {
+  const current = normalizeStatus(status);
+  const index = FULFILMENT_FLOW.indexOf(current);
+  if (index === -1 || index === FULFILMENT_FLOW.length - 1) return null;
+  return FULFILMENT_FLOW[index + 1];
+}
+
+/**
+ * Make sure an order has a status history
+ * 
+ * Orders created before status history was tracked get a single entry
+ * for their current status, dated at order creation.
+ * 
+ * @param {Object} order - Order (mutated)
+ * @returns {Object} The same order
+ */
+function ensureStatusHistory(order) {
+  const status = normalizeStatus(order.status) || ORDER_STATUSES.CONFIRMED;
+  order.status = status;
+
+  if (!Array.isArray(order.statusHistory) || order.statusHistory.length === 0) {
+    order.statusHistory = [{
+      status,
+      at: order.createdAt || new Date().toISOString(),
+      note: null,
+      actor: 'system'
+    }];
+  }
+  return order;
+}
+
+/**
+ * Move an order to a new status, recording it in the history
+ * 
+ * @param {Object} order - Order (mutated)
+ * @param {string} status - Target status
+ * @param {Object} [options]
+ * @param {string} [options.note] - Reason or tracking note
+ * @param {string} [options.actor] - Who made the change (customer, admin, system)
+ * @returns {Object} { success, from, to, message }
+ */
+function transitionOrder(order, status, { note = null, actor = 'system' } = {}) {
+  ensureStatusHistory(order);
+
+  const from = order.status;
+  const to = normalizeStatus(status);
+
+  if (!to) {
+    return {
+      success: false,
+      from,
+      to: null,
+      message: `Unknown order status "${status}". Valid statuses: ${Object.keys(ORDER_STATUSES).join(', ')}.`
+    };
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = TRANSITIONS[from];
+    return {
+      success: false,
+      from,
+      to,
+      message: allowed.length > 0
+        ? `Order ${order.orderId} can't move from ${from} to ${to}. Allowed next: ${allowed.join(', ')}.`
+        : `Order ${order.orderId} is ${from} and can't change status anymore.`
+    };
+  }
+
+  const at = new Date().toISOString();
+  order.status = to;
+  order.updatedAt = at;
+  order.statusHistory.push({ status: to, at, note, actor });
+
+  return { success: true, from, to, message: `Order ${order.orderId} moved from ${from} to ${to}.` };
+}
+
+/**
+ * Build a shopper-facing timeline for an order
+ * 
+ * @param {Object} order - Order
+ * @returns {Array<Object>} [{ status, label, at, note }]
+ */
+function buildTimeline(order) {
+  ensureStatusHistory(order);
+  return order.statusHistory.map(entry => ({
+    status: entry.status,
+    label: STATUS_LABELS[entry.status] || entry.status,
+    at: entry.at,
+    note: entry.note || null
+  }));
+}
+
+/**
+ * Describe the expected next step for an order
+ * 
+ * @param {Object} order - Order
+ * @returns {Object} { nextStatus, message }
+ */
+function describeNextStep(order) {
+  const status = normalizeStatus(order.status) || ORDER_STATUSES.CONFIRMED;
+  return {
+    nextStatus: getNextStatus(status),
+    message: NEXT_STEPS[status]
+  };
+}
+
+/**
+ * Get the shopper-facing label for a status
+ * 
+ * @param {string} status - Status
+ * @returns {string} Label ("Out for delivery")
+ */
+function getStatusLabel(status) {
+  const normalized = normalizeStatus(status);
+  return STATUS_LABELS[normalized] || String(status);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  normalizeStatus,
+  canTransition,
+  getNextStatus,
+  ensureStatusHistory,
+  transitionOrder,
+  buildTimeline,
+  describeNextStep,
+  getStatusLabel
+};
@@ -0,0 +1,444 @@
+/**
+ * Order Query
+ * 
+ * Filtering, sorting and cursor pagination for order lists, plus a
+ * parser for the way shoppers ask about their orders in chat
+ * ("orders from last month that are still processing").
+ * 
+ * Filters (all optional):
+ * - status:    status codes or groups, array or comma-separated
+ *              (processing, in_transit, open, completed)
+ * - from / to: ISO dates; `to` is exclusive, a date-only `to` includes that day
+ * - product:   product ID or part of an item name
+ * - minAmount / maxAmount: order total range, in the order currency
+ * - sort:      newest (default) | oldest | amount_desc | amount_asc
+ * - limit:     page size (default 10, max 100)
+ * - cursor:    nextCursor from the previous page
+ * - query:     natural-language text, parsed into the filters above;
+ *              explicit filters win over parsed ones
+ * 
+ * Cursors are opaque keyset cursors: the sort key of the last order on the
+ * page. Orders placed while paging never shift a page or repeat an order.
+ * Relative dates use UTC calendar boundaries.
+ */
+
+const { ORDER_STATUSES, normalizeStatus, getStatusLabel } = require('./orderLifecycle');
+const { formatMoney } = require('./money');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shopper-facing groups of statuses
+const STATUS_GROUPS = {
+  processing: ['PAYMENT_PENDING', 'CONFIRMED', 'PACKED'],
+  in_transit: ['SHIPPED', 'OUT_FOR_DELIVERY'],
+  open: ['PAYMENT_PENDING', 'CONFIRMED', 'PACKED', 'SHIPPED', 'OUT_FOR_DELIVERY'],
+  completed: ['DELIVERED']
+};
+
+// How each status group reads in messages
+const GROUP_LABELS = {
+  processing: 'still processing',
+  in_transit: 'in transit',
+  open: 'not yet delivered',
+  completed: 'delivered'
+};
+
+// Sort orders, with the names callers may use for them
+const SORT_ALIASES = {
+  newest: 'newest', latest: 'newest', recent: 'newest', date_desc: 'newest',
+  oldest: 'oldest', earliest: 'oldest', date_asc: 'oldest',
+  amount_desc: 'amount_desc', highest: 'amount_desc', most_expensive: 'amount_desc',
+  amount_asc: 'amount_asc', lowest: 'amount_asc', cheapest: 'amount_asc'
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Status phrases in chat, most specific first
+const STATUS_PHRASES = [
+  { pattern: /\b(?:not\s+(?:yet\s+)?delivered|undelivered|open|active|outstanding)\b/, statuses: STATUS_GROUPS.open },
+  { pattern: /\b(?:processing|being\s+processed|in\s+progress|pending|not\s+(?:yet\s+)?shipped|unshipped)\b/, statuses: STATUS_GROUPS.processing },
+  { pattern: /\b(?:shipped|on\s+(?:the|its|their)\s+way|in\s+transit|out\s+for\s+delivery)\b/, statuses: STATUS_GROUPS.in_transit },
+  { pattern: /\bdelivered\b/, statuses: ['DELIVERED'] },
+  { pattern: /\bcancell?ed\b/, statuses: ['CANCELLED'] },
+  { pattern: /\breturned\b/, statuses: ['RETURNED'] },
+  { pattern: /\b(?:failed|declined)\b/, statuses: ['PAYMENT_FAILED'] }
+];
+
+/**
+ * Get the total an order is filtered and sorted by
+ * 
+ * @param {Object} order - Order
+ * @returns {number} Grand total
+ */
+function getOrderAmount(order) {
+  return Number(order.summary?.grandTotal ?? order.summary?.totalAmount ?? order.totalAmount) || 0;
+}
+
+/**
+ * Start of a UTC day
+ * 
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11, may overflow)
+ * @param {number} [day] - Day of month
+ * @returns {Date} Date at 00:00 UTC
+ */
+function utcDate(year, month, day = 1) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Parse a date filter value
+ * 
+ * @param {string|Date} value - ISO date or timestamp
+ * @param {boolean} [endOfRange] - Whether a date-only value should include the whole day
+ * @returns {Date|null} Date or null if invalid
+ */
+function parseDateFilter(value, endOfRange = false) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  const text = String(value).trim();
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return null;
+
+  // "2024-05-31" as an upper bound means "up to and including May 31"
+  return endOfRange && /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(date.getTime() + DAY_MS) : date;
+}
+
+/**
+ * Parse a date range out of chat text
+ * 
+ * @param {string} text - Lowercased message
+ * @param {Date} now - Current time
+ * @returns {Object|null} { from, to } Dates (to exclusive) or null
+ */
+function parseDateRange(text, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const today = utcDate(year, month, now.getUTCDate());
+
+  if (/\btoday\b/.test(text)) return { from: today, to: new Date(today.getTime() + DAY_MS) };
+  if (/\byesterday\b/.test(text)) return { from: new Date(today.getTime() - DAY_MS), to: today };
+
+  const relative = text.match(/\b(?:past|last|previous)\s+(\d+)\s+(day|week|month|year)s?\b/);
+  if (relative) {
+    const count = Number(relative[1]);
+    const unit = relative[2];
+    const from = unit === 'day' ? new Date(today.getTime() - (count - 1) * DAY_MS)
+      : unit === 'week' ? new Date(today.getTime() - (count * 7 - 1) * DAY_MS)
+        : unit === 'month' ? utcDate(year, month - count, now.getUTCDate())
+          : utcDate(year - count, month, now.getUTCDate());
+    return { from, to: null };
+  }
+
+  const period = text.match(/\b(this|last|previous|past)\s+(week|month|year)\b/);
+  if (period) {
+    const current = period[1] === 'this';
+    if (period[2] === 'week') {
+      // Weeks start on Monday
+      const monday = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+      return current
+        ? { from: monday, to: null }
+        : { from: new Date(monday.getTime() - 7 * DAY_MS), to: monday };
+    }
+    if (period[2] === 'month') {
+      return current
+        ? { from: utcDate(year, month), to: null }
+        : { from: utcDate(year, month - 1), to: utcDate(year, month) };
+    }
+    return current
+      ? { from: utcDate(year, 0), to: null }
+      : { from: utcDate(year - 1, 0), to: utcDate(year, 0) };
+  }
+
+  // "in March", "from May 2024", "since April": the most recent such month unless a year is given
+  const named = text.match(new RegExp(String.raw`\b(in|from|during|since)\s+(${MONTHS.join('|')}|${MONTHS.map(m => m.slice(0, 3)).join('|')})\b(?:\s+(\d{4}))?`));
+  if (named) {
+    const index = MONTHS.findIndex(m => m.startsWith(named[2]));
+    const namedYear = named[3] ? Number(named[3]) : (index > month ? year - 1 : year);
+    const from = utcDate(namedYear, index);
+    return { from, to: named[1] === 'since' ? null : utcDate(namedYear, index + 1) };
+  }
+
+  return null;
+}
+
+/**
+ * Turn a chat message about orders into filters
+ * 
+ * @param {string} text - Message ("orders from last month that are still processing")
+ * @param {Date} [now] - Current time (for testing)
+ * @returns {Object} Filters (see module docs); empty when nothing was recognized
+ */
+function parseOrderQuery(text, now = new Date()) {
+  const message = String(text || '').toLowerCase();
+  const filters = {};
+
+  const range = parseDateRange(message, now);
+  if (range) {
+    filters.from = range.from.toISOString();
+    if (range.to) filters.to = range.to.toISOString();
+  }
+
+  const status = STATUS_PHRASES.find(phrase => phrase.pattern.test(message));
+  if (status) filters.status = status.statuses;
+
+  const amount = String.raw`[^\d\s]{0,3}\s?(\d+(?:[.,]\d+)?)`;
+  const between = message.match(new RegExp(String.raw`\bbetween\s+${amount}\s+and\s+${amount}`));
+  if (between) {
+    filters.minAmount = Number(between[1].replace(',', ''));
+    filters.maxAmount = Number(between[2].replace(',', ''));
+  } else {
+    const over = message.match(new RegExp(String.raw`\b(?:over|above|more\s+than|at\s+least)\s+${amount}`));
+    const under = message.match(new RegExp(String.raw`\b(?:under|below|less\s+than|at\s+most|cheaper\s+than)\s+${amount}`));
+    if (over) filters.minAmount = Number(over[1].replace(',', ''));
+    if (under) filters.maxAmount = Number(under[1].replace(',', ''));
+  }
+
+  const product = message.match(/\b(?:with|containing|including|that\s+(?:had|included|contained))\s+(?:the\s+|a\s+|an\s+|my\s+|some\s+)?([a-z][a-z0-9 -]{1,40}?)(?=\s+(?:in|from|that|which|over|under|above|below|since|during|last|this|between|and)\b|[?.!,]|$)/);
+  if (product && !/^(?:status|a\s+total)\b/.test(product[1])) filters.product = product[1].trim();
+
+  if (/\b(?:oldest|earliest)\b/.test(message)) filters.sort = 'oldest';
+  else if (/\b(?:most\s+expensive|biggest|largest|highest)\b/.test(message)) filters.sort = 'amount_desc';
+  else if (/\b(?:cheapest|smallest|lowest|least\s+expensive)\b/.test(message)) filters.sort = 'amount_asc';
+
+  return filters;
+}
+
+/**
+ * Encode the position after an order as a cursor
+ * 
+ * @param {Object} order - Last order on the page
+ * @param {string} sort - Sort in use
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(order, sort) {
+  const key = { s: sort, id: order.orderId, t: order.createdAt };
+  if (sort.startsWith('amount')) key.a = getOrderAmount(order);
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * 
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { sort, orderId, createdAt, amount } or null if malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!key?.s || !key.id) return null;
+    return { sort: key.s, orderId: key.id, createdAt: key.t, amount: key.a };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compare two orders (or cursor keys) in a sort order
+ * 
+ * Ties are broken by order ID so every order has one fixed position.
+ * 
+ * @param {Object} a - Order
+ * @param {Object} b - Order
+ * @param {string} sort - newest | oldest | amount_desc | amount_asc
+ * @returns {number} Negative if a comes first
+ */
+function compareOrders(a, b, sort) {
+  const timeOf = o => new Date(o.createdAt).getTime() || 0;
+
+  let diff = 0;
+  if (sort === 'amount_desc') diff = getOrderAmount(b) - getOrderAmount(a);
+  else if (sort === 'amount_asc') diff = getOrderAmount(a) - getOrderAmount(b);
+
+  if (diff === 0) diff = sort === 'oldest' ? timeOf(a) - timeOf(b) : timeOf(b) - timeOf(a);
+  if (diff === 0) diff = String(a.orderId).localeCompare(String(b.orderId));
+  return diff;
+}
+
+/**
+ * Validate and normalize order filters
+ * 
+ * @param {Object} [input] - Filters as given by the caller (see module docs)
+ * @param {Date} [now] - Current time, for natural-language dates
+ * @returns {Object} { filters, errors }
+ */
+function normalizeOrderFilters(input = {}, now = new Date()) {
+  const given = Object.fromEntries(
+    Object.entries(input || {}).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const raw = { ...(given.query ? parseOrderQuery(given.query, now) : {}), ...given };
+  const filters = { sort: 'newest', limit: DEFAULT_PAGE_SIZE };
+  const errors = [];
+
+  if (raw.status) {
+    const values = Array.isArray(raw.status) ? raw.status : String(raw.status).split(',');
+    const statuses = new Set();
+    for (const value of values) {
+      const key = String(value).trim().toLowerCase().replaceAll(/[\s-]+/g, '_');
+      if (!key) continue;
+      const group = STATUS_GROUPS[key];
+      const status = group ? null : normalizeStatus(key);
+      if (group) group.forEach(s => statuses.add(s));
+      else if (status) statuses.add(status);
+      else errors.push(`Unknown status "${value}". Use one of ${[...Object.keys(STATUS_GROUPS), ...Object.keys(ORDER_STATUSES)].join(', ')}.`);
+    }
+    if (statuses.size > 0) filters.status = [...statuses];
+  }
+
+  for (const [field, endOfRange] of [['from', false], ['to', true]]) {
+    if (!raw[field]) continue;
+    const date = parseDateFilter(raw[field], endOfRange);
+    if (date) filters[field] = date.toISOString();
+    else errors.push(`"${raw[field]}" is not a valid ${field} date. Use an ISO date like 2024-05-31.`);
+  }
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    errors.push('The from date must be before the to date.');
+  }
+
+  if (raw.product) filters.product = String(raw.product).trim().toLowerCase();
+
+  for (const field of ['minAmount', 'maxAmount']) {
+    if (raw[field] === undefined) continue;
+    const value = Number(raw[field]);
+    if (Number.isFinite(value) && value >= 0) filters[field] = value;
+    else errors.push(`${field} must be a number of 0 or more.`);
+  }
+  if (filters.minAmount !== undefined && filters.maxAmount !== undefined && filters.minAmount > filters.maxAmount) {
+    errors.push('minAmount cannot be more than maxAmount.');
+  }
+
+  if (raw.sort) {
+    const sort = SORT_ALIASES[String(raw.sort).trim().toLowerCase().replaceAll(/[\s-]+/g, '_')];
+    if (sort) filters.sort = sort;
+    else errors.push(`Unknown sort "${raw.sort}". Use newest, oldest, amount_desc or amount_asc.`);
+  }
+
+  if (raw.limit !== undefined) {
+    const limit = Number.parseInt(raw.limit, 10);
+    if (limit >= 1) filters.limit = Math.min(limit, MAX_PAGE_SIZE);
+    else errors.push('limit must be a positive number.');
+  }
+
+  if (raw.cursor) {
+    const key = decodeCursor(raw.cursor);
+    if (!key) errors.push('The cursor is not valid. Start again from the first page.');
+    else if (key.sort !== filters.sort) errors.push('The cursor belongs to a different sort order. Start again from the first page.');
+    else filters.cursor = raw.cursor;
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Check whether an order matches the filters
+ * 
+ * @param {Object} order - Order
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean} True if it matches
+ */
+function matchesOrderFilters(order, filters) {
+  if (filters.status && !filters.status.includes(normalizeStatus(order.status))) return false;
+
+  const createdAt = new Date(order.createdAt).toISOString();
+  if (filters.from && createdAt < filters.from) return false;
+  if (filters.to && createdAt >= filters.to) return false;
+
+  const amount = getOrderAmount(order);
+  if (filters.minAmount !== undefined && amount < filters.minAmount) return false;
+  if (filters.maxAmount !== undefined && amount > filters.maxAmount) return false;
+
+  if (filters.product) {
+    const wanted = filters.product;
+    const found = (order.items || []).some(item =>
+      String(item.productId).toLowerCase() === wanted
+      || String(item.name || '').toLowerCase().includes(wanted));
+    if (!found) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Filter, sort and page a list of orders
+ * 
+ * @param {Array} orders - Orders
+ * @param {Object} filters - Normalized filters (see normalizeOrderFilters)
+ * @returns {Object} { orders, total, pageInfo: { limit, hasMore, nextCursor } }
+ */
+function queryOrders(orders, filters) {
+  const matching = orders
+    .filter(order => matchesOrderFilters(order, filters))
+    .sort((a, b) => compareOrders(a, b, filters.sort));
+
+  let start = 0;
+  if (filters.cursor) {
+    const key = decodeCursor(filters.cursor);
+    const after = { orderId: key.orderId, createdAt: key.createdAt, summary: { grandTotal: key.amount } };
+    start = matching.findIndex(order => compareOrders(order, after, filters.sort) > 0);
+    if (start === -1) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + filters.limit);
+  const hasMore = start + page.length < matching.length;
+
+  return {
+    orders: page,
+    total: matching.length,
+    pageInfo: {
+      limit: filters.limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page.at(-1), filters.sort) : null
+    }
+  };
+}
+
+/**
+ * Describe the active filters for messages
+ * 
+ * @param {Object} filters - Normalized filters
+ * @param {Object} [config] - Tenant config or summary ({ currency, locale })
+ * @returns {string} e.g. "placed Sep 1, 2026 – Sep 30, 2026, still processing, containing "jeans"", or ''
+ */
+function describeOrderFilters(filters, config = null) {
+  const parts = [];
+  const formatDate = iso => new Date(iso).toLocaleDateString(config?.locale || 'en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  if (filters.from && filters.to) {
+    parts.push(`placed ${formatDate(filters.from)} – ${formatDate(new Date(new Date(filters.to).getTime() - 1).toISOString())}`);
+  } else if (filters.from) {
+    parts.push(`placed since ${formatDate(filters.from)}`);
+  } else if (filters.to) {
+    parts.push(`placed before ${formatDate(filters.to)}`);
+  }
+
+  if (filters.status) {
+    const group = Object.entries(STATUS_GROUPS)
+      .find(([, statuses]) => statuses.length === filters.status.length && statuses.every(s => filters.status.includes(s)));
+    parts.push(group ? GROUP_LABELS[group[0]] : filters.status.map(s => getStatusLabel(s).toLowerCase()).join(' or '));
+  }
+
+  if (filters.product) parts.push(`containing "${filters.product}"`);
+
+  if (filters.minAmount !== undefined && filters.maxAmount !== undefined) {
+    parts.push(`totalling ${formatMoney(filters.minAmount, config)}–${formatMoney(filters.maxAmount, config)}`);
+  } else if (filters.minAmount !== undefined) {
+    parts.push(`over ${formatMoney(filters.minAmount, config)}`);
+  } else if (filters.maxAmount !== undefined) {
+    parts.push(`under ${formatMoney(filters.maxAmount, config)}`);
+  }
+
+  return parts.join(', ');
+}
+
+module.exports = {
+  normalizeOrderFilters,
+  parseOrderQuery,
+  queryOrders,
+  matchesOrderFilters,
+  describeOrderFilters,
+  STATUS_GROUPS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,129 @@
+/**
+ * Order Query tests: cursor pagination
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeOrderFilters, queryOrders } = require('./orderQuery');
+
+/**
+ * Build an order
+ * 
+ * @param {number} n - Order number (later orders are newer)
+ * @param {number} total - Grand total
+ * @returns {Object} Order
+ */
+function order(n, total = 10 * n) {
+  return {
+    orderId: `ORD-TEST-${String(n).padStart(3, '0')}`,
+    status: 'CONFIRMED',
+    createdAt: new Date(Date.UTC(2024, 4, 1, 12, n)).toISOString(),
+    items: [{ productId: 'p1', name: 'Tee', quantity: 1 }],
+    summary: { grandTotal: total, currency: 'USD' }
+  };
+}
+
+/**
+ * Encode a value the way cursors are encoded
+ * 
+ * @param {*} value - Cursor payload
+ * @returns {string} Cursor
+ */
+function cursorOf(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Page through orders, following nextCursor until the last page
+ * 
+ * @param {Array} orders - Orders
+ * @param {Object} input - Filters (without cursor)
+ * @returns {Array<Array<string>>} Order IDs per page
+ */
+function pageThrough(orders, input) {
+  const pages = [];
+  let cursor = null;
+
+  do {
+    const { filters, errors } = normalizeOrderFilters({ ...input, cursor });
+    assert.deepEqual(errors, []);
+    const result = queryOrders(orders, filters);
+    pages.push(result.orders.map(o => o.orderId));
+    cursor = result.pageInfo.nextCursor;
+  } while (cursor);
+
+  return pages;
+}
+
+test('cursors page through every order once, newest first', () => {
+  const orders = [1, 2, 3, 4, 5, 6, 7].map(n => order(n));
+
+  const pages = pageThrough(orders, { limit: 3 });
+
+  assert.deepEqual(pages, [
+    ['ORD-TEST-007', 'ORD-TEST-006', 'ORD-TEST-005'],
+    ['ORD-TEST-004', 'ORD-TEST-003', 'ORD-TEST-002'],
+    ['ORD-TEST-001']
+  ]);
+});
+
+test('amount cursors keep their position among equal totals', () => {
+  const orders = [order(1, 50), order(2, 20), order(3, 50), order(4, 50), order(5, 20)];
+
+  const pages = pageThrough(orders, { sort: 'amount_desc', limit: 2 });
+
+  assert.deepEqual(pages.flat(), ['ORD-TEST-004', 'ORD-TEST-003', 'ORD-TEST-001', 'ORD-TEST-005', 'ORD-TEST-002']);
+  assert.deepEqual(pages.map(page => page.length), [2, 2, 1]);
+});
+
+test('orders placed while paging do not shift the next page', () => {
+  const orders = [1, 2, 3, 4].map(n => order(n));
+  const { filters } = normalizeOrderFilters({ limit: 2 });
+  const first = queryOrders(orders, filters);
+
+  orders.push(order(9));
+  const next = queryOrders(orders, normalizeOrderFilters({ limit: 2, cursor: first.pageInfo.nextCursor }).filters);
+
+  assert.deepEqual(next.orders.map(o => o.orderId), ['ORD-TEST-002', 'ORD-TEST-001']);
+  assert.equal(next.pageInfo.hasMore, false);
+  assert.equal(next.pageInfo.nextCursor, null);
+});
+
+test('a cursor whose order was removed resumes after its position', () => {
+  const orders = [1, 2, 3, 4, 5].map(n => order(n));
+  const { filters } = normalizeOrderFilters({ limit: 2 });
+  const first = queryOrders(orders, filters);
+
+  const remaining = orders.filter(o => o.orderId !== 'ORD-TEST-004');
+  const next = queryOrders(remaining, normalizeOrderFilters({ limit: 2, cursor: first.pageInfo.nextCursor }).filters);
+
+  assert.deepEqual(next.orders.map(o => o.orderId), ['ORD-TEST-003', 'ORD-TEST-002']);
+});
+
+test('a cursor decodes to the sort key of the last order on the page', () => {
+  const { filters } = normalizeOrderFilters({ sort: 'amount_asc', limit: 1 });
+  const { pageInfo } = queryOrders([order(1, 30), order(2, 15)], filters);
+
+  const key = JSON.parse(Buffer.from(pageInfo.nextCursor, 'base64url').toString('utf8'));
+
+  assert.deepEqual(key, { s: 'amount_asc', id: 'ORD-TEST-002', t: order(2).createdAt, a: 15 });
+});
+
+test('malformed cursors are rejected', () => {
+  const malformed = ['not a cursor', cursorOf('ORD-TEST-001'), cursorOf(null), cursorOf([]), cursorOf({ s: 'newest' }), cursorOf({ id: 'ORD-TEST-001' })];
+
+  for (const cursor of malformed) {
+    const { filters, errors } = normalizeOrderFilters({ cursor });
+    assert.deepEqual(errors, ['The cursor is not valid. Start again from the first page.'], cursor);
+    assert.equal(filters.cursor, undefined);
+  }
+});
+
+test('a cursor from another sort order is rejected', () => {
+  const cursor = cursorOf({ s: 'oldest', id: 'ORD-TEST-001', t: order(1).createdAt });
+
+  const { filters, errors } = normalizeOrderFilters({ cursor });
+
+  assert.deepEqual(errors, ['The cursor belongs to a different sort order. Start again from the first page.']);
+  assert.equal(filters.cursor, undefined);
+});
@@ -3,8 +3,30 @@
  * 
  * Business logic for order management: view, track, cancel.
  * Uses in-memory storage for prototype.
+ * 
+ * A session's orders are evicted after ORDER_TTL_MINUTES without the
+ * shopper looking at them (default 90 days) or when the tenant goes over
+ * ORDER_MAX_PER_TENANT sessions; sessions with an order still in
+ * progress are kept (see utils/storeEviction).
  */
 
+const crypto = require('node:crypto');
+const { restoreStock } = require('./inventoryService');
+const { settlePayment, voidPayment, refundPayment, forgetOrderPayments } = require('./paymentService');
+const { logAudit } = require('../utils/logger');
+const { registerSessionStore, touchSession } = require('../utils/storeEviction');
+const { formatMoney } = require('./money');
+const { normalizeOrderFilters, queryOrders, describeOrderFilters } = require('./orderQuery');
+const {
+  ensureStatusHistory,
+  transitionOrder,
+  getNextStatus,
+  buildTimeline,
+  describeNextStep,
+  getStatusLabel,
+  normalizeStatus
+} = require('./orderLifecycle');
+
 // In-memory order store
 // Structure: orders[tenantId][sessionId] = [order1, order2, ...]
 const orders = {
@@ -23,12 +45,22 @@ const orders = {
             subtotal: 2499
           }
         ],
+        currency: 'INR',
         summary: {
+          currency: 'INR',
+          locale: 'en-IN',
           totalItems: 1,
           totalAmount: 2499
         },
         paymentMethod: 'COD',
         status: 'DELIVERED',
+        statusHistory: [
+          { status: 'CONFIRMED', at: '2024-05-11T10:15:00.000Z', note: null, actor: 'system' },
+          { status: 'PACKED', at: '2024-05-11T16:40:00.000Z', note: null, actor: 'admin' },
+          { status: 'SHIPPED', at: '2024-05-12T09:05:00.000Z', note: 'Courier: BlueDart', actor: 'admin' },
+          { status: 'OUT_FOR_DELIVERY', at: '2024-05-14T07:30:00.000Z', note: null, actor: 'admin' },
+          { status: 'DELIVERED', at: '2024-05-14T13:20:00.000Z', note: null, actor: 'admin' }
+        ],
         createdAt: '2024-05-11T10:15:00.000Z'
       },
       {
@@ -44,48 +76,307 @@ const orders = {
             subtotal: 3798
           }
         ],
+        currency: 'INR',
         summary: {
+          currency: 'INR',
+          locale: 'en-IN',
           totalItems: 2,
           totalAmount: 3798
         },
         paymentMethod: 'UPI',
-        status: 'PROCESSING',
+        status: 'CONFIRMED',
         createdAt: new Date().toISOString() // Recent order
       }
     ]
   }
 };
 
+// Statuses after which nothing more happens to an order
+const SETTLED_STATUSES = new Set(['DELIVERED', 'CANCELLED', 'RETURNED', 'PAYMENT_FAILED']);
+
+registerSessionStore('orders', {
+  envPrefix: 'ORDER',
+  ttlMinutes: 90 * 24 * 60,
+  maxPerTenant: 10000,
+  remove(tenantId, sessionId) {
+    forgetOrderPayments(tenantId, orders[tenantId]?.[sessionId] || []);
+    delete orders[tenantId]?.[sessionId];
+  },
+  keep(tenantId, sessionId) {
+    return (orders[tenantId]?.[sessionId] || []).some(o => !SETTLED_STATUSES.has(normalizeStatus(o.status)));
+  }
+});
+
+for (const tenantId of Object.keys(orders)) {
+  for (const sessionId of Object.keys(orders[tenantId])) {
+    touchSession('orders', tenantId, sessionId);
+  }
+}
+
+/**
+ * Find an order by ID across all sessions of a tenant
+ * 
+ * Not scoped to a session: use findSessionOrder for shopper requests.
+ * 
+ * @param {string} tenantId - Tenant ID
+ * @param {string} orderId - Order ID
+ * @returns {Object|null} Order or null
+ */
+function findOrder(tenantId, orderId) {
+  if (!orders[tenantId]) return null;
+
+  for (const sessionKey in orders[tenantId]) {
+    const match = orders[tenantId][sessionKey].find(o => o.orderId === orderId);
+    if (match) return ensureStatusHistory(match);
+  }
+  return null;
+}
+
+/**
+ * Find an order placed by a specific session
+ * 
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sessionId - Session ID (or user ID)
+ * @param {string} orderId - Order ID
+ * @returns {Object|null} Order or null (also for other sessions' orders)
+ */
+function findSessionOrder(tenantId, sessionId, orderId) {
+  const sessionOrders = orders[tenantId]?.[sessionId || 'demo-session'] || [];
+  if (sessionOrders.length > 0) touchSession('orders', tenantId, sessionId || 'demo-session');
+  const match = sessionOrders.find(o => o.orderId === orderId);
+  return match ? ensureStatusHistory(match) : null;
+}
+
+/**
+ * Resolve the order a request may act on
+ * 
+ * Shoppers only see their own session's orders. Support staff (admin)
+ * can reach any order of the tenant; every such access is audited.
+ * 
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant ID
+ * @param {string} options.sessionId - Requesting session ID
+ * @param {string} options.orderId - Order ID
+ * @param {Object} [options.admin] - Admin context { actor, reason }
+ * @param {string} options.operation - Operation name for the audit log
+ * @returns {Object|null} Order or null
+ */
+function resolveOrderForRequest({ tenantId, sessionId, orderId, admin = null, operation }) {
+  if (!admin) {
+    return findSessionOrder(tenantId, sessionId, orderId);
+  }
+
+  const order = findOrder(tenantId, orderId);
+  logAudit(`order.admin_${operation}`, {
+    tenantId,
+    orderId,
+    orderSessionId: order?.sessionId || null,
+    actor: admin.actor || 'admin',
+    reason: admin.reason || null,
+    found: Boolean(order)
+  });
+  return order;
+}
+
+/**
+ * Generate a unique, tenant-prefixed record ID ("RET-CLIENT1-1715432100000-9F2C")
+ * 
+ * The prefix comes from tenantConfig.orderIdPrefix, or the tenant ID.
+ * A random suffix keeps IDs apart when several records are created in the
+ * same millisecond; IDs for which `isTaken` returns true are skipped.
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @param {string} type - Record type prefix (ORD, RET, REF)
+ * @param {Function} isTaken - (id) => boolean
+ * @returns {string} Record ID
+ */
+function generateTenantRecordId(tenantConfig, type, isTaken) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const prefix = String(tenantConfig?.orderIdPrefix || tenantId)
+    .toUpperCase()
+    .replaceAll(/[^A-Z0-9]/g, '')
+    .slice(0, 12) || 'SHOP';
+
+  let id;
+  do {
+    id = `${type}-${prefix}-${Date.now()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  } while (isTaken(id));
+
+  return id;
+}
+
+/**
+ * Generate a unique, tenant-prefixed order ID ("ORD-CLIENT1-1715432100000-9F2C")
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @returns {string} Order ID
+ */
+function generateOrderId(tenantConfig) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  return generateTenantRecordId(tenantConfig, 'ORD', orderId => Boolean(findOrder(tenantId, orderId)));
+}
+
+/**
+ * Find the order a session placed with an idempotency key
+ * 
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sessionId - Session ID
+ * @param {string} idempotencyKey - Client-supplied key
+ * @returns {Object|null} Order or null
+ */
+function findOrderByIdempotencyKey(tenantId, sessionId, idempotencyKey) {
+  if (!idempotencyKey) return null;
+  const sessionOrders = orders[tenantId]?.[sessionId || 'demo-session'] || [];
+  // A declined payment didn't place anything, so the same key may try again
+  return sessionOrders.find(o => o.idempotencyKey === idempotencyKey && o.status !== 'PAYMENT_FAILED') || null;
+}
+
+/**
+ * Get a session's orders, newest first
+ * 
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sessionId - Session ID
+ * @returns {Array<Object>} Orders
+ */
+function getSessionOrders(tenantId, sessionId) {
+  const sessionOrders = orders[tenantId]?.[sessionId || 'demo-session'] || [];
+  if (sessionOrders.length > 0) touchSession('orders', tenantId, sessionId || 'demo-session');
+  return [...sessionOrders]
+    .map(ensureStatusHistory)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Build the result for a page of orders
+ * 
+ * @param {Object} options
+ * @param {string} options.action - Action name
+ * @param {Object} options.page - Result of queryOrders
+ * @param {Object} options.filters - Normalized filters
+ * @param {Object} options.tenantConfig - Tenant configuration (money formatting)
+ * @param {boolean} options.hasAnyOrders - Whether there are orders before filtering
+ * @param {string} [options.emptyMessage] - Message when there are no orders at all
+ * @returns {Object} Order list result
+ */
+function buildOrderListResult({ action, page, filters, tenantConfig, hasAnyOrders, emptyMessage = 'You have no orders yet.' }) {
+  const description = describeOrderFilters(filters, tenantConfig);
+  const shown = filters.cursor ? 'Next' : 'Showing';
+
+  let message;
+  if (!hasAnyOrders) {
+    message = emptyMessage;
+  } else if (page.total === 0) {
+    message = `No orders ${description || 'found'}.`;
+  } else if (page.orders.length === 0) {
+    message = `No more orders${description ? ` ${description}` : ''}.`;
+  } else {
+    message = `Found ${page.total} order(s)${description ? ` ${description}` : ''}.`;
+    if (page.pageInfo.hasMore || filters.cursor) {
+      message += ` ${shown} ${page.orders.length}${page.pageInfo.hasMore ? '; there are more' : ''}.`;
+    }
+  }
+
+  return {
+    type: 'order_list',
+    success: true,
+    action,
+    message,
+    orders: page.orders,
+    total: page.total,
+    pageInfo: page.pageInfo,
+    filters
+  };
+}
+
+/**
+ * Build the result for invalid order filters
+ * 
+ * @param {string} action - Action name
+ * @param {Array<string>} errors - Validation messages
+ * @returns {Object} Failed order list result
+ */
+function invalidFiltersResult(action, errors) {
+  return {
+    type: 'order_list',
+    success: false,
+    action,
+    message: errors.join(' '),
+    orders: [],
+    invalidFilters: errors
+  };
+}
+
 /**
  * Get orders for a session
  * 
  * @param {Object} options
  * @param {Object} options.tenantConfig
  * @param {string} options.sessionId
- * @returns {Promise<Object>} Result with orders list
+ * @param {Object} [options.filters] - Status, date range, product, amount range, sort, limit, cursor, query (see orderQuery)
+ * @returns {Promise<Object>} Result with one page of orders, total and pageInfo
  */
-async function getOrders({ tenantConfig, sessionId }) {
+async function getOrders({ tenantConfig, sessionId, filters: input = {} }) {
   const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
   const sessionKey = sessionId || 'demo-session';
 
   console.log(`[orderService] Getting orders for tenant=${tenantId}, session=${sessionKey}`);
 
-  if (!orders[tenantId]) orders[tenantId] = {};
-  if (!orders[tenantId][sessionKey]) orders[tenantId][sessionKey] = [];
+  const { filters, errors } = normalizeOrderFilters(input);
+  if (errors.length > 0) {
+    return invalidFiltersResult('view_orders', errors);
+  }
+
+  const userOrders = getSessionOrders(tenantId, sessionKey);
+  const page = queryOrders(userOrders, filters);
+
+  return buildOrderListResult({ action: 'view_orders', page, filters, tenantConfig, hasAnyOrders: userOrders.length > 0 });
+}
+
+/**
+ * List orders across every session of a tenant (support staff)
+ * 
+ * The listing is audited like other admin order access.
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig
+ * @param {Object} [options.filters] - As for getOrders, plus sessionId to narrow to one session
+ * @param {Object} [options.admin] - Admin context { actor, reason }
+ * @returns {Promise<Object>} Result with one page of orders, total and pageInfo
+ */
+async function listTenantOrders({ tenantConfig, filters: input = {}, admin = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const { sessionId = null, ...rest } = input;
 
-  const userOrders = orders[tenantId][sessionKey];
+  console.log(`[orderService] Listing orders for tenant=${tenantId}${sessionId ? `, session=${sessionId}` : ''}`);
 
-  // Sort by date desc
-  userOrders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const { filters, errors } = normalizeOrderFilters(rest);
+  if (errors.length > 0) {
+    return invalidFiltersResult('list_orders', errors);
+  }
+
+  const sessionKeys = sessionId ? [sessionId] : Object.keys(orders[tenantId] || {});
+  const tenantOrders = sessionKeys.flatMap(key => (orders[tenantId]?.[key] || []).map(ensureStatusHistory));
+  const page = queryOrders(tenantOrders, filters);
+
+  logAudit('order.admin_list', {
+    tenantId,
+    actor: admin?.actor || 'admin',
+    reason: admin?.reason || null,
+    sessionId,
+    filters: { ...filters, cursor: filters.cursor ? 'set' : undefined },
+    returned: page.orders.length
+  });
 
   return {
-    type: 'order_list',
-    success: true,
-    action: 'view_orders',
-    message: userOrders.length > 0 
-      ? `Found ${userOrders.length} order(s).` 
-      : 'You have no orders yet.',
-    orders: userOrders
+    ...buildOrderListResult({
+      action: 'list_orders',
+      page,
+      filters: { ...filters, ...(sessionId && { sessionId }) },
+      tenantConfig,
+      hasAnyOrders: tenantOrders.length > 0,
+      emptyMessage: sessionId ? `Session ${sessionId} has no orders.` : 'This tenant has no orders yet.'
+    }),
+    tenantId
   };
 }
 
@@ -94,25 +385,17 @@ async function getOrders({ tenantConfig, sessionId }) {
  * 
  * @param {Object} options
  * @param {Object} options.tenantConfig
+ * @param {string} options.sessionId - Requesting session; only its orders are visible
  * @param {string} options.orderId
+ * @param {Object} [options.admin] - Support staff context { actor, reason } to look up any order (audited)
  * @returns {Promise<Object>} Result with order details
  */
-async function getOrderStatus({ tenantConfig, orderId }) {
+async function getOrderStatus({ tenantConfig, sessionId, orderId, admin = null }) {
   const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
   
-  console.log(`[orderService] Getting status for order=${orderId}`);
-
-  // Search across all sessions for this tenant (simplified for prototype)
-  let foundOrder = null;
-  if (orders[tenantId]) {
-    for (const sessionKey in orders[tenantId]) {
-      const match = orders[tenantId][sessionKey].find(o => o.orderId === orderId);
-      if (match) {
-        foundOrder = match;
-        break;
-      }
-    }
-  }
+  console.log(`[orderService] Getting status for order=${orderId}${admin ? ' (admin)' : ''}`);
+
+  const foundOrder = resolveOrderForRequest({ tenantId, sessionId, orderId, admin, operation: 'view' });
 
   if (!foundOrder) {
     return {
@@ -124,12 +407,114 @@ async function getOrderStatus({ tenantConfig, orderId }) {
     };
   }
 
+  const timeline = buildTimeline(foundOrder);
+  const nextStep = describeNextStep(foundOrder);
+  const timelineText = timeline
+    .map(entry => `${entry.label} (${formatTimelineDate(entry.at)})${entry.note ? ` - ${entry.note}` : ''}`)
+    .join(' → ');
+
   return {
     type: 'order_status',
     success: true,
     action: 'get_order_status',
-    message: `Order ${orderId} is currently ${foundOrder.status}.`,
-    order: foundOrder
+    message: `Order ${orderId} (${formatMoney(foundOrder.summary?.totalAmount, foundOrder.summary)}) is currently ${getStatusLabel(foundOrder.status).toLowerCase()}. Timeline: ${timelineText}. ${nextStep.message}`,
+    order: foundOrder,
+    timeline,
+    nextStep
+  };
+}
+
+/**
+ * Format a timeline timestamp for messages ("May 12, 09:05")
+ * 
+ * @param {string} isoDate - ISO timestamp
+ * @returns {string} Short date/time
+ */
+function formatTimelineDate(isoDate) {
+  const date = new Date(isoDate);
+  if (Number.isNaN(date.getTime())) return String(isoDate);
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+/**
+ * Release what a cancelled order was holding: stock and payment
+ * 
+ * Orders whose payment failed never took stock or money. Pending payments
+ * are voided; paid orders are refunded through their gateway.
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @param {Object} order - Cancelled order (mutated: payment)
+ * @param {string} from - Status the order was cancelled from
+ * @returns {Promise<Object|null>} Refund, if one was issued
+ */
+async function releaseCancelledOrder(tenantConfig, order, from) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  if (from === 'PAYMENT_FAILED') return null;
+
+  // Put the cancelled units back on the shelf
+  await restoreStock({ tenantId, items: order.items || [] });
+
+  if (from === 'PAYMENT_PENDING') {
+    await voidPayment(tenantConfig, order);
+    return null;
+  }
+  return refundPayment({ tenantConfig, order, reason: order.cancellationReason });
+}
+
+/**
+ * Advance an order along its lifecycle (admin/fulfilment)
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig
+ * @param {string} options.orderId
+ * @param {string} [options.status] - Target status (defaults to the next fulfilment step)
+ * @param {string} [options.note] - Tracking note shown in the timeline
+ * @param {string} [options.actor] - Who made the change
+ * @returns {Promise<Object>} Result
+ */
+async function advanceOrderStatus({ tenantConfig, orderId, status = null, note = null, actor = 'admin' }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+
+  console.log(`[orderService] Advancing order=${orderId} to ${status || 'next status'}`);
+
+  const foundOrder = resolveOrderForRequest({ tenantId, orderId, admin: { actor }, operation: 'advance' });
+
+  if (!foundOrder) {
+    return {
+      type: 'order_update',
+      success: false,
+      action: 'advance_order',
+      message: `Order ${orderId} not found.`,
+      order: null
+    };
+  }
+
+  const target = status || getNextStatus(foundOrder.status);
+  if (!target) {
+    return {
+      type: 'order_update',
+      success: false,
+      action: 'advance_order',
+      message: `Order ${orderId} is ${foundOrder.status} and has no further fulfilment steps.`,
+      order: foundOrder
+    };
+  }
+
+  const transition = transitionOrder(foundOrder, target, { note, actor });
+
+  if (transition.success && transition.to === 'CANCELLED') {
+    foundOrder.cancelledAt = foundOrder.updatedAt;
+    foundOrder.cancellationReason = note || 'Cancelled by store';
+    await releaseCancelledOrder(tenantConfig, foundOrder, transition.from);
+  }
+
+  return {
+    type: 'order_update',
+    success: transition.success,
+    action: 'advance_order',
+    message: transition.message,
+    order: foundOrder,
+    timeline: buildTimeline(foundOrder)
   };
 }
 
@@ -138,26 +523,29 @@ async function getOrderStatus({ tenantConfig, orderId }) {
  * 
  * @param {Object} options
  * @param {Object} options.tenantConfig
+ * @param {string} options.sessionId - Requesting session; only its orders can be cancelled
  * @param {string} options.orderId
  * @param {string} options.reason
+ * @param {Object} [options.admin] - Support staff context { actor, reason } to cancel any order (audited)
  * @returns {Promise<Object>} Result
  */
-async function cancelOrder({ tenantConfig, orderId, reason }) {
+async function cancelOrder({ tenantConfig, sessionId, orderId, reason, admin = null }) {
   const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
   
-  console.log(`[orderService] Cancelling order=${orderId}, reason=${reason}`);
-
-  let foundOrder = null;
-  if (orders[tenantId]) {
-    for (const sessionKey in orders[tenantId]) {
-      const match = orders[tenantId][sessionKey].find(o => o.orderId === orderId);
-      if (match) {
-        foundOrder = match;
-        break;
-      }
-    }
+  console.log(`[orderService] Cancelling order=${orderId}, reason=${reason}${admin ? ' (admin)' : ''}`);
+
+  if (!orderId) {
+    return {
+      type: 'order_update',
+      success: false,
+      action: 'cancel_order',
+      message: 'Which order would you like to cancel?',
+      order: null
+    };
   }
 
+  const foundOrder = resolveOrderForRequest({ tenantId, sessionId, orderId, admin: admin && { reason, ...admin }, operation: 'cancel' });
+
   if (!foundOrder) {
     return {
       type: 'order_update',
@@ -168,29 +556,104 @@ async function cancelOrder({ tenantConfig, orderId, reason }) {
     };
   }
 
-  if (['DELIVERED', 'CANCELLED', 'RETURNED'].includes(foundOrder.status)) {
+  const cancellationReason = reason || 'User requested cancellation';
+  const transition = transitionOrder(foundOrder, 'CANCELLED', { note: cancellationReason, actor: admin ? (admin.actor || 'admin') : 'customer' });
+
+  if (!transition.success) {
     return {
       type: 'order_update',
       success: false,
       action: 'cancel_order',
-      message: `Cannot cancel order ${orderId} because it is already ${foundOrder.status}.`,
+      message: `Cannot cancel order ${orderId} because it is already ${getStatusLabel(foundOrder.status).toLowerCase()}.${foundOrder.status === 'DELIVERED' ? ' You can request a return instead.' : ''}`,
       order: foundOrder
     };
   }
 
-  foundOrder.status = 'CANCELLED';
-  foundOrder.cancelledAt = new Date().toISOString();
-  foundOrder.cancellationReason = reason || 'User requested cancellation';
+  foundOrder.cancelledAt = foundOrder.updatedAt;
+  foundOrder.cancellationReason = cancellationReason;
+
+  const refund = await releaseCancelledOrder(tenantConfig, foundOrder, transition.from);
 
   return {
     type: 'order_update',
     success: true,
     action: 'cancel_order',
-    message: `Order ${orderId} has been cancelled successfully.`,
+    message: `Order ${orderId} (${formatMoney(foundOrder.summary?.totalAmount, foundOrder.summary)}) has been cancelled successfully.${refund ? ` A refund of ${formatMoney(refund.amount, foundOrder.summary)} is on its way to your original payment method.` : ''}`,
     order: foundOrder
   };
 }
 
+/**
+ * Record the result of a pending payment (stands in for a gateway webhook)
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig
+ * @param {string} options.orderId
+ * @param {string} options.outcome - success | failure
+ * @param {string} [options.reason] - Failure reason
+ * @param {string} [options.actor] - Who reported the result
+ * @returns {Promise<Object>} Result
+ */
+async function resolvePayment({ tenantConfig, orderId, outcome, reason = null, actor = 'admin' }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+
+  console.log(`[orderService] Resolving payment for order=${orderId}: ${outcome}`);
+
+  if (!['success', 'failure'].includes(outcome)) {
+    return {
+      type: 'order_update',
+      success: false,
+      action: 'resolve_payment',
+      message: `Unknown payment outcome "${outcome}". Use success or failure.`,
+      order: null
+    };
+  }
+
+  const foundOrder = resolveOrderForRequest({ tenantId, orderId, admin: { actor, reason }, operation: 'resolve_payment' });
+
+  if (!foundOrder) {
+    return {
+      type: 'order_update',
+      success: false,
+      action: 'resolve_payment',
+      message: `Order ${orderId} not found.`,
+      order: null
+    };
+  }
+
+  if (foundOrder.status !== 'PAYMENT_PENDING') {
+    return {
+      type: 'order_update',
+      success: false,
+      action: 'resolve_payment',
+      message: `Order ${orderId} is ${foundOrder.status}, not waiting for payment.`,
+      order: foundOrder
+    };
+  }
+
+  const status = await settlePayment({ tenantConfig, order: foundOrder, succeeded: outcome === 'success', reason, actor });
+
+  // The order held stock while waiting; a failed payment gives it back
+  if (status === 'failed') {
+    await restoreStock({ tenantId, items: foundOrder.items || [] });
+  }
+
+  logAudit('order.payment_resolved', { tenantId, orderId, outcome, status: foundOrder.status, actor });
+
+  return {
+    type: 'order_update',
+    success: status !== 'pending',
+    action: 'resolve_payment',
+    message: status === 'succeeded'
+      ? `Payment received for order ${orderId}. The order is confirmed.`
+      : status === 'failed'
+        ? `Payment for order ${orderId} failed: ${foundOrder.payment.failureReason}. Stock has been released.`
+        : `Payment for order ${orderId} is still pending.`,
+    order: foundOrder,
+    timeline: buildTimeline(foundOrder)
+  };
+}
+
 /**
  * Create a new order (called by checkout)
  * 
@@ -203,7 +666,9 @@ function createOrder(orderData) {
   if (!orders[tenantId]) orders[tenantId] = {};
   if (!orders[tenantId][sessionId]) orders[tenantId][sessionId] = [];
 
+  ensureStatusHistory(orderData);
   orders[tenantId][sessionId].push(orderData);
+  touchSession('orders', tenantId, sessionId);
   console.log(`[orderService] Stored new order ${orderData.orderId}`);
   
   return orderData;
@@ -211,7 +676,17 @@ function createOrder(orderData) {
 
 module.exports = {
   getOrders,
+  listTenantOrders,
   getOrderStatus,
   cancelOrder,
-  createOrder
+  advanceOrderStatus,
+  resolvePayment,
+  createOrder,
+  generateOrderId,
+  generateTenantRecordId,
+  findOrder,
+  findSessionOrder,
+  resolveOrderForRequest,
+  findOrderByIdempotencyKey,
+  getSessionOrders
 };
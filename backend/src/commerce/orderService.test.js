@@ -0,0 +1,104 @@
+/**
+ * Order Service tests: session-scoped order access
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tenantConfig = require('../config/tenants/client1.json');
+const { createOrder, getOrderStatus, cancelOrder } = require('./orderService');
+
+const OWNER = `order-test-${process.pid}-owner`;
+const OTHER = `order-test-${process.pid}-other`;
+
+let orderCount = 0;
+
+/**
+ * Store a confirmed order for a session
+ * 
+ * @param {string} sessionId - Session that placed the order
+ * @returns {Object} Order
+ */
+function placeOrder(sessionId) {
+  return createOrder({
+    orderId: `ORD-SCOPETEST-${++orderCount}`,
+    tenantId: tenantConfig.tenantId,
+    sessionId,
+    items: [],
+    status: 'CONFIRMED',
+    summary: { totalAmount: 25, currency: 'USD' },
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Collect the audit entries logged while running a function
+ * 
+ * @param {Object} t - Test context
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<Array<Object>>} Audit entries
+ */
+async function auditedDuring(t, fn) {
+  const logged = [];
+  t.mock.method(console, 'log', line => logged.push(line));
+  await fn();
+  t.mock.restoreAll();
+  return logged
+    .filter(line => typeof line === 'string' && line.includes('"type":"audit"'))
+    .map(line => JSON.parse(line));
+}
+
+test('shoppers can look up and cancel their own orders', async () => {
+  const order = placeOrder(OWNER);
+
+  const status = await getOrderStatus({ tenantConfig, sessionId: OWNER, orderId: order.orderId });
+  const cancelled = await cancelOrder({ tenantConfig, sessionId: OWNER, orderId: order.orderId, reason: 'Changed my mind' });
+
+  assert.equal(status.success, true);
+  assert.equal(status.order.orderId, order.orderId);
+  assert.equal(cancelled.success, true);
+  assert.equal(order.status, 'CANCELLED');
+});
+
+test('orders of another session are reported as not found', async () => {
+  const order = placeOrder(OWNER);
+
+  const status = await getOrderStatus({ tenantConfig, sessionId: OTHER, orderId: order.orderId });
+  const cancelled = await cancelOrder({ tenantConfig, sessionId: OTHER, orderId: order.orderId });
+
+  assert.equal(status.success, false);
+  assert.equal(status.order, null);
+  assert.equal(status.message, `Order ${order.orderId} not found.`);
+  assert.equal(cancelled.success, false);
+  assert.equal(cancelled.message, `Order ${order.orderId} not found.`);
+  assert.equal(order.status, 'CONFIRMED');
+});
+
+test('cancelling without an order ID asks which order', async () => {
+  const order = placeOrder(OWNER);
+
+  const cancelled = await cancelOrder({ tenantConfig, sessionId: OWNER });
+
+  assert.equal(cancelled.success, false);
+  assert.equal(cancelled.message, 'Which order would you like to cancel?');
+  assert.equal(order.status, 'CONFIRMED');
+});
+
+test('support staff can reach any order and every access is audited', async t => {
+  const order = placeOrder(OWNER);
+  const admin = { actor: 'support-7', reason: 'Ticket 4411' };
+  let status;
+
+  const audit = await auditedDuring(t, async () => {
+    status = await getOrderStatus({ tenantConfig, sessionId: OTHER, orderId: order.orderId, admin });
+    await getOrderStatus({ tenantConfig, orderId: 'ORD-SCOPETEST-MISSING', admin });
+  });
+
+  assert.equal(status.success, true);
+  assert.equal(audit.length, 2);
+  assert.equal(audit[0].event, 'order.admin_view');
+  assert.equal(audit[0].orderSessionId, OWNER);
+  assert.equal(audit[0].actor, 'support-7');
+  assert.equal(audit[0].reason, 'Ticket 4411');
+  assert.equal(audit[0].found, true);
+  assert.equal(audit[1].found, false);
+});
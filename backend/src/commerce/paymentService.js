@@ -0,0 +1,308 @@
+/**
+ * Payment Service
+ * 
+ * Facade over pluggable payment adapters. Checkout creates a payment
+ * intent for each order and confirms it; the outcome moves the order
+ * from PAYMENT_PENDING to CONFIRMED or PAYMENT_FAILED.
+ * 
+ * Adapter contract (all methods async):
+ * - createIntent({ orderId, amount, currency, method }) → intent
+ * - confirmIntent(intentId) → intent
+ * - failIntent(intentId, reason) → intent
+ * - refund(intentId, { amount, reason }) → { refundId, intentId, amount, status, reason, createdAt }
+ * - forgetIntent(intentId) → boolean (optional; adapters holding intents
+ *   in memory drop them once the order is evicted)
+ * 
+ * An intent is { intentId, provider, orderId, amount, currency, method,
+ * status, failureReason } where status is one of requires_confirmation,
+ * pending, succeeded or failed.
+ * 
+ * Adapter selection (first match wins):
+ * 1. Tenant config: { "payments": { "adapter": "mock" } }
+ * 2. PAYMENT_ADAPTER env var
+ * 3. "mock"
+ * 
+ * Tenants plug in real gateways with registerPaymentAdapter().
+ */
+
+const { createMockGateway } = require('./payments/mockGateway');
+const { transitionOrder } = require('./orderLifecycle');
+
+const DEFAULT_ADAPTER = 'mock';
+const DEFAULT_METHODS = ['COD', 'UPI', 'CARD'];
+
+// Shopper-facing names per method
+const METHOD_LABELS = {
+  COD: 'cash on delivery',
+  UPI: 'UPI',
+  CARD: 'card'
+};
+
+// Ways shoppers name a payment method
+const METHOD_ALIASES = {
+  'cod': 'COD', 'cash': 'COD', 'cash on delivery': 'COD', 'pay on delivery': 'COD',
+  'upi': 'UPI', 'gpay': 'UPI', 'google pay': 'UPI', 'phonepe': 'UPI', 'paytm': 'UPI',
+  'card': 'CARD', 'credit card': 'CARD', 'debit card': 'CARD', 'credit': 'CARD', 'debit': 'CARD', 'visa': 'CARD', 'mastercard': 'CARD'
+};
+
+// Adapter factories by name
+const adapterFactories = {
+  mock: createMockGateway
+};
+
+// Instantiated adapters per tenant (factories get the tenant's payments config)
+const tenantAdapters = {};
+
+/**
+ * Register a payment adapter
+ * 
+ * The factory receives the tenant's payments config and returns an
+ * object implementing the adapter contract above.
+ * 
+ * @param {string} name - Adapter name referenced from env/tenant config
+ * @param {Function} factory - Factory returning an adapter instance
+ */
+function registerPaymentAdapter(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('registerPaymentAdapter requires a name and a factory function');
+  }
+  adapterFactories[name] = factory;
+
+  for (const tenantId of Object.keys(tenantAdapters)) {
+    if (tenantAdapters[tenantId].name === name) delete tenantAdapters[tenantId];
+  }
+}
+
+/**
+ * Get the payment adapter for a tenant
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @returns {Object} Adapter instance
+ */
+function getPaymentAdapter(tenantConfig) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+
+  if (!tenantAdapters[tenantId]) {
+    let name = tenantConfig?.payments?.adapter || process.env.PAYMENT_ADAPTER || DEFAULT_ADAPTER;
+
+    if (!adapterFactories[name]) {
+      console.warn(`[paymentService] Unknown adapter "${name}" for tenant ${tenantId}, using ${DEFAULT_ADAPTER}`);
+      name = DEFAULT_ADAPTER;
+    }
+
+    tenantAdapters[tenantId] = { name, adapter: adapterFactories[name](tenantConfig?.payments || {}) };
+    console.log(`[paymentService] Tenant ${tenantId} uses "${name}" payments`);
+  }
+
+  return tenantAdapters[tenantId].adapter;
+}
+
+/**
+ * Get the payment methods a tenant accepts
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @returns {Array<string>} Method codes (COD, UPI, CARD)
+ */
+function getPaymentMethods(tenantConfig) {
+  const configured = (tenantConfig?.payments?.methods || [])
+    .map(normalizePaymentMethod)
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_METHODS;
+}
+
+/**
+ * Normalize a payment method ("credit card" -> "CARD")
+ * 
+ * @param {string} method - Method as given
+ * @returns {string|null} Method code or null if unknown
+ */
+function normalizePaymentMethod(method) {
+  if (!method) return null;
+  const text = String(method).trim().toLowerCase().replaceAll(/[\s_-]+/g, ' ');
+  return METHOD_ALIASES[text] || null;
+}
+
+/**
+ * Get the shopper-facing name of a payment method
+ * 
+ * @param {string} method - Method code
+ * @returns {string} Label ("cash on delivery")
+ */
+function getPaymentMethodLabel(method) {
+  return METHOD_LABELS[method] || String(method);
+}
+
+/**
+ * Apply an intent's status to its order
+ * 
+ * @param {Object} order - Order (mutated)
+ * @param {Object} intent - Intent from the adapter
+ * @param {string} [actor] - Who reported the result
+ * @returns {string} Payment status: succeeded | pending | failed
+ */
+function applyIntentToOrder(order, intent, actor = 'payment') {
+  order.payment = {
+    ...order.payment,
+    provider: intent.provider,
+    intentId: intent.intentId,
+    method: intent.method,
+    amount: intent.amount,
+    currency: intent.currency,
+    status: intent.status,
+    failureReason: intent.failureReason || null,
+    updatedAt: new Date().toISOString()
+  };
+
+  if (intent.status === 'succeeded') {
+    transitionOrder(order, 'CONFIRMED', { note: `Payment received (${getPaymentMethodLabel(intent.method)})`, actor });
+    return 'succeeded';
+  }
+  if (intent.status === 'failed') {
+    transitionOrder(order, 'PAYMENT_FAILED', { note: intent.failureReason, actor });
+    return 'failed';
+  }
+  return 'pending';
+}
+
+/**
+ * Collect payment for a new order
+ * 
+ * The order must be PAYMENT_PENDING. Gateway errors count as a failed
+ * payment so the order never stays stuck.
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {Object} options.order - Order (mutated: payment and status)
+ * @returns {Promise<Object>} { status, failureReason }
+ */
+async function payForOrder({ tenantConfig, order }) {
+  const adapter = getPaymentAdapter(tenantConfig);
+  const amount = order.summary?.grandTotal ?? order.summary?.totalAmount;
+
+  try {
+    let intent = await adapter.createIntent({
+      orderId: order.orderId,
+      amount,
+      currency: order.currency,
+      method: order.paymentMethod
+    });
+    if (intent.status === 'requires_confirmation') {
+      intent = await adapter.confirmIntent(intent.intentId);
+    }
+
+    const status = applyIntentToOrder(order, intent);
+    console.log(`[paymentService] Order ${order.orderId}: payment ${status}`);
+    return { status, failureReason: order.payment.failureReason };
+  } catch (err) {
+    console.error(`[paymentService] Payment error for ${order.orderId}:`, err.message);
+    const failureReason = 'The payment service is unavailable right now';
+    order.payment = {
+      ...order.payment,
+      method: order.paymentMethod,
+      amount,
+      currency: order.currency,
+      status: 'failed',
+      failureReason,
+      updatedAt: new Date().toISOString()
+    };
+    transitionOrder(order, 'PAYMENT_FAILED', { note: failureReason, actor: 'payment' });
+    return { status: 'failed', failureReason };
+  }
+}
+
+/**
+ * Settle a pending payment (gateway callback)
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {Object} options.order - PAYMENT_PENDING order (mutated)
+ * @param {boolean} options.succeeded - Whether the payment went through
+ * @param {string} [options.reason] - Failure reason
+ * @param {string} [options.actor] - Who reported the result
+ * @returns {Promise<string>} Payment status: succeeded | pending | failed
+ */
+async function settlePayment({ tenantConfig, order, succeeded, reason = null, actor = 'payment' }) {
+  const adapter = getPaymentAdapter(tenantConfig);
+  const intentId = order.payment?.intentId;
+
+  const intent = succeeded
+    ? await adapter.confirmIntent(intentId)
+    : await adapter.failIntent(intentId, reason);
+
+  return applyIntentToOrder(order, intent, actor);
+}
+
+/**
+ * Stop collecting payment for an order that is cancelled before paying
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @param {Object} order - Order (mutated)
+ * @returns {Promise<void>}
+ */
+async function voidPayment(tenantConfig, order) {
+  if (!order.payment?.intentId || order.payment.status !== 'pending') return;
+
+  const intent = await getPaymentAdapter(tenantConfig).failIntent(order.payment.intentId, 'Order cancelled');
+  order.payment = { ...order.payment, status: intent.status, failureReason: intent.failureReason, updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Refund a paid order through its gateway
+ * 
+ * Cash on delivery is collected by the courier, so there is nothing to
+ * refund through the gateway before delivery.
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {Object} options.order - Order (mutated: payment.refunds)
+ * @param {number} [options.amount] - Amount (defaults to what is left to refund)
+ * @param {string} [options.reason] - Refund reason
+ * @returns {Promise<Object|null>} Refund, or null when there is nothing to refund
+ */
+async function refundPayment({ tenantConfig, order, amount = null, reason = null }) {
+  const payment = order.payment;
+  if (!payment?.intentId || payment.status !== 'succeeded' || payment.method === 'COD') return null;
+
+  const refunded = (payment.refunds || []).reduce((sum, r) => sum + r.amount, 0);
+  const toRefund = amount ?? Math.round((payment.amount - refunded) * 100) / 100;
+  if (toRefund <= 0) return null;
+
+  const refund = await getPaymentAdapter(tenantConfig).refund(payment.intentId, { amount: toRefund, reason });
+  payment.refunds = [...(payment.refunds || []), refund];
+  return refund;
+}
+
+/**
+ * Let the tenant's adapter drop the intents of evicted orders
+ * 
+ * Only adapters already created for the tenant can hold intents, so no
+ * adapter is created here.
+ * 
+ * @param {string} tenantId - Tenant identifier
+ * @param {Array} orders - Evicted orders
+ */
+function forgetOrderPayments(tenantId, orders) {
+  const adapter = tenantAdapters[tenantId]?.adapter;
+  if (typeof adapter?.forgetIntent !== 'function') return;
+
+  for (const order of orders) {
+    const intentId = order.payment?.intentId;
+    if (!intentId) continue;
+    Promise.resolve(adapter.forgetIntent(intentId)).catch(err => {
+      console.error(`[paymentService] Failed to drop intent ${intentId}:`, err.message);
+    });
+  }
+}
+
+module.exports = {
+  registerPaymentAdapter,
+  getPaymentAdapter,
+  getPaymentMethods,
+  normalizePaymentMethod,
+  getPaymentMethodLabel,
+  payForOrder,
+  settlePayment,
+  voidPayment,
+  refundPayment,
+  forgetOrderPayments
+};
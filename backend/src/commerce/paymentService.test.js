@@ -0,0 +1,108 @@
+/**
+ * Payment Service tests: payment-driven order statuses
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerPaymentAdapter, payForOrder, settlePayment } = require('./paymentService');
+const { createOrder, resolvePayment } = require('./orderService');
+
+// CARD succeeds, UPI waits for a callback, COD is declined
+const tenantConfig = {
+  tenantId: `payment-test-${process.pid}`,
+  payments: { adapter: 'mock', mock: { outcomes: { CARD: 'success', UPI: 'pending', COD: 'failure' } } }
+};
+
+let orderCount = 0;
+
+/**
+ * Store a new order waiting for payment
+ * 
+ * @param {string} paymentMethod - COD | UPI | CARD
+ * @returns {Object} Order
+ */
+function pendingOrder(paymentMethod) {
+  return createOrder({
+    orderId: `ORD-PAYTEST-${++orderCount}`,
+    tenantId: tenantConfig.tenantId,
+    sessionId: `payment-test-${process.pid}`,
+    items: [],
+    status: 'PAYMENT_PENDING',
+    paymentMethod,
+    currency: 'USD',
+    summary: { grandTotal: 42.5, currency: 'USD' },
+    createdAt: new Date().toISOString()
+  });
+}
+
+test('a successful payment confirms the order', async () => {
+  const order = pendingOrder('CARD');
+
+  const result = await payForOrder({ tenantConfig, order });
+
+  assert.deepEqual(result, { status: 'succeeded', failureReason: null });
+  assert.equal(order.status, 'CONFIRMED');
+  assert.equal(order.payment.amount, 42.5);
+  assert.deepEqual(order.statusHistory.map(entry => entry.status), ['PAYMENT_PENDING', 'CONFIRMED']);
+});
+
+test('a declined payment moves the order to PAYMENT_FAILED', async () => {
+  const order = pendingOrder('COD');
+
+  const result = await payForOrder({ tenantConfig, order });
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.failureReason, 'Cash on delivery is not available for this order');
+  assert.equal(order.status, 'PAYMENT_FAILED');
+  assert.equal(order.payment.status, 'failed');
+});
+
+test('a pending payment keeps the order waiting until it settles', async () => {
+  const order = pendingOrder('UPI');
+
+  const result = await payForOrder({ tenantConfig, order });
+  assert.equal(result.status, 'pending');
+  assert.equal(order.status, 'PAYMENT_PENDING');
+
+  const settled = await settlePayment({ tenantConfig, order, succeeded: true });
+  assert.equal(settled, 'succeeded');
+  assert.equal(order.status, 'CONFIRMED');
+});
+
+test('gateway errors fail the payment instead of leaving the order pending', async () => {
+  registerPaymentAdapter('payment-test-broken', () => ({
+    async createIntent() { throw new Error('connection refused'); }
+  }));
+  const brokenTenant = { tenantId: `payment-test-broken-${process.pid}`, payments: { adapter: 'payment-test-broken' } };
+  const order = pendingOrder('CARD');
+
+  const result = await payForOrder({ tenantConfig: brokenTenant, order });
+
+  assert.deepEqual(result, { status: 'failed', failureReason: 'The payment service is unavailable right now' });
+  assert.equal(order.status, 'PAYMENT_FAILED');
+});
+
+test('a pending payment can be resolved as failed', async () => {
+  const order = pendingOrder('UPI');
+  await payForOrder({ tenantConfig, order });
+
+  const result = await resolvePayment({ tenantConfig, orderId: order.orderId, outcome: 'failure', reason: 'Timed out' });
+
+  assert.equal(result.success, true);
+  assert.equal(order.status, 'PAYMENT_FAILED');
+  assert.equal(order.payment.failureReason, 'Timed out');
+});
+
+test('settled payments and unknown outcomes are not resolved again', async () => {
+  const order = pendingOrder('CARD');
+  await payForOrder({ tenantConfig, order });
+
+  const settled = await resolvePayment({ tenantConfig, orderId: order.orderId, outcome: 'failure' });
+  const unknown = await resolvePayment({ tenantConfig, orderId: order.orderId, outcome: 'maybe' });
+
+  assert.equal(settled.success, false);
+  assert.equal(settled.message, `Order ${order.orderId} is CONFIRMED, not waiting for payment.`);
+  assert.equal(unknown.success, false);
+  assert.match(unknown.message, /Unknown payment outcome "maybe"/);
+  assert.equal(order.status, 'CONFIRMED');
+});
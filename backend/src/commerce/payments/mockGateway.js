@@ -0,0 +1,222 @@
+/**
+ * Mock Payment Gateway
+ * 
+ * Local stand-in for a real gateway, implementing the payment adapter
+ * contract (see paymentService). Nothing is charged; each payment
+ * method resolves to a configured outcome:
+ * - success: the intent succeeds when confirmed
+ * - failure: the intent fails with a decline reason
+ * - pending: the intent waits until confirmIntent/failIntent is called
+ *   again (e.g. from the admin payment endpoint, standing in for a webhook)
+ * 
+ * Tenant config:
+ * { "payments": { "adapter": "mock", "mock": { "outcomes": { "UPI": "pending" } } } }
+ * 
+ * MOCK_PAYMENT_OUTCOME overrides the outcome for every method.
+ */
+
+const crypto = require('node:crypto');
+
+const DEFAULT_OUTCOMES = {
+  COD: 'success',
+  UPI: 'success',
+  CARD: 'success'
+};
+
+const VALID_OUTCOMES = new Set(['success', 'failure', 'pending']);
+
+// Decline reasons, by method
+const FAILURE_REASONS = {
+  COD: 'Cash on delivery is not available for this order',
+  UPI: 'The UPI request was declined',
+  CARD: 'The card was declined by the issuing bank'
+};
+
+/**
+ * Generate a gateway-style identifier
+ * 
+ * @param {string} prefix - ID prefix
+ * @returns {string} e.g. "pi_mock_1715432100000_9f2c"
+ */
+function generateId(prefix) {
+  return `${prefix}_mock_${Date.now()}_${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Create a mock gateway instance
+ * 
+ * @param {Object} [config] - Tenant payments config
+ * @param {Object} [config.mock.outcomes] - Outcome per method (success | failure | pending)
+ * @returns {Object} Adapter implementing createIntent/confirmIntent/failIntent/refund/forgetIntent
+ */
+function createMockGateway(config = {}) {
+  const outcomes = { ...DEFAULT_OUTCOMES, ...(config?.mock?.outcomes || {}) };
+  const intents = new Map();
+
+  /**
+   * Get the configured outcome for a method
+   * 
+   * @param {string} method - Payment method
+   * @returns {string} success | failure | pending
+   */
+  function getOutcome(method) {
+    const forced = process.env.MOCK_PAYMENT_OUTCOME;
+    if (VALID_OUTCOMES.has(forced)) return forced;
+    return VALID_OUTCOMES.has(outcomes[method]) ? outcomes[method] : 'success';
+  }
+
+  /**
+   * Look up an intent or throw
+   * 
+   * @param {string} intentId - Intent ID
+   * @returns {Object} Intent
+   */
+  function requireIntent(intentId) {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw new Error(`Payment intent ${intentId} not found`);
+    }
+    return intent;
+  }
+
+  /**
+   * Record a status change on an intent
+   * 
+   * @param {Object} intent - Intent (mutated)
+   * @param {string} status - New status
+   * @param {string} [failureReason] - Why it failed
+   * @returns {Object} Copy of the intent
+   */
+  function setStatus(intent, status, failureReason = null) {
+    intent.status = status;
+    intent.failureReason = failureReason;
+    intent.updatedAt = new Date().toISOString();
+    return { ...intent };
+  }
+
+  return {
+    name: 'mock',
+
+    /**
+     * Create a payment intent for an order
+     * 
+     * @param {Object} options
+     * @param {string} options.orderId - Order being paid
+     * @param {number} options.amount - Amount to collect
+     * @param {string} options.currency - ISO currency code
+     * @param {string} options.method - COD | UPI | CARD
+     * @returns {Promise<Object>} Intent with status requires_confirmation
+     */
+    async createIntent({ orderId, amount, currency, method }) {
+      const now = new Date().toISOString();
+      const intent = {
+        intentId: generateId('pi'),
+        provider: 'mock',
+        orderId,
+        amount,
+        currency,
+        method,
+        status: 'requires_confirmation',
+        failureReason: null,
+        refunds: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      intents.set(intent.intentId, intent);
+
+      console.log(`[mockGateway] Created intent ${intent.intentId} for ${orderId}: ${amount} ${currency} via ${method}`);
+      return { ...intent };
+    },
+
+    /**
+     * Confirm an intent
+     * 
+     * The first confirmation applies the configured outcome; confirming
+     * a pending intent again settles it as succeeded.
+     * 
+     * @param {string} intentId - Intent ID
+     * @returns {Promise<Object>} Intent with status succeeded | failed | pending
+     */
+    async confirmIntent(intentId) {
+      const intent = requireIntent(intentId);
+
+      if (intent.status === 'pending') {
+        return setStatus(intent, 'succeeded');
+      }
+      if (intent.status !== 'requires_confirmation') {
+        return { ...intent };
+      }
+
+      const outcome = getOutcome(intent.method);
+      console.log(`[mockGateway] Confirming ${intentId}: outcome=${outcome}`);
+
+      if (outcome === 'failure') {
+        return setStatus(intent, 'failed', FAILURE_REASONS[intent.method] || 'The payment was declined');
+      }
+      return setStatus(intent, outcome === 'pending' ? 'pending' : 'succeeded');
+    },
+
+    /**
+     * Mark an unsettled intent as failed
+     * 
+     * @param {string} intentId - Intent ID
+     * @param {string} [reason] - Failure reason
+     * @returns {Promise<Object>} Intent
+     */
+    async failIntent(intentId, reason = null) {
+      const intent = requireIntent(intentId);
+
+      if (intent.status === 'succeeded' || intent.status === 'failed') {
+        return { ...intent };
+      }
+      return setStatus(intent, 'failed', reason || FAILURE_REASONS[intent.method] || 'The payment was declined');
+    },
+
+    /**
+     * Refund (part of) a succeeded intent
+     * 
+     * @param {string} intentId - Intent ID
+     * @param {Object} options
+     * @param {number} options.amount - Amount to refund
+     * @param {string} [options.reason] - Refund reason
+     * @returns {Promise<Object>} Refund { refundId, intentId, amount, status, reason, createdAt }
+     */
+    async refund(intentId, { amount, reason = null }) {
+      const intent = requireIntent(intentId);
+
+      if (intent.status !== 'succeeded') {
+        throw new Error(`Payment intent ${intentId} is ${intent.status} and cannot be refunded`);
+      }
+
+      const refunded = intent.refunds.reduce((sum, r) => sum + r.amount, 0);
+      if (amount > intent.amount - refunded + 0.001) {
+        throw new Error(`Refund of ${amount} exceeds the remaining ${intent.amount - refunded} on ${intentId}`);
+      }
+
+      const refund = {
+        refundId: generateId('re'),
+        intentId,
+        amount,
+        status: 'succeeded',
+        reason,
+        createdAt: new Date().toISOString()
+      };
+      intent.refunds.push(refund);
+
+      console.log(`[mockGateway] Refunded ${amount} ${intent.currency} on ${intentId}`);
+      return { ...refund };
+    },
+
+    /**
+     * Drop an intent whose order is no longer kept
+     * 
+     * @param {string} intentId - Intent ID
+     * @returns {Promise<boolean>} True if the intent was held
+     */
+    async forgetIntent(intentId) {
+      return intents.delete(intentId);
+    }
+  };
+}
+
+module.exports = { createMockGateway };
@@ -0,0 +1,141 @@
+/**
+ * Pricing Rules - Tax and Shipping
+ * 
+ * Calculates tax and shipping for a cart from tenant configuration.
+ * Both are optional: tenants without rules pay no tax or shipping.
+ * 
+ * Tenant config shape:
+ * 
+ *   "tax": {
+ *     "mode": "exclusive",            // "exclusive" adds tax, "inclusive" prices already contain it
+ *     "label": "Sales tax",
+ *     "defaultRate": 8,               // percent
+ *     "categoryRates": { "grocery": 0 }
+ *   },
+ *   "shipping": {
+ *     "flatRate": 9.99,
+ *     "freeOver": 150,                // free shipping at/above this (after discounts)
+ *     "tiers": {                      // optional, overrides flatRate
+ *       "basis": "quantity",          // "quantity" or "weight"
+ *       "defaultItemWeight": 0.5,     // used for weight basis when a product has no weight
+ *       "rates": [ { "upTo": 2, "amount": 4.99 }, { "amount": 12.99 } ]
+ *     }
+ *   }
+ */
+
+const { roundMoney } = require('./money');
+
+/**
+ * Get the tax rate (percent) for a product category
+ * 
+ * @param {Object} taxConfig - Tenant tax config
+ * @param {string} category - Product category
+ * @returns {number} Rate in percent
+ */
+function getTaxRate(taxConfig, category) {
+  const categoryRates = taxConfig.categoryRates || {};
+  if (category && typeof categoryRates[category] === 'number') {
+    return categoryRates[category];
+  }
+  return Number(taxConfig.defaultRate) || 0;
+}
+
+/**
+ * Calculate tax for cart lines
+ * 
+ * Discounts are spread over lines in proportion to their value,
+ * so tax is always charged on what the shopper actually pays.
+ * 
+ * @param {Array} items - Cart lines
+ * @param {number} totalDiscount - Total discount applied to the cart
+ * @param {Object} [taxConfig] - Tenant tax config
+ * @returns {Object} { mode, label, amount, breakdown }
+ */
+function calculateTax(items, totalDiscount = 0, taxConfig = null) {
+  const mode = taxConfig?.mode === 'inclusive' ? 'inclusive' : 'exclusive';
+  const label = taxConfig?.label || 'Tax';
+
+  if (!taxConfig || items.length === 0) {
+    return { mode, label, amount: 0, breakdown: [] };
+  }
+
+  const lineTotals = items.map(item => (item.productSnapshot?.price || 0) * item.quantity);
+  const grossTotal = lineTotals.reduce((sum, value) => sum + value, 0);
+  const byRate = {};
+
+  items.forEach((item, index) => {
+    const share = grossTotal > 0 ? lineTotals[index] / grossTotal : 0;
+    const net = lineTotals[index] - totalDiscount * share;
+    const rate = getTaxRate(taxConfig, item.productSnapshot?.category);
+
+    if (rate <= 0 || net <= 0) return;
+
+    const tax = mode === 'inclusive'
+      ? net - net / (1 + rate / 100)
+      : net * rate / 100;
+
+    byRate[rate] = (byRate[rate] || 0) + tax;
+  });
+
+  const breakdown = Object.entries(byRate).map(([rate, amount]) => ({
+    rate: Number(rate),
+    amount: roundMoney(amount)
+  }));
+
+  return {
+    mode,
+    label,
+    amount: roundMoney(breakdown.reduce((sum, b) => sum + b.amount, 0)),
+    breakdown
+  };
+}
+
+/**
+ * Calculate shipping for cart lines
+ * 
+ * @param {Array} items - Cart lines
+ * @param {number} netSubtotal - Subtotal after discounts
+ * @param {Object} [shippingConfig] - Tenant shipping config
+ * @returns {Object} { amount, rule }
+ */
+function calculateShipping(items, netSubtotal, shippingConfig = null) {
+  if (!shippingConfig || items.length === 0) {
+    return { amount: 0, rule: 'none' };
+  }
+
+  if (typeof shippingConfig.freeOver === 'number' && netSubtotal >= shippingConfig.freeOver) {
+    return { amount: 0, rule: 'free_over_threshold' };
+  }
+
+  const tiers = shippingConfig.tiers;
+  if (tiers && Array.isArray(tiers.rates) && tiers.rates.length > 0) {
+    let measure;
+    if (tiers.basis === 'weight') {
+      const defaultWeight = Number(tiers.defaultItemWeight) || 0;
+      measure = items.reduce((sum, item) => {
+        const weight = typeof item.productSnapshot?.weight === 'number' ? item.productSnapshot.weight : defaultWeight;
+        return sum + weight * item.quantity;
+      }, 0);
+    } else {
+      measure = items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    // Rates are ordered by upTo; the last entry may omit upTo as the catch-all
+    const tier = tiers.rates.find(r => typeof r.upTo !== 'number' || measure <= r.upTo)
+      || tiers.rates[tiers.rates.length - 1];
+
+    return { amount: roundMoney(Number(tier.amount) || 0), rule: `${tiers.basis === 'weight' ? 'weight' : 'quantity'}_tier` };
+  }
+
+  if (typeof shippingConfig.flatRate === 'number') {
+    return { amount: roundMoney(shippingConfig.flatRate), rule: 'flat' };
+  }
+
+  return { amount: 0, rule: 'none' };
+}
+
+module.exports = {
+  calculateTax,
+  calculateShipping,
+  getTaxRate
+};
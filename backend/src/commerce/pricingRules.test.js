@@ -0,0 +1,88 @@
+/**
+ * Pricing Rules tests: tax-inclusive and tax-exclusive math
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTax, calculateShipping } = require('./pricingRules');
+const { buildCartSummary } = require('./cartService');
+
+/**
+ * Build a cart line
+ * 
+ * @param {number} price - Unit price
+ * @param {number} quantity - Units
+ * @param {string} [category] - Product category
+ * @returns {Object} Cart line
+ */
+function line(price, quantity, category = 'apparel') {
+  return { productId: `p-${price}-${category}`, quantity, productSnapshot: { price, category, name: category } };
+}
+
+const inclusiveTax = { mode: 'inclusive', label: 'VAT', defaultRate: 20, categoryRates: { grocery: 5, books: 0 } };
+
+test('inclusive tax is the share of the price that is tax', () => {
+  const tax = calculateTax([line(60, 2)], 0, inclusiveTax);
+
+  assert.deepEqual(tax, { mode: 'inclusive', label: 'VAT', amount: 20, breakdown: [{ rate: 20, amount: 20 }] });
+});
+
+test('inclusive tax is charged on the discounted price, spread by line value', () => {
+  // Discount 30 over 100 + 50: the 20% line pays 80, the 5% line 40
+  const tax = calculateTax([line(100, 1), line(25, 2, 'grocery')], 30, inclusiveTax);
+
+  assert.deepEqual(tax.breakdown, [{ rate: 5, amount: 1.9 }, { rate: 20, amount: 13.33 }]);
+  assert.equal(tax.amount, 15.23);
+});
+
+test('zero-rated categories add no inclusive tax', () => {
+  const tax = calculateTax([line(30, 1, 'books')], 0, inclusiveTax);
+
+  assert.equal(tax.amount, 0);
+  assert.deepEqual(tax.breakdown, []);
+});
+
+test('exclusive tax is added on top of the price', () => {
+  const tax = calculateTax([line(100, 1), line(25, 2, 'grocery')], 0, { ...inclusiveTax, mode: 'exclusive' });
+
+  assert.equal(tax.mode, 'exclusive');
+  assert.equal(tax.amount, 22.5);
+});
+
+test('inclusive tax is reported but not added to the grand total', () => {
+  const tenantConfig = { tax: inclusiveTax, shipping: { flatRate: 4.99 } };
+
+  const summary = buildCartSummary({ items: [line(60, 2)] }, [], tenantConfig);
+
+  assert.equal(summary.subtotal, 120);
+  assert.equal(summary.tax, 20);
+  assert.equal(summary.taxMode, 'inclusive');
+  assert.equal(summary.grandTotal, 124.99);
+});
+
+test('exclusive tax is added to the grand total', () => {
+  const tenantConfig = { tax: { ...inclusiveTax, mode: 'exclusive' }, shipping: { flatRate: 4.99 } };
+
+  const summary = buildCartSummary({ items: [line(60, 2)] }, [], tenantConfig);
+
+  assert.equal(summary.tax, 24);
+  assert.equal(summary.grandTotal, 148.99);
+});
+
+test('inclusive tax follows coupon discounts in the cart summary', () => {
+  const promotions = [{ id: 'ten', code: 'TEN', type: 'percentage', value: 10 }];
+  const cart = { items: [line(60, 2)], couponCode: 'TEN' };
+
+  const summary = buildCartSummary(cart, promotions, { tax: inclusiveTax });
+
+  assert.equal(summary.totalDiscount, 12);
+  assert.equal(summary.tax, 18);
+  assert.equal(summary.grandTotal, 108);
+});
+
+test('shipping is free at the threshold, after discounts', () => {
+  const shipping = { flatRate: 9.99, freeOver: 100 };
+
+  assert.deepEqual(calculateShipping([line(60, 2)], 100, shipping), { amount: 0, rule: 'free_over_threshold' });
+  assert.deepEqual(calculateShipping([line(60, 2)], 99.99, shipping), { amount: 9.99, rule: 'flat' });
+});
@@ -0,0 +1,261 @@
+/**
+ * Product Variants
+ * 
+ * Size/color selection for catalog products that list `sizes` and/or `colors`.
+ * 
+ * A dimension is required when the product offers more than one option;
+ * a single option is selected automatically. The selected variant is
+ * identified by a variant key ("44mm/rose-gold", or just "black" for
+ * color-only products), which is also the key used for per-variant stock
+ * in the inventory files.
+ */
+
+// Spoken forms for letter sizes
+// (longer phrases first so "extra large" isn't read as "large")
+const SIZE_ALIASES = {
+  'double extra large': 'XXL',
+  'extra small': 'XS',
+  'extra large': 'XL',
+  'small': 'S',
+  'medium': 'M',
+  'large': 'L'
+};
+
+/**
+ * Normalize an option for comparison ("Rose Gold" == "rose-gold", "44 mm" == "44mm")
+ * 
+ * @param {string} value - Option value
+ * @returns {string} Comparable value
+ */
+function normalizeOption(value) {
+  return String(value ?? '').toLowerCase().replaceAll(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Get the variant options a product offers
+ * 
+ * @param {Object} product - Catalog product
+ * @returns {Object} { sizes, colors } (empty arrays when not offered)
+ */
+function getVariantOptions(product) {
+  return {
+    sizes: Array.isArray(product?.sizes) ? product.sizes : [],
+    colors: Array.isArray(product?.colors) ? product.colors : []
+  };
+}
+
+/**
+ * Match a requested value against a product's options
+ * 
+ * @param {Array<string>} options - Available options
+ * @param {string} value - Requested value
+ * @returns {string|null} Canonical option or null if not offered
+ */
+function matchOption(options, value) {
+  const alias = SIZE_ALIASES[String(value).toLowerCase().trim()];
+  const wanted = normalizeOption(value);
+
+  return options.find(option => normalizeOption(option) === wanted)
+    || (alias ? options.find(option => option === alias) : null)
+    || null;
+}
+
+/**
+ * Build the variant key for a selection
+ * 
+ * @param {Object} [variant] - { size, color }
+ * @returns {string|null} Variant key or null for products without variants
+ */
+function buildVariantKey(variant) {
+  if (!variant) return null;
+  const parts = [variant.size, variant.color].filter(Boolean);
+  return parts.length > 0 ? parts.join('/') : null;
+}
+
+/**
+ * Format a variant for display ("44mm, rose-gold")
+ * 
+ * @param {Object} [variant] - { size, color }
+ * @returns {string} Label or empty string
+ */
+function formatVariantLabel(variant) {
+  if (!variant) return '';
+  return [variant.size, variant.color].filter(Boolean).join(', ');
+}
+
+/**
+ * Display name for a cart or order line, including its variant
+ * 
+ * @param {Object} item - Cart line (productSnapshot) or order line (name)
+ * @returns {string} e.g. "Smart Watch Elite (44mm, rose-gold)"
+ */
+function getLineLabel(item) {
+  const name = item.productSnapshot?.name || item.name || item.productId;
+  const label = formatVariantLabel(item.variant);
+  return label ? `${name} (${label})` : name;
+}
+
+/**
+ * Check whether a cart line's variant matches a (partial) selection
+ * 
+ * @param {Object} [variant] - Line variant { size, color }
+ * @param {Object} [selection] - Requested { size, color }; omitted dimensions match anything
+ * @returns {boolean} True if every requested dimension matches
+ */
+function matchesSelection(variant, selection = {}) {
+  return ['size', 'color'].every(dimension => {
+    const requested = selection?.[dimension];
+    if (requested === undefined || requested === null || String(requested).trim() === '') return true;
+    return Boolean(variant?.[dimension]) && matchOption([variant[dimension]], requested) !== null;
+  });
+}
+
+/**
+ * Validate a size/color selection against a product
+ * 
+ * Values for dimensions the product doesn't offer are ignored.
+ * 
+ * @param {Object} product - Catalog product
+ * @param {Object} [selection] - { size, color } as requested by the shopper
+ * @returns {Object} { valid, variant, variantKey, missing, invalid, options }
+ */
+function resolveVariant(product, selection = {}) {
+  const options = getVariantOptions(product);
+  const variant = {};
+  const missing = [];
+  const invalid = [];
+
+  const dimensions = [
+    { name: 'size', options: options.sizes },
+    { name: 'color', options: options.colors }
+  ];
+
+  for (const dimension of dimensions) {
+    if (dimension.options.length === 0) continue;
+
+    const requested = selection?.[dimension.name];
+    if (requested !== undefined && requested !== null && String(requested).trim() !== '') {
+      const match = matchOption(dimension.options, requested);
+      if (match) {
+        variant[dimension.name] = match;
+      } else {
+        invalid.push({ dimension: dimension.name, value: String(requested), options: dimension.options });
+      }
+    } else if (dimension.options.length === 1) {
+      variant[dimension.name] = dimension.options[0];
+    } else {
+      missing.push(dimension.name);
+    }
+  }
+
+  const hasVariant = Object.keys(variant).length > 0;
+
+  return {
+    valid: missing.length === 0 && invalid.length === 0,
+    variant: hasVariant ? variant : null,
+    variantKey: hasVariant ? buildVariantKey(variant) : null,
+    missing,
+    invalid,
+    options
+  };
+}
+
+/**
+ * Explain what's wrong with a selection, phrased as a question to the shopper
+ * 
+ * @param {Object} product - Catalog product
+ * @param {Object} resolution - Result of resolveVariant
+ * @returns {string} Shopper-facing message
+ */
+function describeVariantProblem(product, resolution) {
+  const parts = [];
+  const optionsFor = dimension => (dimension === 'size' ? resolution.options.sizes : resolution.options.colors);
+
+  for (const problem of resolution.invalid) {
+    parts.push(`${product.name} doesn't come in ${problem.dimension} "${problem.value}". Available ${problem.dimension}s: ${problem.options.join(', ')}.`);
+  }
+
+  if (resolution.missing.length > 0) {
+    const choices = resolution.missing
+      .map(dimension => `${dimension}s: ${optionsFor(dimension).join(', ')}`)
+      .join('; ');
+    parts.push(`Which ${resolution.missing.join(' and ')} would you like for ${product.name}? Available ${choices}.`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * 
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replaceAll(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find a product's size/color options mentioned in free text
+ * 
+ * Short or numeric sizes ("M", "9") only count after the word "size"
+ * so they aren't confused with quantities or contractions ("I'm"),
+ * unless the whole message is an answer to a variant question.
+ * 
+ * @param {Object} product - Catalog product (or any object with sizes/colors)
+ * @param {string} text - Shopper message
+ * @param {Object} [options]
+ * @param {boolean} [options.allowBareSizes] - Accept "M" or "9" without "size"
+ * @returns {Object} { size, color } with only the dimensions found
+ */
+function extractVariantFromText(product, text, { allowBareSizes = false } = {}) {
+  const options = getVariantOptions(product);
+  const lower = String(text || '').toLowerCase();
+  const found = {};
+
+  const findLongest = (values, isAmbiguous) => {
+    let best = null;
+    for (const value of values) {
+      // Catalog options may be numbers ("sizes": [9, 10])
+      const option = String(value);
+      const body = escapeRegExp(option.toLowerCase()).replaceAll(/[\s-]+/g, '[\\s-]*');
+      const prefix = isAmbiguous(option) ? 'size\\s+' : '';
+      const pattern = new RegExp(`(?<![a-z0-9])${prefix}${body}(?![a-z0-9])`, 'i');
+      if (pattern.test(lower) && (best === null || option.length > String(best).length)) {
+        best = value;
+      }
+    }
+    return best;
+  };
+
+  if (options.sizes.length > 0) {
+    const size = findLongest(options.sizes, value => !allowBareSizes && (/^\d+$/.test(value) || /^[a-z]{1,3}$/i.test(value)));
+    if (size) {
+      found.size = size;
+    } else {
+      const alias = Object.keys(SIZE_ALIASES).find(phrase => new RegExp(`\\b${phrase}\\b`).test(lower));
+      if (alias && options.sizes.includes(SIZE_ALIASES[alias])) {
+        found.size = SIZE_ALIASES[alias];
+      }
+    }
+  }
+
+  if (options.colors.length > 0) {
+    const color = findLongest(options.colors, () => false);
+    if (color) found.color = color;
+  }
+
+  return found;
+}
+
+module.exports = {
+  getVariantOptions,
+  resolveVariant,
+  describeVariantProblem,
+  extractVariantFromText,
+  buildVariantKey,
+  formatVariantLabel,
+  getLineLabel,
+  matchesSelection,
+  normalizeOption
+};
@@ -0,0 +1,34 @@
+/**
+ * Product Variants tests: reading sizes and colors from shopper messages
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractVariantFromText, resolveVariant } = require('./productVariants');
+
+const tee = { name: 'Classic Tee', sizes: ['S', 'M', 'L', 'XL'], colors: ['white', 'navy blue'] };
+const sneaker = { name: 'Runner', sizes: [9, 10, 11], colors: ['black'] };
+
+test('letter sizes and colors are found in a message', () => {
+  assert.deepEqual(extractVariantFromText(tee, 'the navy blue one in size XL please'), { size: 'XL', color: 'navy blue' });
+  assert.deepEqual(extractVariantFromText(tee, 'I want it in extra large'), { size: 'XL' });
+});
+
+test('short sizes need the word "size" unless answering a variant question', () => {
+  assert.deepEqual(extractVariantFromText(tee, "I'm after a white one"), { color: 'white' });
+  assert.deepEqual(extractVariantFromText(tee, 'M', { allowBareSizes: true }), { size: 'M' });
+});
+
+test('numeric sizes from the catalog are read from a message', () => {
+  assert.deepEqual(extractVariantFromText(sneaker, 'size 10 in black'), { size: 10, color: 'black' });
+  assert.deepEqual(extractVariantFromText(sneaker, 'add 9 pairs'), {});
+  assert.deepEqual(extractVariantFromText(sneaker, '11', { allowBareSizes: true }), { size: 11 });
+});
+
+test('numeric sizes resolve to a variant key', () => {
+  const resolution = resolveVariant(sneaker, { size: '10' });
+
+  assert.equal(resolution.valid, true);
+  assert.deepEqual(resolution.variant, { size: 10, color: 'black' });
+  assert.equal(resolution.variantKey, '10/black');
+});
@@ -0,0 +1,280 @@
+/**
+ * Promotion Engine
+ * 
+ * Evaluates tenant-defined promotions against cart lines.
+ * Promotions are loaded per tenant by utils/promotionLoader.js.
+ * 
+ * Supported promotion types:
+ * - percentage:  { value: 10 }                       → 10% off eligible lines
+ * - flat:        { value: 25 }                       → fixed amount off eligible lines
+ * - buy_x_get_y: { buyQuantity: 2, getQuantity: 1 }  → cheapest eligible units discounted
+ * - bundle:      { value: 10, bundleType: "outfit" }  → 10% off every complete bundle in the cart
+ * 
+ * Bundles are groups of cart lines added together (e.g. a recommended
+ * outfit, see cartService.addOutfitToCart). A bundle is complete while
+ * one unit of each of its pieces is still in the cart.
+ * 
+ * Common optional fields:
+ * - code:           Coupon code; promotions without a code must be "automatic"
+ * - automatic:      Applied to every cart without a coupon code
+ * - minOrderAmount: Cart subtotal required before the promotion applies
+ * - categories:     Restrict eligible lines to these product categories
+ * - productIds:     Restrict eligible lines to these products
+ * - maxDiscount:    Upper bound for the discount amount
+ * - validFrom / validUntil: ISO dates bounding the promotion
+ * - active:         Set to false to switch a promotion off
+ */
+
+const { roundMoney } = require('./money');
+
+/**
+ * Get the unit price of a cart line
+ * 
+ * @param {Object} item - Cart line
+ * @returns {number} Unit price (0 if unknown)
+ */
+function getUnitPrice(item) {
+  const price = item.productSnapshot?.price;
+  return typeof price === 'number' ? price : 0;
+}
+
+/**
+ * Sum price × quantity for cart lines
+ * 
+ * @param {Array} items - Cart lines
+ * @returns {number} Subtotal
+ */
+function calculateSubtotal(items) {
+  return roundMoney(items.reduce((sum, item) => sum + getUnitPrice(item) * item.quantity, 0));
+}
+
+/**
+ * Check whether a promotion is currently active
+ * 
+ * @param {Object} promotion - Promotion definition
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True if active
+ */
+function isPromotionActive(promotion, now = new Date()) {
+  if (!promotion || promotion.active === false) return false;
+  if (promotion.validFrom && now < new Date(promotion.validFrom)) return false;
+  if (promotion.validUntil && now > new Date(promotion.validUntil)) return false;
+  return true;
+}
+
+/**
+ * Get cart lines a promotion applies to (category/product scope)
+ * 
+ * @param {Object} promotion - Promotion definition
+ * @param {Array} items - Cart lines
+ * @returns {Array} Eligible cart lines
+ */
+function getEligibleItems(promotion, items) {
+  const categories = Array.isArray(promotion.categories) ? promotion.categories : null;
+  const productIds = Array.isArray(promotion.productIds) ? promotion.productIds : null;
+
+  return items.filter(item => {
+    if (categories && !categories.includes(item.productSnapshot?.category)) return false;
+    if (productIds && !productIds.includes(item.productId)) return false;
+    return true;
+  });
+}
+
+/**
+ * Calculate the "buy X get Y" discount for eligible lines
+ * 
+ * Every group of (buyQuantity + getQuantity) units gets its
+ * getQuantity cheapest units discounted by getDiscountPercent (default 100%).
+ * 
+ * @param {Object} promotion - Promotion definition
+ * @param {Array} eligibleItems - Eligible cart lines
+ * @returns {number} Discount amount
+ */
+function calculateBuyXGetYDiscount(promotion, eligibleItems) {
+  const buyQuantity = Number(promotion.buyQuantity) || 0;
+  const getQuantity = Number(promotion.getQuantity) || 0;
+  const discountPercent = promotion.getDiscountPercent ?? 100;
+
+  if (buyQuantity <= 0 || getQuantity <= 0) return 0;
+
+  const lines = eligibleItems
+    .map(item => ({ price: getUnitPrice(item), quantity: Math.max(0, Number(item.quantity) || 0) }))
+    .sort((a, b) => a.price - b.price);
+
+  const totalUnits = lines.reduce((sum, line) => sum + line.quantity, 0);
+  let freeUnits = Math.floor(totalUnits / (buyQuantity + getQuantity)) * getQuantity;
+
+  // Take the free units from the cheapest lines first
+  let discounted = 0;
+  for (const line of lines) {
+    if (freeUnits === 0) break;
+    const units = Math.min(line.quantity, freeUnits);
+    discounted += line.price * units;
+    freeUnits -= units;
+  }
+
+  return discounted * discountPercent / 100;
+}
+
+/**
+ * Check which cart bundles still have all their pieces
+ * 
+ * Each bundle claims one unit of each piece, so two bundles sharing a
+ * product need two units of it.
+ * 
+ * @param {Array} bundles - Cart bundles [{ bundleId, type, pieces: [{ productId, variantKey }] }]
+ * @param {Array} items - Cart lines
+ * @returns {Array} [{ bundleId, type, complete, subtotal, missing: [piece] }]
+ */
+function evaluateBundles(bundles = [], items = []) {
+  const available = new Map();
+  const prices = new Map();
+  for (const item of items) {
+    const key = `${item.productId}|${item.variantKey || ''}`;
+    available.set(key, (available.get(key) || 0) + item.quantity);
+    prices.set(key, getUnitPrice(item));
+  }
+
+  return bundles.map(bundle => {
+    const keys = bundle.pieces.map(piece => `${piece.productId}|${piece.variantKey || ''}`);
+    const missing = bundle.pieces.filter((piece, i) => !(available.get(keys[i]) > 0));
+    const complete = missing.length === 0;
+
+    if (complete) {
+      keys.forEach(key => available.set(key, available.get(key) - 1));
+    }
+
+    return {
+      bundleId: bundle.bundleId,
+      type: bundle.type,
+      complete,
+      subtotal: complete ? roundMoney(keys.reduce((sum, key) => sum + prices.get(key), 0)) : 0,
+      missing
+    };
+  });
+}
+
+/**
+ * Evaluate a single promotion against cart lines
+ * 
+ * @param {Object} promotion - Promotion definition
+ * @param {Array} items - Cart lines
+ * @param {number} subtotal - Cart subtotal (before discounts)
+ * @param {Array} [bundles] - Cart bundles (for bundle promotions)
+ * @returns {Object} { eligible, amount, reason }
+ */
+function evaluatePromotion(promotion, items, subtotal, bundles = []) {
+  if (!isPromotionActive(promotion)) {
+    return { eligible: false, amount: 0, reason: 'This promotion is not active.' };
+  }
+
+  if (promotion.minOrderAmount && subtotal < promotion.minOrderAmount) {
+    const shortfall = roundMoney(promotion.minOrderAmount - subtotal);
+    return {
+      eligible: false,
+      amount: 0,
+      reason: `Requires a minimum order of ${promotion.minOrderAmount} (add ${shortfall} more).`
+    };
+  }
+
+  const eligibleItems = getEligibleItems(promotion, items);
+  if (eligibleItems.length === 0) {
+    return { eligible: false, amount: 0, reason: 'No items in your cart qualify for this promotion.' };
+  }
+
+  const eligibleSubtotal = calculateSubtotal(eligibleItems);
+  let amount = 0;
+
+  switch (promotion.type) {
+    case 'percentage':
+      amount = eligibleSubtotal * (Number(promotion.value) || 0) / 100;
+      break;
+    case 'flat':
+      amount = Math.min(Number(promotion.value) || 0, eligibleSubtotal);
+      break;
+    case 'buy_x_get_y':
+      amount = calculateBuyXGetYDiscount(promotion, eligibleItems);
+      if (amount === 0) {
+        const needed = (promotion.buyQuantity || 0) + (promotion.getQuantity || 0);
+        return { eligible: false, amount: 0, reason: `Add ${needed} qualifying items to unlock this offer.` };
+      }
+      break;
+    case 'bundle': {
+      const complete = evaluateBundles(bundles, items)
+        .filter(b => b.complete && (!promotion.bundleType || b.type === promotion.bundleType));
+      if (complete.length === 0) {
+        return { eligible: false, amount: 0, reason: 'Buy every piece of the bundle together to get this discount.' };
+      }
+      amount = complete.reduce((sum, b) => sum + b.subtotal, 0) * (Number(promotion.value) || 0) / 100;
+      break;
+    }
+    default:
+      console.warn(`[promotionEngine] Unknown promotion type "${promotion.type}" (${promotion.id})`);
+      return { eligible: false, amount: 0, reason: 'Unsupported promotion type.' };
+  }
+
+  if (promotion.maxDiscount) {
+    amount = Math.min(amount, promotion.maxDiscount);
+  }
+
+  return { eligible: true, amount: roundMoney(amount), reason: null };
+}
+
+/**
+ * Apply automatic promotions and an optional coupon to cart lines
+ * 
+ * @param {Object} options
+ * @param {Array} options.items - Cart lines
+ * @param {Array} [options.promotions] - Tenant promotions
+ * @param {string} [options.couponCode] - Coupon code applied to the cart
+ * @param {Array} [options.bundles] - Cart bundles (for bundle promotions)
+ * @returns {Object} { subtotal, discounts, totalDiscount, coupon }
+ */
+function applyPromotions({ items = [], promotions = [], couponCode = null, bundles = [] }) {
+  const subtotal = calculateSubtotal(items);
+  const discounts = [];
+  let coupon = null;
+
+  const normalizedCode = couponCode ? String(couponCode).toUpperCase() : null;
+
+  for (const promotion of promotions) {
+    const isCoupon = normalizedCode && promotion.code && promotion.code.toUpperCase() === normalizedCode;
+    if (!promotion.automatic && !isCoupon) continue;
+
+    const result = evaluatePromotion(promotion, items, subtotal, bundles);
+
+    if (isCoupon) {
+      coupon = { code: promotion.code, applied: result.eligible, reason: result.reason };
+    }
+
+    if (result.eligible && result.amount > 0) {
+      discounts.push({
+        promotionId: promotion.id,
+        code: promotion.code || null,
+        type: promotion.type,
+        label: promotion.label || promotion.code || promotion.id,
+        amount: result.amount
+      });
+    }
+  }
+
+  if (normalizedCode && !coupon) {
+    coupon = { code: normalizedCode, applied: false, reason: 'This coupon code is not valid.' };
+  }
+
+  // Discounts can never exceed the subtotal
+  const totalDiscount = roundMoney(Math.min(
+    discounts.reduce((sum, d) => sum + d.amount, 0),
+    subtotal
+  ));
+
+  return { subtotal, discounts, totalDiscount, coupon };
+}
+
+module.exports = {
+  applyPromotions,
+  evaluatePromotion,
+  evaluateBundles,
+  isPromotionActive,
+  calculateSubtotal
+};
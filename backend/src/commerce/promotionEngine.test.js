@@ -0,0 +1,96 @@
+/**
+ * Promotion Engine tests: buy X get Y
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePromotion, applyPromotions, calculateSubtotal } = require('./promotionEngine');
+
+/**
+ * Build a cart line
+ * 
+ * @param {string} productId - Product ID
+ * @param {number} price - Unit price
+ * @param {number} quantity - Units
+ * @param {string} [category] - Product category
+ * @returns {Object} Cart line
+ */
+function line(productId, price, quantity, category = 'shirts') {
+  return { productId, quantity, productSnapshot: { price, category } };
+}
+
+/**
+ * Evaluate a buy X get Y promotion against cart lines
+ * 
+ * @param {Object} fields - Promotion fields
+ * @param {Array} items - Cart lines
+ * @returns {Object} { eligible, amount, reason }
+ */
+function buyXGetY(fields, items) {
+  const promotion = { id: 'bxgy', type: 'buy_x_get_y', automatic: true, ...fields };
+  return evaluatePromotion(promotion, items, calculateSubtotal(items));
+}
+
+test('buy 2 get 1 discounts the cheapest unit of each group of three', () => {
+  const result = buyXGetY({ buyQuantity: 2, getQuantity: 1 }, [line('a', 30, 2), line('b', 10, 1)]);
+
+  assert.deepEqual(result, { eligible: true, amount: 10, reason: null });
+});
+
+test('free units are taken from the cheapest lines across quantities', () => {
+  // 7 units -> 2 free: one at 5 and one at 8
+  const items = [line('a', 20, 3), line('b', 5, 1), line('c', 8, 3)];
+
+  assert.equal(buyXGetY({ buyQuantity: 2, getQuantity: 1 }, items).amount, 13);
+});
+
+test('one line can supply several free units', () => {
+  // 9 units -> 3 free, all from the 4.50 line
+  const items = [line('a', 4.5, 5), line('b', 12, 4)];
+
+  assert.equal(buyXGetY({ buyQuantity: 2, getQuantity: 1 }, items).amount, 13.5);
+});
+
+test('getDiscountPercent discounts the free units partly', () => {
+  const items = [line('a', 40, 1), line('b', 20, 1)];
+
+  assert.equal(buyXGetY({ buyQuantity: 1, getQuantity: 1, getDiscountPercent: 50 }, items).amount, 10);
+});
+
+test('carts short of a full group are not eligible', () => {
+  const result = buyXGetY({ buyQuantity: 2, getQuantity: 1 }, [line('a', 30, 2)]);
+
+  assert.equal(result.eligible, false);
+  assert.equal(result.amount, 0);
+  assert.match(result.reason, /Add 3 qualifying items/);
+});
+
+test('only lines in the promotion categories count', () => {
+  const items = [line('a', 30, 2), line('b', 10, 1, 'shoes'), line('c', 15, 1)];
+
+  assert.equal(buyXGetY({ buyQuantity: 2, getQuantity: 1, categories: ['shirts'] }, items).amount, 15);
+});
+
+test('large quantities are discounted without expanding every unit', () => {
+  const items = [line('a', 2, 3_000_000), line('b', 1, 1)];
+
+  // 3,000,001 units -> 1,000,000 free: the 1.00 unit and 999,999 at 2.00
+  assert.equal(buyXGetY({ buyQuantity: 2, getQuantity: 1 }, items).amount, 1_999_999);
+});
+
+test('maxDiscount caps the buy X get Y discount', () => {
+  const items = [line('a', 50, 6)];
+
+  assert.equal(buyXGetY({ buyQuantity: 1, getQuantity: 1, maxDiscount: 60 }, items).amount, 60);
+});
+
+test('applyPromotions applies a buy X get Y coupon', () => {
+  const promotions = [{ id: 'b2g1', code: 'B2G1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 }];
+  const items = [line('a', 30, 2), line('b', 10, 1)];
+
+  const result = applyPromotions({ items, promotions, couponCode: 'b2g1' });
+
+  assert.equal(result.subtotal, 70);
+  assert.equal(result.totalDiscount, 10);
+  assert.deepEqual(result.coupon, { code: 'B2G1', applied: true, reason: null });
+});
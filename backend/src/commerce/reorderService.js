@@ -0,0 +1,211 @@
+/**
+ * Reorder Service
+ * 
+ * "Buy my last order again": puts the items of a previous order back in
+ * the cart at today's catalog prices. Lines whose product or variant is
+ * gone are skipped, and price changes since the order are reported.
+ * 
+ * An order is picked by ID or by a reference counted like the order list:
+ * "last"/"latest" is the newest order, "second last" the one before it,
+ * "first" the oldest.
+ */
+
+const { getProductIndex } = require('../utils/productLoader');
+const { addMultipleToCart } = require('./cartService');
+const { getSessionOrders } = require('./orderService');
+const { resolveVariant, getLineLabel } = require('./productVariants');
+const { formatMoney, priceInTenantCurrency } = require('./money');
+
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+/**
+ * Pick an order from a newest-first list by reference
+ * 
+ * @param {Array} orders - Session orders, newest first
+ * @param {string|number} reference - "last", "second last", "first", "2nd", 3...
+ * @returns {Object|null} Order or null
+ */
+function selectOrderByReference(orders, reference) {
+  const text = String(reference ?? 'last').trim().toLowerCase()
+    .replace(/^(?:my|the)\s+/, '')
+    .replace(/\s+(?:one|order)$/, '');
+
+  if (/^(?:last|latest|newest|recent|most\s+recent|previous)$/.test(text)) {
+    return orders[0] || null;
+  }
+
+  // "second last", "2nd to last", "second most recent": count back from the newest
+  const fromEnd = text.match(/^(\w+)\s+(?:to\s+)?(?:last|latest|most\s+recent)$/);
+  const word = fromEnd ? fromEnd[1] : text;
+  const position = ORDINAL_WORDS[word] || Number.parseInt(word, 10);
+
+  if (!position || position < 1 || position > orders.length) return null;
+  return fromEnd ? orders[position - 1] : orders[orders.length - position];
+}
+
+/**
+ * Re-add the items of a previous order to the cart
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} [options.orderId] - Order to repeat
+ * @param {string} [options.reference] - Ordinal reference when no orderId ("last", "second last", "first")
+ * @returns {Promise<Object>} Cart result with reorder details
+ */
+async function reorder({ tenantConfig, sessionId, orderId = null, reference = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+
+  console.log(`[reorderService] Reorder: tenant=${tenantId}, order=${orderId || reference || 'last'}`);
+
+  const orders = getSessionOrders(tenantId, sessionId);
+
+  if (orders.length === 0) {
+    return reorderFailure('You have no previous orders to reorder.');
+  }
+
+  const order = orderId
+    ? orders.find(o => o.orderId.toLowerCase() === String(orderId).toLowerCase())
+    : selectOrderByReference(orders, reference);
+
+  if (!order) {
+    return reorderFailure(orderId
+      ? `Order ${orderId} not found.`
+      : `I couldn't tell which order you mean. You have ${orders.length} order(s); the most recent is #${orders[0].orderId}.`);
+  }
+
+  const productMap = await getProductIndex(tenantId);
+
+  const lines = [];
+  const unavailable = [];
+  const priceChanges = [];
+
+  for (const item of order.items || []) {
+    const product = productMap.get(item.productId);
+    const label = getLineLabel(item);
+
+    if (!product) {
+      unavailable.push(label);
+      continue;
+    }
+
+    // The exact size/color must still be sold; don't swap in another one
+    const resolution = resolveVariant(product, item.variant || {});
+    if (!resolution.valid) {
+      unavailable.push(label);
+      continue;
+    }
+
+    const pricing = priceInTenantCurrency(product, tenantConfig);
+    if (pricing && pricing.currency === order.currency && item.price !== undefined && pricing.price !== item.price) {
+      priceChanges.push({
+        productId: product.id,
+        name: label,
+        oldPrice: item.price,
+        newPrice: pricing.price
+      });
+    }
+
+    lines.push({ productId: product.id, variant: resolution.variant, quantity: item.quantity || 1 });
+  }
+
+  if (lines.length === 0) {
+    return reorderFailure(`None of the items from order #${order.orderId} are available anymore: ${unavailable.join(', ')}.`, {
+      orderId: order.orderId,
+      unavailableItems: unavailable
+    });
+  }
+
+  // addMultipleToCart takes one variant per product, so lines for other
+  // variants of an already-batched product go in a later batch
+  const batches = [];
+  for (const line of lines) {
+    let batch = batches.find(b => !b.variants[line.productId]);
+    if (!batch) {
+      batch = { productIds: [], variants: {} };
+      batches.push(batch);
+    }
+    batch.variants[line.productId] = line.variant || {};
+    for (let i = 0; i < line.quantity; i++) batch.productIds.push(line.productId);
+  }
+
+  const addedItems = [];
+  const outOfStock = new Set();
+  const notSellable = new Set();
+  let cartResult = null;
+
+  for (const batch of batches) {
+    const result = await addMultipleToCart({ tenantConfig, sessionId, ...batch });
+    cartResult = result;
+    addedItems.push(...(result.addedItems || []));
+    (result.outOfStockItems || []).forEach(name => outOfStock.add(name));
+    (result.currencyMismatchItems || []).forEach(name => notSellable.add(name));
+  }
+
+  const { summary } = cartResult;
+  const requested = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+  const parts = [];
+  if (addedItems.length > 0) {
+    const counts = new Map();
+    for (const item of addedItems) {
+      const label = getLineLabel(item);
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+    const names = [...counts].map(([label, count]) => `${label}${count > 1 ? ` (x${count})` : ''}`).join(', ');
+    parts.push(`Added ${addedItems.length} of ${requested} item(s) from order #${order.orderId} to your cart: ${names}.`);
+  } else {
+    parts.push(`I couldn't add any items from order #${order.orderId}.`);
+  }
+  if (unavailable.length > 0) parts.push(`No longer available: ${unavailable.join(', ')}.`);
+  if (outOfStock.size > 0) parts.push(`Out of stock: ${[...outOfStock].join(', ')}.`);
+  if (notSellable.size > 0) parts.push(`Not available in ${summary.currency}: ${[...notSellable].join(', ')}.`);
+  if (priceChanges.length > 0) {
+    const changes = priceChanges
+      .map(c => `${c.name} is now ${formatMoney(c.newPrice, summary)} (was ${formatMoney(c.oldPrice, summary)})`)
+      .join(', ');
+    parts.push(`Prices have changed since you ordered: ${changes}.`);
+  }
+  if (addedItems.length > 0) parts.push(`Cart total: ${formatMoney(summary.totalAmount, summary)}.`);
+
+  console.log(`[reorderService] Reordered ${addedItems.length}/${requested} item(s) from ${order.orderId}`);
+
+  return {
+    type: 'cart',
+    success: addedItems.length > 0,
+    action: 'reorder',
+    message: parts.join(' '),
+    cart: cartResult.cart,
+    summary,
+    orderId: order.orderId,
+    addedItems,
+    unavailableItems: unavailable.length > 0 ? unavailable : undefined,
+    outOfStockItems: outOfStock.size > 0 ? [...outOfStock] : undefined,
+    priceChanges: priceChanges.length > 0 ? priceChanges : undefined
+  };
+}
+
+/**
+ * Build a failed reorder result
+ * 
+ * @param {string} message - Shopper-facing message
+ * @param {Object} [extra] - Extra fields
+ * @returns {Object} Result
+ */
+function reorderFailure(message, extra = {}) {
+  return {
+    type: 'cart',
+    success: false,
+    action: 'reorder',
+    message,
+    ...extra
+  };
+}
+
+module.exports = {
+  reorder,
+  selectOrderByReference
+};
@@ -0,0 +1,392 @@
+/**
+ * Return Service
+ * 
+ * Returns and refunds for delivered orders.
+ * Uses in-memory storage for prototype. A session's returns unused for
+ * RETURN_TTL_MINUTES (default 90 days, like its orders) or over
+ * RETURN_MAX_PER_TENANT are evicted (see utils/storeEviction).
+ * 
+ * Tenant config (all optional):
+ * 
+ *   "returns": {
+ *     "windowDays": 30,                     // days after delivery
+ *     "reasonCodes": ["DAMAGED", "SIZE_ISSUE", "CHANGED_MIND", "OTHER"]
+ *   }
+ * 
+ * Each return covers one or more lines of a single order and creates a
+ * refund record linked to both the return and the original order. When
+ * every unit of an order has been returned the order moves to RETURNED.
+ */
+
+const { roundMoney, formatMoney } = require('./money');
+const { findSessionOrder, getSessionOrders, generateTenantRecordId } = require('./orderService');
+const { transitionOrder, getStatusLabel, ORDER_STATUSES } = require('./orderLifecycle');
+const { getLineLabel } = require('./productVariants');
+const { matchOrderItems } = require('./orderItems');
+const { registerSessionStore, touchSession } = require('../utils/storeEviction');
+
+const DEFAULT_WINDOW_DAYS = 30;
+
+// Reason codes and their shopper-facing wording
+const REASON_CODES = {
+  DAMAGED: 'damaged or defective',
+  WRONG_ITEM: 'wrong item received',
+  SIZE_ISSUE: 'size or fit issue',
+  NOT_AS_DESCRIBED: 'not as described',
+  CHANGED_MIND: 'changed my mind',
+  OTHER: 'other'
+};
+
+// Free-text reason -> reason code
+const REASON_KEYWORDS = [
+  { pattern: /damag|defect|broken|torn|faulty|stain/i, code: 'DAMAGED' },
+  { pattern: /wrong|not what i ordered|different (?:item|product)/i, code: 'WRONG_ITEM' },
+  { pattern: /size|fit|too (?:small|big|large|tight|loose|short|long)/i, code: 'SIZE_ISSUE' },
+  { pattern: /not as (?:described|pictured|shown)|quality|looks different/i, code: 'NOT_AS_DESCRIBED' },
+  { pattern: /changed? (?:my )?mind|don'?t (?:want|need|like)|no longer/i, code: 'CHANGED_MIND' }
+];
+
+// In-memory return store
+// Structure: returns[tenantId] = [returnRecord, ...]
+const returns = {};
+
+registerSessionStore('returns', {
+  envPrefix: 'RETURN',
+  ttlMinutes: 90 * 24 * 60,
+  maxPerTenant: 10000,
+  remove(tenantId, sessionKey) {
+    if (returns[tenantId]) {
+      returns[tenantId] = returns[tenantId].filter(r => r.sessionId !== sessionKey);
+    }
+  }
+});
+
+/**
+ * Get the tenant's return policy
+ * 
+ * @param {Object} tenantConfig - Tenant configuration
+ * @returns {Object} { windowDays, reasonCodes }
+ */
+function getReturnPolicy(tenantConfig) {
+  const config = tenantConfig?.returns || {};
+  const reasonCodes = Array.isArray(config.reasonCodes) && config.reasonCodes.length > 0
+    ? config.reasonCodes.map(code => String(code).toUpperCase())
+    : Object.keys(REASON_CODES);
+
+  return {
+    windowDays: typeof config.windowDays === 'number' ? config.windowDays : DEFAULT_WINDOW_DAYS,
+    reasonCodes
+  };
+}
+
+/**
+ * Resolve a reason code from an explicit code or the shopper's words
+ * 
+ * @param {Object} policy - Return policy
+ * @param {string} [reasonCode] - Explicit reason code
+ * @param {string} [reason] - Free-text reason
+ * @returns {string} Reason code allowed by the policy
+ */
+function resolveReasonCode(policy, reasonCode, reason) {
+  const explicit = reasonCode ? String(reasonCode).toUpperCase().replaceAll(/[\s-]+/g, '_') : null;
+  const inferred = REASON_KEYWORDS.find(entry => entry.pattern.test(reason || ''))?.code;
+  const code = (explicit && REASON_CODES[explicit]) ? explicit : (inferred || 'OTHER');
+
+  if (policy.reasonCodes.includes(code)) return code;
+  return policy.reasonCodes.includes('OTHER') ? 'OTHER' : policy.reasonCodes[0];
+}
+
+/**
+ * Get when an order was delivered
+ * 
+ * @param {Object} order - Order
+ * @returns {Date|null} Delivery time or null if not delivered
+ */
+function getDeliveredAt(order) {
+  const entry = (order.statusHistory || []).findLast(e => e.status === ORDER_STATUSES.DELIVERED);
+  return entry ? new Date(entry.at) : null;
+}
+
+/**
+ * Units of an order line that can still be returned
+ * 
+ * @param {Object} item - Order line
+ * @returns {number} Returnable quantity
+ */
+function getReturnableQuantity(item) {
+  return Math.max(0, (item.quantity || 0) - (item.returnedQuantity || 0));
+}
+
+/**
+ * Share of an order's item subtotal that the shopper actually paid
+ * (discounts and exclusive tax included, shipping excluded)
+ * 
+ * @param {Object} order - Order
+ * @returns {number} Ratio applied to line subtotals
+ */
+function getPaidRatio(order) {
+  const summary = order.summary || {};
+  const subtotal = summary.subtotal ?? (order.items || []).reduce((sum, item) => sum + (item.subtotal || 0), 0);
+  const total = summary.grandTotal ?? summary.totalAmount ?? subtotal;
+  const paidForGoods = total - (summary.shipping || 0);
+
+  if (!subtotal || paidForGoods <= 0) return 1;
+  return paidForGoods / subtotal;
+}
+
+/**
+ * Build a failed return result
+ * 
+ * @param {string} message - Shopper-facing message
+ * @param {Object} [extra] - Additional fields
+ * @returns {Object} Return result
+ */
+function failure(message, extra = {}) {
+  return {
+    type: 'return',
+    success: false,
+    action: 'request_return',
+    message,
+    returnRequest: null,
+    ...extra
+  };
+}
+
+/**
+ * Pick the order a return is about
+ * 
+ * Without an order ID, this is the newest order of the session that
+ * contains the named product (or simply the newest order).
+ * 
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} selector - { orderId, productId, productName, size, color }
+ * @returns {Object|null} Order or null
+ */
+function findOrderForReturn(tenantId, sessionId, selector) {
+  if (selector.orderId) {
+    return findSessionOrder(tenantId, sessionId, selector.orderId);
+  }
+
+  const sessionOrders = getSessionOrders(tenantId, sessionId);
+  if (!selector.productId && !selector.productName) {
+    return sessionOrders[0] || null;
+  }
+
+  const withItem = sessionOrders.filter(order => matchOrderItems(order, selector).length > 0);
+  return withItem.find(order => order.status === ORDER_STATUSES.DELIVERED) || withItem[0] || null;
+}
+
+/**
+ * Request a return for (part of) a delivered order
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} [options.orderId] - Order ID (defaults to the latest matching order)
+ * @param {string} [options.productId] - Product to return
+ * @param {string} [options.productName] - Product to return, as the shopper named it
+ * @param {number} [options.quantity] - Units to return (defaults to all returnable units)
+ * @param {string} [options.size] - Size of the line to return
+ * @param {string} [options.color] - Color of the line to return
+ * @param {string} [options.reason] - Free-text reason
+ * @param {string} [options.reasonCode] - Reason code
+ * @returns {Promise<Object>} Return result
+ */
+async function requestReturn({ tenantConfig, sessionId, orderId = null, productId = null, productName = null, quantity = null, size = null, color = null, reason = null, reasonCode = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const policy = getReturnPolicy(tenantConfig);
+  const selector = { orderId, productId, productName, size, color };
+
+  console.log(`[returnService] Return request: tenant=${tenantId}, order=${orderId || 'latest'}, product=${productId || productName || 'all'}`);
+
+  const order = findOrderForReturn(tenantId, sessionId, selector);
+  if (!order) {
+    return failure(orderId
+      ? `Order ${orderId} not found.`
+      : `I couldn't find ${productName ? `"${productName}" in your orders` : 'any orders to return'}.`);
+  }
+
+  if (order.status !== ORDER_STATUSES.DELIVERED) {
+    const hint = ['CONFIRMED', 'PACKED'].includes(order.status)
+      ? ' It hasn\'t shipped yet, so you can cancel it instead.'
+      : ' Returns open once the order is delivered.';
+    return failure(`Order ${order.orderId} is ${getStatusLabel(order.status).toLowerCase()}, so it can't be returned.${order.status === ORDER_STATUSES.RETURNED ? '' : hint}`, { order });
+  }
+
+  const deliveredAt = getDeliveredAt(order) || new Date(order.createdAt);
+  const windowEnds = new Date(deliveredAt.getTime() + policy.windowDays * 24 * 60 * 60 * 1000);
+  if (Date.now() > windowEnds.getTime()) {
+    return failure(`Order ${order.orderId} was delivered on ${deliveredAt.toLocaleDateString()}, and the ${policy.windowDays}-day return window closed on ${windowEnds.toLocaleDateString()}.`, { order });
+  }
+
+  // Work out which lines and how many units
+  const specific = Boolean(productId || productName);
+  const lines = specific
+    ? matchOrderItems(order, selector)
+    : (order.items || []).filter(item => getReturnableQuantity(item) > 0);
+
+  if (lines.length === 0) {
+    return failure(specific
+      ? `${productName || productId} isn't part of order ${order.orderId}. It contains: ${order.items.map(getLineLabel).join(', ')}.`
+      : `Everything in order ${order.orderId} has already been returned.`, { order });
+  }
+
+  if (specific && lines.length > 1) {
+    return failure(`Order ${order.orderId} has more than one matching item: ${lines.map(getLineLabel).join(', ')}. Which one would you like to return?`, { order });
+  }
+
+  if (specific && quantity !== null && quantity !== undefined) {
+    const available = getReturnableQuantity(lines[0]);
+    const requested = Number(quantity);
+    if (!Number.isInteger(requested) || requested <= 0) {
+      return failure('Please tell me how many you would like to return.', { order });
+    }
+    if (requested > available) {
+      return failure(available > 0
+        ? `You can return up to ${available} of ${getLineLabel(lines[0])} from order ${order.orderId}.`
+        : `${getLineLabel(lines[0])} from order ${order.orderId} has already been returned.`, { order });
+    }
+  }
+
+  const paidRatio = getPaidRatio(order);
+  const returnItems = lines
+    .map(item => {
+      const units = specific && quantity ? Number(quantity) : getReturnableQuantity(item);
+      return {
+        line: item,
+        productId: item.productId,
+        variant: item.variant || null,
+        variantKey: item.variantKey || null,
+        name: item.name,
+        quantity: units,
+        refundAmount: roundMoney(item.price * units * paidRatio)
+      };
+    })
+    .filter(entry => entry.quantity > 0);
+
+  if (returnItems.length === 0) {
+    return failure(`${getLineLabel(lines[0])} from order ${order.orderId} has already been returned.`, { order });
+  }
+
+  const code = resolveReasonCode(policy, reasonCode, reason);
+  const now = new Date().toISOString();
+  const tenantReturns = returns[tenantId] || [];
+  const returnId = generateTenantRecordId(tenantConfig, 'RET', id => tenantReturns.some(r => r.returnId === id));
+  const refund = {
+    refundId: generateTenantRecordId(tenantConfig, 'REF', id => tenantReturns.some(r => r.refund?.refundId === id)),
+    returnId,
+    orderId: order.orderId,
+    amount: roundMoney(returnItems.reduce((sum, entry) => sum + entry.refundAmount, 0)),
+    currency: order.currency || order.summary?.currency,
+    method: order.paymentMethod,
+    status: 'PENDING',
+    createdAt: now
+  };
+
+  const returnRequest = {
+    returnId,
+    orderId: order.orderId,
+    tenantId,
+    sessionId: order.sessionId,
+    items: returnItems.map(({ line, ...entry }) => entry),
+    reasonCode: code,
+    reason: reason || REASON_CODES[code],
+    status: 'REQUESTED',
+    refund,
+    createdAt: now
+  };
+
+  // Record returned units on the order lines
+  for (const entry of returnItems) {
+    entry.line.returnedQuantity = (entry.line.returnedQuantity || 0) + entry.quantity;
+  }
+  order.returnIds = [...(order.returnIds || []), returnId];
+
+  const fullyReturned = order.items.every(item => getReturnableQuantity(item) === 0);
+  if (fullyReturned) {
+    transitionOrder(order, ORDER_STATUSES.RETURNED, { note: `Return ${returnId}`, actor: 'customer' });
+  }
+
+  if (!returns[tenantId]) returns[tenantId] = [];
+  returns[tenantId].push(returnRequest);
+  touchSession('returns', tenantId, returnRequest.sessionId);
+
+  console.log(`[returnService] Created return ${returnId} for order ${order.orderId}, refund=${refund.amount}`);
+
+  const itemText = returnRequest.items.map(entry => `${getLineLabel(entry)} (x${entry.quantity})`).join(', ');
+  const money = { currency: refund.currency, locale: order.summary?.locale };
+
+  return {
+    type: 'return',
+    success: true,
+    action: 'request_return',
+    message: `Return ${returnId} requested for ${itemText} from order ${order.orderId} (reason: ${REASON_CODES[code]}). A refund of ${formatMoney(refund.amount, money)} to your original payment method (${refund.method}) will be issued once the return is received.`,
+    returnRequest,
+    refund,
+    order
+  };
+}
+
+/**
+ * Get the status of returns
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} [options.returnId] - A specific return
+ * @param {string} [options.orderId] - Returns for a specific order
+ * @returns {Promise<Object>} Result with matching returns
+ */
+async function getReturnStatus({ tenantConfig, sessionId, returnId = null, orderId = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const sessionKey = sessionId || 'demo-session';
+
+  console.log(`[returnService] Return status: tenant=${tenantId}, return=${returnId || '-'}, order=${orderId || '-'}`);
+
+  // Shoppers only see returns for their own orders
+  const sessionReturns = (returns[tenantId] || []).filter(r => r.sessionId === sessionKey);
+  if (sessionReturns.length > 0) touchSession('returns', tenantId, sessionKey);
+  let matches = sessionReturns;
+  if (returnId) {
+    matches = sessionReturns.filter(r => r.returnId === returnId);
+  } else if (orderId) {
+    matches = sessionReturns.filter(r => r.orderId === orderId);
+  }
+  matches = [...matches].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  if (matches.length === 0) {
+    let notFound = 'You have no returns yet.';
+    if (returnId) notFound = `Return ${returnId} not found.`;
+    else if (orderId) notFound = `There are no returns for order ${orderId}.`;
+
+    return {
+      type: 'return_status',
+      success: false,
+      action: 'get_return_status',
+      message: notFound,
+      returns: []
+    };
+  }
+
+  const lines = matches.map(r => {
+    const items = r.items.map(entry => `${getLineLabel(entry)} (x${entry.quantity})`).join(', ');
+    const refund = `${formatMoney(r.refund.amount, { currency: r.refund.currency })} refund ${r.refund.status.toLowerCase()}`;
+    return `${r.returnId} for order ${r.orderId}: ${items} - ${r.status.toLowerCase()}, ${refund}`;
+  });
+
+  return {
+    type: 'return_status',
+    success: true,
+    action: 'get_return_status',
+    message: matches.length === 1 ? `Return ${lines[0]}.` : `You have ${matches.length} returns: ${lines.join('; ')}.`,
+    returns: matches
+  };
+}
+
+module.exports = {
+  requestReturn,
+  getReturnStatus,
+  getReturnPolicy,
+  REASON_CODES
+};
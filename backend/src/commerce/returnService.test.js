@@ -0,0 +1,111 @@
+/**
+ * Return Service tests: return requests and refunds
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tenantConfig = require('../config/tenants/client1.json');
+const { createOrder } = require('./orderService');
+const { requestReturn, getReturnStatus } = require('./returnService');
+
+let orderCount = 0;
+
+/**
+ * Store an order for two T-shirts and a backpack
+ * 
+ * @param {string} status - Order status
+ * @param {string} [createdAt] - Order date (also the delivery date)
+ * @returns {Object} { sessionId, order }
+ */
+function placeOrder(status, createdAt = new Date().toISOString()) {
+  const sessionId = `return-test-${process.pid}-${++orderCount}`;
+  const order = createOrder({
+    orderId: `ORD-RETURNTEST-${orderCount}`,
+    tenantId: tenantConfig.tenantId,
+    sessionId,
+    items: [
+      { productId: 'p011', name: 'Classic Cotton T-Shirt', price: 24.99, quantity: 2, subtotal: 49.98 },
+      { productId: 'p003', name: 'Laptop Backpack', price: 79.99, quantity: 1, subtotal: 79.99 }
+    ],
+    summary: { subtotal: 129.97, shipping: 0, grandTotal: 129.97, currency: 'USD' },
+    paymentMethod: 'CARD',
+    status,
+    createdAt
+  });
+  return { sessionId, order };
+}
+
+test('returning some units refunds them and keeps the order delivered', async () => {
+  const { sessionId, order } = placeOrder('DELIVERED');
+
+  const result = await requestReturn({ tenantConfig, sessionId, productName: 't-shirt', quantity: 1, reasonCode: 'SIZE_ISSUE' });
+
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.refund.amount, 24.99);
+  assert.equal(result.returnRequest.reasonCode, 'SIZE_ISSUE');
+  assert.equal(order.items[0].returnedQuantity, 1);
+  assert.equal(order.status, 'DELIVERED');
+
+  const status = await getReturnStatus({ tenantConfig, sessionId, returnId: result.returnRequest.returnId });
+  assert.equal(status.success, true);
+  assert.deepEqual(status.returns, [result.returnRequest]);
+});
+
+test('returning everything marks the order returned', async () => {
+  const { sessionId, order } = placeOrder('DELIVERED');
+
+  const result = await requestReturn({ tenantConfig, sessionId, orderId: order.orderId, reason: 'Not for me' });
+
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.refund.amount, 129.97);
+  assert.equal(order.status, 'RETURNED');
+});
+
+test('orders that are not delivered cannot be returned', async () => {
+  const { sessionId, order } = placeOrder('CONFIRMED');
+
+  const result = await requestReturn({ tenantConfig, sessionId, orderId: order.orderId });
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /can't be returned\. It hasn't shipped yet, so you can cancel it instead\./);
+});
+
+test('returns are refused after the return window', async () => {
+  const delivered = new Date(Date.now() - (tenantConfig.returns.windowDays + 1) * 24 * 60 * 60 * 1000).toISOString();
+  const { sessionId, order } = placeOrder('DELIVERED', delivered);
+
+  const result = await requestReturn({ tenantConfig, sessionId, orderId: order.orderId });
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /30-day return window closed/);
+  assert.equal(order.status, 'DELIVERED');
+});
+
+test('more units than were bought cannot be returned', async () => {
+  const { sessionId, order } = placeOrder('DELIVERED');
+
+  const result = await requestReturn({ tenantConfig, sessionId, productId: 'p011', quantity: 3 });
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /You can return up to 2 of Classic Cotton T-Shirt/);
+  assert.equal(order.items[0].returnedQuantity, undefined);
+});
+
+test('return and refund IDs are tenant-prefixed', async () => {
+  const { sessionId } = placeOrder('DELIVERED');
+
+  const result = await requestReturn({ tenantConfig, sessionId, productId: 'p003' });
+
+  assert.match(result.returnRequest.returnId, /^RET-CLIENT1-\d+-[0-9A-F]{4}$/);
+  assert.match(result.refund.refundId, /^REF-CLIENT1-\d+-[0-9A-F]{4}$/);
+});
+
+test('fractional quantities are not returned', async () => {
+  const { sessionId, order } = placeOrder('DELIVERED');
+
+  const result = await requestReturn({ tenantConfig, sessionId, productId: 'p011', quantity: 1.5 });
+
+  assert.equal(result.success, false);
+  assert.equal(result.message, 'Please tell me how many you would like to return.');
+  assert.equal(order.items[0].returnedQuantity, undefined);
+});
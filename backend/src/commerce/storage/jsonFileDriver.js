@@ -0,0 +1,113 @@
+/**
+ * JSON File Cart Storage Driver
+ * 
+ * Durable local driver that survives restarts and crashes.
+ * Carts are kept in memory for fast synchronous access and written
+ * through to a single JSON file on every change; deleteMany writes
+ * once for the whole batch, so evicting many carts costs one write.
+ * 
+ * Writes go to a temp file first and are then renamed over the
+ * target, so a crash mid-write never leaves a truncated file behind.
+ * 
+ * Records are copied in and out of the cache, so a caller that changes
+ * a cart without saving it cannot make memory and disk disagree.
+ * 
+ * File location: CART_STORE_PATH env var, or backend/.data/carts.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', '..', '..', '.data', 'carts.json');
+
+/**
+ * Read carts from disk
+ * 
+ * @param {string} filePath - JSON file path
+ * @returns {Object} carts[tenantId][sessionKey]
+ */
+function readCartsFile(filePath) {
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const parsed = JSON.parse(content);
+
+    if (parsed && typeof parsed.carts === 'object' && parsed.carts !== null) {
+      return parsed.carts;
+    }
+
+    console.warn(`[cartStore:file] Invalid cart file structure in ${filePath}, starting empty`);
+    return {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[cartStore:file] Failed to read ${filePath}: ${error.message}`);
+    }
+    return {};
+  }
+}
+
+/**
+ * Create a JSON file driver instance
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - JSON file path
+ * @returns {Object} Driver implementing get/set/delete/deleteMany/all
+ */
+function createJsonFileDriver({ filePath } = {}) {
+  const targetPath = filePath || process.env.CART_STORE_PATH || DEFAULT_FILE_PATH;
+  const carts = readCartsFile(targetPath);
+
+  console.log(`[cartStore:file] Using ${targetPath}`);
+
+  /**
+   * Write all carts to disk (atomic temp file + rename)
+   */
+  function flush() {
+    try {
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      const tempPath = `${targetPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ carts }, null, 2), 'utf8');
+      fs.renameSync(tempPath, targetPath);
+    } catch (error) {
+      // Keep serving from memory; the next successful write catches up
+      console.error(`[cartStore:file] Failed to write ${targetPath}: ${error.message}`);
+    }
+  }
+
+  return {
+    name: 'file',
+
+    get(tenantId, sessionKey) {
+      const record = carts[tenantId]?.[sessionKey];
+      return record ? structuredClone(record) : null;
+    },
+
+    set(tenantId, sessionKey, record) {
+      if (!carts[tenantId]) {
+        carts[tenantId] = {};
+      }
+      carts[tenantId][sessionKey] = structuredClone(record);
+      flush();
+    },
+
+    delete(tenantId, sessionKey) {
+      if (carts[tenantId] && carts[tenantId][sessionKey]) {
+        delete carts[tenantId][sessionKey];
+        flush();
+      }
+    },
+
+    deleteMany(tenantId, sessionKeys) {
+      const present = sessionKeys.filter(sessionKey => carts[tenantId]?.[sessionKey]);
+      if (present.length === 0) return;
+
+      present.forEach(sessionKey => delete carts[tenantId][sessionKey]);
+      flush();
+    },
+
+    all() {
+      return structuredClone(carts);
+    }
+  };
+}
+
+module.exports = { createJsonFileDriver };
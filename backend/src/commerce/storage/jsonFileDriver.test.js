@@ -0,0 +1,44 @@
+/**
+ * JSON File Driver tests: cached carts and the file on disk
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFileDriver } = require('./jsonFileDriver');
+
+/**
+ * Create a driver writing to a fresh temp file
+ * 
+ * @returns {Object} { driver, filePath }
+ */
+function tempDriver() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'carts-'));
+  const filePath = path.join(dir, 'carts.json');
+  return { driver: createJsonFileDriver({ filePath }), filePath };
+}
+
+test('saved carts are read back after a restart', () => {
+  const { driver, filePath } = tempDriver();
+  driver.set('shop', 's1', { items: [{ productId: 'p003', quantity: 2 }] });
+
+  const restarted = createJsonFileDriver({ filePath });
+
+  assert.deepEqual(restarted.get('shop', 's1'), { items: [{ productId: 'p003', quantity: 2 }] });
+  assert.equal(restarted.get('shop', 'nobody'), null);
+});
+
+test('changing a cart without saving it leaves the stored cart alone', () => {
+  const { driver, filePath } = tempDriver();
+  const record = { items: [{ productId: 'p003', quantity: 2 }] };
+  driver.set('shop', 's1', record);
+
+  record.items[0].quantity = 5;
+  driver.get('shop', 's1').items.push({ productId: 'p011', quantity: 1 });
+  driver.all().shop.s1.items = [];
+
+  assert.deepEqual(driver.get('shop', 's1'), { items: [{ productId: 'p003', quantity: 2 }] });
+  assert.deepEqual(createJsonFileDriver({ filePath }).get('shop', 's1'), driver.get('shop', 's1'));
+});
@@ -0,0 +1,82 @@
+/**
+ * In-memory Cart Storage Driver
+ * 
+ * Keeps cart records in a module-level object.
+ * Structure: carts[tenantId][sessionKey] = { items: [...], updatedAt }
+ * 
+ * Fast and dependency-free, but everything is lost on restart.
+ * Used by default and for tenants that do not need durable carts.
+ */
+
+/**
+ * Create an in-memory driver instance
+ * 
+ * @returns {Object} Driver implementing get/set/delete/deleteMany/all
+ */
+function createMemoryDriver() {
+  const carts = {};
+
+  return {
+    name: 'memory',
+
+    /**
+     * Get a cart record
+     * 
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} sessionKey - Session/user identifier
+     * @returns {Object|null} Cart record or null if none stored
+     */
+    get(tenantId, sessionKey) {
+      return carts[tenantId]?.[sessionKey] || null;
+    },
+
+    /**
+     * Store a cart record
+     * 
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} sessionKey - Session/user identifier
+     * @param {Object} record - Cart record
+     */
+    set(tenantId, sessionKey, record) {
+      if (!carts[tenantId]) {
+        carts[tenantId] = {};
+      }
+      carts[tenantId][sessionKey] = record;
+    },
+
+    /**
+     * Delete a cart record
+     * 
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} sessionKey - Session/user identifier
+     */
+    delete(tenantId, sessionKey) {
+      if (carts[tenantId]) {
+        delete carts[tenantId][sessionKey];
+      }
+    },
+
+    /**
+     * Delete several cart records of a tenant
+     * 
+     * @param {string} tenantId - Tenant identifier
+     * @param {Array<string>} sessionKeys - Session/user identifiers
+     */
+    deleteMany(tenantId, sessionKeys) {
+      if (carts[tenantId]) {
+        sessionKeys.forEach(sessionKey => delete carts[tenantId][sessionKey]);
+      }
+    },
+
+    /**
+     * Get all cart records
+     * 
+     * @returns {Object} carts[tenantId][sessionKey]
+     */
+    all() {
+      return carts;
+    }
+  };
+}
+
+module.exports = { createMemoryDriver };
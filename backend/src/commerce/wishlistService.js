@@ -0,0 +1,312 @@
+/**
+ * Wishlist Service
+ * 
+ * Save-for-later list per tenant/session: add, remove, view, and move
+ * items into the cart. Uses in-memory storage for prototype.
+ * 
+ * A wishlist keeps one entry per product. A size/color can be saved with
+ * it; moving the item to the cart uses that selection unless a new one is
+ * given, and asks for it when the product needs one.
+ * 
+ * Wishlists unused for WISHLIST_TTL_MINUTES (default 90 days) or over
+ * WISHLIST_MAX_PER_TENANT are evicted (see utils/storeEviction).
+ */
+
+const { getProductIndex } = require('../utils/productLoader');
+const { registerSessionStore, touchSession } = require('../utils/storeEviction');
+const { addToCart } = require('./cartService');
+const { resolveVariant, describeVariantProblem, getLineLabel } = require('./productVariants');
+const { formatProductPrice } = require('./money');
+
+// In-memory wishlist store
+// Structure: wishlists[tenantId][sessionId] = { items: [...], updatedAt }
+const wishlists = {};
+
+registerSessionStore('wishlists', {
+  envPrefix: 'WISHLIST',
+  ttlMinutes: 90 * 24 * 60,
+  maxPerTenant: 10000,
+  remove(tenantId, sessionKey) {
+    delete wishlists[tenantId]?.[sessionKey];
+  }
+});
+
+/**
+ * Get the wishlist for a session
+ * 
+ * Only adding an item stores a new wishlist; other callers get an
+ * empty, unsaved one for sessions without a wishlist.
+ * 
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Store a new wishlist if there is none
+ * @returns {Object} Wishlist record { items, updatedAt }
+ */
+function getWishlistRecord(tenantId, sessionId, { create = false } = {}) {
+  const sessionKey = sessionId || 'demo-session';
+  const existing = wishlists[tenantId]?.[sessionKey];
+
+  if (existing) {
+    touchSession('wishlists', tenantId, sessionKey);
+    return existing;
+  }
+  if (!create) {
+    return { items: [], updatedAt: null };
+  }
+
+  if (!wishlists[tenantId]) wishlists[tenantId] = {};
+  wishlists[tenantId][sessionKey] = { items: [], updatedAt: new Date().toISOString() };
+  touchSession('wishlists', tenantId, sessionKey);
+  return wishlists[tenantId][sessionKey];
+}
+
+/**
+ * Build the product snapshot stored on a wishlist entry
+ * 
+ * @param {Object} product - Catalog product
+ * @returns {Object} Snapshot
+ */
+function buildWishlistSnapshot(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    price: product.price,
+    currency: product.currency || null,
+    category: product.category || null,
+    image: product.image || product.imageUrl || null
+  };
+}
+
+/**
+ * Build a wishlist result
+ * 
+ * @param {string} action - Action name
+ * @param {boolean} success - Whether the action succeeded
+ * @param {string} message - Shopper-facing message
+ * @param {Object} wishlist - Wishlist record
+ * @param {Object} [extra] - Additional fields
+ * @returns {Object} Wishlist result
+ */
+function wishlistResult(action, success, message, wishlist, extra = {}) {
+  return {
+    type: 'wishlist',
+    success,
+    action,
+    message,
+    wishlist,
+    totalItems: wishlist.items.length,
+    ...extra
+  };
+}
+
+/**
+ * Save a product to the wishlist
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} options.productId - Product to save
+ * @param {string} [options.size] - Preferred size
+ * @param {string} [options.color] - Preferred color
+ * @returns {Promise<Object>} Wishlist result
+ */
+async function addToWishlist({ tenantConfig, sessionId, productId, size = null, color = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const wishlist = getWishlistRecord(tenantId, sessionId, { create: true });
+
+  console.log(`[wishlistService] Adding to wishlist: tenant=${tenantId}, product=${productId}`);
+
+  const product = (await getProductIndex(tenantId)).get(productId);
+
+  if (!product) {
+    return wishlistResult('add_to_wishlist', false, `Product ${productId} not found in catalog.`, wishlist);
+  }
+
+  // A size/color is optional here, but one that doesn't exist is worth flagging
+  let variant = null;
+  let variantKey = null;
+  if (size || color) {
+    const resolution = resolveVariant(product, { size, color });
+    if (resolution.invalid.length > 0) {
+      return wishlistResult('add_to_wishlist', false, describeVariantProblem(product, { ...resolution, missing: [] }), wishlist);
+    }
+    variant = resolution.variant;
+    variantKey = resolution.variantKey;
+  }
+
+  const existing = wishlist.items.find(item => item.productId === productId);
+  if (existing) {
+    if (variant) {
+      existing.variant = variant;
+      existing.variantKey = variantKey;
+    }
+    wishlist.updatedAt = new Date().toISOString();
+    return wishlistResult('add_to_wishlist', true, `${getLineLabel(existing)} is already in your wishlist.`, wishlist, { addedProduct: existing });
+  }
+
+  const entry = {
+    productId,
+    variant,
+    variantKey,
+    productSnapshot: buildWishlistSnapshot(product),
+    addedAt: new Date().toISOString()
+  };
+  wishlist.items.push(entry);
+  wishlist.updatedAt = entry.addedAt;
+
+  return wishlistResult(
+    'add_to_wishlist',
+    true,
+    `Saved ${getLineLabel(entry)} (${formatProductPrice(product, tenantConfig)}) to your wishlist. You have ${wishlist.items.length} item(s) saved for later.`,
+    wishlist,
+    { addedProduct: entry }
+  );
+}
+
+/**
+ * Remove a product from the wishlist
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} options.productId - Product to remove
+ * @returns {Promise<Object>} Wishlist result
+ */
+async function removeFromWishlist({ tenantConfig, sessionId, productId }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const wishlist = getWishlistRecord(tenantId, sessionId);
+
+  console.log(`[wishlistService] Removing from wishlist: tenant=${tenantId}, product=${productId}`);
+
+  const index = wishlist.items.findIndex(item => item.productId === productId);
+  if (index === -1) {
+    return wishlistResult('remove_from_wishlist', false, 'That item is not in your wishlist.', wishlist);
+  }
+
+  const [removed] = wishlist.items.splice(index, 1);
+  wishlist.updatedAt = new Date().toISOString();
+
+  return wishlistResult(
+    'remove_from_wishlist',
+    true,
+    `Removed ${getLineLabel(removed)} from your wishlist.${wishlist.items.length === 0 ? ' Your wishlist is now empty.' : ''}`,
+    wishlist,
+    { removedProduct: removed }
+  );
+}
+
+/**
+ * View the wishlist
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @returns {Promise<Object>} Wishlist result
+ */
+async function viewWishlist({ tenantConfig, sessionId }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const wishlist = getWishlistRecord(tenantId, sessionId);
+
+  console.log(`[wishlistService] Viewing wishlist: tenant=${tenantId}, items=${wishlist.items.length}`);
+
+  if (wishlist.items.length === 0) {
+    return wishlistResult('view_wishlist', true, 'Your wishlist is empty. Say "save it for later" on any product to keep it here.', wishlist);
+  }
+
+  const lines = wishlist.items
+    .map(item => `${getLineLabel(item)} - ${formatProductPrice(item.productSnapshot, tenantConfig)}`)
+    .join(', ');
+
+  return wishlistResult('view_wishlist', true, `Your wishlist has ${wishlist.items.length} item(s): ${lines}.`, wishlist);
+}
+
+/**
+ * Move wishlist items into the cart
+ * 
+ * Items that were added leave the wishlist; items that need a size/color
+ * or are out of stock stay, and the reason is reported. A size/color is
+ * only applied when one product is moved; moving everything keeps each
+ * item's saved variant.
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} [options.productId] - Item to move (omit to move everything)
+ * @param {string} [options.size] - Size to use for the item (with productId)
+ * @param {string} [options.color] - Color to use for the item (with productId)
+ * @returns {Promise<Object>} Wishlist result (with the cart and summary)
+ */
+async function moveWishlistToCart({ tenantConfig, sessionId, productId = null, size = null, color = null }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const wishlist = getWishlistRecord(tenantId, sessionId);
+
+  console.log(`[wishlistService] Moving to cart: tenant=${tenantId}, product=${productId || 'all'}`);
+
+  const toMove = productId
+    ? wishlist.items.filter(item => item.productId === productId)
+    : [...wishlist.items];
+  const override = productId ? { size, color } : {};
+
+  if (toMove.length === 0) {
+    return wishlistResult(
+      'move_wishlist_to_cart',
+      false,
+      productId ? 'That item is not in your wishlist.' : 'Your wishlist is empty.',
+      wishlist
+    );
+  }
+
+  const moved = [];
+  const problems = [];
+  let lastCartResult = null;
+  let variantRequired = null;
+
+  for (const item of toMove) {
+    const result = await addToCart({
+      tenantConfig,
+      sessionId,
+      productId: item.productId,
+      quantity: 1,
+      size: override.size || item.variant?.size || null,
+      color: override.color || item.variant?.color || null
+    });
+
+    if (result.cart) lastCartResult = result;
+
+    if (result.success) {
+      moved.push(item);
+      wishlist.items = wishlist.items.filter(entry => entry !== item);
+    } else {
+      problems.push(result.message);
+      if (result.variantRequired && toMove.length === 1) {
+        variantRequired = result.variantRequired;
+      }
+    }
+  }
+
+  wishlist.updatedAt = new Date().toISOString();
+
+  const parts = [];
+  if (moved.length > 0) {
+    parts.push(`Moved ${moved.map(getLineLabel).join(', ')} to your cart.`);
+  }
+  parts.push(...problems);
+  if (moved.length > 0 && lastCartResult?.summary) {
+    parts.push(`You now have ${lastCartResult.summary.totalItems} item(s) in your cart.`);
+  }
+
+  return wishlistResult('move_wishlist_to_cart', moved.length > 0, parts.join(' '), wishlist, {
+    movedItems: moved,
+    cart: lastCartResult?.cart || null,
+    summary: lastCartResult?.summary || null,
+    ...(variantRequired && { variantRequired })
+  });
+}
+
+module.exports = {
+  addToWishlist,
+  removeFromWishlist,
+  viewWishlist,
+  moveWishlistToCart
+};
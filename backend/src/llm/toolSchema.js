@@ -84,7 +84,7 @@ const toolDefinitions = [
   },
   {
     name: "add_to_cart",
-    description: "Add a SINGLE specific product to cart by its ID. Only use this for ONE item at a time. Do NOT use this for outfits - use add_outfit_to_cart instead.",
+    description: "Add a SINGLE specific product to cart by its ID. Only use this for ONE item at a time. Do NOT use this for outfits - use add_outfit_to_cart instead. If the product comes in several sizes/colors, pass the ones the user chose; if they didn't choose, call without them and the tool will tell you what to ask.",
     parameters: {
       type: "object",
       properties: {
@@ -96,6 +96,14 @@ const toolDefinitions = [
           type: "integer",
           description: "Quantity to add. Defaults to 1.",
           default: 1
+        },
+        size: {
+          type: "string",
+          description: "Selected size exactly as the user said it (e.g. 'M', '44mm', '10'). Omit if not mentioned."
+        },
+        color: {
+          type: "string",
+          description: "Selected color exactly as the user said it (e.g. 'navy', 'rose gold'). Omit if not mentioned."
         }
       },
       required: ["productId"]
@@ -111,6 +119,10 @@ const toolDefinitions = [
           type: "array",
           description: "Array of product IDs to add (e.g., ['p011', 'p012', 'p022']). Extract from the products shown in the conversation.",
           items: { type: "string" }
+        },
+        variants: {
+          type: "object",
+          description: "Size/color the user chose per product ID, e.g. {\"p011\": {\"size\": \"M\", \"color\": \"navy\"}}. Only include choices the user actually made."
         }
       },
       required: ["productIds"]
@@ -133,6 +145,10 @@ const toolDefinitions = [
         shoeId: {
           type: "string",
           description: "The shoe product ID from the outfit (e.g. 'p111')."
+        },
+        variants: {
+          type: "object",
+          description: "Size/color the user chose per product ID, e.g. {\"p011\": {\"size\": \"M\", \"color\": \"navy\"}}. Only include choices the user actually made."
         }
       },
       required: ["shirtId", "pantId", "shoeId"]
@@ -147,23 +163,180 @@ const toolDefinitions = [
         productId: {
           type: "string",
           description: "The product ID to remove (e.g. 'p101')."
+        },
+        size: {
+          type: "string",
+          description: "Size of the cart line to remove, when the cart has several variants of the product."
+        },
+        color: {
+          type: "string",
+          description: "Color of the cart line to remove, when the cart has several variants of the product."
         }
       },
       required: ["productId"]
     }
   },
   {
-    name: "view_orders",
-    description: "View the user's order history. Use this when the user asks to see their orders, check order history, or track their purchases.",
+    name: "add_to_wishlist",
+    description: "Save a product to the user's wishlist without adding it to the cart. Use for 'save it for later', 'add the second one to my wishlist', 'keep that for later'.",
+    parameters: {
+      type: "object",
+      properties: {
+        productId: {
+          type: "string",
+          description: "The product ID to save (e.g. 'p101'). Resolve 'the second one' etc. from the recent products list."
+        },
+        size: {
+          type: "string",
+          description: "Preferred size, if the user mentioned one (optional)."
+        },
+        color: {
+          type: "string",
+          description: "Preferred color, if the user mentioned one (optional)."
+        }
+      },
+      required: ["productId"]
+    }
+  },
+  {
+    name: "remove_from_wishlist",
+    description: "Remove a product from the user's wishlist.",
+    parameters: {
+      type: "object",
+      properties: {
+        productId: {
+          type: "string",
+          description: "The product ID to remove from the wishlist."
+        }
+      },
+      required: ["productId"]
+    }
+  },
+  {
+    name: "view_wishlist",
+    description: "Show the items the user saved to their wishlist / saved for later.",
     parameters: {
       type: "object",
       properties: {},
       required: []
     }
   },
+  {
+    name: "move_wishlist_to_cart",
+    description: "Move saved wishlist items into the cart. Pass productId to move one item, or omit it to move everything.",
+    parameters: {
+      type: "object",
+      properties: {
+        productId: {
+          type: "string",
+          description: "The wishlist product to move (optional - omit to move the whole wishlist)."
+        },
+        size: {
+          type: "string",
+          description: "Size to use when the product needs one (optional)."
+        },
+        color: {
+          type: "string",
+          description: "Color to use when the product needs one (optional)."
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: "update_cart_quantity",
+    description: "Change the quantity of a product that is ALREADY in the cart. Use for 'make that 2 instead of 3', 'one less of the headphones', 'add another one', 'I only want one'. Pass EITHER quantity (new absolute amount) OR change (relative amount, negative to reduce). A resulting quantity of 0 removes the item.",
+    parameters: {
+      type: "object",
+      properties: {
+        productId: {
+          type: "string",
+          description: "The product ID in the cart (e.g. 'p101')."
+        },
+        quantity: {
+          type: "integer",
+          description: "New absolute quantity (e.g. 2 for 'make it 2')."
+        },
+        change: {
+          type: "integer",
+          description: "Relative change in quantity (e.g. -1 for 'one less', 1 for 'one more')."
+        },
+        size: {
+          type: "string",
+          description: "Size of the cart line to change, when the cart has several variants of the product."
+        },
+        color: {
+          type: "string",
+          description: "Color of the cart line to change, when the cart has several variants of the product."
+        }
+      },
+      required: ["productId"]
+    }
+  },
+  {
+    name: "apply_coupon",
+    description: "Apply a coupon / promo / discount code to the cart. Use when the user says 'apply code X', 'use coupon X', 'I have a promo code X'. Only call with a code the user actually provided.",
+    parameters: {
+      type: "object",
+      properties: {
+        code: {
+          type: "string",
+          description: "The coupon code exactly as given by the user (e.g. 'WELCOME10')."
+        }
+      },
+      required: ["code"]
+    }
+  },
+  {
+    name: "view_orders",
+    description: "View the user's order history, optionally filtered and sorted. Use this when the user asks to see their orders, check order history, or find orders by date, status, product or amount (e.g. 'orders from last month that are still processing'). Returns one page of orders; pass the returned cursor for the next page.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "The user's request in their own words; dates, statuses, products and amounts in it are understood (e.g. 'orders from last month that are still processing')."
+        },
+        status: {
+          type: "string",
+          description: "Comma-separated statuses or groups: processing, in_transit, open, completed, DELIVERED, CANCELLED, RETURNED, ... (optional)."
+        },
+        from: {
+          type: "string",
+          description: "Only orders placed on or after this ISO date (optional)."
+        },
+        to: {
+          type: "string",
+          description: "Only orders placed up to this ISO date (optional)."
+        },
+        product: {
+          type: "string",
+          description: "Only orders containing this product name or ID (optional)."
+        },
+        minAmount: {
+          type: "number",
+          description: "Minimum order total (optional)."
+        },
+        maxAmount: {
+          type: "number",
+          description: "Maximum order total (optional)."
+        },
+        sort: {
+          type: "string",
+          enum: ["newest", "oldest", "amount_desc", "amount_asc"],
+          description: "Sort order (default newest)."
+        },
+        cursor: {
+          type: "string",
+          description: "pageInfo.nextCursor from the previous result, to get the next page (optional)."
+        }
+      },
+      required: []
+    }
+  },
   {
     name: "get_order_status",
-    description: "Get the status of a specific order. Use this when the user asks about a specific order status or tracking.",
+    description: "Get the status, timeline and expected next step of a specific order. Use this when the user asks about a specific order status or tracking.",
     parameters: {
       type: "object",
       properties: {
@@ -177,20 +350,139 @@ const toolDefinitions = [
   },
   {
     name: "cancel_order",
-    description: "Cancel a specific order. Use this when the user wants to cancel an order.",
+    description: "Cancel an order, or only some of its items before it ships. Use this when the user wants to cancel an order (e.g. 'cancel order ORD-1715432100') or remove items from one (e.g. 'cancel the shoes from my last order', 'cancel one of the t-shirts').",
     parameters: {
       type: "object",
       properties: {
         orderId: {
           type: "string",
-          description: "The order ID to cancel."
+          description: "The order ID (required to cancel a whole order; optional when cancelling items - defaults to the user's latest order containing the item)."
+        },
+        productName: {
+          type: "string",
+          description: "The item to cancel as the user named it (e.g. 'shoes'). Omit to cancel the whole order."
+        },
+        productId: {
+          type: "string",
+          description: "The product ID of the item to cancel, if known."
+        },
+        quantity: {
+          type: "integer",
+          description: "How many units of the item to cancel (optional - defaults to all units of that item)."
+        },
+        size: {
+          type: "string",
+          description: "Size of the item, when the order has it in more than one size."
+        },
+        color: {
+          type: "string",
+          description: "Color of the item, when the order has it in more than one color."
+        },
+        items: {
+          type: "array",
+          description: "Several items to cancel at once (instead of productName/productId).",
+          items: {
+            type: "object",
+            properties: {
+              productName: { type: "string" },
+              productId: { type: "string" },
+              quantity: { type: "integer" },
+              size: { type: "string" },
+              color: { type: "string" }
+            }
+          }
         },
         reason: {
           type: "string",
           description: "Reason for cancellation (optional)."
         }
       },
-      required: ["orderId"]
+      required: []
+    }
+  },
+  {
+    name: "reorder",
+    description: "Add the items of a previous order to the cart again at current prices. Use this when the user wants to buy a past order again (e.g. 'reorder my last order', 'buy my last order again'). Reports items that are no longer available or whose price changed.",
+    parameters: {
+      type: "object",
+      properties: {
+        orderId: {
+          type: "string",
+          description: "The order ID to repeat (optional)."
+        },
+        reference: {
+          type: "string",
+          description: "Which order when no ID is given: 'last' (default), 'second last', 'first', ..."
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: "get_invoice",
+    description: "Get the invoice or receipt for a placed order, with line items, discounts, taxes, payment method and addresses, plus a link to the printable version. Use this when the user asks for an invoice, receipt or bill (e.g. 'send me the receipt for my last order').",
+    parameters: {
+      type: "object",
+      properties: {
+        orderId: {
+          type: "string",
+          description: "The order ID (optional)."
+        },
+        reference: {
+          type: "string",
+          description: "Which order when no ID is given: 'last' (default), 'second last', 'first', ..."
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: "request_return",
+    description: "Return items from a delivered order for a refund. Use this when the user wants to return or send back something they received (e.g. 'return the chinos from my last order').",
+    parameters: {
+      type: "object",
+      properties: {
+        orderId: {
+          type: "string",
+          description: "The order ID (optional - defaults to the user's latest order containing the item)."
+        },
+        productName: {
+          type: "string",
+          description: "The item to return as the user named it (e.g. 'chinos'). Omit to return the whole order."
+        },
+        quantity: {
+          type: "integer",
+          description: "How many units to return (optional - defaults to all units of that item)."
+        },
+        reason: {
+          type: "string",
+          description: "Why the user is returning the item, in their words (optional)."
+        },
+        reasonCode: {
+          type: "string",
+          enum: ["DAMAGED", "WRONG_ITEM", "SIZE_ISSUE", "NOT_AS_DESCRIBED", "CHANGED_MIND", "OTHER"],
+          description: "Reason code matching the user's reason (optional)."
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: "get_return_status",
+    description: "Get the status of the user's returns and refunds. Use this when the user asks about a return or refund.",
+    parameters: {
+      type: "object",
+      properties: {
+        returnId: {
+          type: "string",
+          description: "The return ID (e.g. 'RET-CLIENT1-1715432100000-9F2C'), if the user gave one."
+        },
+        orderId: {
+          type: "string",
+          description: "The order ID, to see returns for a specific order."
+        }
+      },
+      required: []
     }
   },
   {
@@ -202,16 +494,42 @@ const toolDefinitions = [
       required: []
     }
   },
+  {
+    name: "set_shipping_address",
+    description: "Save the user's shipping address, or the parts of it they gave. Use this when the user shares or changes their delivery address. Only pass fields the user actually said.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Recipient's full name" },
+        line1: { type: "string", description: "House number and street" },
+        line2: { type: "string", description: "Apartment, suite or landmark" },
+        city: { type: "string", description: "City" },
+        state: { type: "string", description: "State, province or county" },
+        postalCode: { type: "string", description: "Postal, ZIP or PIN code" },
+        country: { type: "string", description: "Country name or ISO code" },
+        phone: { type: "string", description: "Contact phone number" }
+      },
+      required: []
+    }
+  },
   {
     name: "checkout",
-    description: "Complete the purchase and create an order for items in the cart. Use this when the user wants to checkout, place an order, complete their purchase, or proceed to payment.",
+    description: "Complete the purchase and create an order for items in the cart. Use this when the user wants to checkout, place an order, complete their purchase, or proceed to payment. If no shipping address is saved, the result asks for it one field at a time.",
     parameters: {
       type: "object",
       properties: {
         paymentMethod: {
           type: "string",
-          description: "Payment method. Defaults to 'COD' (Cash on Delivery).",
+          description: "Payment method: 'COD' (Cash on Delivery), 'UPI' or 'CARD'. Defaults to 'COD'.",
           default: "COD"
+        },
+        shippingAddress: {
+          type: "object",
+          description: "Shipping address fields the user gave in this message (name, line1, line2, city, state, postalCode, country, phone)."
+        },
+        confirmPriceChanges: {
+          type: "boolean",
+          description: "Set to true only when the user confirmed the updated total after checkout reported price or stock changes."
         }
       },
       required: []
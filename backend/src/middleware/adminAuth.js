@@ -0,0 +1,99 @@
+/**
+ * Admin Auth Middleware
+ * 
+ * Guards store-operator endpoints (order fulfilment, etc.) with a shared key.
+ * 
+ * Requests must send the key in the `x-admin-key` header, matching the
+ * ADMIN_API_KEY environment variable. When ADMIN_API_KEY is not set, admin
+ * endpoints are closed, unless ADMIN_AUTH_DISABLED=1 explicitly opens them
+ * (local development only; logged at startup).
+ * 
+ * Support staff identify themselves with `x-admin-user`; the name is
+ * recorded in audit logs as the actor.
+ */
+
+const crypto = require('node:crypto');
+
+/**
+ * Compare two strings in constant time
+ * 
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check whether admin endpoints were explicitly opened without a key
+ * 
+ * @returns {boolean} True if ADMIN_AUTH_DISABLED is "1" or "true"
+ */
+function isAdminAuthDisabled() {
+  return ['1', 'true'].includes(String(process.env.ADMIN_AUTH_DISABLED || '').toLowerCase());
+}
+
+/**
+ * Check whether a request carries valid admin credentials
+ * 
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the request is from an admin
+ */
+function isAdminRequest(req) {
+  const expectedKey = process.env.ADMIN_API_KEY;
+
+  if (!expectedKey) {
+    return isAdminAuthDisabled();
+  }
+
+  const providedKey = req.get('x-admin-key');
+  return Boolean(providedKey) && safeEqual(providedKey, expectedKey);
+}
+
+/**
+ * Require admin credentials for a route
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdminRequest(req)) {
+    console.warn(`[adminAuth] Rejected admin request: ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Admin credentials are required for this endpoint.'
+    });
+  }
+
+  if (!process.env.ADMIN_API_KEY) {
+    console.warn(`[adminAuth] ADMIN_AUTH_DISABLED is set; allowing admin request without a key: ${req.method} ${req.originalUrl}`);
+  }
+
+  req.isAdmin = true;
+  req.adminActor = req.get('x-admin-user') || 'admin';
+  next();
+}
+
+/**
+ * Log how admin endpoints are protected (called once at startup)
+ */
+function logAdminAuthMode() {
+  if (process.env.ADMIN_API_KEY) {
+    console.log('[adminAuth] Admin endpoints require the x-admin-key header');
+  } else if (isAdminAuthDisabled()) {
+    console.warn('[adminAuth] ⚠️  ADMIN_AUTH_DISABLED is set: admin endpoints are open without a key. Never use this outside local development.');
+  } else {
+    console.warn('[adminAuth] ADMIN_API_KEY is not set: admin endpoints are disabled (set ADMIN_API_KEY, or ADMIN_AUTH_DISABLED=1 for local development)');
+  }
+}
+
+module.exports = {
+  requireAdmin,
+  isAdminRequest,
+  logAdminAuthMode
+};
@@ -24,6 +24,12 @@ const { updateProfileFromProducts, buildProfileSummary } = require('../personali
 const { getSessionContext, saveSessionContext } = require('../personalization/sessionContextStore');
 const { buildRecentProductsContext } = require('../personalization/recentProductsFormatter');
 const { loadProductsForTenant } = require('../utils/productLoader');
+const { extractVariantFromText, getLineLabel } = require('../commerce/productVariants');
+const { formatMoney, formatProductPrice } = require('../commerce/money');
+const { takeAbandonedCartReminder } = require('../commerce/abandonedCartService');
+const { formatAddress } = require('../commerce/addressService');
+const { normalizePaymentMethod, getPaymentMethodLabel } = require('../commerce/paymentService');
+const { getStatusLabel } = require('../commerce/orderLifecycle');
 
 // ============================================================================
 // SYSTEM PROMPTS - World-Class AI Shopping Assistant
@@ -106,19 +112,33 @@ The search_products tool handles price filtering automatically. Pass the full qu
 - "affordable headphones" → search_products 
 - "budget laptops under $500" → search_products`;
 
+// Wishlist actions whose product may be given as a reference or a name
+const WISHLIST_PRODUCT_ACTIONS = new Set(['add_to_wishlist', 'remove_from_wishlist', 'move_wishlist_to_cart']);
+
 // Universal tool-first logic (Section 4)
 const TOOL_INSTRUCTIONS = `=== AVAILABLE TOOLS ===
 - search_products: PRIMARY tool for finding products. Use for "show me", "find", "I want", "I need" + product with optional price/color/category filters
 - compare_products: ONLY for explicit comparisons: "compare X and Y", "X vs Y", "which is better between X and Y"
 - recommend_products: ONLY for "recommend", "suggest", "any ideas" requests - NOT for searches
 - recommend_outfit: Complete outfit recommendation (top + bottom + shoes)
-- add_to_cart: Add product to cart
+- add_to_cart: Add product to cart (pass size/color the user chose; if the tool asks for a missing size/color, ask the user - never pick one yourself)
 - remove_from_cart: Remove from cart
+- update_cart_quantity: Change quantity of an item already in the cart ("make it 2", "one less")
+- apply_coupon: Apply a coupon/promo code the user provided
+- set_shipping_address: Save the delivery address fields the user gave
+- add_to_wishlist: Save a product for later without adding it to the cart ("save the second one for later")
+- remove_from_wishlist: Remove a saved product
+- view_wishlist: Show saved products
+- move_wishlist_to_cart: Move saved products into the cart
 - view_cart: Show cart contents
 - checkout: Complete purchase
-- view_orders: Order history
-- cancel_order: Cancel order
-- get_order_status: Track order status
+- view_orders: Order history, with filters from the user's words ("orders from last month that are still processing")
+- cancel_order: Cancel an order, or just some of its items before it ships ("cancel the shoes from my last order")
+- reorder: Add a previous order's items to the cart again ("buy my last order again")
+- get_invoice: Invoice/receipt for an order ("send me the receipt for my last order")
+- get_order_status: Track order status, timeline and next step
+- request_return: Return items from a delivered order ("return the chinos from my last order")
+- get_return_status: Status of a return and its refund
 
 === TOOL SELECTION RULES (CRITICAL) ===
 SEARCH QUERIES → search_products (FIRST CHOICE for product finding):
@@ -209,7 +229,9 @@ If user says:
 
 You MUST:
 - Call checkout tool IMMEDIATELY
-- If missing address/payment → ask for required fields
+- If missing address/payment → ask for required fields (checkout asks for the shipping address one field at a time; pass answers as shippingAddress)
+- If checkout reports changed prices or stock, show the changes and the new total; only call checkout with confirmPriceChanges=true after the user agrees
+- Pass the payment method the user named as paymentMethod (COD, UPI or CARD); if payment fails, the cart is kept so they can retry or pick another method
 - Never simulate checkout without tools
 - DO NOT ask for confirmation unless the cart is empty`;
 
@@ -522,6 +544,16 @@ function extractProductNamesFromCompare(message) {
   }).filter(name => name.length > 0);
 }
 
+/**
+ * Pull a payment method out of a checkout message ("pay with card")
+ * @param {string} message - User message
+ * @returns {string|null} Method code (COD, UPI, CARD) or null
+ */
+function extractPaymentMethod(message) {
+  const match = message.match(/\b(?:pay(?:ing|ment)?\s+(?:with|by|via|using|through|on)|using|via|with|by)\s+(?:a\s+|my\s+)?(cash\s+on\s+delivery|pay\s+on\s+delivery|credit\s+card|debit\s+card|google\s+pay|cod|cash|upi|gpay|phonepe|paytm|card|visa|mastercard)\b/i);
+  return match ? normalizePaymentMethod(match[1]) : null;
+}
+
 /**
  * Detect if we should force a specific tool based on clear user intent
  * This bypasses LLM decision for unambiguous queries
@@ -532,6 +564,139 @@ function extractProductNamesFromCompare(message) {
 function detectForcedTool(message) {
   const msgLower = message.toLowerCase().trim();
   
+  // ===== COUPON PATTERNS - Force apply_coupon (check before checkout!) =====
+  // Codes must contain a digit or be typed in capitals, so "add discount items" is not a coupon
+  const couponMatch = message.match(/\b(?:apply|use|redeem|add|have)\s+(?:a\s+|the\s+|my\s+)?(?:coupon|promo|discount|voucher|code)(?:\s+code)?\s*:?\s*([A-Za-z0-9_-]{3,})\b/i);
+  if (couponMatch && (/\d/.test(couponMatch[1]) || couponMatch[1] === couponMatch[1].toUpperCase())) {
+    console.log(`[detectForcedTool] Matched coupon pattern: ${couponMatch[1]}`);
+    return {
+      name: 'apply_coupon',
+      arguments: { code: couponMatch[1].toUpperCase() }
+    };
+  }
+
+  // ===== CANCEL ITEM PATTERNS - Force cancel_order for items of an order =====
+  // Whole-order cancellations ("cancel my order") are left to the model
+  if (/\bcancel\b/i.test(msgLower) && /\border\b|\bord-/i.test(msgLower)
+    && !/\b(?:coupon|promo|code|checkout|subscription|return|refund)\b/i.test(msgLower)) {
+    const cancelArgs = extractOrderItemRequest(message, 'cancel');
+    if (cancelArgs.productName) {
+      console.log(`[detectForcedTool] Matched cancel item pattern: ${cancelArgs.productName}`);
+      return { name: 'cancel_order', arguments: cancelArgs };
+    }
+  }
+
+  // ===== RETURN PATTERNS - Force get_return_status / request_return (check before checkout!) =====
+  // "deliver my order" style checkout phrases must not swallow "return ... from my order"
+  const returnStatusPatterns = [
+    /\b(?:return|refund)\s+status\b/i,
+    /\bstatus\s+of\s+(?:my\s+)?(?:return|refund)s?\b/i,
+    /\bwhere(?:'s| is)\s+my\s+(?:return|refund)\b/i,
+    /\b(?:track|check)\s+(?:on\s+)?(?:my\s+)?(?:return|refund)s?\b/i,
+    /\bRET-[A-Z0-9-]+\b/i
+  ];
+
+  for (const pattern of returnStatusPatterns) {
+    if (pattern.test(message)) {
+      console.log(`[detectForcedTool] Matched return status pattern: ${pattern}`);
+      const returnId = message.match(/\bRET-[A-Z0-9-]+\b/i)?.[0]?.toUpperCase();
+      const orderId = message.match(/\bORD-[A-Z0-9-]+\b/i)?.[0]?.toUpperCase();
+      return {
+        name: 'get_return_status',
+        arguments: { ...(returnId && { returnId }), ...(orderId && { orderId }) }
+      };
+    }
+  }
+
+  if (/\b(?:return|send\s+back)\b/i.test(msgLower) && !/\breturn\s+polic|\bhow\s+(?:do|can)\s+i\s+return\b/i.test(msgLower)
+    && /\b(?:return|send\s+back)\s+(?:the\s+|my\s+|this\s+|that\s+|these\s+|an?\s+|\d+\s+|one\s+|two\s+|everything\b|it\b|order\b|ord-)/i.test(msgLower)) {
+    console.log('[detectForcedTool] Matched return request pattern');
+    return {
+      name: 'request_return',
+      arguments: extractOrderItemRequest(message)
+    };
+  }
+
+  // ===== WISHLIST PATTERNS - Force wishlist actions (check before cart patterns!) =====
+  const wishlistNoun = String.raw`(?:wish\s*list|saved\s+(?:items?|list))`;
+  const moveToCartMatch = message.match(new RegExp(String.raw`\bmove\s+(.+?)\s+(?:from\s+(?:my\s+|the\s+)?${wishlistNoun}\s+)?(?:to|into)\s+(?:my\s+|the\s+)?cart\b`, 'i'));
+  if (moveToCartMatch) {
+    console.log('[detectForcedTool] Matched move wishlist to cart pattern');
+    return { name: 'move_wishlist_to_cart', arguments: buildProductTarget(moveToCartMatch[1]) };
+  }
+
+  const removeWishlistMatch = message.match(new RegExp(String.raw`\b(?:remove|delete|take)\s+(.+?)\s+(?:from|off|out\s+of)\s+(?:my\s+|the\s+)?${wishlistNoun}\b`, 'i'));
+  if (removeWishlistMatch) {
+    console.log('[detectForcedTool] Matched remove from wishlist pattern');
+    return { name: 'remove_from_wishlist', arguments: buildProductTarget(removeWishlistMatch[1]) };
+  }
+
+  const addWishlistMatch = message.match(/\b(?:save|keep)\s+(.+?)\s+for\s+later\b/i)
+    || message.match(new RegExp(String.raw`\b(?:add|put|save|move)\s+(.+?)\s+(?:to|in|on|into)\s+(?:my\s+|the\s+)?${wishlistNoun}\b`, 'i'));
+  if (addWishlistMatch) {
+    console.log('[detectForcedTool] Matched add to wishlist pattern');
+    return { name: 'add_to_wishlist', arguments: buildProductTarget(addWishlistMatch[1]) };
+  }
+
+  const viewWishlistPatterns = [
+    new RegExp(String.raw`\b(?:show|view|see|open|check)\s+(?:me\s+)?(?:my\s+|the\s+)?${wishlistNoun}\b`, 'i'),
+    new RegExp(String.raw`\bwhat(?:'s| is)\s+(?:in|on)\s+(?:my\s+)?${wishlistNoun}\b`, 'i'),
+    /\bwhat\s+(?:did|have)\s+i\s+saved?\b/i,
+    /^\s*(?:my\s+)?wish\s*list\s*\??\s*$/i
+  ];
+  for (const pattern of viewWishlistPatterns) {
+    if (pattern.test(message)) {
+      console.log(`[detectForcedTool] Matched view wishlist pattern: ${pattern}`);
+      return { name: 'view_wishlist', arguments: {} };
+    }
+  }
+
+  // ===== INVOICE PATTERNS - Force get_invoice (check before reorder and checkout!) =====
+  if (/\b(?:invoice|receipt|bill)s?\b/i.test(msgLower)
+    && /\b(?:orders?|purchases?|ord-|invoice|receipt)\b/i.test(msgLower)
+    && !/\bbill(?:ing)?\s+(?:to|address)\b/i.test(msgLower)) {
+    console.log('[detectForcedTool] Matched invoice pattern');
+    const orderId = message.match(/\bORD-[A-Z0-9-]+\b/i)?.[0]?.toUpperCase();
+    const reference = msgLower.match(/\b((?:first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|\d+(?:st|nd|rd|th))(?:\s+(?:to\s+)?(?:last|latest|most\s+recent))?|last|latest|previous|most\s+recent)\s+(?:order|purchase)\b/)?.[1];
+    return {
+      name: 'get_invoice',
+      arguments: orderId ? { orderId } : { reference: reference || 'last' }
+    };
+  }
+
+  // ===== ORDER HISTORY PATTERNS - Force view_orders with the message as query =====
+  const orderListPatterns = [
+    /\b(?:order\s+history|(?:past|previous|recent|all)\s+(?:my\s+)?orders)\b/i,
+    /\borders\s+(?:from|in|during|since|placed|that|which|with|containing|over|under|above|below|between)\b/i,
+    /\b(?:show|list|view|see|find|which|what|any)\b[\w\s']{0,30}\borders\b/i,
+    /^\s*(?:my\s+)?orders\s*\??\s*$/i
+  ];
+  if (!/\b(?:cancel|return|refund|track)\b|\bORD-/i.test(msgLower)
+    && orderListPatterns.some(pattern => pattern.test(msgLower))) {
+    console.log('[detectForcedTool] Matched order history pattern');
+    return { name: 'view_orders', arguments: { query: message } };
+  }
+
+  // ===== REORDER PATTERNS - Force reorder (check before checkout!) =====
+  const reorderPatterns = [
+    /\bre-?order\b/i,
+    /\b(?:buy|get|purchase|order)\s+(?:my\s+|the\s+|that\s+)?(?:[\w-]+\s+){0,3}(?:order|purchase)\s+again\b/i,
+    /\b(?:repeat|redo)\s+(?:my\s+|the\s+|that\s+)?(?:[\w-]+\s+){0,3}order\b/i,
+    /\bsame\s+(?:order|thing)\s+as\s+(?:last\s+time|before)\b/i
+  ];
+
+  for (const pattern of reorderPatterns) {
+    if (pattern.test(msgLower)) {
+      console.log(`[detectForcedTool] Matched reorder pattern: ${pattern}`);
+      const orderId = message.match(/\bORD-[A-Z0-9-]+\b/i)?.[0]?.toUpperCase();
+      const reference = msgLower.match(/\b((?:first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|\d+(?:st|nd|rd|th))(?:\s+(?:to\s+)?(?:last|latest|most\s+recent))?|last|latest|previous|most\s+recent)\s+(?:order|purchase)\b/)?.[1];
+      return {
+        name: 'reorder',
+        arguments: orderId ? { orderId } : { reference: reference || 'last' }
+      };
+    }
+  }
+
   // ===== CHECKOUT PATTERNS - Force checkout (check before cart!) =====
   const checkoutPatterns = [
     /\bcheckout\b/i,
@@ -545,15 +710,17 @@ function detectForcedTool(message) {
     /\bdeliver\s+(?:my\s+)?(?:cart|order|items?)\b/i,
     /\bproceed\s+(?:to\s+)?(?:checkout|payment)\b/i,
     /\bi(?:'m| am)\s+(?:ready\s+to|done|want\s+to)\s+(?:buy|checkout|purchase|pay)\b/i,
-    /\bready\s+to\s+(?:buy|checkout|purchase|pay)\b/i
+    /\bready\s+to\s+(?:buy|checkout|purchase|pay)\b/i,
+    /\b(?:i'?ll\s+|let\s+me\s+|i\s+want\s+to\s+)?pay\s+(?:with|by|via|using|through)\s+\w+/i
   ];
   
   for (const pattern of checkoutPatterns) {
     if (pattern.test(msgLower)) {
       console.log(`[detectForcedTool] Matched checkout pattern: ${pattern}`);
+      const paymentMethod = extractPaymentMethod(msgLower);
       return {
         name: 'checkout',
-        arguments: {}
+        arguments: paymentMethod ? { paymentMethod } : {}
       };
     }
   }
@@ -745,6 +912,115 @@ function detectForcedTool(message) {
   return null;
 }
 
+/**
+ * Turn the product phrase of a wishlist request into tool arguments
+ * 
+ * "the second one" / "it" become an ordinal reference into the recently
+ * shown products, "everything" means no specific product, anything else
+ * is a product name to resolve against the catalog.
+ * 
+ * @param {string} phrase - Product phrase from the message
+ * @returns {Object} { reference } | { productName } | {}
+ */
+function buildProductTarget(phrase) {
+  const target = String(phrase || '').trim().replace(/[.!?,]+$/, '');
+
+  if (!target || /^(?:everything|all(?:\s+of\s+(?:them|it))?|(?:all\s+)?(?:my\s+|the\s+)?(?:wish\s*list|saved\s+items?)(?:\s+items?)?|(?:everything|all(?:\s+the)?\s+items?)\s+(?:from|in|on)\s+(?:my\s+)?(?:wish\s*list|saved\s+items?))$/i.test(target)) {
+    return {};
+  }
+
+  if (/^(?:it|this|that|this\s+one|that\s+one|them)$/i.test(target)) {
+    return { reference: 'that' };
+  }
+
+  const ordinal = target.match(/^(?:the\s+)?(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last|\d+(?:st|nd|rd|th))(?:\s+(?:one|product|item))?$/i);
+  if (ordinal) {
+    return { reference: ordinal[1].toLowerCase() };
+  }
+
+  return { productName: target.replace(/^(?:the|my|this|that|these|those|an?)\s+/i, '') };
+}
+
+/**
+ * Resolve a reference or product name in tool params to a productId
+ * 
+ * Mutates params: reference/productName are replaced by productId plus
+ * any size/color mentioned in the message.
+ * 
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} params - Tool params ({ reference } or { productName })
+ * @param {Object} sessionContext - Session context (recently shown products)
+ * @param {string} userMessage - Original user message
+ * @returns {Promise<Object>} { product } on success, { error } if unresolved, {} if nothing to resolve
+ */
+async function resolveProductTarget(tenantId, params, sessionContext, userMessage) {
+  let product = null;
+
+  if (params.reference) {
+    product = resolveOrdinalReference(params.reference, sessionContext);
+    if (!product) {
+      return { error: `I couldn't tell which product you mean. Please name it, or search for products first.` };
+    }
+  } else if (params.productName) {
+    const { resolved } = await resolveProductNamesToIds(tenantId, [stripVariantPhrase(params.productName)]);
+    if (resolved.length === 0) {
+      return { error: `I couldn't find a product matching "${params.productName}". Please try with a more specific product name.` };
+    }
+    product = resolved[0].product;
+  } else {
+    return {};
+  }
+
+  delete params.reference;
+  delete params.productName;
+  params.productId = product.id;
+  Object.assign(params, extractVariantFromText(product, userMessage));
+  console.log(`[Orchestrator] Resolved product target to ${product.id} (${product.name})`);
+  return { product };
+}
+
+/**
+ * Extract the order item a message is about, like
+ * "return the chinos from my last order, they're too small" or
+ * "cancel just one of the t-shirts in order ORD-1715432100"
+ * 
+ * @param {string} message - User message
+ * @param {string} [verb] - Regex source for the action verb
+ * @returns {Object} { productName?, quantity?, orderId?, reason? }
+ */
+function extractOrderItemRequest(message, verb = String.raw`return|send\s+back`) {
+  const args = {};
+
+  const orderId = message.match(/\bORD-[A-Z0-9-]+\b/i)?.[0];
+  if (orderId) args.orderId = orderId.toUpperCase();
+
+  const reasonMatch = message.match(/(?:\bbecause\b|\bsince\b|\bas\b|[,;\u2014-]\s*(?=(?:it|they|the)\b))\s*(.+)$/i);
+  if (reasonMatch) args.reason = reasonMatch[1].trim().replace(/[.!?]+$/, '');
+
+  let item = message
+    .replace(reasonMatch?.[0] || '', '')
+    .replace(new RegExp(String.raw`^.*?\b(?:${verb})\b`, 'i'), '')
+    .replace(/\b(?:from|in|on|of)\s+(?:my\s+|the\s+)?(?:(?:last|latest|recent|previous|most\s+recent)\s+)?order\b.*$/i, '')
+    .replace(/\b(?:from\s+|in\s+)?(?:order\s+)?ORD-[A-Z0-9-]+\b/gi, '')
+    .replace(/\b(?:please|for\s+a\s+refund)\b/gi, '')
+    .replace(/^\s*(?:just|only)\s+/i, '')
+    .trim();
+
+  const quantityMatch = item.match(/^(\d+|one|two|three)\s+(?:of\s+)?/i);
+  if (quantityMatch) {
+    const words = { one: 1, two: 2, three: 3 };
+    args.quantity = words[quantityMatch[1].toLowerCase()] || Number.parseInt(quantityMatch[1], 10);
+    item = item.slice(quantityMatch[0].length);
+  }
+
+  item = item.replace(/^(?:the|my|this|that|these|those|an?)\s+/i, '').replace(/[.!?,]+$/, '').trim();
+  if (item && !/^(?:it|them|everything|all|(?:(?:whole|entire|last|latest|recent|previous|most\s+recent)\s+)?order)$/i.test(item)) {
+    args.productName = item;
+  }
+
+  return args;
+}
+
 /**
  * Extract multiple product names from a message like "Add X, Y, and Z to cart"
  */
@@ -819,7 +1095,7 @@ async function resolveProductNamesToIds(tenantId, productNames) {
     }
     
     if (match) {
-      resolved.push({ id: match.id, name: match.name, originalQuery: name });
+      resolved.push({ id: match.id, name: match.name, originalQuery: name, product: match });
       console.log(`[resolveProductNames] Resolved "${name}" → ${match.id} (${match.name})`);
     } else {
       unresolved.push(name);
@@ -878,10 +1154,315 @@ function resolveOrdinalReference(reference, sessionContext) {
   return product;
 }
 
+/**
+ * Strip a trailing size/color phrase from a product name
+ * ("smart watch in 44mm rose-gold" → "smart watch")
+ * @param {string} name - Product name extracted from the message
+ * @returns {string} Name without the variant phrase
+ */
+function stripVariantPhrase(name) {
+  if (!name) return name;
+  const stripped = name.replace(/\s+(?:in|size|colou?r)\s+.+$/i, '').trim();
+  return stripped || name;
+}
+
+/**
+ * Treat a short reply as the answer to a pending size/color question
+ * @param {string} message - User message
+ * @param {Object} sessionContext - Session context with pendingVariant
+ * @returns {Object|null} Forced add_to_cart call or null
+ */
+function detectVariantReply(message, sessionContext) {
+  const pending = sessionContext?.pendingVariant;
+  if (!pending || message.trim().split(/\s+/).length > 6) return null;
+
+  const found = extractVariantFromText(pending.options, message, { allowBareSizes: true });
+  if (Object.keys(found).length === 0) return null;
+
+  console.log(`[detectVariantReply] Answer for ${pending.productId}:`, found);
+  return {
+    name: pending.action || 'add_to_cart',
+    arguments: {
+      productId: pending.productId,
+      quantity: pending.quantity,
+      ...pending.selected,
+      ...found
+    }
+  };
+}
+
+/**
+ * Remember the size/color question add_to_cart asked (or forget it once answered)
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} sessionId - Session identifier
+ * @param {string} action - Executed action
+ * @param {Object} toolResult - Action result
+ */
+function rememberVariantRequest(tenantId, sessionId, action, toolResult) {
+  if (action !== 'add_to_cart' && action !== 'move_wishlist_to_cart') return;
+
+  const context = getSessionContext(tenantId, sessionId) || {};
+  const request = toolResult?.variantRequired;
+
+  if (request) {
+    saveSessionContext(tenantId, sessionId, {
+      ...context,
+      pendingVariant: {
+        action,
+        productId: request.productId,
+        quantity: request.quantity,
+        options: request.options,
+        selected: request.selected || {}
+      }
+    });
+  } else if (context.pendingVariant) {
+    const { pendingVariant, ...rest } = context;
+    saveSessionContext(tenantId, sessionId, rest);
+  }
+}
+
+// Actions whose reply already shows the cart, so no abandoned cart reminder
+const CART_FOCUSED_ACTIONS = new Set(['view_cart', 'checkout']);
+
+/**
+ * Open a reply with the abandoned cart reminder
+ * 
+ * @param {Object} result - Orchestration result
+ * @param {Object} reminder - Reminder from takeAbandonedCartReminder
+ * @returns {Object} Result with the reminder prepended to its text
+ */
+function prependCartReminder(result, reminder) {
+  if (CART_FOCUSED_ACTIONS.has(result.action)) {
+    return { ...result, cartReminder: reminder };
+  }
+
+  const textField = result.type === 'message' ? 'text' : 'groundedText';
+  return {
+    ...result,
+    [textField]: result[textField] ? `${reminder.message}\n\n${result[textField]}` : reminder.message,
+    cartReminder: reminder
+  };
+}
+
+// Replies that drop a pending address question instead of answering it
+const ADDRESS_OPT_OUT_PATTERN = /^(?:never\s*mind|no(?:,?\s+thank(?:s|\s+you))?|nope|not\s+now|maybe\s+later|forget\s+(?:it|that|about\s+it)|skip\s+(?:it|that|this)|cancel(?:\s+(?:it|that|this|checkout|the\s+(?:order|checkout)))?|stop|don'?t\s+bother|i(?:'ve|\s+have)?\s+changed\s+my\s+mind)(?:[\s,]+(?:for\s+now|please|thanks|maybe\s+later|not\s+now))*[\s!.,]*$/i;
+
+// Words that make up chit-chat rather than an address ("yes please", "hi there")
+const ADDRESS_FILLER_WORDS = new Set(['hi', 'hey', 'hello', 'there', 'yes', 'yeah', 'yep', 'no', 'ok', 'okay', 'sure', 'please', 'thanks', 'thank', 'you', 'what', 'why', 'huh', 'idk', 'dunno', 'test', 'help']);
+
+// Shape an answer needs before it is saved as that address field; the
+// country rules in addressService check the details
+const ADDRESS_ANSWER_CHECKS = {
+  name: answer => /^\p{L}[\p{L}'’ .-]*$/u.test(answer) && answer.replaceAll(/[^\p{L}]/gu, '').length >= 2 && answer.split(/\s+/).length <= 6,
+  line1: answer => /\d/.test(answer) && /\p{L}/u.test(answer),
+  city: answer => /^\p{L}[\p{L}'’ .-]*$/u.test(answer),
+  state: answer => /^\p{L}[\p{L}'’ .-]*$/u.test(answer),
+  postalCode: answer => /^(?=.*\d)[A-Z\d][A-Z\d -]{1,9}$/i.test(answer),
+  country: answer => /^\p{L}[\p{L} .]*$/u.test(answer)
+};
+
+/**
+ * Check if a reply cancels a pending shipping address question
+ * @param {string} message - User message
+ * @returns {boolean} True for "never mind", "no thanks", ...
+ */
+function isAddressOptOut(message) {
+  return ADDRESS_OPT_OUT_PATTERN.test(message.trim());
+}
+
+/**
+ * Treat a reply as the answer to a pending shipping address question
+ * 
+ * Small talk and answers that can't be the asked field (a street without
+ * a number, "hello" as a name) are left to the LLM instead of being saved.
+ * 
+ * @param {string} message - User message
+ * @param {Object} sessionContext - Session context with pendingAddress
+ * @returns {Object|null} Forced checkout / set_shipping_address call or null
+ */
+function detectAddressReply(message, sessionContext) {
+  const pending = sessionContext?.pendingAddress;
+  if (!pending || isAddressOptOut(message) || isGreetingOnly(message)) return null;
+
+  const answer = message.trim()
+    .replace(/^(?:it'?s|it is|(?:my|the)\s+[\w\s]{1,20}?\s+is|ship\s+(?:it\s+)?to)\s+/i, '')
+    .replace(/[.!]+$/, '')
+    .trim();
+  if (!answer || answer.endsWith('?') || answer.split(/\s+/).length > 12) return null;
+
+  const isFiller = answer.toLowerCase().split(/[\s,]+/).every(word => ADDRESS_FILLER_WORDS.has(word));
+  const check = ADDRESS_ANSWER_CHECKS[pending.field];
+  if (isFiller || (check && !check(answer))) {
+    console.log(`[detectAddressReply] "${answer}" doesn't look like a ${pending.field}, not saving it`);
+    return null;
+  }
+
+  console.log(`[detectAddressReply] Answer for ${pending.field}: "${answer}"`);
+  const fields = { [pending.field]: answer };
+  return pending.action === 'checkout'
+    ? { name: 'checkout', arguments: { shippingAddress: fields, ...(pending.paymentMethod && { paymentMethod: pending.paymentMethod }) } }
+    : { name: 'set_shipping_address', arguments: fields };
+}
+
+/**
+ * Remember which address field checkout asked for (or forget it once complete)
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} sessionId - Session identifier
+ * @param {string} action - Executed action
+ * @param {Object} toolResult - Action result
+ */
+function rememberAddressRequest(tenantId, sessionId, action, toolResult) {
+  if (action !== 'checkout' && action !== 'set_shipping_address') return;
+
+  const context = getSessionContext(tenantId, sessionId) || {};
+  const request = toolResult?.addressRequired;
+
+  if (request) {
+    saveSessionContext(tenantId, sessionId, {
+      ...context,
+      pendingAddress: {
+        // Keep finishing the checkout if the address step interrupted one
+        action: context.pendingAddress?.action === 'checkout' ? 'checkout' : action,
+        field: request.nextField,
+        paymentMethod: request.paymentMethod || context.pendingAddress?.paymentMethod || null
+      }
+    });
+  } else if (context.pendingAddress) {
+    const { pendingAddress, ...rest } = context;
+    saveSessionContext(tenantId, sessionId, rest);
+  }
+}
+
+/**
+ * Forget the pending address question when the shopper opts out of it
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} sessionId - Session identifier
+ * @param {string} message - User message
+ * @param {Object} sessionContext - Session context with pendingAddress
+ * @returns {boolean} True if the question was dropped
+ */
+function dropAddressRequestOnOptOut(tenantId, sessionId, message, sessionContext) {
+  if (!sessionContext?.pendingAddress || !isAddressOptOut(message)) return false;
+
+  console.log('[dropAddressRequestOnOptOut] Shopper opted out of the address question');
+  const { pendingAddress, ...rest } = getSessionContext(tenantId, sessionId) || {};
+  saveSessionContext(tenantId, sessionId, rest);
+  return true;
+}
+
+/**
+ * Treat a short "yes" as accepting the updated total checkout asked about
+ * @param {string} message - User message
+ * @param {Object} sessionContext - Session context with pendingPriceConfirmation
+ * @returns {Object|null} Forced checkout call or null
+ */
+function detectPriceConfirmationReply(message, sessionContext) {
+  const pending = sessionContext?.pendingPriceConfirmation;
+  if (!pending || message.trim().split(/\s+/).length > 8) return null;
+
+  const accepted = /^(?:yes|yeah|yep|ok(?:ay)?|sure|confirm(?:ed)?|go\s+ahead|proceed|sounds\s+good|that'?s\s+fine|place\s+(?:it|the\s+order|my\s+order))\b/i
+    .test(message.trim())
+    || /^(?:i\s+)?confirm\s+(?:my\s+|the\s+)?(?:order|purchase|total)\b/i.test(message.trim());
+  if (!accepted) return null;
+
+  console.log(`[detectPriceConfirmationReply] Confirmed total ${pending.total}`);
+  return {
+    name: 'checkout',
+    arguments: { confirmPriceChanges: true, ...(pending.paymentMethod && { paymentMethod: pending.paymentMethod }) }
+  };
+}
+
+/**
+ * Remember that checkout is waiting for the shopper to accept a new total
+ * (or forget it once checkout moved on)
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} sessionId - Session identifier
+ * @param {string} action - Executed action
+ * @param {Object} toolResult - Action result
+ */
+function rememberPriceConfirmation(tenantId, sessionId, action, toolResult) {
+  if (action !== 'checkout') return;
+
+  const context = getSessionContext(tenantId, sessionId) || {};
+  const request = toolResult?.confirmationRequired;
+
+  if (request) {
+    saveSessionContext(tenantId, sessionId, {
+      ...context,
+      pendingPriceConfirmation: { total: request.total, paymentMethod: request.paymentMethod || null }
+    });
+  } else if (context.pendingPriceConfirmation) {
+    const { pendingPriceConfirmation, ...rest } = context;
+    saveSessionContext(tenantId, sessionId, rest);
+  }
+}
+
+/**
+ * Detect a request for the next page of the last order list
+ * @param {string} message - User message
+ * @param {Object} sessionContext - Session context
+ * @returns {Object|null} view_orders call with the saved filters and cursor, or null
+ */
+function detectOrderPageReply(message, sessionContext) {
+  const pending = sessionContext?.lastOrderQuery;
+  if (!pending?.cursor) return null;
+
+  const text = message.trim();
+  if (!/^(?:(?:show|see|give)\s+(?:me\s+)?)?(?:more|next|the\s+next)(?:\s+(?:orders|ones|page|\d+))?(?:\s+please)?[.!?]*$/i.test(text)
+    && !/^(?:next\s+page|more\s+orders|load\s+more|keep\s+going)\b/i.test(text)) {
+    return null;
+  }
+
+  console.log('[detectOrderPageReply] Next page of orders');
+  return { name: 'view_orders', arguments: { ...pending.filters, cursor: pending.cursor } };
+}
+
+/**
+ * Remember the filters and cursor of an order list with more pages
+ * (or forget them once the last page was shown)
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} sessionId - Session identifier
+ * @param {string} action - Executed action
+ * @param {Object} toolResult - Action result
+ */
+function rememberOrderQuery(tenantId, sessionId, action, toolResult) {
+  if (action !== 'view_orders' || !toolResult?.success) return;
+
+  const context = getSessionContext(tenantId, sessionId) || {};
+  const nextCursor = toolResult.pageInfo?.nextCursor;
+
+  if (nextCursor) {
+    const { cursor, ...filters } = toolResult.filters || {};
+    saveSessionContext(tenantId, sessionId, { ...context, lastOrderQuery: { filters, cursor: nextCursor } });
+  } else if (context.lastOrderQuery) {
+    const { lastOrderQuery, ...rest } = context;
+    saveSessionContext(tenantId, sessionId, rest);
+  }
+}
+
 // ============================================================================
 // MAIN ORCHESTRATOR FUNCTION
 // ============================================================================
 
+/**
+ * Run one chat turn
+ * 
+ * A shopper returning to a session whose cart was flagged as abandoned
+ * gets a reminder of what is still in the cart ahead of the reply.
+ * 
+ * @param {Object} options - See runOrchestratorTurn
+ * @returns {Promise<Object>} Orchestration result (cartReminder set when one was shown)
+ */
+async function runLLMOrchestrator(options) {
+  const reminder = await takeAbandonedCartReminder({
+    tenantConfig: options.tenantConfig,
+    sessionId: options.sessionId
+  });
+
+  const result = await runOrchestratorTurn(options);
+  return reminder ? prependCartReminder(result, reminder) : result;
+}
+
 /**
  * Run the two-stage LLM orchestration
  * 
@@ -891,9 +1472,10 @@ function resolveOrdinalReference(reference, sessionContext) {
  * @param {string} options.userMessage - User's message
  * @param {Array} [options.conversationHistory] - Previous messages
  * @param {string} [options.sessionId] - Session ID for cart isolation
+ * @param {string} [options.idempotencyKey] - Client retry key, passed to checkout
  * @returns {Promise<Object>} Orchestration result
  */
-async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, conversationHistory = [], sessionId = null }) {
+async function runOrchestratorTurn({ tenantConfig, actionRegistry, userMessage, conversationHistory = [], sessionId = null, idempotencyKey = null }) {
   console.log('[Orchestrator] Starting two-stage LLM pipeline');
   console.log(`[Orchestrator] User message: "${userMessage}"`);
 
@@ -904,7 +1486,7 @@ async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, c
   
   const profileSummary = buildProfileSummary(profile);
   const recentProductsContext = sessionContext 
-    ? buildRecentProductsContext(sessionContext.lastProducts, sessionContext.lastMatchedProductIds)
+    ? buildRecentProductsContext(sessionContext.lastProducts, sessionContext.lastMatchedProductIds, tenantConfig)
     : '';
 
   // =========================================================================
@@ -912,7 +1494,12 @@ async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, c
   // This ensures search queries use search_products, not recommend_products
   // =========================================================================
   console.log(`[Orchestrator] Checking forced tool routing for: "${userMessage}"`);
-  const forcedTool = detectForcedTool(userMessage);
+  dropAddressRequestOnOptOut(tenantId, sessionId, userMessage, sessionContext);
+  const forcedTool = detectPriceConfirmationReply(userMessage, sessionContext)
+    || detectOrderPageReply(userMessage, sessionContext)
+    || detectForcedTool(userMessage)
+    || detectVariantReply(userMessage, sessionContext)
+    || detectAddressReply(userMessage, sessionContext);
   console.log(`[Orchestrator] detectForcedTool result:`, forcedTool);
   if (forcedTool) {
     console.log(`[Orchestrator] Forced tool routing: ${forcedTool.name}`);
@@ -920,6 +1507,7 @@ async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, c
     // Execute the forced tool directly
     const params = { ...forcedTool.arguments };
     if (sessionId) params.sessionId = sessionId;
+    if (idempotencyKey && forcedTool.name === 'checkout') params.idempotencyKey = idempotencyKey;
     
     // =========================================================================
     // SPECIAL HANDLING: Multi-item cart - resolve product names to IDs
@@ -938,6 +1526,12 @@ async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, c
       
       params.productIds = resolved.map(r => r.id);
       delete params.productNames;
+
+      // Pick up "the navy hoodie in M" style choices per product
+      params.variants = {};
+      for (const r of resolved) {
+        params.variants[r.id] = extractVariantFromText(r.product, r.originalQuery);
+      }
       
       if (unresolved.length > 0) {
         console.log(`[Orchestrator] Could not resolve: ${unresolved.join(', ')}`);
@@ -949,7 +1543,7 @@ async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, c
     // =========================================================================
     if (forcedTool.name === 'add_to_cart' && params.productName) {
       console.log(`[Orchestrator] Resolving single product name: "${params.productName}"`);
-      const { resolved, unresolved } = await resolveProductNamesToIds(tenantId, [params.productName]);
+      const { resolved } = await resolveProductNamesToIds(tenantId, [stripVariantPhrase(params.productName)]);
       
       if (resolved.length === 0) {
         return {
@@ -960,10 +1554,25 @@ async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, c
       }
       
       params.productId = resolved[0].id;
+      Object.assign(params, extractVariantFromText(resolved[0].product, userMessage));
       delete params.productName;
-      console.log(`[Orchestrator] Resolved to productId: ${params.productId}`);
+      console.log(`[Orchestrator] Resolved to productId: ${params.productId} (size=${params.size}, color=${params.color})`);
     }
     
+    // =========================================================================
+    // SPECIAL HANDLING: Wishlist - resolve "the second one" / names to IDs
+    // =========================================================================
+    if (WISHLIST_PRODUCT_ACTIONS.has(forcedTool.name)) {
+      const { error } = await resolveProductTarget(tenantId, params, sessionContext, userMessage);
+      if (error) {
+        return {
+          type: 'error',
+          error,
+          groundedText: error
+        };
+      }
+    }
+
     // =========================================================================
     // SPECIAL HANDLING: Similarity search - resolve reference to product
     // =========================================================================
@@ -1004,6 +1613,11 @@ async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, c
       };
     }
 
+    rememberVariantRequest(tenantId, sessionId, forcedTool.name, toolResult);
+    rememberAddressRequest(tenantId, sessionId, forcedTool.name, toolResult);
+    rememberPriceConfirmation(tenantId, sessionId, forcedTool.name, toolResult);
+    rememberOrderQuery(tenantId, sessionId, forcedTool.name, toolResult);
+
     // Update session context with products (but not for similarity searches)
     if (!isSimilaritySearch && (toolResult?.items || toolResult?.results)) {
       let products = toolResult.items || toolResult.results || [];
@@ -1133,6 +1747,11 @@ async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, c
     params.sessionId = sessionId;
   }
 
+  // Let a retried chat request replay its checkout instead of ordering twice
+  if (idempotencyKey && actionName === 'checkout') {
+    params.idempotencyKey = idempotencyKey;
+  }
+
   console.log(`[Orchestrator] Executing tool: ${actionName}`);
   console.log(`[Orchestrator] Tool params:`, params);
   if (sessionId) {
@@ -1149,6 +1768,11 @@ async function runLLMOrchestrator({ tenantConfig, actionRegistry, userMessage, c
     });
     console.log(`[Orchestrator] Tool executed successfully`);
 
+    rememberVariantRequest(tenantId, sessionId, actionName, toolResult);
+    rememberAddressRequest(tenantId, sessionId, actionName, toolResult);
+    rememberPriceConfirmation(tenantId, sessionId, actionName, toolResult);
+    rememberOrderQuery(tenantId, sessionId, actionName, toolResult);
+
     // Update Context & Profile if products were returned
     if (toolResult && (toolResult.items || toolResult.products)) {
       const products = toolResult.items || toolResult.products;
@@ -1298,7 +1922,7 @@ function buildOutfitPrompt(userMessage, toolResult, tenantConfig) {
   if (outfit.shirt) {
     const s = outfit.shirt;
     prompt += `SHIRT: ${s.name}\n`;
-    prompt += `  - Price: ₹${s.price}\n`;
+    prompt += `  - Price: ${formatProductPrice(s, tenantConfig)}\n`;
     prompt += `  - Colors: ${(s.colors || []).join(', ')}\n`;
     prompt += `  - Tags: ${(s.tags || []).join(', ')}\n\n`;
   }
@@ -1306,7 +1930,7 @@ function buildOutfitPrompt(userMessage, toolResult, tenantConfig) {
   if (outfit.pant) {
     const p = outfit.pant;
     prompt += `PANT: ${p.name}\n`;
-    prompt += `  - Price: ₹${p.price}\n`;
+    prompt += `  - Price: ${formatProductPrice(p, tenantConfig)}\n`;
     prompt += `  - Colors: ${(p.colors || []).join(', ')}\n`;
     prompt += `  - Tags: ${(p.tags || []).join(', ')}\n\n`;
   }
@@ -1314,7 +1938,7 @@ function buildOutfitPrompt(userMessage, toolResult, tenantConfig) {
   if (outfit.shoe) {
     const sh = outfit.shoe;
     prompt += `SHOE: ${sh.name}\n`;
-    prompt += `  - Price: ₹${sh.price}\n`;
+    prompt += `  - Price: ${formatProductPrice(sh, tenantConfig)}\n`;
     prompt += `  - Colors: ${(sh.colors || []).join(', ')}\n`;
     prompt += `  - Tags: ${(sh.tags || []).join(', ')}\n\n`;
   }
@@ -1346,8 +1970,8 @@ function buildProductsPrompt(userMessage, toolResult, tenantConfig) {
   if (filters.maxPrice || filters.minPrice || filters.category || filters.colors?.length) {
     prompt += `[Filters applied: `;
     const filterParts = [];
-    if (filters.maxPrice) filterParts.push(`max $${filters.maxPrice}`);
-    if (filters.minPrice) filterParts.push(`min $${filters.minPrice}`);
+    if (filters.maxPrice) filterParts.push(`max ${formatMoney(filters.maxPrice, tenantConfig)}`);
+    if (filters.minPrice) filterParts.push(`min ${formatMoney(filters.minPrice, tenantConfig)}`);
     if (filters.category) filterParts.push(`category: ${filters.category}`);
     if (filters.colors?.length) filterParts.push(`colors: ${filters.colors.join(', ')}`);
     prompt += filterParts.join(', ') + ']\n\n';
@@ -1387,7 +2011,7 @@ function buildProductsPrompt(userMessage, toolResult, tenantConfig) {
   const topProducts = products.slice(0, 5); // Limit to top 5 for context
   
   for (const [index, p] of topProducts.entries()) {
-    prompt += `${index + 1}. ${p.name} - $${p.price}\n`;
+    prompt += `${index + 1}. ${p.name} - ${formatProductPrice(p, tenantConfig)}\n`;
     prompt += `   Category: ${p.category} | Colors: ${(p.colors || []).join(', ')}\n`;
     if (p.tags?.length) prompt += `   Features: ${(p.tags || []).slice(0, 4).join(', ')}\n`;
     prompt += `\n`;
@@ -1413,7 +2037,7 @@ function buildProductsPrompt(userMessage, toolResult, tenantConfig) {
 /**
  * Build prompt for product comparison explanation
  */
-function buildComparisonPrompt(userMessage, toolResult) {
+function buildComparisonPrompt(userMessage, toolResult, tenantConfig) {
   const products = toolResult.items || [];
   const comparison = toolResult.comparison || {};
   
@@ -1428,7 +2052,7 @@ function buildComparisonPrompt(userMessage, toolResult) {
 
   for (const [index, p] of products.entries()) {
     prompt += `📦 PRODUCT ${index + 1}: ${p.name}\n`;
-    prompt += `   💰 Price: $${p.price}\n`;
+    prompt += `   💰 Price: ${formatProductPrice(p, tenantConfig)}\n`;
     prompt += `   📁 Category: ${p.category}\n`;
     if (p.description) prompt += `   📝 ${p.description}\n`;
     if (p.colors?.length) prompt += `   🎨 Colors: ${p.colors.join(', ')}\n`;
@@ -1438,8 +2062,9 @@ function buildComparisonPrompt(userMessage, toolResult) {
   }
 
   const priceDiff = comparison.priceRange?.highest - comparison.priceRange?.lowest;
+  const priceConfig = { currency: products[0]?.currency || tenantConfig?.currency, locale: tenantConfig?.locale };
   prompt += `=== ANALYSIS POINTS ===\n`;
-  prompt += `• Price Spread: $${comparison.priceRange?.lowest} - $${comparison.priceRange?.highest} (difference: $${priceDiff?.toFixed(2)})\n`;
+  prompt += `• Price Spread: ${formatMoney(comparison.priceRange?.lowest, priceConfig)} - ${formatMoney(comparison.priceRange?.highest, priceConfig)} (difference: ${formatMoney(priceDiff, priceConfig)})\n`;
   if (comparison.commonTags?.length) {
     prompt += `• Shared Features: ${comparison.commonTags.join(', ')}\n`;
   }
@@ -1476,7 +2101,7 @@ function getPromptConfigForAction({ action, tenantConfig, userMessage, toolResul
   if (action === 'compare_products') {
     return {
       systemPrompt: buildGroundedSystemPrompt(tenantConfig, GROUNDED_COMPARISON_RULES),
-      userPrompt: buildComparisonPrompt(userMessage, toolResult),
+      userPrompt: buildComparisonPrompt(userMessage, toolResult, tenantConfig),
       enforceVariety: false
     };
   }
@@ -1492,6 +2117,10 @@ function handleDirectActionResponses(action, params, toolResult) {
       return generateMultipleCartConfirmation(toolResult);
     case 'add_outfit_to_cart':
       return generateOutfitCartConfirmation(toolResult);
+    case 'update_cart_quantity':
+      return generateCartQuantityConfirmation(toolResult);
+    case 'apply_coupon':
+      return generateCouponConfirmation(toolResult);
     case 'view_cart':
       return generateCartSummary(toolResult);
     case 'checkout':
@@ -1502,6 +2131,17 @@ function handleDirectActionResponses(action, params, toolResult) {
       return generateOrderStatusSummary(toolResult);
     case 'cancel_order':
       return generateCancelOrderSummary(toolResult);
+    case 'get_invoice':
+      return generateInvoiceSummary(toolResult);
+    case 'reorder':
+    case 'request_return':
+    case 'get_return_status':
+    case 'add_to_wishlist':
+    case 'remove_from_wishlist':
+    case 'view_wishlist':
+    case 'move_wishlist_to_cart':
+    case 'set_shipping_address':
+      return toolResult.message || null;
     case 'compare_products':
       return null; // Let LLM generate rich comparison response
     default:
@@ -1513,20 +2153,28 @@ function handleDirectActionResponses(action, params, toolResult) {
  * Generate cart confirmation message
  */
 function generateCartConfirmation(params, toolResult) {
-  const productId = params.productId || 'the item';
+  const itemName = toolResult.addedProduct ? getLineLabel(toolResult.addedProduct) : (params.productId || 'the item');
   const quantity = params.quantity || 1;
   
+  if (toolResult.variantRequired) {
+    return toolResult.message;
+  }
+
   if (toolResult.success === false) {
     return `I couldn't add that item to your cart. ${toolResult.message || 'Please try again.'}`;
   }
 
-  return `I've added ${quantity > 1 ? quantity + ' of ' : ''}${productId} to your cart! Would you like to continue shopping or proceed to checkout?`;
+  return `I've added ${quantity > 1 ? quantity + ' of ' : ''}${itemName} to your cart! Would you like to continue shopping or proceed to checkout?`;
 }
 
 /**
  * Generate outfit cart confirmation message
  */
 function generateOutfitCartConfirmation(toolResult) {
+  if (toolResult.variantsRequired) {
+    return toolResult.message;
+  }
+
   if (toolResult.success === false) {
     return `I couldn't add the outfit to your cart. ${toolResult.message || 'Please try again.'}`;
   }
@@ -1538,16 +2186,22 @@ function generateOutfitCartConfirmation(toolResult) {
     return `I couldn't find those items in our catalog. Please try again.`;
   }
 
-  const itemNames = addedItems.map(i => i.name).join(', ');
+  const itemNames = addedItems.map(i => getLineLabel(i)).join(', ');
   const total = summary.totalAmount || 0;
+  const bundleDiscount = (summary.discounts || []).find(d => d.type === 'bundle');
+  const savings = bundleDiscount ? ` Buying the pieces together saves you ${formatMoney(bundleDiscount.amount, summary)}!` : '';
 
-  return `🛒 I've added your complete outfit to the cart: ${itemNames}. Your cart total is now ₹${total}. Ready to checkout?`;
+  return `🛒 I've added your complete outfit to the cart: ${itemNames}.${savings} Your cart total is now ${formatMoney(total, summary)}. Ready to checkout?`;
 }
 
 /**
  * Generate multiple cart items confirmation message
  */
 function generateMultipleCartConfirmation(toolResult) {
+  if (toolResult.variantsRequired) {
+    return toolResult.message;
+  }
+
   if (toolResult.success === false) {
     return `I couldn't add those items to your cart. ${toolResult.message || 'Please try again.'}`;
   }
@@ -1559,11 +2213,33 @@ function generateMultipleCartConfirmation(toolResult) {
     return `I couldn't find those items in our catalog. Please try again with specific product names or IDs.`;
   }
 
-  const itemNames = addedItems.map(i => i.name).join(', ');
+  const itemNames = addedItems.map(i => getLineLabel(i)).join(', ');
   const total = summary.totalAmount || 0;
   const count = addedItems.length;
 
-  return `🛒 Done! I've added ${count} items to your cart: ${itemNames}. Your cart total is now ₹${total}. Ready to checkout or want to keep shopping?`;
+  return `🛒 Done! I've added ${count} items to your cart: ${itemNames}. Your cart total is now ${formatMoney(total, summary)}. Ready to checkout or want to keep shopping?`;
+}
+
+/**
+ * Generate cart quantity update message
+ */
+function generateCartQuantityConfirmation(toolResult) {
+  if (toolResult.success === false) {
+    return `I couldn't update that quantity. ${toolResult.message || 'Please try again.'}`;
+  }
+
+  return `${toolResult.message} Anything else you'd like to change?`;
+}
+
+/**
+ * Generate coupon confirmation message
+ */
+function generateCouponConfirmation(toolResult) {
+  if (toolResult.success === false) {
+    return `${toolResult.message || "That coupon couldn't be applied."} Want me to check anything else in your cart?`;
+  }
+
+  return `🏷️ ${toolResult.message} Ready to checkout?`;
 }
 
 /**
@@ -1581,48 +2257,102 @@ function generateCartSummary(toolResult) {
   const summary = toolResult.summary || {};
   const itemCount = summary.totalItems || cartItems.length;
   const total = summary.totalAmount || 0;
+  const savings = summary.totalDiscount > 0 ? ` (after ${formatMoney(summary.totalDiscount, summary)} in discounts)` : '';
 
   if (itemCount === 1) {
     const item = cartItems[0];
     const itemName = item.name || item.productSnapshot?.name || 'item';
-    return `You have ${itemName} (×${item.quantity}) in your cart for ₹${total}. Ready to checkout or want to keep shopping?`;
+    return `You have ${itemName} (×${item.quantity}) in your cart for ${formatMoney(total, summary)}${savings}. Ready to checkout or want to keep shopping?`;
   }
 
   const itemNames = cartItems.slice(0, 3).map(i => i.name || i.productSnapshot?.name).join(', ');
   const moreItems = cartItems.length > 3 ? ` and ${cartItems.length - 3} more` : '';
+  const bundles = [...new Set((summary.bundles || []).map(b => b.complete
+    ? ` ${b.label} bundle: ${b.items.join(' + ')}.`
+    : ` Your ${b.label.toLowerCase()} bundle is missing ${b.missing.join(', ')}; add it back to get the bundle discount.`
+  ))].join('');
   
-  return `You have ${itemCount} items in your cart: ${itemNames}${moreItems}. Total: ₹${total}. Ready to checkout?`;
+  return `You have ${itemCount} items in your cart: ${itemNames}${moreItems}.${bundles} Total: ${formatMoney(total, summary)}${savings}. Ready to checkout?`;
 }
 
 /**
  * Generate checkout confirmation message
  */
 function generateCheckoutConfirmation(toolResult) {
+  if (toolResult.addressRequired || toolResult.confirmationRequired) {
+    return toolResult.message;
+  }
+
   if (!toolResult.success) {
     return `I couldn't complete the checkout. ${toolResult.message || 'Please try again or contact support.'}`;
   }
 
+  if (toolResult.replayed || toolResult.paymentPending) {
+    return toolResult.message;
+  }
+
   const order = toolResult.order || {};
   const orderId = order.orderId || 'N/A';
   const total = order.summary?.totalAmount || order.totalAmount || toolResult.summary?.totalAmount || 0;
-  const paymentMethod = order.paymentMethod || 'online';
+  const paymentMethod = order.paymentMethod ? getPaymentMethodLabel(order.paymentMethod) : 'online';
+  const saved = order.summary?.totalDiscount > 0 ? `You saved ${formatMoney(order.summary.totalDiscount, order.summary)}! ` : '';
+  const breakdown = formatPriceBreakdown(order.summary);
+
+  const lines = [`🎉 Order confirmed! Your order #${orderId} for ${formatMoney(total, order.summary)} (${paymentMethod}) has been placed successfully.`];
+  if (breakdown) {
+    lines.push(breakdown);
+  }
+  if (order.shippingAddress) {
+    lines.push(`Shipping to: ${formatAddress(order.shippingAddress)}`);
+  }
+  lines.push(`${saved}Thank you for shopping with us!`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Format subtotal / discounts / tax / shipping / total as one line
+ */
+function formatPriceBreakdown(summary) {
+  if (!summary || typeof summary.subtotal !== 'number') {
+    return '';
+  }
+
+  const parts = [`Subtotal ${formatMoney(summary.subtotal, summary)}`];
+  if (summary.totalDiscount > 0) {
+    parts.push(`Discounts -${formatMoney(summary.totalDiscount, summary)}`);
+  }
+  if (summary.tax > 0) {
+    parts.push(`${summary.taxLabel || 'Tax'} ${formatMoney(summary.tax, summary)}${summary.taxMode === 'inclusive' ? ' (incl.)' : ''}`);
+  }
+  parts.push(summary.shipping > 0 ? `Shipping ${formatMoney(summary.shipping, summary)}` : 'Free shipping');
+  parts.push(`Total ${formatMoney(summary.grandTotal ?? summary.totalAmount, summary)}`);
 
-  return `🎉 Order confirmed! Your order #${orderId} for ₹${total} (${paymentMethod}) has been placed successfully. Thank you for shopping with us!`;
+  return parts.join(' · ');
 }
 
 /**
  * Generate order list summary
  */
 function generateOrderListSummary(toolResult) {
-  if (!toolResult.success || !toolResult.orders || toolResult.orders.length === 0) {
-    return "You don't have any orders yet. Would you like to start shopping?";
+  if (!toolResult.success) {
+    return toolResult.message || "I couldn't look up your orders. Please try again.";
   }
 
-  const orders = toolResult.orders;
-  const count = orders.length;
-  const latest = orders[0];
-  
-  return `I found ${count} order(s). Your most recent order is #${latest.orderId} (${latest.status}) for ₹${latest.summary?.totalAmount || latest.totalAmount}.`;
+  const orders = toolResult.orders || [];
+  const filtered = Object.keys(toolResult.filters || {}).some(key => !['sort', 'limit', 'cursor'].includes(key));
+
+  if (orders.length === 0) {
+    return filtered || toolResult.filters?.cursor
+      ? toolResult.message
+      : "You don't have any orders yet. Would you like to start shopping?";
+  }
+
+  const lines = orders.map(order =>
+    `• #${order.orderId} · ${getStatusLabel(order.status)} · ${formatMoney(order.summary?.grandTotal ?? order.summary?.totalAmount ?? order.totalAmount, order.summary)} · ${new Date(order.createdAt).toLocaleDateString()}`);
+  const more = toolResult.pageInfo?.hasMore ? '\nSay "more" to see the next page.' : '';
+
+  return `${toolResult.message}\n${lines.join('\n')}${more}`;
 }
 
 /**
@@ -1634,7 +2364,14 @@ function generateOrderStatusSummary(toolResult) {
   }
 
   const order = toolResult.order;
-  return `Order #${order.orderId} is currently ${order.status}. It was placed on ${new Date(order.createdAt).toLocaleDateString()}.`;
+  const timeline = toolResult.timeline || [];
+  const latest = timeline.at(-1);
+  const steps = timeline.map(entry => entry.label).join(' → ');
+  const since = latest ? ` since ${new Date(latest.at).toLocaleDateString()}` : '';
+  const history = timeline.length > 1 ? ` So far: ${steps}.` : '';
+  const nextStep = toolResult.nextStep?.message ? ` ${toolResult.nextStep.message}` : '';
+
+  return `Order #${order.orderId} is currently ${(latest?.label || order.status).toLowerCase()}${since}. It was placed on ${new Date(order.createdAt).toLocaleDateString()}.${history}${nextStep}`;
 }
 
 /**
@@ -1645,10 +2382,25 @@ function generateCancelOrderSummary(toolResult) {
     return `I couldn't cancel the order. ${toolResult.message || 'Please contact support.'}`;
   }
 
+  if (toolResult.partial) {
+    return toolResult.message;
+  }
+
   const order = toolResult.order;
   return `I've successfully cancelled order #${order.orderId}. You should receive a refund confirmation shortly if applicable.`;
 }
 
+/**
+ * Generate invoice summary: the link plus the plain-text receipt
+ */
+function generateInvoiceSummary(toolResult) {
+  if (!toolResult.success) {
+    return toolResult.message || "I couldn't find that invoice.";
+  }
+
+  return `${toolResult.message}\n\n${toolResult.document}`;
+}
+
 /**
  * Generate fallback explanation when LLM call fails
  */
@@ -1681,7 +2433,7 @@ function generateFallbackExplanation(action, toolResult) {
     const products = toolResult.items || [];
     if (products.length >= 2) {
       const names = products.map(p => p.name).join(' vs ');
-      const prices = products.map(p => `$${p.price}`).join(' / ');
+      const prices = products.map(p => formatProductPrice(p)).join(' / ');
       return `Here's a comparison of ${names}. Prices: ${prices}. Check out the details above to make your choice!`;
     }
   }
@@ -1749,7 +2501,7 @@ function describeProductForDiversity(product = {}) {
   }
 
   if (product.price) {
-    descriptors.push(`₹${product.price}`);
+    descriptors.push(formatProductPrice(product));
   }
 
   if (descriptors.length === 0) {
@@ -1938,5 +2690,22 @@ module.exports = {
   healthCheck,
   // Export for streaming orchestrator
   detectForcedTool,
-  isGreetingOnly
+  detectVariantReply,
+  rememberVariantRequest,
+  detectAddressReply,
+  rememberAddressRequest,
+  dropAddressRequestOnOptOut,
+  detectPriceConfirmationReply,
+  rememberPriceConfirmation,
+  detectOrderPageReply,
+  rememberOrderQuery,
+  generateOrderListSummary,
+  generateOrderStatusSummary,
+  generateCouponConfirmation,
+  generateCheckoutConfirmation,
+  stripVariantPhrase,
+  resolveProductTarget,
+  isGreetingOnly,
+  WISHLIST_PRODUCT_ACTIONS,
+  CART_FOCUSED_ACTIONS
 };
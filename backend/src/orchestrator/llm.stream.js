@@ -19,8 +19,31 @@ const { getOrCreateProfile } = require('../personalization/profileStore');
 const { updateProfileFromProducts, buildProfileSummary } = require('../personalization/profileUpdater');
 const { getSessionContext, saveSessionContext } = require('../personalization/sessionContextStore');
 const { buildRecentProductsContext } = require('../personalization/recentProductsFormatter');
-const { detectForcedTool, isGreetingOnly, buildSystemPrompt } = require('./llm');
+const {
+  detectForcedTool,
+  detectVariantReply,
+  rememberVariantRequest,
+  detectAddressReply,
+  rememberAddressRequest,
+  dropAddressRequestOnOptOut,
+  detectPriceConfirmationReply,
+  rememberPriceConfirmation,
+  detectOrderPageReply,
+  rememberOrderQuery,
+  generateOrderListSummary,
+  generateOrderStatusSummary,
+  generateCouponConfirmation,
+  generateCheckoutConfirmation,
+  stripVariantPhrase,
+  resolveProductTarget,
+  isGreetingOnly,
+  buildSystemPrompt,
+  WISHLIST_PRODUCT_ACTIONS,
+  CART_FOCUSED_ACTIONS
+} = require('./llm');
+const { takeAbandonedCartReminder } = require('../commerce/abandonedCartService');
 const { loadProductsForTenant } = require('../utils/productLoader');
+const { extractVariantFromText, getLineLabel } = require('../commerce/productVariants');
 
 /**
  * Resolve product names to product IDs using fuzzy matching (streaming version)
@@ -58,7 +81,7 @@ async function resolveProductNamesToIds(tenantId, productNames) {
     }
     
     if (match) {
-      resolved.push({ id: match.id, name: match.name, originalQuery: name });
+      resolved.push({ id: match.id, name: match.name, originalQuery: name, product: match });
     } else {
       unresolved.push(name);
     }
@@ -115,6 +138,7 @@ function resolveOrdinalReference(reference, sessionContext) {
  * @param {string} options.userMessage - User message
  * @param {Array} options.conversationHistory - Conversation history
  * @param {string} options.sessionId - Session ID
+ * @param {string} [options.idempotencyKey] - Client retry key, passed to checkout
  * @param {Function} options.onChunk - Callback for each text chunk
  * @param {Function} options.onTool - Callback when tool is called
  * @param {Function} options.onProducts - Callback when products are returned
@@ -127,6 +151,7 @@ async function runLLMOrchestratorStreaming({
   userMessage,
   conversationHistory = [],
   sessionId = null,
+  idempotencyKey = null,
   onChunk,
   onTool,
   onProducts,
@@ -141,12 +166,23 @@ async function runLLMOrchestratorStreaming({
   
   const profileSummary = buildProfileSummary(profile);
   const recentProductsContext = sessionContext 
-    ? buildRecentProductsContext(sessionContext.lastProducts, sessionContext.lastMatchedProductIds)
+    ? buildRecentProductsContext(sessionContext.lastProducts, sessionContext.lastMatchedProductIds, tenantConfig)
     : '';
 
   try {
     // Check for forced tool routing
-    const forcedTool = detectForcedTool(userMessage);
+    dropAddressRequestOnOptOut(tenantId, sessionId, userMessage, sessionContext);
+    const forcedTool = detectPriceConfirmationReply(userMessage, sessionContext)
+      || detectOrderPageReply(userMessage, sessionContext)
+      || detectForcedTool(userMessage)
+      || detectVariantReply(userMessage, sessionContext)
+      || detectAddressReply(userMessage, sessionContext);
+
+    // Returning to an abandoned cart: open with what's still in it
+    const cartReminder = await takeAbandonedCartReminder({ tenantConfig, sessionId });
+    if (cartReminder && !CART_FOCUSED_ACTIONS.has(forcedTool?.name)) {
+      await streamTextChunks(`${cartReminder.message}\n\n`, onChunk);
+    }
     
     let toolResult = null;
     let actionName = null;
@@ -155,6 +191,7 @@ async function runLLMOrchestratorStreaming({
     if (forcedTool) {
       actionName = forcedTool.name;
       params = { ...forcedTool.arguments, sessionId };
+      if (idempotencyKey && actionName === 'checkout') params.idempotencyKey = idempotencyKey;
       
       // =========================================================================
       // SPECIAL HANDLING: Multi-item cart - resolve product names to IDs
@@ -173,6 +210,44 @@ async function runLLMOrchestratorStreaming({
         
         params.productIds = resolved.map(r => r.id);
         delete params.productNames;
+
+        params.variants = {};
+        for (const r of resolved) {
+          params.variants[r.id] = extractVariantFromText(r.product, r.originalQuery);
+        }
+      }
+      
+      // =========================================================================
+      // SPECIAL HANDLING: Single item cart - resolve product name and size/color
+      // =========================================================================
+      if (actionName === 'add_to_cart' && params.productName) {
+        const { resolved } = await resolveProductNamesToIds(tenantId, [stripVariantPhrase(params.productName)]);
+        
+        if (resolved.length === 0) {
+          await streamTextChunks(
+            `I couldn't find a product matching "${params.productName}". Please try with a more specific product name.`,
+            onChunk
+          );
+          onComplete?.({ type: 'error' });
+          return;
+        }
+        
+        params.productId = resolved[0].id;
+        Object.assign(params, extractVariantFromText(resolved[0].product, userMessage));
+        delete params.productName;
+      }
+      
+      // =========================================================================
+      // SPECIAL HANDLING: Wishlist - resolve "the second one" / names to IDs
+      // =========================================================================
+      if (WISHLIST_PRODUCT_ACTIONS.has(actionName)) {
+        const { error } = await resolveProductTarget(tenantId, params, sessionContext, userMessage);
+        
+        if (error) {
+          await streamTextChunks(error, onChunk);
+          onComplete?.({ type: 'error' });
+          return;
+        }
       }
       
       // =========================================================================
@@ -254,6 +329,7 @@ async function runLLMOrchestratorStreaming({
       actionName = llmDecision.tool?.name;
       params = llmDecision.tool?.arguments || {};
       if (sessionId) params.sessionId = sessionId;
+      if (idempotencyKey && actionName === 'checkout') params.idempotencyKey = idempotencyKey;
       
       onTool?.(actionName, params);
       
@@ -277,6 +353,13 @@ async function runLLMOrchestratorStreaming({
       }
     }
 
+    if (toolResult) {
+      rememberVariantRequest(tenantId, sessionId, actionName, toolResult);
+      rememberAddressRequest(tenantId, sessionId, actionName, toolResult);
+      rememberPriceConfirmation(tenantId, sessionId, actionName, toolResult);
+      rememberOrderQuery(tenantId, sessionId, actionName, toolResult);
+    }
+
     // Stream the grounded explanation
     if (toolResult) {
       await streamGroundedExplanation({
@@ -351,12 +434,39 @@ async function streamTextChunks(text, onChunk, chunkSize = 3) {
 async function streamGroundedExplanation({ userMessage, action, toolResult, onChunk }) {
   let explanation = '';
   
-  if (action === 'recommend_outfit') {
+  if (toolResult?.variantRequired || toolResult?.variantsRequired || toolResult?.addressRequired || toolResult?.confirmationRequired) {
+    // Size/color, shipping address or updated total question for the shopper
+    explanation = toolResult.message;
+  } else if (action === 'recommend_outfit') {
     explanation = buildOutfitExplanation(toolResult, userMessage);
   } else if (action === 'search_products' || action === 'recommend_products') {
     explanation = buildProductsExplanation(toolResult, userMessage);
   } else if (action === 'add_to_cart') {
     explanation = buildCartExplanation(toolResult);
+  } else if (action === 'update_cart_quantity') {
+    explanation = toolResult.message || "I had trouble updating that quantity. Please try again.";
+  } else if (action === 'apply_coupon') {
+    explanation = generateCouponConfirmation(toolResult || {});
+  } else if (action === 'checkout') {
+    explanation = generateCheckoutConfirmation(toolResult || {});
+  } else if (action === 'request_return' || action === 'get_return_status') {
+    explanation = toolResult.message || "I couldn't look up that return. Please try again.";
+  } else if (action === 'cancel_order') {
+    explanation = toolResult.message || "I couldn't cancel that. Please try again.";
+  } else if (action === 'reorder') {
+    explanation = toolResult.message || "I couldn't reorder that. Please try again.";
+  } else if (action === 'view_orders') {
+    explanation = generateOrderListSummary(toolResult);
+  } else if (action === 'get_order_status') {
+    explanation = generateOrderStatusSummary(toolResult || {});
+  } else if (action === 'get_invoice') {
+    explanation = toolResult.success
+      ? `${toolResult.message}\n\n${toolResult.document}`
+      : toolResult.message || "I couldn't find that invoice. Please try again.";
+  } else if (toolResult?.type === 'address') {
+    explanation = toolResult.message || "I had trouble saving that address. Please try again.";
+  } else if (toolResult?.type === 'wishlist') {
+    explanation = toolResult.message || "I had trouble updating your wishlist. Please try again.";
   } else if (action === 'compare_products') {
     explanation = buildComparisonExplanation(toolResult);
   } else {
@@ -415,7 +525,7 @@ function buildProductsExplanation(toolResult, userMessage) {
  */
 function buildCartExplanation(toolResult) {
   if (toolResult.success) {
-    const itemName = toolResult.addedItem?.name || 'the item';
+    const itemName = toolResult.addedProduct ? getLineLabel(toolResult.addedProduct) : 'the item';
     const cartTotal = toolResult.summary?.totalItems || 1;
     return `Done! Added **${itemName}** to your cart. You now have ${cartTotal} item${cartTotal > 1 ? 's' : ''} in your cart.`;
   }
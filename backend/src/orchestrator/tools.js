@@ -19,11 +19,18 @@ const fs = require('fs').promises;
 const { logToolExecution } = require('../utils/logger');
 const { recommendProducts } = require('../recommender/recommender');
 const { recommendOutfit } = require('../recommender/outfitRecommender');
-const { addToCart, addOutfitToCart, addMultipleToCart, removeFromCart, viewCart, checkoutCart } = require('../commerce/cartService');
+const { addToCart, addOutfitToCart, addMultipleToCart, removeFromCart, updateCartQuantity, applyCoupon, viewCart, checkoutCart } = require('../commerce/cartService');
 const { getOrders, getOrderStatus, cancelOrder } = require('../commerce/orderService');
+const { cancelOrderItems } = require('../commerce/orderCancellationService');
+const { requestReturn, getReturnStatus } = require('../commerce/returnService');
+const { reorder } = require('../commerce/reorderService');
+const { getInvoice } = require('../commerce/invoiceService');
+const { addToWishlist, removeFromWishlist, viewWishlist, moveWishlistToCart } = require('../commerce/wishlistService');
+const { setShippingAddress } = require('../commerce/addressService');
 const { saveSessionContext } = require('../personalization/sessionContextStore');
 const { updateProfileFromProducts } = require('../personalization/profileUpdater');
 const { loadProductsForTenant } = require('../utils/productLoader');
+const { formatMoney } = require('../commerce/money');
 
 /**
  * Custom error for action not found in registry
@@ -321,13 +328,16 @@ async function runAction({ tenantConfig, actionRegistry, action, params = {} })
           tenantConfig,
           sessionId,
           productId: params?.productId,
-          quantity: params?.quantity || 1
+          quantity: params?.quantity || 1,
+          size: params?.size,
+          color: params?.color
         });
       } else if (functionName === 'addMultipleToCart') {
         result = await addMultipleToCart({
           tenantConfig,
           sessionId,
-          productIds: params?.productIds || []
+          productIds: params?.productIds || [],
+          variants: params?.variants || {}
         });
       } else if (functionName === 'addOutfitToCart') {
         result = await addOutfitToCart({
@@ -335,13 +345,32 @@ async function runAction({ tenantConfig, actionRegistry, action, params = {} })
           sessionId,
           shirtId: params?.shirtId,
           pantId: params?.pantId,
-          shoeId: params?.shoeId
+          shoeId: params?.shoeId,
+          variants: params?.variants || {}
         });
       } else if (functionName === 'removeFromCart') {
         result = await removeFromCart({
           tenantConfig,
           sessionId,
-          productId: params?.productId
+          productId: params?.productId,
+          size: params?.size,
+          color: params?.color
+        });
+      } else if (functionName === 'updateCartQuantity') {
+        result = await updateCartQuantity({
+          tenantConfig,
+          sessionId,
+          productId: params?.productId,
+          quantity: params?.quantity,
+          change: params?.change,
+          size: params?.size,
+          color: params?.color
+        });
+      } else if (functionName === 'applyCoupon') {
+        result = await applyCoupon({
+          tenantConfig,
+          sessionId,
+          code: params?.code || params?.couponCode
         });
       } else if (functionName === 'viewCart') {
         result = await viewCart({
@@ -352,23 +381,136 @@ async function runAction({ tenantConfig, actionRegistry, action, params = {} })
         result = await checkoutCart({
           tenantConfig,
           sessionId,
-          paymentMethod: params?.paymentMethod || 'COD'
+          paymentMethod: params?.paymentMethod || 'COD',
+          shippingAddress: params?.shippingAddress || null,
+          confirmPriceChanges: params?.confirmPriceChanges === true,
+          idempotencyKey: params?.idempotencyKey || null
+        });
+      } else if (functionName === 'setShippingAddress') {
+        result = await setShippingAddress({
+          tenantConfig,
+          sessionId,
+          name: params?.name,
+          line1: params?.line1,
+          line2: params?.line2,
+          city: params?.city,
+          state: params?.state,
+          postalCode: params?.postalCode,
+          country: params?.country,
+          phone: params?.phone
         });
       } else if (functionName === 'viewOrders') {
         result = await getOrders({
           tenantConfig,
-          sessionId
+          sessionId,
+          filters: {
+            query: params?.query,
+            status: params?.status,
+            from: params?.from,
+            to: params?.to,
+            product: params?.product,
+            minAmount: params?.minAmount,
+            maxAmount: params?.maxAmount,
+            sort: params?.sort,
+            cursor: params?.cursor
+          }
         });
       } else if (functionName === 'getOrderStatus') {
         result = await getOrderStatus({
           tenantConfig,
+          sessionId,
           orderId: params?.orderId
         });
       } else if (functionName === 'cancelOrder') {
-        result = await cancelOrder({
+        // Naming items cancels just those; otherwise the whole order
+        let items = Array.isArray(params?.items) ? params.items : [];
+        if (items.length === 0 && (params?.productId || params?.productName)) {
+          items = [{
+            productId: params.productId,
+            productName: params.productName,
+            quantity: params.quantity,
+            size: params.size,
+            color: params.color
+          }];
+        }
+
+        if (items.length > 0) {
+          result = await cancelOrderItems({
+            tenantConfig,
+            sessionId,
+            orderId: params?.orderId,
+            items,
+            reason: params?.reason
+          });
+        } else {
+          result = await cancelOrder({
+            tenantConfig,
+            sessionId,
+            orderId: params?.orderId,
+            reason: params?.reason
+          });
+        }
+      } else if (functionName === 'addToWishlist') {
+        result = await addToWishlist({
+          tenantConfig,
+          sessionId,
+          productId: params?.productId,
+          size: params?.size,
+          color: params?.color
+        });
+      } else if (functionName === 'removeFromWishlist') {
+        result = await removeFromWishlist({
           tenantConfig,
+          sessionId,
+          productId: params?.productId
+        });
+      } else if (functionName === 'viewWishlist') {
+        result = await viewWishlist({
+          tenantConfig,
+          sessionId
+        });
+      } else if (functionName === 'moveWishlistToCart') {
+        result = await moveWishlistToCart({
+          tenantConfig,
+          sessionId,
+          productId: params?.productId,
+          size: params?.size,
+          color: params?.color
+        });
+      } else if (functionName === 'reorder') {
+        result = await reorder({
+          tenantConfig,
+          sessionId,
           orderId: params?.orderId,
-          reason: params?.reason
+          reference: params?.reference
+        });
+      } else if (functionName === 'getInvoice') {
+        result = await getInvoice({
+          tenantConfig,
+          sessionId,
+          orderId: params?.orderId,
+          reference: params?.reference,
+          format: 'text'
+        });
+      } else if (functionName === 'requestReturn') {
+        result = await requestReturn({
+          tenantConfig,
+          sessionId,
+          orderId: params?.orderId,
+          productId: params?.productId,
+          productName: params?.productName,
+          quantity: params?.quantity,
+          size: params?.size,
+          color: params?.color,
+          reason: params?.reason,
+          reasonCode: params?.reasonCode
+        });
+      } else if (functionName === 'getReturnStatus') {
+        result = await getReturnStatus({
+          tenantConfig,
+          sessionId,
+          returnId: params?.returnId,
+          orderId: params?.orderId
         });
       } else if (functionName === 'search') {
         // Handle product search using actual product data
@@ -572,8 +714,8 @@ async function runAction({ tenantConfig, actionRegistry, action, params = {} })
         
         // Build informative message
         let filterInfo = [];
-        if (maxPrice !== null) filterInfo.push(`under $${maxPrice}`);
-        if (minPrice !== null) filterInfo.push(`over $${minPrice}`);
+        if (maxPrice !== null) filterInfo.push(`under ${formatMoney(maxPrice, tenantConfig)}`);
+        if (minPrice !== null) filterInfo.push(`over ${formatMoney(minPrice, tenantConfig)}`);
         if (detectedCategory) filterInfo.push(`in ${detectedCategory}`);
         if (detectedColors.length > 0) filterInfo.push(`in ${detectedColors.join('/')}`);
         
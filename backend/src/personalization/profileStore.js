@@ -6,11 +6,25 @@
  * 
  * This is an in-memory implementation - data is lost on restart.
  * Can be extended to persist to Redis/DB later.
+ * 
+ * Profiles unused for PROFILE_TTL_MINUTES (default 30 days) or over
+ * PROFILE_MAX_PER_TENANT are evicted (see utils/storeEviction).
  */
 
+const { registerSessionStore, touchSession, forgetAllSessions } = require('../utils/storeEviction');
+
 // In-memory profiles: profiles[tenantId][sessionId] = { ...profile }
 const profiles = {};
 
+registerSessionStore('profiles', {
+  envPrefix: 'PROFILE',
+  ttlMinutes: 30 * 24 * 60,
+  maxPerTenant: 10000,
+  remove(tenantId, sessionId) {
+    delete profiles[tenantId]?.[sessionId];
+  }
+});
+
 /**
  * Get or create a profile for a tenant/session combination
  * 
@@ -38,6 +52,7 @@ function getOrCreateProfile(tenantId = 'default', sessionId = 'anon') {
     };
   }
 
+  touchSession('profiles', tId, sId);
   return profiles[tId][sId];
 }
 
@@ -58,6 +73,7 @@ function saveProfile(tenantId, sessionId, profile) {
 
   profile.updatedAt = new Date().toISOString();
   profiles[tId][sId] = profile;
+  touchSession('profiles', tId, sId);
 }
 
 /**
@@ -76,6 +92,7 @@ function clearAllProfiles() {
   for (const key of Object.keys(profiles)) {
     delete profiles[key];
   }
+  forgetAllSessions('profiles');
 }
 
 /**
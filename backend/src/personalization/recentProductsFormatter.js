@@ -5,6 +5,8 @@
  * to enable conversational references like "the second one", "cheaper option", etc.
  */
 
+const { formatProductPrice } = require('../commerce/money');
+
 /**
  * Build a formatted context string of recent products with indices
  * 
@@ -15,9 +17,10 @@
  * 
  * @param {Array} products - Full product catalog
  * @param {Array} matchedProductIds - IDs of products that were last matched
+ * @param {Object} [tenantConfig] - Tenant configuration (currency/locale for prices)
  * @returns {string} Formatted context string, or empty string if no matches
  */
-function buildRecentProductsContext(products, matchedProductIds) {
+function buildRecentProductsContext(products, matchedProductIds, tenantConfig = null) {
   if (!Array.isArray(products) || products.length === 0) {
     return '';
   }
@@ -52,8 +55,6 @@ function buildRecentProductsContext(products, matchedProductIds) {
 
   for (const [index, p] of displayProducts.entries()) {
     const idx = index + 1;
-    const price = p.price || 0;
-    const currency = p.currency || 'INR';
     const category = p.category || 'unknown';
     const tags = Array.isArray(p.tags) ? p.tags.join(', ') : '';
     const colors = Array.isArray(p.colors) ? p.colors.join(', ') : '';
@@ -62,7 +63,7 @@ function buildRecentProductsContext(products, matchedProductIds) {
       `${idx}. ID: ${p.id}`,
       `   Name: ${p.name}`,
       `   Category: ${category}`,
-      `   Price: ${price} ${currency}`
+      `   Price: ${formatProductPrice(p, tenantConfig)}`
     ];
 
     if (colors) {
@@ -5,12 +5,25 @@
  * to enable conversational references like "the second one", "cheaper option", etc.
  * 
  * This is an in-memory implementation - data is lost on restart.
+ * Contexts unused for SESSION_CONTEXT_TTL_MINUTES (default 2 hours) or
+ * over SESSION_CONTEXT_MAX_PER_TENANT are evicted (see utils/storeEviction).
  */
 
+const { registerSessionStore, touchSession, forgetSession, forgetAllSessions } = require('../utils/storeEviction');
+
 // In-memory store:
 // contexts[tenantId][sessionId] = { lastProducts, lastMatchedProductIds, lastUserMessage, updatedAt }
 const contexts = {};
 
+registerSessionStore('sessionContexts', {
+  envPrefix: 'SESSION_CONTEXT',
+  ttlMinutes: 120,
+  maxPerTenant: 10000,
+  remove(tenantId, sessionId) {
+    delete contexts[tenantId]?.[sessionId];
+  }
+});
+
 /**
  * Get session context for a tenant/session combination
  * 
@@ -22,8 +35,9 @@ function getSessionContext(tenantId = 'default', sessionId = 'anon') {
   const tId = tenantId || 'default';
   const sId = sessionId || 'anon';
 
-  if (!contexts[tId]) return null;
-  return contexts[tId][sId] || null;
+  const context = contexts[tId]?.[sId] || null;
+  if (context) touchSession('sessionContexts', tId, sId);
+  return context;
 }
 
 /**
@@ -48,6 +62,7 @@ function saveSessionContext(tenantId, sessionId, context) {
     ...context,
     updatedAt: new Date().toISOString()
   };
+  touchSession('sessionContexts', tId, sId);
 
   console.log(`[SessionContext] Saved context for ${tId}/${sId}: ${context.lastMatchedProductIds?.length || 0} products`);
 }
@@ -74,6 +89,7 @@ function clearSessionContext(tenantId = 'default', sessionId = 'anon') {
   if (contexts[tId] && contexts[tId][sId]) {
     delete contexts[tId][sId];
   }
+  forgetSession('sessionContexts', tId, sId);
 }
 
 /**
@@ -83,6 +99,7 @@ function clearAllContexts() {
   for (const key of Object.keys(contexts)) {
     delete contexts[key];
   }
+  forgetAllSessions('sessionContexts');
 }
 
 /**
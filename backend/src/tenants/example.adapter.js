@@ -33,10 +33,9 @@ async function checkout(params, tenantConfig) {
     throw new Error('Missing required parameter: cartId');
   }
 
-  // Example tenant applies a special 10% discount
+  // Discounts come from the tenant's promotions (the 10% EXAMPLE10 coupon
+  // lives in data/promotions/promotions.example.json), not from this override
   const subtotal = 89.97;
-  const discount = subtotal * 0.10;
-  const total = subtotal - discount;
 
   await new Promise(resolve => setTimeout(resolve, 150));
 
@@ -50,12 +49,10 @@ async function checkout(params, tenantConfig) {
       orderId: `EXAMPLE-ORD-${Date.now()}`,
       status: 'confirmed',
       subtotal,
-      discount,
-      total,
-      paymentStatus: 'paid',
-      special: 'Example tenant receives 10% discount!'
+      total: subtotal,
+      paymentStatus: 'paid'
     },
-    message: `✨ Custom checkout for Example Tenant - 10% discount applied!`
+    message: `✨ Custom checkout for Example Tenant`
   };
 }
 
@@ -0,0 +1,91 @@
+/**
+ * Delimited Text Parser
+ * 
+ * Parses CSV and TSV exports (spreadsheets, Shopify product CSV, Google
+ * Merchant TSV feeds) into one object per row, keyed by the header row.
+ * 
+ * Follows RFC 4180: fields may be quoted, quotes inside quoted fields are
+ * doubled, and quoted fields may span lines. Blank lines are skipped.
+ */
+
+/**
+ * Split delimited text into records
+ * 
+ * @param {string} text - File content
+ * @param {string} delimiter - Field separator ("," or "\t")
+ * @returns {Array<Array<string>>} Records
+ */
+function splitRecords(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV or TSV content
+ * 
+ * @param {string} text - File content
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field separator (default ",")
+ * @returns {Array<Object>} Rows keyed by header
+ */
+function parseDelimited(text, { delimiter = ',' } = {}) {
+  const records = splitRecords(String(text).replace(/^\uFEFF/, ''), delimiter);
+  if (records.length === 0) return [];
+
+  const header = records[0].map(name => name.trim());
+  if (header.every(name => !name)) {
+    throw new Error('Missing header row');
+  }
+
+  return records.slice(1).map(values => {
+    const row = {};
+    header.forEach((name, i) => {
+      if (name && values[i] !== undefined) row[name] = values[i].trim();
+    });
+    return row;
+  });
+}
+
+module.exports = {
+  parseDelimited
+};
@@ -0,0 +1,62 @@
+/**
+ * Delimited Text Parser tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDelimited } = require('./csvParser');
+
+test('parseDelimited keys rows by the header row', () => {
+  const rows = parseDelimited('id,name,price\np1,Tee,19.99\np2,Cap,9.50\n');
+
+  assert.deepEqual(rows, [
+    { id: 'p1', name: 'Tee', price: '19.99' },
+    { id: 'p2', name: 'Cap', price: '9.50' }
+  ]);
+});
+
+test('parseDelimited keeps delimiters inside quoted fields', () => {
+  const rows = parseDelimited('id,name,tags\np1,"Tee, classic","cotton, summer"\n');
+
+  assert.equal(rows[0].name, 'Tee, classic');
+  assert.equal(rows[0].tags, 'cotton, summer');
+});
+
+test('parseDelimited unescapes doubled quotes', () => {
+  const rows = parseDelimited('id,name\np1,"The ""Classic"" Tee"\np2,""\n');
+
+  assert.equal(rows[0].name, 'The "Classic" Tee');
+  assert.equal(rows[1].name, '');
+});
+
+test('parseDelimited lets quoted fields span lines', () => {
+  const rows = parseDelimited('id,description,price\r\np1,"Soft cotton.\r\nMachine washable.",19.99\r\np2,Plain,5\r\n');
+
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].description, 'Soft cotton.\r\nMachine washable.');
+  assert.equal(rows[0].price, '19.99');
+  assert.equal(rows[1].id, 'p2');
+});
+
+test('parseDelimited treats quotes inside unquoted fields as text', () => {
+  const rows = parseDelimited('id,name\np1,12" Vinyl\n');
+
+  assert.equal(rows[0].name, '12" Vinyl');
+});
+
+test('parseDelimited skips blank lines and strips a byte order mark', () => {
+  const rows = parseDelimited('\uFEFFid,name\n\np1,Tee\n   \np2,Cap');
+
+  assert.deepEqual(rows.map(row => row.id), ['p1', 'p2']);
+  assert.ok('id' in rows[0]);
+});
+
+test('parseDelimited reads tab-separated files', () => {
+  const rows = parseDelimited('id\ttitle\tprice\np1\tTee, classic\t19.99\n', { delimiter: '\t' });
+
+  assert.deepEqual(rows, [{ id: 'p1', title: 'Tee, classic', price: '19.99' }]);
+});
+
+test('parseDelimited rejects an unterminated quoted field', () => {
+  assert.throws(() => parseDelimited('id,name\np1,"Tee\n'), /Unterminated quoted field/);
+});
@@ -0,0 +1,86 @@
+/**
+ * Merchant Feed XML Parser
+ * 
+ * Reads Google Merchant-style product feeds (RSS 2.0 <item> or Atom
+ * <entry> elements with g: attributes) into one flat object per item.
+ * Namespace prefixes are dropped, so <g:price> becomes "price".
+ * 
+ * This is not a general XML parser: it only reads the direct children of
+ * each item, takes the first occurrence of repeated elements and keeps
+ * the text of nested ones (e.g. <g:shipping>).
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+/**
+ * Decode XML entities and character references
+ * 
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replaceAll(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? Number.parseInt(entity.slice(2), 16)
+        : Number.parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Get the text of an element's content
+ * 
+ * @param {string} inner - Content between the start and end tags
+ * @returns {string} Text
+ */
+function readText(inner) {
+  const parts = [];
+  const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(inner)) !== null) {
+    parts.push(decodeEntities(inner.slice(last, match.index).replaceAll(/<[^>]*>/g, ' ')), match[1]);
+    last = pattern.lastIndex;
+  }
+  parts.push(decodeEntities(inner.slice(last).replaceAll(/<[^>]*>/g, ' ')));
+
+  return parts.join('').replaceAll(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a merchant feed
+ * 
+ * @param {string} xml - Feed content
+ * @returns {Array<Object>} One object per item, keyed by element name
+ */
+function parseMerchantFeed(xml) {
+  const text = String(xml).replaceAll(/<!--[\s\S]*?-->/g, '');
+  const items = [...text.matchAll(/<(item|entry)\b[^>]*>([\s\S]*?)<\/\1>/g)];
+
+  if (items.length === 0 && !/<(rss|feed|channel)\b/.test(text)) {
+    throw new Error('No <item> or <entry> elements found');
+  }
+
+  return items.map(([, , body]) => {
+    const row = {};
+    const children = /<([\w:.-]+)\b[^>]*?(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+    let match;
+
+    while ((match = children.exec(body)) !== null) {
+      const name = match[1].replace(/^[\w.-]+:/, '');
+      if (!(name in row) && match[2] !== undefined) {
+        row[name] = readText(match[2]);
+      }
+    }
+    return row;
+  });
+}
+
+module.exports = {
+  parseMerchantFeed,
+  decodeEntities
+};
@@ -0,0 +1,78 @@
+/**
+ * Shopify Product JSON Parser
+ * 
+ * Flattens Shopify-style product JSON ({ products: [...] } from the Admin
+ * API or products.json, or a single { product }) into one row per variant.
+ * Rows use the column names of Shopify's product CSV export ("Handle",
+ * "Variant Price", "Option1 Name", ...), so both sources go through the
+ * same field mapping.
+ */
+
+/**
+ * Get the products of a Shopify payload
+ * 
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {Array<Object>|null} Products, or null if this isn't Shopify JSON
+ */
+function getShopifyProducts(data) {
+  const products = Array.isArray(data) ? data : data?.products || (data?.product ? [data.product] : null);
+  if (!Array.isArray(products)) return null;
+
+  const isShopify = products.some(p => p && typeof p === 'object' && (Array.isArray(p.variants) || 'body_html' in p || 'handle' in p));
+  return isShopify ? products : null;
+}
+
+/**
+ * Get a variant's image URL, falling back to the product's first image
+ * 
+ * @param {Object} product - Shopify product
+ * @param {Object} variant - Shopify variant
+ * @returns {string} Image URL or ''
+ */
+function getImageSrc(product, variant) {
+  const images = Array.isArray(product.images) ? product.images : [];
+  const variantImage = variant.image_id && images.find(image => image.id === variant.image_id);
+  return variantImage?.src || product.image?.src || images[0]?.src || '';
+}
+
+/**
+ * Flatten Shopify products into variant rows
+ * 
+ * @param {Array<Object>} products - Shopify products
+ * @returns {Array<Object>} Rows in Shopify CSV column names
+ */
+function parseShopifyProducts(products) {
+  return products.flatMap(product => {
+    const variants = Array.isArray(product.variants) && product.variants.length > 0 ? product.variants : [{}];
+    const options = Array.isArray(product.options) ? product.options : [];
+    const tags = Array.isArray(product.tags) ? product.tags.join(', ') : product.tags;
+
+    return variants.map(variant => {
+      const row = {
+        'Handle': product.handle || (product.id === undefined ? '' : String(product.id)),
+        'Title': product.title,
+        'Body (HTML)': product.body_html,
+        'Type': product.product_type,
+        'Tags': tags,
+        'Variant SKU': variant.sku,
+        'Variant Price': variant.price,
+        'Variant Grams': variant.grams,
+        'Variant Inventory Qty': variant.inventory_quantity,
+        'Variant Available': variant.available,
+        'Image Src': getImageSrc(product, variant)
+      };
+
+      options.forEach((option, i) => {
+        row[`Option${i + 1} Name`] = option?.name;
+        row[`Option${i + 1} Value`] = variant[`option${i + 1}`];
+      });
+
+      return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    });
+  });
+}
+
+module.exports = {
+  getShopifyProducts,
+  parseShopifyProducts
+};
@@ -0,0 +1,677 @@
+/**
+ * Catalog Importer
+ * 
+ * Converts product exports into products.{tenantId}.json, so tenants
+ * don't have to write their catalog by hand. Supported formats:
+ * - csv / tsv: spreadsheets, Shopify product CSV, Google Merchant TSV feeds
+ * - merchant-xml: Google Merchant RSS/Atom feeds (g: attributes)
+ * - shopify: Shopify product JSON ({ products: [{ variants, options }] })
+ * - json: an array of flat product objects, or { products: [...] }
+ * 
+ * Columns are matched to product fields by name (case, spaces and
+ * punctuation ignored) using FIELD_COLUMNS. Tenants override the mapping
+ * in their config, and an import can override it again:
+ * 
+ *   "catalogImport": {
+ *     "mapping": { "name": "Product Title", "price": ["Sale Price", "Price"], "groupId": null },
+ *     "categoryMap": { "Apparel & Accessories > Clothing > Shirts & Tops": "shirt" }
+ *   }
+ * 
+ * Rows sharing a group ID (item_group_id, Shopify handle, ...) are
+ * variants of one product: their colors and sizes are collected and the
+ * lowest price is used. Mapping "groupId" to null imports every row as
+ * its own product.
+ * 
+ * Imports are dry runs unless `dryRun: false`: the result shows what
+ * would be added, changed and removed against the tenant's current
+ * catalog file. In "merge" mode (default) products missing from the
+ * import are kept; in "replace" mode they are removed. Imported products
+ * keep the fields the import doesn't carry (e.g. rating), and products
+ * failing validation (see utils/catalogValidator) are not written.
+ */
+
+const { parseDelimited } = require('./catalogImport/csvParser');
+const { parseMerchantFeed, decodeEntities } = require('./catalogImport/merchantFeedParser');
+const { getShopifyProducts, parseShopifyProducts } = require('./catalogImport/shopifyParser');
+const { validateCatalog } = require('./catalogValidator');
+const { readTenantCatalog, saveCatalog } = require('./productLoader');
+
+const FORMATS = ['csv', 'tsv', 'merchant-xml', 'shopify', 'json'];
+const MODES = ['merge', 'replace'];
+
+// Columns read for each product field, in order of preference (normalized names)
+const FIELD_COLUMNS = {
+  id: ['id', 'sku', 'productid', 'itemid', 'variantsku'],
+  groupId: ['itemgroupid', 'groupid', 'parentid', 'parentsku', 'handle'],
+  name: ['name', 'title', 'productname'],
+  description: ['description', 'bodyhtml', 'body', 'productdescription'],
+  category: ['category', 'producttype', 'type', 'googleproductcategory'],
+  price: ['price', 'variantprice', 'regularprice'],
+  currency: ['currency', 'currencycode'],
+  color: ['color', 'colour', 'colors'],
+  size: ['size', 'sizes'],
+  tags: ['tags', 'keywords', 'labels'],
+  imageUrl: ['imageurl', 'imagelink', 'image', 'imagesrc', 'variantimage'],
+  availability: ['instock', 'availability', 'variantavailable', 'available', 'stock', 'variantinventoryqty', 'inventoryquantity', 'quantity'],
+  weight: ['weight', 'shippingweight'],
+  weightGrams: ['variantgrams', 'grams'],
+  rating: ['rating']
+};
+
+const IN_STOCK_VALUES = new Set(['true', 'yes', 'y', 'instock', 'available', 'preorder', 'backorder']);
+const OUT_OF_STOCK_VALUES = new Set(['false', 'no', 'n', 'outofstock', 'soldout', 'unavailable', 'discontinued']);
+
+// Weight units in kg
+const WEIGHT_UNITS = { kg: 1, g: 0.001, lb: 0.45359237, lbs: 0.45359237, oz: 0.028349523 };
+
+/**
+ * Custom error class for imports that can't be processed
+ */
+class CatalogImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CatalogImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Normalize a column name for matching ("Variant Price" -> "variantprice")
+ * 
+ * @param {string} name - Column name
+ * @returns {string} Normalized name
+ */
+function normalizeColumn(name) {
+  return String(name).toLowerCase().replaceAll(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Check a field mapping and normalize its column names
+ * 
+ * @param {Object} mapping - { field: column | [columns] | null }
+ * @returns {Object} { field: [normalized columns] }
+ */
+function resolveMapping(mapping) {
+  const resolved = {};
+
+  for (const [field, columns] of Object.entries(mapping || {})) {
+    if (!FIELD_COLUMNS[field]) {
+      throw new CatalogImportError(`Unknown mapping field "${field}". Fields: ${Object.keys(FIELD_COLUMNS).join(', ')}`);
+    }
+    resolved[field] = [columns].flat().filter(Boolean).map(normalizeColumn);
+  }
+
+  return resolved;
+}
+
+/**
+ * Parse the import content into flat rows
+ * 
+ * @param {string|Object} content - File content, or parsed JSON
+ * @param {string} [format] - One of FORMATS (detected when omitted)
+ * @param {string} [fileName] - File name, used to detect the format
+ * @returns {Object} { format, rows }
+ */
+function parseFeed(content, format, fileName) {
+  if (format && !FORMATS.includes(format)) {
+    throw new CatalogImportError(`Unknown format "${format}". Formats: ${FORMATS.join(', ')}`);
+  }
+
+  const text = typeof content === 'string' ? content.replace(/^\uFEFF/, '').trim() : null;
+  if (text === '') {
+    throw new CatalogImportError('The import is empty');
+  }
+
+  let detected = format;
+  if (!detected && text === null) detected = 'json';
+  if (!detected) {
+    const extension = String(fileName || '').toLowerCase().split('.').pop();
+    detected = { csv: 'csv', tsv: 'tsv', txt: 'tsv', xml: 'merchant-xml', json: 'json' }[extension]
+      || (text.startsWith('<') && 'merchant-xml')
+      || (/^[[{]/.test(text) && 'json')
+      || (text.split('\n')[0].includes('\t') ? 'tsv' : 'csv');
+  }
+
+  try {
+    if (detected === 'csv' || detected === 'tsv') {
+      return { format: detected, rows: parseDelimited(text, { delimiter: detected === 'tsv' ? '\t' : ',' }) };
+    }
+    if (detected === 'merchant-xml') {
+      return { format: detected, rows: parseMerchantFeed(text) };
+    }
+
+    const data = text === null ? content : JSON.parse(text);
+    const shopifyProducts = getShopifyProducts(data);
+    if (shopifyProducts) {
+      return { format: 'shopify', rows: parseShopifyProducts(shopifyProducts) };
+    }
+    if (detected === 'shopify') {
+      throw new Error('expected { "products": [...] } with Shopify products');
+    }
+
+    const rows = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error('expected an array of product objects or { "products": [...] }');
+    }
+    return { format: 'json', rows };
+  } catch (error) {
+    if (error instanceof CatalogImportError) throw error;
+    throw new CatalogImportError(`Could not parse ${detected} import: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a cell is empty
+ * 
+ * @param {*} value - Cell value
+ * @returns {boolean} True for undefined, null, '' and []
+ */
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Read a product field from a row
+ * 
+ * @param {Map} cells - Row values by normalized column name
+ * @param {string} field - Product field (key of FIELD_COLUMNS)
+ * @param {Object} mapping - Resolved mapping
+ * @returns {*} First non-empty value, or undefined
+ */
+function readField(cells, field, mapping) {
+  const columns = mapping[field] || FIELD_COLUMNS[field];
+  for (const column of columns) {
+    const value = cells.get(column);
+    if (!isBlank(value)) return typeof value === 'string' ? value.trim() : value;
+  }
+  return undefined;
+}
+
+/**
+ * Read a variant option (Shopify "Option1 Name" / "Option1 Value" columns)
+ * 
+ * @param {Map} cells - Row values by normalized column name
+ * @param {Array<string>} optionNames - Option names of the row, by position
+ * @param {Array<string>} accepted - Accepted option names (normalized)
+ * @returns {string|undefined} Option value
+ */
+function readOption(cells, optionNames, accepted) {
+  for (let i = 1; i <= 3; i++) {
+    const name = optionNames[i - 1];
+    const value = cells.get(`option${i}value`);
+    if (!isBlank(name) && accepted.includes(normalizeColumn(name)) && !isBlank(value)) {
+      return String(value).trim();
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse a price cell ("19.99", "19.99 USD", "$1,299.00", "1.299,00 €", "19,99 EUR")
+ * 
+ * The last "." or "," is the decimal separator unless it repeats
+ * ("1,299,000"). A single separator followed by exactly three digits
+ * ("1,299", "1.299") could be either, so the price is rejected rather
+ * than guessed.
+ * 
+ * @param {*} value - Cell value
+ * @returns {Object} { amount, currency, problem }; amount is the raw value if it isn't a number
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return { amount: value, currency: undefined };
+
+  const text = String(value);
+  const currency = /\b([A-Z]{3})\b/.exec(text)?.[1];
+  const rejected = problem => ({ amount: text, currency, problem });
+
+  const number = text.replaceAll(/[^\d.,-]/g, '');
+  if (!/\d/.test(number)) return rejected();
+
+  let integer = number;
+  let fraction = '';
+  let grouping = null;
+
+  const last = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+  if (last >= 0) {
+    const separator = number[last];
+    const other = separator === '.' ? ',' : '.';
+
+    if (number.indexOf(separator) !== last) {
+      // "1,299,000": the separator groups thousands, there are no decimals
+      if (number.includes(other)) return rejected();
+      grouping = separator;
+    } else if (!number.includes(other) && number.length - last - 1 === 3) {
+      return rejected(`Price "${text}" is ambiguous: "${separator}" could be a decimal or a thousands separator`);
+    } else {
+      integer = number.slice(0, last);
+      fraction = number.slice(last + 1);
+      grouping = number.includes(other) ? other : null;
+    }
+  }
+
+  // Thousands groups: 3 digits, or 2 in Indian lakh grouping ("1,29,999.00")
+  const groups = grouping ? integer.split(grouping) : [integer];
+  const wellFormed = /^-?\d+$/.test(groups[0])
+    && (groups.length === 1 || (/^-?\d{1,3}$/.test(groups[0]) && groups.slice(1).every((group, i, rest) => (i === rest.length - 1 ? /^\d{3}$/ : /^\d{2,3}$/).test(group))))
+    && /^\d*$/.test(fraction);
+  if (!wellFormed) return rejected();
+
+  return { amount: Number(`${groups.join('')}.${fraction || '0'}`), currency };
+}
+
+/**
+ * Split a list cell ("a, b | c") into values
+ * 
+ * @param {*} value - Cell value (string or array)
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : String(value).split(/[,|;]/);
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Parse an availability cell ("in stock", "out_of_stock", true, 12)
+ * 
+ * @param {*} value - Cell value
+ * @returns {boolean|undefined} In stock, or undefined if unknown
+ */
+function parseAvailability(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value > 0;
+
+  const normalized = normalizeColumn(value);
+  if (IN_STOCK_VALUES.has(normalized)) return true;
+  if (OUT_OF_STOCK_VALUES.has(normalized)) return false;
+  return /^-?\d+$/.test(String(value).trim()) ? Number(value) > 0 : undefined;
+}
+
+/**
+ * Parse a weight cell into kg ("0.5 kg", "500 g", "1.2 lb")
+ * 
+ * @param {*} value - Cell value
+ * @param {string} defaultUnit - Unit when the cell has none
+ * @returns {number|undefined} Weight in kg
+ */
+function parseWeight(value, defaultUnit) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+  if (!match) return undefined;
+
+  const factor = WEIGHT_UNITS[(match[2] || defaultUnit).toLowerCase()];
+  return factor ? Math.round(Number(match[1]) * factor * 1000) / 1000 : undefined;
+}
+
+/**
+ * Clean a description, dropping HTML markup
+ * 
+ * @param {string} value - Description
+ * @returns {string} Plain text
+ */
+function cleanDescription(value) {
+  return decodeEntities(String(value).replaceAll(/<[^>]*>/g, ' '))
+    .replaceAll(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Map a category cell to a catalog category
+ * 
+ * Taxonomy paths ("Apparel > Clothing > Shirts") use their last segment
+ * unless the category map has the full path.
+ * 
+ * @param {string} value - Category cell
+ * @param {Object} categoryMap - { source category: catalog category }, matched case-insensitively
+ * @returns {string} Category
+ */
+function mapCategory(value, categoryMap) {
+  const lookup = new Map(Object.entries(categoryMap || {}).map(([from, to]) => [from.trim().toLowerCase(), to]));
+  const full = String(value).trim();
+  const last = full.split('>').pop().trim();
+  const mapped = lookup.get(full.toLowerCase()) ?? lookup.get(last.toLowerCase());
+
+  return (mapped ?? last).trim().toLowerCase();
+}
+
+/**
+ * Read one row into a variant record
+ * 
+ * Shopify CSV exports only name the options on a product's first row, so
+ * option names are remembered per group for the rows that follow.
+ * 
+ * @param {Object} row - Parsed row
+ * @param {Object} mapping - Resolved mapping
+ * @param {Object} categoryMap - Category map
+ * @param {Map} optionNamesByGroup - Option names seen so far, by group ID
+ * @returns {Object} Variant record (fields are undefined when missing)
+ */
+function readRecord(row, mapping, categoryMap, optionNamesByGroup) {
+  const cells = new Map();
+  for (const [column, value] of Object.entries(row)) {
+    const key = normalizeColumn(column);
+    if (!cells.has(key) || isBlank(cells.get(key))) cells.set(key, value);
+  }
+
+  const field = name => readField(cells, name, mapping);
+  const text = name => (field(name) === undefined ? undefined : String(field(name)));
+  const groupId = text('groupId');
+
+  const remembered = (groupId && optionNamesByGroup.get(groupId)) || [];
+  const optionNames = [1, 2, 3].map(i => (isBlank(cells.get(`option${i}name`)) ? remembered[i - 1] : cells.get(`option${i}name`)));
+  if (groupId) optionNamesByGroup.set(groupId, optionNames);
+
+  const price = field('price');
+  const parsedPrice = price === undefined ? {} : parsePrice(price);
+  const color = field('color') ?? (mapping.color ? undefined : readOption(cells, optionNames, ['color', 'colour']));
+  const size = field('size') ?? (mapping.size ? undefined : readOption(cells, optionNames, ['size']));
+  const tags = field('tags');
+  const description = field('description');
+  const category = field('category');
+  const availability = field('availability');
+  const weight = field('weight');
+  const weightGrams = field('weightGrams');
+  const rating = field('rating');
+
+  return {
+    id: text('id'),
+    groupId,
+    name: text('name'),
+    description: description === undefined ? undefined : cleanDescription(description),
+    category: category === undefined ? undefined : mapCategory(category, categoryMap),
+    price: parsedPrice.amount,
+    priceProblem: parsedPrice.problem,
+    currency: field('currency') ?? parsedPrice.currency,
+    colors: color === undefined ? [] : parseList(color).map(c => c.toLowerCase()),
+    sizes: size === undefined ? [] : parseList(size),
+    tags: tags === undefined ? [] : parseList(tags),
+    imageUrl: text('imageUrl'),
+    inStock: availability === undefined ? undefined : parseAvailability(availability),
+    weight: weight === undefined
+      ? (weightGrams === undefined ? undefined : parseWeight(weightGrams, 'g'))
+      : parseWeight(weight, 'kg'),
+    rating: rating === undefined || !Number.isFinite(Number(rating)) ? undefined : Number(rating)
+  };
+}
+
+/**
+ * Get the shared leading words of variant names
+ * ("Classic Tee - Red - M", "Classic Tee - Blue - L" -> "Classic Tee")
+ * 
+ * @param {Array<string>} names - Variant names
+ * @returns {string|undefined} Product name
+ */
+function commonName(names) {
+  if (names.length === 0) return undefined;
+  if (names.every(name => name === names[0])) return names[0];
+
+  const words = names.map(name => name.split(/\s+/));
+  const shared = [];
+  for (let i = 0; i < words[0].length && words.every(w => w[i] === words[0][i]); i++) {
+    shared.push(words[0][i]);
+  }
+
+  const name = shared.join(' ').replace(/[\s\-–—|/,:(]+$/, '');
+  return name.length >= 3 ? name : names[0];
+}
+
+/**
+ * Get unique values, keeping the first occurrence's position
+ * 
+ * @param {Array} values - Values
+ * @returns {Array} Unique values
+ */
+function unique(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * Build one product from the records of its variants
+ * 
+ * @param {string} id - Product ID
+ * @param {Array<Object>} records - Variant records
+ * @param {string} defaultCurrency - Currency when the import has none
+ * @param {Array<Object>} notes - Collects { productId, message } about merged variants
+ * @returns {Object} Product
+ */
+function buildProduct(id, records, defaultCurrency, notes) {
+  const first = name => records.find(r => r[name] !== undefined)?.[name];
+  const prices = records.map(r => r.price).filter(price => typeof price === 'number');
+  const distinctPrices = unique(prices);
+  const stock = records.map(r => r.inStock).filter(value => value !== undefined);
+  const weights = records.map(r => r.weight).filter(value => value !== undefined);
+
+  if (distinctPrices.length > 1) {
+    notes.push({ productId: id, message: `Variant prices differ (${Math.min(...prices)}-${Math.max(...prices)}); using the lowest` });
+  }
+  for (const problem of unique(records.map(r => r.priceProblem).filter(Boolean))) {
+    const outcome = prices.length > 0 ? 'ignored for this variant' : 'the product is not imported';
+    notes.push({ productId: id, message: `${problem}; ${outcome}. Write it without thousands separators, e.g. 1299 or 1299.00` });
+  }
+  if (records.length > 1 && records.every(r => r.groupId === undefined)) {
+    notes.push({ productId: id, message: `${records.length} rows share this ID; merged into one product` });
+  }
+
+  const colors = unique(records.flatMap(r => r.colors));
+  const sizes = unique(records.flatMap(r => r.sizes));
+  const tags = unique(records.flatMap(r => r.tags));
+
+  const product = {
+    id,
+    name: commonName(records.map(r => r.name).filter(Boolean)),
+    description: first('description'),
+    category: first('category'),
+    price: prices.length > 0 ? Math.min(...prices) : first('price'),
+    currency: first('currency') || defaultCurrency,
+    colors: colors.length > 0 ? colors : undefined,
+    sizes: sizes.length > 0 ? sizes : undefined,
+    tags: tags.length > 0 ? tags : undefined,
+    imageUrl: first('imageUrl'),
+    inStock: stock.length > 0 ? stock.includes(true) : undefined,
+    rating: first('rating'),
+    weight: weights.length > 0 ? Math.max(...weights) : undefined
+  };
+
+  return Object.fromEntries(Object.entries(product).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Turn parsed rows into products, grouping variants
+ * 
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {Object} options
+ * @param {Object} options.mapping - Resolved mapping
+ * @param {Object} options.categoryMap - Category map
+ * @param {string} options.defaultCurrency - Currency when the import has none
+ * @returns {Object} { products, skippedRows: [{ row, reason }], notes }
+ */
+function buildProducts(rows, { mapping, categoryMap, defaultCurrency }) {
+  const groups = new Map();
+  const optionNamesByGroup = new Map();
+  const skippedRows = [];
+  const notes = [];
+
+  rows.forEach((row, index) => {
+    const record = readRecord(row, mapping, categoryMap, optionNamesByGroup);
+    const key = record.groupId || record.id;
+
+    if (!key) {
+      skippedRows.push({ row: index + 1, reason: 'No product ID or group ID' });
+      return;
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  const products = [...groups].map(([id, records]) => buildProduct(id, records, defaultCurrency, notes));
+  return { products, skippedRows, notes };
+}
+
+/**
+ * Work out the catalog an import produces
+ * 
+ * @param {Array<Object>} current - Products in the current catalog file
+ * @param {Array<Object>} imported - Imported products
+ * @param {string} mode - merge | replace
+ * @returns {Object} { products, validation }
+ */
+function planCatalog(current, imported, mode) {
+  const currentById = new Map(current.filter(p => p?.id).map(p => [p.id, p]));
+  const candidates = imported.map(p => (currentById.has(p.id) ? { ...currentById.get(p.id), ...p } : p));
+
+  const validation = validateCatalog(candidates);
+  const accepted = new Map(validation.valid.map(p => [p.id, p]));
+
+  // Products whose import failed validation keep their current version
+  const products = mode === 'replace'
+    ? candidates.map(p => accepted.get(p.id) || currentById.get(p.id)).filter(Boolean)
+    : [
+        ...current.map(p => accepted.get(p?.id) || p),
+        ...[...accepted.values()].filter(p => !currentById.has(p.id))
+      ];
+
+  return { products, validation };
+}
+
+/**
+ * Compare two catalogs by product ID
+ * 
+ * @param {Array<Object>} before - Current products
+ * @param {Array<Object>} after - Resulting products
+ * @returns {Object} { added, removed, changed: [{ id, name, changes: { field: { from, to } } }], unchanged }
+ */
+function diffCatalogs(before, after) {
+  const beforeById = new Map(before.filter(p => p?.id).map(p => [p.id, p]));
+  const afterById = new Map(after.map(p => [p.id, p]));
+  const summary = p => ({ id: p.id, name: p.name });
+
+  const changed = [];
+  let unchanged = 0;
+  for (const product of after) {
+    const previous = beforeById.get(product.id);
+    if (!previous) continue;
+
+    const changes = {};
+    for (const field of unique([...Object.keys(previous), ...Object.keys(product)])) {
+      if (JSON.stringify(previous[field]) !== JSON.stringify(product[field])) {
+        changes[field] = { from: previous[field], to: product[field] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ ...summary(product), changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  return {
+    added: after.filter(p => !beforeById.has(p.id)).map(summary),
+    removed: [...beforeById.values()].filter(p => !afterById.has(p.id)).map(summary),
+    changed,
+    unchanged
+  };
+}
+
+/**
+ * Import a product feed into a tenant's catalog
+ * 
+ * @param {Object} options
+ * @param {Object} options.tenantConfig - Tenant configuration (catalogImport settings, currency)
+ * @param {string|Object} options.content - File content, or parsed JSON
+ * @param {string} [options.format] - csv | tsv | merchant-xml | shopify | json (detected when omitted)
+ * @param {string} [options.fileName] - Source file name, used to detect the format
+ * @param {Object} [options.mapping] - Field mapping overrides { field: column | [columns] | null }
+ * @param {Object} [options.categoryMap] - Category map overrides
+ * @param {string} [options.mode] - merge (default) keeps products missing from the import; replace removes them
+ * @param {boolean} [options.dryRun] - Only report the diff (default true)
+ * @returns {Promise<Object>} { success, tenantId, format, mode, dryRun, applied, message, stats, diff, problems, skippedRows, notes, catalog }
+ */
+async function importCatalog({ tenantConfig, content, format = null, fileName = null, mapping = null, categoryMap = null, mode = 'merge', dryRun = true }) {
+  const tenantId = tenantConfig?.tenantId || tenantConfig?.id || 'example';
+  const settings = tenantConfig?.catalogImport || {};
+
+  if (!MODES.includes(mode)) {
+    throw new CatalogImportError(`Unknown mode "${mode}". Modes: ${MODES.join(', ')}`);
+  }
+  if (content === undefined || content === null) {
+    throw new CatalogImportError('The import is empty');
+  }
+
+  const parsed = parseFeed(content, format, fileName);
+  const { products: imported, skippedRows, notes } = buildProducts(parsed.rows, {
+    mapping: resolveMapping({ ...settings.mapping, ...mapping }),
+    categoryMap: { ...settings.categoryMap, ...categoryMap },
+    defaultCurrency: tenantConfig?.currency
+  });
+
+  if (imported.length === 0) {
+    throw new CatalogImportError(`No products found in the ${parsed.format} import (${parsed.rows.length} row(s))`);
+  }
+
+  let current;
+  try {
+    current = await readTenantCatalog(tenantId);
+  } catch (error) {
+    throw new CatalogImportError(`The current catalog file can't be read (${error.message}); fix or remove it before importing`, 409);
+  }
+
+  const { products, validation } = planCatalog(current.products, imported, mode);
+  const diff = diffCatalogs(current.products, products);
+  const changeCount = diff.added.length + diff.removed.length + diff.changed.length;
+  const problems = validation.entries.flatMap(entry => entry.problems);
+
+  console.log(`[catalogImporter] ${dryRun ? 'Dry run' : 'Import'} for ${tenantId}: ${parsed.format}, ${parsed.rows.length} rows -> ${imported.length} products (${validation.quarantined.length} invalid), +${diff.added.length} ~${diff.changed.length} -${diff.removed.length}`);
+
+  const result = {
+    success: true,
+    tenantId,
+    format: parsed.format,
+    mode,
+    dryRun,
+    applied: false,
+    message: '',
+    stats: {
+      rows: parsed.rows.length,
+      skippedRows: skippedRows.length,
+      products: imported.length,
+      valid: validation.valid.length,
+      quarantined: validation.quarantined.length,
+      errors: problems.filter(p => p.severity === 'error').length,
+      warnings: problems.filter(p => p.severity === 'warning').length
+    },
+    diff,
+    problems: validation.entries,
+    skippedRows,
+    notes,
+    catalog: null
+  };
+
+  const counts = `${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`;
+  const invalid = validation.quarantined.length > 0 ? ` ${validation.quarantined.length} product(s) failed validation and are left out.` : '';
+
+  if (validation.valid.length === 0) {
+    return { ...result, success: false, message: `None of the ${imported.length} imported products are valid; nothing ${dryRun ? 'would be' : 'was'} written.` };
+  }
+  if (dryRun) {
+    return { ...result, message: `Dry run: ${counts}.${invalid}` };
+  }
+  if (changeCount === 0) {
+    return { ...result, message: `The catalog is already up to date.${invalid}` };
+  }
+
+  const catalog = await saveCatalog(tenantId, products);
+  console.log(`[catalogImporter] Wrote ${products.length} products for ${tenantId} (${counts})`);
+
+  return {
+    ...result,
+    applied: true,
+    message: `Imported: ${counts}.${invalid}`,
+    catalog
+  };
+}
+
+module.exports = {
+  importCatalog,
+  CatalogImportError,
+  FORMATS,
+  MODES
+};
@@ -0,0 +1,107 @@
+/**
+ * Catalog Importer tests
+ * 
+ * Imports run as dry runs against a throwaway tenant whose catalog holds
+ * the products being re-imported, so the diff shows every imported field.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { importCatalog } = require('./catalogImporter');
+
+const TENANT_ID = `import-test-${process.pid}`;
+const CATALOG_PATH = path.join(__dirname, '..', 'data', 'products', `products.${TENANT_ID}.json`);
+const tenantConfig = { tenantId: TENANT_ID, currency: 'USD' };
+
+test.before(() => {
+  const placeholder = id => ({ id, name: id, category: 'placeholder', price: 1 });
+  fs.writeFileSync(CATALOG_PATH, JSON.stringify({ tenantId: TENANT_ID, products: ['tee', 'hoodie'].map(placeholder) }));
+});
+
+test.after(() => {
+  fs.rmSync(CATALOG_PATH, { force: true });
+});
+
+/**
+ * Dry-run an import and get the imported value of each changed field
+ * 
+ * @param {Object} options - importCatalog options (without tenantConfig)
+ * @returns {Promise<Object>} { result, products: { [id]: { field: value } } }
+ */
+async function dryRun(options) {
+  const result = await importCatalog({ tenantConfig, mode: 'merge', dryRun: true, ...options });
+  const products = Object.fromEntries(result.diff.changed.map(product => [
+    product.id,
+    Object.fromEntries(Object.entries(product.changes).map(([field, change]) => [field, change.to]))
+  ]));
+  return { result, products };
+}
+
+test('Shopify CSV continuation rows keep the option names of the first row', async () => {
+  const content = [
+    'Handle,Title,Type,Option1 Name,Option1 Value,Option2 Name,Option2 Value,Variant SKU,Variant Price',
+    'tee,Classic Tee,Shirts,Size,S,Color,Red,tee-s-red,20.00',
+    'tee,,,,M,,Blue,tee-m-blue,22.00',
+    'tee,,,,L,,Red,tee-l-red,22.00',
+    'hoodie,Hoodie,Sweaters,Color,Grey,,,hoodie-grey,45.00',
+    'hoodie,,,,Black,,,hoodie-black,45.00'
+  ].join('\n');
+
+  const { result, products } = await dryRun({ content, format: 'csv' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.stats.products, 2);
+  assert.deepEqual(products.tee.sizes, ['S', 'M', 'L']);
+  assert.deepEqual(products.tee.colors, ['red', 'blue']);
+  assert.equal(products.tee.price, 20);
+  assert.equal(products.tee.category, 'shirts');
+  assert.deepEqual(products.hoodie.colors, ['grey', 'black']);
+  assert.equal(products.hoodie.sizes, undefined);
+});
+
+test('Shopify JSON variants are grouped under their product', async () => {
+  const content = JSON.stringify({
+    products: [{
+      id: 1,
+      handle: 'tee',
+      title: 'Classic Tee',
+      product_type: 'Shirts',
+      options: [{ name: 'Size' }, { name: 'Colour' }],
+      variants: [
+        { sku: 'tee-s-red', price: '20.00', option1: 'S', option2: 'Red', inventory_quantity: 0 },
+        { sku: 'tee-m-red', price: '20.00', option1: 'M', option2: 'Red', inventory_quantity: 4 }
+      ]
+    }]
+  });
+
+  const { result, products } = await dryRun({ content, fileName: 'products.json' });
+
+  assert.equal(result.format, 'shopify');
+  assert.deepEqual(products.tee.sizes, ['S', 'M']);
+  assert.deepEqual(products.tee.colors, ['red']);
+  assert.equal(products.tee.inStock, true);
+});
+
+test('prices with a decimal comma keep their decimals', async () => {
+  const content = 'id,name,category,price\ntee,Classic Tee,shirts,"19,99 EUR"\nhoodie,Hoodie,sweaters,"1.299,00"\n';
+
+  const { products } = await dryRun({ content, format: 'csv' });
+
+  assert.equal(products.tee.price, 19.99);
+  assert.equal(products.tee.currency, 'EUR');
+  assert.equal(products.hoodie.price, 1299);
+});
+
+test('prices that could use either separator are rejected', async () => {
+  const content = 'id,name,category,price\ntee,Classic Tee,shirts,"1,299"\nhoodie,Hoodie,sweaters,45\n';
+
+  const { result, products } = await dryRun({ content, format: 'csv' });
+
+  assert.equal(result.stats.quarantined, 1);
+  assert.equal(result.problems[0].productId, 'tee');
+  assert.match(result.notes.find(note => note.productId === 'tee').message, /ambiguous/);
+  assert.equal(products.tee, undefined);
+  assert.equal(products.hoodie.price, 45);
+});
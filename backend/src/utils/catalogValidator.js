@@ -0,0 +1,209 @@
+/**
+ * Catalog Validator
+ * 
+ * Checks catalog products against the JSON Schema in
+ * src/config/schemas/product.schema.json, plus duplicate IDs (which a
+ * per-product schema can't see).
+ * 
+ * Only the schema keywords the product schema uses are evaluated: type,
+ * required, properties, items, enum, minLength, pattern, minimum,
+ * maximum, uniqueItems and format ("uri", "currency"). A property marked
+ * "x-severity": "warning" only produces warnings; any other problem is an
+ * error and the product is quarantined (left out of the served catalog).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const productSchema = require('../config/schemas/product.schema.json');
+
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+// Checks for the "format" keyword
+const FORMATS = {
+  uri: value => {
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:'].includes(url.protocol);
+    } catch {
+      return false;
+    }
+  },
+  currency: value => CURRENCY_CODES.has(value)
+};
+
+/**
+ * Get the JSON Schema type name of a value
+ * 
+ * @param {*} value - Value
+ * @returns {string} null | array | integer | number | string | boolean | object
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * 
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema (subset, see above)
+ * @param {string} at - Path of the value ("price", "colors[2]")
+ * @param {string} severity - Severity inherited from the parent property
+ * @returns {Array<Object>} Problems [{ path, severity, message }]
+ */
+function validateValue(value, schema, at, severity) {
+  const level = schema['x-severity'] || severity;
+  const problem = message => ({ path: at || '(product)', severity: level, message });
+  const problems = [];
+
+  if (schema.type) {
+    const allowed = [schema.type].flat();
+    const actual = typeOf(value);
+    if (!allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) {
+      return [problem(`must be ${allowed.join(' or ')}, got ${actual === 'string' ? JSON.stringify(value) : actual}`)];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(problem(`must be one of ${schema.enum.join(', ')}`));
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      problems.push(problem('must not be empty'));
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push(problem(`${JSON.stringify(value)} does not match ${schema.pattern}`));
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      problems.push(problem(`${JSON.stringify(value)} is not a valid ${schema.format}`));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) problems.push(problem('must be a finite number'));
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(problem(`must be at least ${schema.minimum}`));
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(problem(`must be at most ${schema.maximum}`));
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item, i) => problems.push(...validateValue(item, schema.items, `${at}[${i}]`, level)));
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      const duplicates = new Set(value.map(item => JSON.stringify(item)).filter(key => seen.has(key) || !seen.add(key)));
+      if (duplicates.size > 0) problems.push(problem(`has duplicate entries: ${[...duplicates].join(', ')}`));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null) {
+        const propertySeverity = schema.properties?.[name]?.['x-severity'] || level;
+        problems.push({ path: at ? `${at}.${name}` : name, severity: propertySeverity, message: 'is required' });
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] === undefined || value[name] === null) continue;
+      problems.push(...validateValue(value[name], propertySchema, at ? `${at}.${name}` : name, level));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a catalog's products
+ * 
+ * The first product with an ID wins; later ones with the same ID are
+ * quarantined.
+ * 
+ * @param {Array} products - Parsed products
+ * @returns {Object} { valid, quarantined, entries: [{ index, productId, name, quarantined, problems }] }
+ */
+function validateCatalog(products) {
+  const seenIds = new Map();
+  const valid = [];
+  const quarantined = [];
+  const entries = [];
+
+  products.forEach((product, index) => {
+    const problems = validateValue(product, productSchema, '', 'error');
+    const id = product?.id;
+
+    if (typeof id === 'string' && id) {
+      if (seenIds.has(id)) {
+        problems.push({ path: 'id', severity: 'error', message: `duplicates the ID of product #${seenIds.get(id) + 1}` });
+      } else {
+        seenIds.set(id, index);
+      }
+    }
+
+    const isQuarantined = problems.some(p => p.severity === 'error');
+    (isQuarantined ? quarantined : valid).push(product);
+    if (problems.length > 0) {
+      entries.push({
+        index,
+        productId: typeof id === 'string' ? id : null,
+        name: typeof product?.name === 'string' ? product.name : null,
+        quarantined: isQuarantined,
+        problems
+      });
+    }
+  });
+
+  return { valid, quarantined, entries };
+}
+
+/**
+ * Build a lint report for a catalog file
+ * 
+ * @param {string} filePath - Path of products.{tenantId}.json
+ * @returns {Promise<Object>} { file, ok, totalProducts, validProducts, quarantinedProducts, errors, warnings, fileError, products }
+ */
+async function lintCatalogFile(filePath) {
+  const report = {
+    file: path.basename(filePath),
+    ok: false,
+    totalProducts: 0,
+    validProducts: 0,
+    quarantinedProducts: 0,
+    errors: 0,
+    warnings: 0,
+    fileError: null,
+    products: []
+  };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    report.fileError = error.code === 'ENOENT' ? 'File not found' : error.message;
+    return report;
+  }
+
+  if (!parsed || !Array.isArray(parsed.products)) {
+    report.fileError = 'Invalid product file structure: expected { "products": [...] }';
+    return report;
+  }
+
+  const { valid, quarantined, entries } = validateCatalog(parsed.products);
+  const problems = entries.flatMap(entry => entry.problems);
+
+  return {
+    ...report,
+    ok: quarantined.length === 0,
+    totalProducts: parsed.products.length,
+    validProducts: valid.length,
+    quarantinedProducts: quarantined.length,
+    errors: problems.filter(p => p.severity === 'error').length,
+    warnings: problems.filter(p => p.severity === 'warning').length,
+    products: entries
+  };
+}
+
+module.exports = {
+  validateCatalog,
+  lintCatalogFile
+};
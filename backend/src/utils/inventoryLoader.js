@@ -0,0 +1,53 @@
+/**
+ * Inventory Loader Utility
+ * Loads tenant-specific stock levels from JSON files
+ * 
+ * File location: src/data/inventory/inventory.{tenantId}.json
+ * Tenants without an inventory file have untracked (unlimited) stock,
+ * except for products the catalog marks as inStock: false.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Load stock levels for a specific tenant
+ * 
+ * Each entry is either a number (per-product stock) or
+ * { variants: { "<variantKey>": number } } for per-variant stock,
+ * keyed like commerce/productVariants.js ("44mm/black", or "black").
+ * 
+ * @param {string} tenantId - The tenant identifier
+ * @returns {Promise<Object>} Stock levels keyed by product ID
+ */
+async function loadInventoryForTenant(tenantId) {
+  const sanitizedTenantId = String(tenantId || '').replaceAll(/[^a-zA-Z0-9-_]/g, '');
+  const inventoryPath = path.join(
+    __dirname,
+    '..',
+    'data',
+    'inventory',
+    `inventory.${sanitizedTenantId}.json`
+  );
+
+  try {
+    const data = await fs.readFile(inventoryPath, 'utf8');
+    const parsed = JSON.parse(data);
+
+    if (parsed && parsed.stock && typeof parsed.stock === 'object') {
+      return parsed.stock;
+    }
+
+    console.warn(`⚠️  Invalid inventory file structure for tenant: ${tenantId}`);
+    return {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Error reading inventory file for tenant: ${tenantId}`, error.message);
+    }
+    return {};
+  }
+}
+
+module.exports = {
+  loadInventoryForTenant
+};
@@ -88,8 +88,31 @@ function logError(message, error, metadata = {}) {
   console.error(JSON.stringify(logEntry));
 }
 
+/**
+ * Log an audit event (privileged access, e.g. support staff acting on
+ * a shopper's order)
+ * 
+ * Audit events are always logged, including in production.
+ * 
+ * @param {string} event - Audit event name (e.g. "order.admin_cancel")
+ * @param {Object} metadata - Who did what to which record
+ */
+function logAudit(event, metadata = {}) {
+  const logEntry = {
+    timestamp: Date.now(),
+    timestampISO: new Date().toISOString(),
+    level: 'info',
+    type: 'audit',
+    event,
+    ...metadata
+  };
+
+  console.log(JSON.stringify(logEntry));
+}
+
 module.exports = {
   logToolExecution,
   log,
-  logError
+  logError,
+  logAudit
 };
@@ -2,79 +2,259 @@
  * Product Loader Utility
  * Loads tenant-specific product catalogs from JSON files
  * Provides fallback to example catalog if tenant-specific file not found
+ * 
+ * Parsed catalogs are cached per tenant and shared by every caller: the
+ * product array and its products are frozen, and an id → product index
+ * is built once per load. Each call compares the file's mtime and size
+ * with the cached copy, so edited catalogs are picked up on the next
+ * request; reloadCatalog() forces a fresh read.
+ * 
+ * If an edited file fails to parse, the last good catalog keeps being
+ * served until the file is fixed. Products failing validation (see
+ * utils/catalogValidator) are quarantined: logged and left out.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { validateCatalog, lintCatalogFile } = require('./catalogValidator');
+
+const PRODUCTS_DIR = path.join(__dirname, '..', 'data', 'products');
+
+// Cached catalogs by tenant: { products, index, quarantined, source, mtimeMs, size, loadedAt }
+const catalogs = {};
+
+// Reads in progress by tenant, so concurrent callers share one parse
+const pendingLoads = {};
 
 /**
- * Load products for a specific tenant
+ * Get the catalog file path for a tenant
  * @param {string} tenantId - The tenant identifier
- * @returns {Promise<Array>} Array of product objects
+ * @returns {string} File path
  */
-async function loadProductsForTenant(tenantId) {
-  try {
-    // Build the path to the tenant-specific product file
-    const tenantProductsPath = path.join(
-      __dirname,
-      '..',
-      'data',
-      'products',
-      `products.${tenantId}.json`
-    );
+function getCatalogPath(tenantId) {
+  const sanitizedTenantId = String(tenantId || '').replaceAll(/[^a-zA-Z0-9-_]/g, '');
+  return path.join(PRODUCTS_DIR, `products.${sanitizedTenantId}.json`);
+}
 
-    // Try to read the tenant-specific file
+/**
+ * Freeze an object and everything inside it
+ * @param {*} value - Parsed JSON value
+ * @returns {*} The same value, frozen
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Find the catalog file a tenant is served from
+ * @param {string} tenantId - The tenant identifier
+ * @returns {Promise<Object|null>} { source, mtimeMs, size } or null if there is none
+ */
+async function locateCatalog(tenantId) {
+  const candidates = [getCatalogPath(tenantId), getCatalogPath('example')];
+
+  for (const source of candidates) {
     try {
-      const data = await fs.readFile(tenantProductsPath, 'utf8');
-      const parsed = JSON.parse(data);
-      
-      // Validate the structure
-      if (parsed && Array.isArray(parsed.products)) {
-        console.log(`✅ Loaded ${parsed.products.length} products for tenant: ${tenantId}`);
-        return parsed.products;
-      } else {
-        console.warn(`⚠️  Invalid product file structure for tenant: ${tenantId}`);
-        throw new Error('Invalid product file structure');
-      }
-    } catch (tenantError) {
-      // Tenant-specific file not found or invalid, try fallback
-      if (tenantError.code === 'ENOENT') {
-        console.log(`ℹ️  No product file for tenant: ${tenantId}, falling back to example`);
-      } else {
-        console.error(`❌ Error reading product file for tenant: ${tenantId}`, tenantError.message);
-      }
-      
-      // Fallback to example products
-      const exampleProductsPath = path.join(
-        __dirname,
-        '..',
-        'data',
-        'products',
-        'products.example.json'
-      );
-      
-      try {
-        const data = await fs.readFile(exampleProductsPath, 'utf8');
-        const parsed = JSON.parse(data);
-        
-        if (parsed && Array.isArray(parsed.products)) {
-          console.log(`✅ Loaded ${parsed.products.length} fallback products from example catalog`);
-          return parsed.products;
-        } else {
-          console.warn(`⚠️  Invalid example product file structure`);
-          return [];
-        }
-      } catch (exampleError) {
-        console.error('❌ Error reading example product file:', exampleError.message);
-        return [];
+      const stats = await fs.stat(source);
+      return { source, mtimeMs: stats.mtimeMs, size: stats.size };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Error reading product file ${source}:`, error.message);
       }
     }
+  }
+
+  return null;
+}
+
+/**
+ * Read, parse and freeze a catalog file
+ * @param {string} tenantId - The tenant identifier
+ * @param {Object} file - Result of locateCatalog
+ * @returns {Promise<Object>} Cached catalog entry
+ */
+async function readCatalog(tenantId, file) {
+  const data = await fs.readFile(file.source, 'utf8');
+  const parsed = JSON.parse(data);
+
+  if (!parsed || !Array.isArray(parsed.products)) {
+    throw new Error('Invalid product file structure');
+  }
+
+  if (file.source !== getCatalogPath(tenantId)) {
+    console.log(`ℹ️  No product file for tenant: ${tenantId}, falling back to example`);
+  }
+
+  const { valid, quarantined, entries } = validateCatalog(parsed.products);
+  for (const entry of entries.filter(e => e.quarantined)) {
+    const errors = entry.problems.filter(p => p.severity === 'error').map(p => `${p.path} ${p.message}`);
+    console.warn(`⚠️  Quarantined product ${entry.productId || `#${entry.index + 1}`} for tenant: ${tenantId}: ${errors.join('; ')}`);
+  }
+  const warnings = entries.filter(e => !e.quarantined).length;
+  if (warnings > 0) {
+    console.warn(`⚠️  ${warnings} product(s) with warnings for tenant: ${tenantId} (see GET /products/${tenantId}/lint)`);
+  }
+
+  const products = deepFreeze(valid);
+  const catalog = {
+    products,
+    index: new Map(products.map(p => [p.id, p])),
+    quarantined: quarantined.length,
+    ...file,
+    loadedAt: new Date().toISOString()
+  };
+
+  console.log(`✅ Loaded ${products.length} products for tenant: ${tenantId} (${path.basename(file.source)})`);
+  return catalog;
+}
+
+/**
+ * Get the cached catalog for a tenant, re-reading it if the file changed
+ * @param {string} tenantId - The tenant identifier
+ * @param {boolean} [force] - Re-read even if the file looks unchanged
+ * @returns {Promise<Object|null>} Catalog entry or null if nothing could be loaded
+ */
+async function getCatalog(tenantId, force = false) {
+  const file = await locateCatalog(tenantId);
+  const cached = catalogs[tenantId];
+
+  if (!file) return cached || null;
+  if (!force && cached && cached.source === file.source && cached.mtimeMs === file.mtimeMs && cached.size === file.size) {
+    return cached;
+  }
+
+  if (!pendingLoads[tenantId]) {
+    pendingLoads[tenantId] = readCatalog(tenantId, file)
+      .then(catalog => {
+        catalogs[tenantId] = catalog;
+        return catalog;
+      })
+      .catch(error => {
+        console.error(`❌ Error reading product file for tenant: ${tenantId}`, error.message);
+        return cached || null;
+      })
+      .finally(() => {
+        delete pendingLoads[tenantId];
+      });
+  }
+
+  return pendingLoads[tenantId];
+}
+
+/**
+ * Load products for a specific tenant
+ * @param {string} tenantId - The tenant identifier
+ * @returns {Promise<Array>} Array of product objects (frozen, shared between callers)
+ */
+async function loadProductsForTenant(tenantId) {
+  try {
+    const catalog = await getCatalog(tenantId);
+    return catalog ? catalog.products : [];
   } catch (error) {
     console.error('❌ Unexpected error in loadProductsForTenant:', error.message);
     return [];
   }
 }
 
+/**
+ * Get the id → product index of a tenant's catalog
+ * @param {string} tenantId - The tenant identifier
+ * @returns {Promise<Map>} Products by ID (shared between callers; do not modify)
+ */
+async function getProductIndex(tenantId) {
+  try {
+    const catalog = await getCatalog(tenantId);
+    return catalog ? catalog.index : new Map();
+  } catch (error) {
+    console.error('❌ Unexpected error in getProductIndex:', error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Read a tenant's catalog again, even if the file looks unchanged
+ * @param {string} tenantId - The tenant identifier
+ * @returns {Promise<Object>} { tenantId, reloaded, count, source, loadedAt } describing the catalog now served
+ */
+async function reloadCatalog(tenantId) {
+  await pendingLoads[tenantId];
+  const previous = catalogs[tenantId];
+
+  const catalog = await getCatalog(tenantId, true);
+  return {
+    tenantId,
+    reloaded: Boolean(catalog) && catalog !== previous,
+    count: catalog ? catalog.products.length : 0,
+    source: catalog ? path.basename(catalog.source) : null,
+    loadedAt: catalog ? catalog.loadedAt : null
+  };
+}
+
+/**
+ * Read the products in a tenant's own catalog file, as written
+ * 
+ * Unlike loadProductsForTenant there is no fallback to the example
+ * catalog and quarantined products are included.
+ * 
+ * @param {string} tenantId - The tenant identifier
+ * @returns {Promise<Object>} { exists, products }
+ */
+async function readTenantCatalog(tenantId) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(getCatalogPath(tenantId), 'utf8'));
+    if (!parsed || !Array.isArray(parsed.products)) {
+      throw new Error('Invalid product file structure');
+    }
+    return { exists: true, products: parsed.products };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { exists: false, products: [] };
+    throw error;
+  }
+}
+
+/**
+ * Write a tenant's catalog file and start serving it
+ * 
+ * The file is written to a temp file first and renamed over the
+ * catalog, so readers never see a half-written file.
+ * 
+ * @param {string} tenantId - The tenant identifier
+ * @param {Array} products - Products to write
+ * @returns {Promise<Object>} Reload result (see reloadCatalog)
+ */
+async function saveCatalog(tenantId, products) {
+  const targetPath = getCatalogPath(tenantId);
+  const tempPath = `${targetPath}.${process.pid}.tmp`;
+
+  await fs.mkdir(PRODUCTS_DIR, { recursive: true });
+  await fs.writeFile(tempPath, `${JSON.stringify({ tenantId, products }, null, 2)}\n`, 'utf8');
+  await fs.rename(tempPath, targetPath);
+
+  console.log(`✅ Wrote ${products.length} products for tenant: ${tenantId} (${path.basename(targetPath)})`);
+  return reloadCatalog(tenantId);
+}
+
+/**
+ * Lint the catalog file a tenant is served from
+ * @param {string} tenantId - The tenant identifier
+ * @returns {Promise<Object>} Lint report (see catalogValidator.lintCatalogFile) with tenantId and fallback
+ */
+async function lintCatalog(tenantId) {
+  const file = await locateCatalog(tenantId);
+  const filePath = file ? file.source : getCatalogPath(tenantId);
+  const report = await lintCatalogFile(filePath);
+
+  return {
+    tenantId,
+    fallback: filePath !== getCatalogPath(tenantId),
+    ...report
+  };
+}
+
 /**
  * Get product by ID for a specific tenant
  * @param {string} tenantId - The tenant identifier
@@ -83,8 +263,8 @@ async function loadProductsForTenant(tenantId) {
  */
 async function getProductById(tenantId, productId) {
   try {
-    const products = await loadProductsForTenant(tenantId);
-    const product = products.find(p => p.id === productId);
+    const index = await getProductIndex(tenantId);
+    const product = index.get(productId);
     
     if (product) {
       console.log(`✅ Found product ${productId} for tenant: ${tenantId}`);
@@ -141,6 +321,11 @@ async function getProductsByTags(tenantId, tags) {
 
 module.exports = {
   loadProductsForTenant,
+  getProductIndex,
+  reloadCatalog,
+  readTenantCatalog,
+  saveCatalog,
+  lintCatalog,
   getProductById,
   getProductsByCategory,
   getProductsByTags
@@ -0,0 +1,64 @@
+/**
+ * Promotion Loader Utility
+ * Loads tenant-specific promotion definitions from JSON files
+ * 
+ * File location: src/data/promotions/promotions.{tenantId}.json
+ * Tenants without a promotions file simply have no promotions
+ * (there is no fallback to the example tenant).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Load promotions for a specific tenant
+ * @param {string} tenantId - The tenant identifier
+ * @returns {Promise<Array>} Array of promotion objects
+ */
+async function loadPromotionsForTenant(tenantId) {
+  const sanitizedTenantId = String(tenantId || '').replaceAll(/[^a-zA-Z0-9-_]/g, '');
+  const promotionsPath = path.join(
+    __dirname,
+    '..',
+    'data',
+    'promotions',
+    `promotions.${sanitizedTenantId}.json`
+  );
+
+  try {
+    const data = await fs.readFile(promotionsPath, 'utf8');
+    const parsed = JSON.parse(data);
+
+    if (parsed && Array.isArray(parsed.promotions)) {
+      return parsed.promotions;
+    }
+
+    console.warn(`⚠️  Invalid promotions file structure for tenant: ${tenantId}`);
+    return [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Error reading promotions file for tenant: ${tenantId}`, error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Find a promotion by its coupon code (case-insensitive)
+ * @param {string} tenantId - The tenant identifier
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object|null>} Promotion or null if not found
+ */
+async function getPromotionByCode(tenantId, code) {
+  if (!code) return null;
+
+  const promotions = await loadPromotionsForTenant(tenantId);
+  const normalized = String(code).trim().toUpperCase();
+
+  return promotions.find(p => p.code && p.code.toUpperCase() === normalized) || null;
+}
+
+module.exports = {
+  loadPromotionsForTenant,
+  getPromotionByCode
+};
@@ -0,0 +1,282 @@
+/**
+ * Store Eviction Utility
+ * 
+ * Keeps the in-memory session stores (carts, profiles, session contexts,
+ * orders) from growing forever. Each store registers here and reports
+ * when a session is used; sessions idle past the store's TTL are removed
+ * by a periodic sweep, and a tenant going over the store's session cap
+ * loses its least recently used sessions straight away.
+ * 
+ * Per store, from env (0 disables the limit):
+ * - <PREFIX>_TTL_MINUTES: idle time before a session is evicted
+ * - <PREFIX>_MAX_PER_TENANT: sessions kept per tenant
+ * 
+ * STORE_SWEEP_INTERVAL_MS sets how often expired sessions are swept
+ * (default: 5 minutes).
+ * 
+ * Recency is tracked in one Map per store and tenant whose insertion
+ * order is the access order, so the oldest session is always first.
+ */
+
+const DEFAULT_SWEEP_INTERVAL_MS = Number(process.env.STORE_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Registered stores by name: { remove, removeMany, keep, ttlMs, maxPerTenant, sessions, evictions, ... }
+const stores = {};
+
+let sweeperTimer = null;
+let sweepCount = 0;
+
+/**
+ * Read a non-negative number from env
+ * 
+ * @param {string} name - Env var name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Value
+ */
+function readLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Register a session store
+ * 
+ * `remove` deletes the session's data from the store. Stores that pay per
+ * write (e.g. a file) can also pass `removeMany`, which gets all sessions
+ * of a tenant evicted together in one call. `keep` may veto evicting a
+ * session that still matters (e.g. an order in progress); kept sessions
+ * count as used again.
+ * 
+ * @param {string} name - Store name shown in stats
+ * @param {Object} options
+ * @param {Function} options.remove - (tenantId, sessionId) => void
+ * @param {Function} [options.removeMany] - (tenantId, sessionIds) => void
+ * @param {Function} [options.keep] - (tenantId, sessionId) => boolean
+ * @param {string} options.envPrefix - Prefix of the store's env settings (e.g. "CART")
+ * @param {number} options.ttlMinutes - Default idle TTL
+ * @param {number} options.maxPerTenant - Default session cap per tenant
+ */
+function registerSessionStore(name, { remove, removeMany = null, keep = null, envPrefix, ttlMinutes, maxPerTenant }) {
+  if (!name || typeof remove !== 'function') {
+    throw new Error('registerSessionStore requires a name and a remove function');
+  }
+
+  const ttl = readLimit(`${envPrefix}_TTL_MINUTES`, ttlMinutes);
+  stores[name] = {
+    remove,
+    removeMany,
+    keep,
+    ttlMs: ttl * 60 * 1000,
+    maxPerTenant: readLimit(`${envPrefix}_MAX_PER_TENANT`, maxPerTenant),
+    sessions: {},
+    evictions: { expired: 0, overCapacity: 0 },
+    lastSweepAt: null,
+    lastSweepEvicted: 0
+  };
+
+  console.log(`[storeEviction] ${name}: ttl=${ttl ? `${ttl}m` : 'off'}, maxPerTenant=${stores[name].maxPerTenant || 'off'}`);
+}
+
+/**
+ * Evict sessions of one tenant from a store
+ * 
+ * @param {Object} store - Registered store
+ * @param {string} tenantId - Tenant identifier
+ * @param {Array<string>} sessionIds - Session identifiers
+ * @param {string} cause - expired | overCapacity
+ */
+function evict(store, tenantId, sessionIds, cause) {
+  if (sessionIds.length === 0) return;
+
+  for (const sessionId of sessionIds) {
+    store.sessions[tenantId].delete(sessionId);
+  }
+  store.evictions[cause] += sessionIds.length;
+
+  if (store.removeMany) {
+    store.removeMany(tenantId, sessionIds);
+  } else {
+    sessionIds.forEach(sessionId => store.remove(tenantId, sessionId));
+  }
+}
+
+/**
+ * Record that a session was used, evicting the tenant's least recently
+ * used sessions when it goes over the store's cap
+ * 
+ * @param {string} name - Store name
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} sessionId - Session identifier
+ * @param {number} [at] - Time of use in ms (defaults to now)
+ */
+function touchSession(name, tenantId, sessionId, at = Date.now()) {
+  const store = stores[name];
+  if (!store) return;
+
+  if (!store.sessions[tenantId]) store.sessions[tenantId] = new Map();
+  const sessions = store.sessions[tenantId];
+
+  // Re-insert so the Map stays in access order
+  sessions.delete(sessionId);
+  sessions.set(sessionId, at);
+
+  if (!store.maxPerTenant || sessions.size <= store.maxPerTenant) return;
+
+  const evicted = [];
+  for (const oldest of sessions.keys()) {
+    if (sessions.size - evicted.length <= store.maxPerTenant) break;
+    if (oldest === sessionId || store.keep?.(tenantId, oldest)) continue;
+    evicted.push(oldest);
+  }
+  evict(store, tenantId, evicted, 'overCapacity');
+
+  if (evicted.length > 0) {
+    console.log(`[storeEviction] ${name}: evicted ${evicted.length} least recently used session(s) of ${tenantId} (cap ${store.maxPerTenant})`);
+  }
+}
+
+/**
+ * Stop tracking a session the store removed itself
+ * 
+ * @param {string} name - Store name
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} sessionId - Session identifier
+ */
+function forgetSession(name, tenantId, sessionId) {
+  stores[name]?.sessions[tenantId]?.delete(sessionId);
+}
+
+/**
+ * Stop tracking every session of a store (after it was cleared)
+ * 
+ * @param {string} name - Store name
+ */
+function forgetAllSessions(name) {
+  if (stores[name]) stores[name].sessions = {};
+}
+
+/**
+ * Evict sessions idle past their store's TTL
+ * 
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Evicted session counts by store name
+ */
+function sweepSessionStores(now = Date.now()) {
+  const evictedByStore = {};
+
+  for (const [name, store] of Object.entries(stores)) {
+    let evicted = 0;
+
+    if (store.ttlMs > 0) {
+      for (const [tenantId, sessions] of Object.entries(store.sessions)) {
+        const kept = [];
+        const expired = [];
+
+        for (const [sessionId, at] of sessions) {
+          // Access order: everything after the first fresh session is fresh too
+          if (now - at < store.ttlMs) break;
+
+          if (store.keep?.(tenantId, sessionId)) {
+            kept.push(sessionId);
+          } else {
+            expired.push(sessionId);
+          }
+        }
+
+        evict(store, tenantId, expired, 'expired');
+        evicted += expired.length;
+        kept.forEach(sessionId => touchSession(name, tenantId, sessionId, now));
+        if (sessions.size === 0) delete store.sessions[tenantId];
+      }
+    }
+
+    store.lastSweepAt = new Date(now).toISOString();
+    store.lastSweepEvicted = evicted;
+    evictedByStore[name] = evicted;
+  }
+
+  sweepCount++;
+  const total = Object.values(evictedByStore).reduce((sum, n) => sum + n, 0);
+  if (total > 0) {
+    console.log(`[storeEviction] Sweep evicted ${total} idle session(s): ${JSON.stringify(evictedByStore)}`);
+  }
+
+  return evictedByStore;
+}
+
+/**
+ * Get session counts and eviction totals per store
+ * 
+ * @returns {Object} { sweeper, stores: { [name]: { sessions, byTenant, ttlMinutes, maxPerTenant, evictions, ... } } }
+ */
+function getStoreStats() {
+  const stats = {};
+
+  for (const [name, store] of Object.entries(stores)) {
+    const byTenant = {};
+    let sessions = 0;
+    for (const [tenantId, tenantSessions] of Object.entries(store.sessions)) {
+      byTenant[tenantId] = tenantSessions.size;
+      sessions += tenantSessions.size;
+    }
+
+    stats[name] = {
+      sessions,
+      byTenant,
+      ttlMinutes: store.ttlMs / 60000 || null,
+      maxPerTenant: store.maxPerTenant || null,
+      evictions: { ...store.evictions, total: store.evictions.expired + store.evictions.overCapacity },
+      lastSweepAt: store.lastSweepAt,
+      lastSweepEvicted: store.lastSweepEvicted
+    };
+  }
+
+  return {
+    sweeper: { running: Boolean(sweeperTimer), sweeps: sweepCount },
+    stores: stats
+  };
+}
+
+/**
+ * Start the periodic sweep
+ * 
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * 
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Sweep interval (default STORE_SWEEP_INTERVAL_MS or 5 minutes)
+ */
+function startStoreSweeper({ intervalMs = DEFAULT_SWEEP_INTERVAL_MS } = {}) {
+  if (sweeperTimer) return;
+
+  sweeperTimer = setInterval(() => {
+    try {
+      sweepSessionStores();
+    } catch (err) {
+      console.error('[storeEviction] Sweep failed:', err.message);
+    }
+  }, intervalMs);
+  sweeperTimer.unref();
+
+  console.log(`[storeEviction] Sweeper started (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+/**
+ * Stop the periodic sweep
+ */
+function stopStoreSweeper() {
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer);
+    sweeperTimer = null;
+  }
+}
+
+module.exports = {
+  registerSessionStore,
+  touchSession,
+  forgetSession,
+  forgetAllSessions,
+  sweepSessionStores,
+  getStoreStats,
+  startStoreSweeper,
+  stopStoreSweeper
+};
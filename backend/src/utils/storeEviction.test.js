@@ -0,0 +1,91 @@
+/**
+ * Store Eviction tests: TTL sweeps and per-tenant caps
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerSessionStore, touchSession, sweepSessionStores, getStoreStats } = require('./storeEviction');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2024, 4, 1, 12, 0);
+
+let storeCount = 0;
+
+/**
+ * Register a store that records what it was asked to remove
+ * 
+ * @param {Object} [options] - registerSessionStore options to override
+ * @returns {Object} { name, removed }
+ */
+function testStore(options = {}) {
+  const name = `test-store-${++storeCount}`;
+  const removed = [];
+  registerSessionStore(name, {
+    envPrefix: 'EVICTION_TEST',
+    ttlMinutes: 10,
+    maxPerTenant: 0,
+    remove: (tenantId, sessionId) => removed.push(`${tenantId}/${sessionId}`),
+    ...options
+  });
+  return { name, removed };
+}
+
+test('sessions idle past the TTL are swept', () => {
+  const { name, removed } = testStore();
+  touchSession(name, 'shop', 'idle', T0);
+  touchSession(name, 'shop', 'recent', T0 + 5 * MINUTE);
+
+  const evicted = sweepSessionStores(T0 + 11 * MINUTE);
+
+  assert.equal(evicted[name], 1);
+  assert.deepEqual(removed, ['shop/idle']);
+  assert.equal(getStoreStats().stores[name].sessions, 1);
+  assert.equal(getStoreStats().stores[name].evictions.expired, 1);
+});
+
+test('using a session again keeps it from expiring', () => {
+  const { name, removed } = testStore();
+  touchSession(name, 'shop', 'returning', T0);
+  touchSession(name, 'shop', 'returning', T0 + 8 * MINUTE);
+
+  sweepSessionStores(T0 + 11 * MINUTE);
+
+  assert.deepEqual(removed, []);
+});
+
+test('sessions the store keeps are not evicted and count as used', () => {
+  const { name, removed } = testStore({ keep: (tenantId, sessionId) => sessionId === 'paying' });
+  touchSession(name, 'shop', 'paying', T0);
+  touchSession(name, 'shop', 'gone', T0);
+
+  sweepSessionStores(T0 + 11 * MINUTE);
+  assert.deepEqual(removed, ['shop/gone']);
+
+  sweepSessionStores(T0 + 15 * MINUTE);
+  assert.deepEqual(removed, ['shop/gone']);
+});
+
+test('a tenant over the cap loses its least recently used sessions', () => {
+  const { name, removed } = testStore({ ttlMinutes: 0, maxPerTenant: 3 });
+  for (const sessionId of ['a', 'b', 'c']) touchSession(name, 'shop', sessionId, T0);
+  touchSession(name, 'shop', 'a', T0 + MINUTE);
+  touchSession(name, 'other-shop', 'x', T0 + MINUTE);
+
+  touchSession(name, 'shop', 'd', T0 + 2 * MINUTE);
+
+  assert.deepEqual(removed, ['shop/b']);
+  assert.deepEqual(getStoreStats().stores[name].byTenant, { 'shop': 3, 'other-shop': 1 });
+  assert.equal(getStoreStats().stores[name].evictions.overCapacity, 1);
+});
+
+test('sessions evicted together reach removeMany in one call per tenant', () => {
+  const calls = [];
+  const { name, removed } = testStore({ removeMany: (tenantId, sessionIds) => calls.push([tenantId, sessionIds]) });
+  for (const sessionId of ['a', 'b', 'c']) touchSession(name, 'shop', sessionId, T0);
+  touchSession(name, 'other-shop', 'x', T0);
+
+  sweepSessionStores(T0 + 11 * MINUTE);
+
+  assert.deepEqual(calls, [['shop', ['a', 'b', 'c']], ['other-shop', ['x']]]);
+  assert.deepEqual(removed, []);
+});
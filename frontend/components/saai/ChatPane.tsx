@@ -65,8 +65,11 @@ interface ActionResult {
   cartItems?: CartItem[];
   summary?: CartSummary;
   success?: boolean;
+  message?: string;
   // Order-specific fields
   order?: Order;
+  paymentFailed?: boolean;
+  paymentPending?: boolean;
 }
 
 interface ChatMessage {
@@ -469,10 +472,29 @@ export default function ChatPane({ tenant, sessionId, onHighlightProducts, onErr
     const toolAction = msg.toolAction;
     
     // 1. Checkout / order confirmation
+    // Declined and pending payments still carry the order, so branch on the payment outcome
     if (toolResult?.type === 'order' || toolAction === 'checkout') {
       const order = toolResult?.order;
       const total = toolResult?.summary?.totalAmount || 0;
-      if (order || toolResult?.success) {
+      if (toolResult?.paymentFailed) {
+        return (
+          <AssistantBubble>
+            <span>⚠️ <strong>Payment Failed</strong></span><br />
+            {order?.orderId && <span>Order ID: {order.orderId}<br /></span>}
+            <span>{toolResult.message || 'Your payment did not go through. Your cart is still saved.'}</span>
+          </AssistantBubble>
+        );
+      }
+      if (toolResult?.success && toolResult.paymentPending) {
+        return (
+          <AssistantBubble>
+            <span>⏳ <strong>Order Placed – Payment Pending</strong></span><br />
+            {order?.orderId && <span>Order ID: {order.orderId}<br /></span>}
+            <span>Your order will be confirmed as soon as the payment goes through.</span>
+          </AssistantBubble>
+        );
+      }
+      if (toolResult?.success) {
         return (
           <AssistantBubble>
             <span>🎉 <strong>Order Confirmed!</strong></span><br />